@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "items_checklist" (
+    "id" TEXT NOT NULL,
+    "campo" TEXT NOT NULL,
+    "encabezado" TEXT NOT NULL,
+    "categoria" TEXT NOT NULL DEFAULT '',
+    "orden" INTEGER NOT NULL DEFAULT 0,
+    "is_critical" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "items_checklist_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "items_checklist_campo_key" ON "items_checklist"("campo");
+
+-- CreateIndex
+CREATE INDEX "items_checklist_is_critical_idx" ON "items_checklist"("is_critical");
@@ -0,0 +1,147 @@
+-- CreateEnum
+CREATE TYPE "ResultadoItem" AS ENUM ('CUMPLE', 'NO_CUMPLE', 'NO_APLICA', 'SIN_RESPUESTA');
+
+-- AlterTable: los booleanos existentes pasan a CUMPLE / NO_CUMPLE
+ALTER TABLE "inspecciones" ALTER COLUMN "altas_bajas" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "altas_bajas" TYPE "ResultadoItem" USING (CASE WHEN "altas_bajas" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "altas_bajas" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "direccionales" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "direccionales" TYPE "ResultadoItem" USING (CASE WHEN "direccionales" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "direccionales" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "parqueo" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "parqueo" TYPE "ResultadoItem" USING (CASE WHEN "parqueo" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "parqueo" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "freno" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "freno" TYPE "ResultadoItem" USING (CASE WHEN "freno" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "freno" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "frenos" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "frenos" TYPE "ResultadoItem" USING (CASE WHEN "frenos" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "frenos" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "espejos" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "espejos" TYPE "ResultadoItem" USING (CASE WHEN "espejos" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "espejos" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "vidrios" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "vidrios" TYPE "ResultadoItem" USING (CASE WHEN "vidrios" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "vidrios" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "orden_aseo" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "orden_aseo" TYPE "ResultadoItem" USING (CASE WHEN "orden_aseo" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "orden_aseo" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "pito" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "pito" TYPE "ResultadoItem" USING (CASE WHEN "pito" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "pito" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "gps" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "gps" TYPE "ResultadoItem" USING (CASE WHEN "gps" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "gps" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "frenos_emergencia" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "frenos_emergencia" TYPE "ResultadoItem" USING (CASE WHEN "frenos_emergencia" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "frenos_emergencia" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "cinturones" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "cinturones" TYPE "ResultadoItem" USING (CASE WHEN "cinturones" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "cinturones" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "puertas" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "puertas" TYPE "ResultadoItem" USING (CASE WHEN "puertas" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "puertas" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "vidrios_estado" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "vidrios_estado" TYPE "ResultadoItem" USING (CASE WHEN "vidrios_estado" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "vidrios_estado" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "limpia_brisas" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "limpia_brisas" TYPE "ResultadoItem" USING (CASE WHEN "limpia_brisas" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "limpia_brisas" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "extintor_vigente" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "extintor_vigente" TYPE "ResultadoItem" USING (CASE WHEN "extintor_vigente" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "extintor_vigente" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "botiquin_completo" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "botiquin_completo" TYPE "ResultadoItem" USING (CASE WHEN "botiquin_completo" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "botiquin_completo" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "tapiceria" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "tapiceria" TYPE "ResultadoItem" USING (CASE WHEN "tapiceria" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "tapiceria" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "indicadores" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "indicadores" TYPE "ResultadoItem" USING (CASE WHEN "indicadores" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "indicadores" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "aceite_motor" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "aceite_motor" TYPE "ResultadoItem" USING (CASE WHEN "aceite_motor" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "aceite_motor" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "fluido_frenos" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "fluido_frenos" TYPE "ResultadoItem" USING (CASE WHEN "fluido_frenos" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "fluido_frenos" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "fluido_direccion" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "fluido_direccion" TYPE "ResultadoItem" USING (CASE WHEN "fluido_direccion" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "fluido_direccion" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "fluido_refrigerante" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "fluido_refrigerante" TYPE "ResultadoItem" USING (CASE WHEN "fluido_refrigerante" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "fluido_refrigerante" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "fluido_limpiabrisas" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "fluido_limpiabrisas" TYPE "ResultadoItem" USING (CASE WHEN "fluido_limpiabrisas" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "fluido_limpiabrisas" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "correas" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "correas" TYPE "ResultadoItem" USING (CASE WHEN "correas" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "correas" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "baterias" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "baterias" TYPE "ResultadoItem" USING (CASE WHEN "baterias" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "baterias" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "llantas_labrado" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "llantas_labrado" TYPE "ResultadoItem" USING (CASE WHEN "llantas_labrado" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "llantas_labrado" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "llantas_cortaduras" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "llantas_cortaduras" TYPE "ResultadoItem" USING (CASE WHEN "llantas_cortaduras" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "llantas_cortaduras" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "llanta_repuesto" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "llanta_repuesto" TYPE "ResultadoItem" USING (CASE WHEN "llanta_repuesto" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "llanta_repuesto" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "copas_pernos" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "copas_pernos" TYPE "ResultadoItem" USING (CASE WHEN "copas_pernos" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "copas_pernos" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "suspension" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "suspension" TYPE "ResultadoItem" USING (CASE WHEN "suspension" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "suspension" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "direccion" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "direccion" TYPE "ResultadoItem" USING (CASE WHEN "direccion" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "direccion" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "tapa_tanque" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "tapa_tanque" TYPE "ResultadoItem" USING (CASE WHEN "tapa_tanque" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "tapa_tanque" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "kit_carretera" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "kit_carretera" TYPE "ResultadoItem" USING (CASE WHEN "kit_carretera" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "kit_carretera" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "kit_ambiental" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "kit_ambiental" TYPE "ResultadoItem" USING (CASE WHEN "kit_ambiental" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "kit_ambiental" SET DEFAULT 'SIN_RESPUESTA';
+
+ALTER TABLE "inspecciones" ALTER COLUMN "documentacion" DROP DEFAULT;
+ALTER TABLE "inspecciones" ALTER COLUMN "documentacion" TYPE "ResultadoItem" USING (CASE WHEN "documentacion" THEN 'CUMPLE' ELSE 'NO_CUMPLE' END)::"ResultadoItem";
+ALTER TABLE "inspecciones" ALTER COLUMN "documentacion" SET DEFAULT 'SIN_RESPUESTA';
@@ -0,0 +1,39 @@
+-- Las inspecciones anteriores guardaban en marca_temporal la hora de la carga, no la del formulario:
+-- se toma de la fecha del formulario truncada al segundo, como la calcula la carga
+UPDATE "inspecciones"
+SET "marca_temporal" = (FLOOR(EXTRACT(EPOCH FROM "fecha")) * 1000)::BIGINT
+WHERE "fecha" IS NOT NULL;
+
+-- AlterTable
+ALTER TABLE "inspecciones" ADD COLUMN "clave_natural" TEXT;
+
+-- Llave natural como la calcula la aplicación (buildNaturalKey): segundo de la marca temporal,
+-- placa sin separadores en mayúsculas e inspector sin tildes ni caracteres especiales en mayúsculas.
+-- Entre filas que ya compartían llave solo la más antigua la recibe: las demás se conservan sin llave.
+WITH "claves" AS (
+  SELECT
+    "id",
+    "createdAt",
+    ("marca_temporal" / 1000)::TEXT
+      || '|' || REGEXP_REPLACE(UPPER("placa_vehiculo"), '[^A-Z0-9]', '', 'g')
+      || '|' || UPPER(BTRIM(REGEXP_REPLACE(
+        REGEXP_REPLACE(
+          REGEXP_REPLACE(NORMALIZE("conductor_nombre", NFD), '[\u0300-\u036f]', '', 'g'),
+          '[^A-Za-z0-9_[:space:]-]', '', 'g'
+        ),
+        '[[:space:]]+', ' ', 'g'
+      ))) AS "clave"
+  FROM "inspecciones"
+  WHERE "marca_temporal" > 0
+),
+"ordenadas" AS (
+  SELECT "id", "clave", ROW_NUMBER() OVER (PARTITION BY "clave" ORDER BY "createdAt", "id") AS "orden"
+  FROM "claves"
+)
+UPDATE "inspecciones" i
+SET "clave_natural" = o."clave"
+FROM "ordenadas" o
+WHERE o."id" = i."id" AND o."orden" = 1;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "inspecciones_clave_natural_key" ON "inspecciones"("clave_natural");
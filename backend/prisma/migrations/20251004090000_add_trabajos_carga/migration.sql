@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "trabajos_carga" (
+    "id" TEXT NOT NULL,
+    "nombre_archivo" TEXT NOT NULL,
+    "tamano_archivo" INTEGER,
+    "estado" TEXT NOT NULL DEFAULT 'EN_COLA',
+    "fase" TEXT NOT NULL DEFAULT 'EN_COLA',
+    "filas_totales" INTEGER NOT NULL DEFAULT 0,
+    "filas_procesadas" INTEGER NOT NULL DEFAULT 0,
+    "total_errores" INTEGER NOT NULL DEFAULT 0,
+    "errores" JSONB,
+    "opciones" JSONB,
+    "resultado" JSONB,
+    "mensaje_error" TEXT,
+    "fecha_inicio" TIMESTAMP(3),
+    "fecha_fin" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "trabajos_carga_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "trabajos_carga_estado_idx" ON "trabajos_carga"("estado");
+
+-- CreateIndex
+CREATE INDEX "trabajos_carga_createdAt_idx" ON "trabajos_carga"("createdAt");
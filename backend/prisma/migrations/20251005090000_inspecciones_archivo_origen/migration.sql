@@ -0,0 +1,16 @@
+-- DropIndex: un archivo revertido puede volver a cargarse
+DROP INDEX "archivos_procesados_hash_archivo_key";
+
+-- AlterTable
+ALTER TABLE "archivos_procesados" ADD COLUMN     "motivo_reversion" TEXT,
+ADD COLUMN     "usuario_reversion" TEXT,
+ADD COLUMN     "fecha_reversion" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "inspecciones" ADD COLUMN     "archivo_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "inspecciones_archivo_id_idx" ON "inspecciones"("archivo_id");
+
+-- AddForeignKey
+ALTER TABLE "inspecciones" ADD CONSTRAINT "inspecciones_archivo_id_fkey" FOREIGN KEY ("archivo_id") REFERENCES "archivos_procesados"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "fuentes_importacion" (
+    "id" TEXT NOT NULL,
+    "clave" TEXT NOT NULL,
+    "nombre" TEXT NOT NULL,
+    "ultima_marca_temporal" BIGINT NOT NULL DEFAULT 0,
+    "ultimo_archivo_id" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "fuentes_importacion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "fuentes_importacion_clave_key" ON "fuentes_importacion"("clave");
+
+-- AlterTable
+ALTER TABLE "archivos_procesados" ADD COLUMN     "fuente_id" TEXT,
+ADD COLUMN     "registros_ya_vistos" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "archivos_procesados_fuente_id_idx" ON "archivos_procesados"("fuente_id");
+
+-- AddForeignKey
+ALTER TABLE "archivos_procesados" ADD CONSTRAINT "archivos_procesados_fuente_id_fkey" FOREIGN KEY ("fuente_id") REFERENCES "fuentes_importacion"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "filas_rechazadas" (
+    "id" TEXT NOT NULL,
+    "archivo_id" TEXT NOT NULL,
+    "hoja" TEXT NOT NULL,
+    "fila" INTEGER NOT NULL,
+    "valores" JSONB NOT NULL,
+    "errores" JSONB NOT NULL,
+    "advertencias" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "filas_rechazadas_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "filas_rechazadas_archivo_id_idx" ON "filas_rechazadas"("archivo_id");
+
+-- AddForeignKey
+ALTER TABLE "filas_rechazadas" ADD CONSTRAINT "filas_rechazadas_archivo_id_fkey" FOREIGN KEY ("archivo_id") REFERENCES "archivos_procesados"("id") ON DELETE CASCADE ON UPDATE CASCADE;
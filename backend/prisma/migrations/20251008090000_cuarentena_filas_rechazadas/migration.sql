@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "filas_rechazadas" ADD COLUMN     "datos" JSONB,
+ADD COLUMN     "estado" TEXT NOT NULL DEFAULT 'PENDIENTE',
+ADD COLUMN     "inspeccion_id" TEXT,
+ADD COLUMN     "usuario_resolucion" TEXT,
+ADD COLUMN     "fecha_resolucion" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "filas_rechazadas_estado_idx" ON "filas_rechazadas"("estado");
+
+-- CreateTable
+CREATE TABLE "correcciones_cuarentena" (
+    "id" TEXT NOT NULL,
+    "fila_id" TEXT NOT NULL,
+    "usuario" TEXT NOT NULL,
+    "accion" TEXT NOT NULL,
+    "cambios" JSONB,
+    "errores" JSONB,
+    "comentario" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "correcciones_cuarentena_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "correcciones_cuarentena_fila_id_idx" ON "correcciones_cuarentena"("fila_id");
+
+-- AddForeignKey
+ALTER TABLE "correcciones_cuarentena" ADD CONSTRAINT "correcciones_cuarentena_fila_id_fkey" FOREIGN KEY ("fila_id") REFERENCES "filas_rechazadas"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "perfiles_mapeo" (
+    "id" TEXT NOT NULL,
+    "nombre" TEXT NOT NULL,
+    "descripcion" TEXT,
+    "mapeo" JSONB NOT NULL,
+    "encabezados" JSONB NOT NULL,
+    "activo" BOOLEAN NOT NULL DEFAULT true,
+    "creado_por" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "perfiles_mapeo_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "perfiles_mapeo_nombre_key" ON "perfiles_mapeo"("nombre");
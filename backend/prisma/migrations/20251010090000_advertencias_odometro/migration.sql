@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "advertencias_odometro" (
+    "id" TEXT NOT NULL,
+    "inspeccion_id" TEXT NOT NULL,
+    "placa_vehiculo" TEXT NOT NULL,
+    "tipo" TEXT NOT NULL,
+    "mensaje" TEXT NOT NULL,
+    "kilometraje" INTEGER NOT NULL,
+    "kilometraje_anterior" INTEGER,
+    "fecha_anterior" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "advertencias_odometro_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "advertencias_odometro_inspeccion_id_idx" ON "advertencias_odometro"("inspeccion_id");
+
+-- CreateIndex
+CREATE INDEX "advertencias_odometro_placa_vehiculo_idx" ON "advertencias_odometro"("placa_vehiculo");
+
+-- CreateIndex
+CREATE INDEX "advertencias_odometro_tipo_idx" ON "advertencias_odometro"("tipo");
+
+-- AddForeignKey
+ALTER TABLE "advertencias_odometro" ADD CONSTRAINT "advertencias_odometro_inspeccion_id_fkey" FOREIGN KEY ("inspeccion_id") REFERENCES "inspecciones"("id") ON DELETE CASCADE ON UPDATE CASCADE;
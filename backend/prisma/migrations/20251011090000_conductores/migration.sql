@@ -0,0 +1,51 @@
+-- AlterTable
+ALTER TABLE "inspecciones" ADD COLUMN     "conductor_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "conductores" (
+    "id" TEXT NOT NULL,
+    "nombre" TEXT NOT NULL,
+    "nombre_clave" TEXT NOT NULL,
+    "cedula" TEXT,
+    "contrato" TEXT NOT NULL DEFAULT '',
+    "estado" TEXT NOT NULL DEFAULT 'ACTIVO',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "conductores_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "conductores_alias" (
+    "id" TEXT NOT NULL,
+    "conductor_id" TEXT NOT NULL,
+    "nombre" TEXT NOT NULL,
+    "clave" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "conductores_alias_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "inspecciones_conductor_id_idx" ON "inspecciones"("conductor_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "conductores_nombre_clave_key" ON "conductores"("nombre_clave");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "conductores_cedula_key" ON "conductores"("cedula");
+
+-- CreateIndex
+CREATE INDEX "conductores_estado_idx" ON "conductores"("estado");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "conductores_alias_clave_key" ON "conductores_alias"("clave");
+
+-- CreateIndex
+CREATE INDEX "conductores_alias_conductor_id_idx" ON "conductores_alias"("conductor_id");
+
+-- AddForeignKey
+ALTER TABLE "inspecciones" ADD CONSTRAINT "inspecciones_conductor_id_fkey" FOREIGN KEY ("conductor_id") REFERENCES "conductores"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conductores_alias" ADD CONSTRAINT "conductores_alias_conductor_id_fkey" FOREIGN KEY ("conductor_id") REFERENCES "conductores"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "inspecciones" ADD COLUMN     "vehiculo_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "vehiculos" (
+    "id" TEXT NOT NULL,
+    "placa" TEXT NOT NULL,
+    "placas_alternas" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "tipo" TEXT NOT NULL DEFAULT '',
+    "marca" TEXT NOT NULL DEFAULT '',
+    "modelo" TEXT NOT NULL DEFAULT '',
+    "contrato" TEXT NOT NULL DEFAULT '',
+    "estado" TEXT NOT NULL DEFAULT 'ACTIVO',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "vehiculos_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "inspecciones_vehiculo_id_idx" ON "inspecciones"("vehiculo_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "vehiculos_placa_key" ON "vehiculos"("placa");
+
+-- CreateIndex
+CREATE INDEX "vehiculos_estado_idx" ON "vehiculos"("estado");
+
+-- CreateIndex
+CREATE INDEX "vehiculos_contrato_idx" ON "vehiculos"("contrato");
+
+-- AddForeignKey
+ALTER TABLE "inspecciones" ADD CONSTRAINT "inspecciones_vehiculo_id_fkey" FOREIGN KEY ("vehiculo_id") REFERENCES "vehiculos"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,96 @@
+-- AlterTable
+ALTER TABLE "inspecciones" ADD COLUMN     "contrato_id" TEXT,
+ADD COLUMN     "campo_id" TEXT;
+
+-- CreateTable
+CREATE TABLE "contratos" (
+    "id" TEXT NOT NULL,
+    "nombre" TEXT NOT NULL,
+    "nombre_clave" TEXT NOT NULL,
+    "estado" TEXT NOT NULL DEFAULT 'ACTIVO',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "contratos_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "contratos_alias" (
+    "id" TEXT NOT NULL,
+    "contrato_id" TEXT NOT NULL,
+    "nombre" TEXT NOT NULL,
+    "clave" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "contratos_alias_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "campos" (
+    "id" TEXT NOT NULL,
+    "contrato_id" TEXT NOT NULL,
+    "nombre" TEXT NOT NULL,
+    "nombre_clave" TEXT NOT NULL,
+    "estado" TEXT NOT NULL DEFAULT 'ACTIVO',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "campos_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "campos_alias" (
+    "id" TEXT NOT NULL,
+    "campo_id" TEXT NOT NULL,
+    "contrato_id" TEXT NOT NULL,
+    "nombre" TEXT NOT NULL,
+    "clave" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "campos_alias_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "inspecciones_contrato_id_idx" ON "inspecciones"("contrato_id");
+
+-- CreateIndex
+CREATE INDEX "inspecciones_campo_id_idx" ON "inspecciones"("campo_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "contratos_nombre_clave_key" ON "contratos"("nombre_clave");
+
+-- CreateIndex
+CREATE INDEX "contratos_estado_idx" ON "contratos"("estado");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "contratos_alias_clave_key" ON "contratos_alias"("clave");
+
+-- CreateIndex
+CREATE INDEX "contratos_alias_contrato_id_idx" ON "contratos_alias"("contrato_id");
+
+-- CreateIndex
+CREATE INDEX "campos_estado_idx" ON "campos"("estado");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "campos_contrato_id_nombre_clave_key" ON "campos"("contrato_id", "nombre_clave");
+
+-- CreateIndex
+CREATE INDEX "campos_alias_campo_id_idx" ON "campos_alias"("campo_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "campos_alias_contrato_id_clave_key" ON "campos_alias"("contrato_id", "clave");
+
+-- AddForeignKey
+ALTER TABLE "inspecciones" ADD CONSTRAINT "inspecciones_contrato_id_fkey" FOREIGN KEY ("contrato_id") REFERENCES "contratos"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inspecciones" ADD CONSTRAINT "inspecciones_campo_id_fkey" FOREIGN KEY ("campo_id") REFERENCES "campos"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "contratos_alias" ADD CONSTRAINT "contratos_alias_contrato_id_fkey" FOREIGN KEY ("contrato_id") REFERENCES "contratos"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "campos" ADD CONSTRAINT "campos_contrato_id_fkey" FOREIGN KEY ("contrato_id") REFERENCES "contratos"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "campos_alias" ADD CONSTRAINT "campos_alias_campo_id_fkey" FOREIGN KEY ("campo_id") REFERENCES "campos"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,212 @@
+-- CreateTable
+CREATE TABLE "plantillas_checklist" (
+    "id" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "nombre" TEXT NOT NULL,
+    "descripcion" TEXT NOT NULL DEFAULT '',
+    "activa" BOOLEAN NOT NULL DEFAULT false,
+    "origen" TEXT NOT NULL DEFAULT 'MANUAL',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "plantillas_checklist_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "plantilla_items" (
+    "id" TEXT NOT NULL,
+    "plantilla_id" TEXT NOT NULL,
+    "campo" TEXT NOT NULL,
+    "encabezado" TEXT NOT NULL,
+    "encabezados" JSONB NOT NULL DEFAULT '[]',
+    "grupo" TEXT NOT NULL DEFAULT '',
+    "orden" INTEGER NOT NULL DEFAULT 0,
+    "is_critical" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "plantilla_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "inspeccion_items" (
+    "id" TEXT NOT NULL,
+    "inspeccion_id" TEXT NOT NULL,
+    "item_id" TEXT NOT NULL,
+    "campo" TEXT NOT NULL,
+    "resultado" "ResultadoItem" NOT NULL DEFAULT 'SIN_RESPUESTA',
+
+    CONSTRAINT "inspeccion_items_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "inspecciones" ADD COLUMN "plantilla_id" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "plantillas_checklist_version_key" ON "plantillas_checklist"("version");
+
+-- CreateIndex
+CREATE INDEX "plantillas_checklist_activa_idx" ON "plantillas_checklist"("activa");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "plantilla_items_plantilla_id_campo_key" ON "plantilla_items"("plantilla_id", "campo");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "inspeccion_items_inspeccion_id_campo_key" ON "inspeccion_items"("inspeccion_id", "campo");
+
+-- CreateIndex
+CREATE INDEX "inspeccion_items_campo_resultado_idx" ON "inspeccion_items"("campo", "resultado");
+
+-- CreateIndex
+CREATE INDEX "inspeccion_items_item_id_idx" ON "inspeccion_items"("item_id");
+
+-- CreateIndex
+CREATE INDEX "inspecciones_plantilla_id_idx" ON "inspecciones"("plantilla_id");
+
+-- AddForeignKey
+ALTER TABLE "inspecciones" ADD CONSTRAINT "inspecciones_plantilla_id_fkey" FOREIGN KEY ("plantilla_id") REFERENCES "plantillas_checklist"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "plantilla_items" ADD CONSTRAINT "plantilla_items_plantilla_id_fkey" FOREIGN KEY ("plantilla_id") REFERENCES "plantillas_checklist"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inspeccion_items" ADD CONSTRAINT "inspeccion_items_inspeccion_id_fkey" FOREIGN KEY ("inspeccion_id") REFERENCES "inspecciones"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inspeccion_items" ADD CONSTRAINT "inspeccion_items_item_id_fkey" FOREIGN KEY ("item_id") REFERENCES "plantilla_items"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Plantilla v1: los 36 ítems que tenían columna propia en inspecciones (criticidad según el "**" del formulario)
+INSERT INTO "plantillas_checklist" ("id", "version", "nombre", "descripcion", "activa", "origen", "updatedAt")
+VALUES ('plantilla_hq_fo_40_v1', 1, 'HQ-FO-40 v1', 'Ítems del formulario antes de las plantillas versionadas', true, 'MIGRACION', CURRENT_TIMESTAMP);
+
+INSERT INTO "plantilla_items" ("id", "plantilla_id", "campo", "encabezado", "encabezados", "grupo", "orden", "is_critical") VALUES
+    ('v1_altas_bajas', 'plantilla_hq_fo_40_v1', 'altas_bajas', 'ALTAS Y BAJAS', '[]', 'LUCES', 1, true),
+    ('v1_direccionales', 'plantilla_hq_fo_40_v1', 'direccionales', 'DIRECCIONALES DERECHA E IZQUIERDA', '["DIRECCIONALES"]', 'LUCES', 2, false),
+    ('v1_parqueo', 'plantilla_hq_fo_40_v1', 'parqueo', 'DE PARQUEO', '["LUCES DE PARQUEO"]', 'LUCES', 3, true),
+    ('v1_freno', 'plantilla_hq_fo_40_v1', 'freno', 'DE FRENO', '["LUCES DE FRENO"]', 'LUCES', 4, true),
+    ('v1_espejos', 'plantilla_hq_fo_40_v1', 'espejos', 'ESPEJO CENTRAL Y ESPEJOS LATERALES', '["ESPEJOS"]', 'VISIBILIDAD', 5, true),
+    ('v1_vidrios', 'plantilla_hq_fo_40_v1', 'vidrios', 'VIDRIO FRONTAL', '[]', 'VISIBILIDAD', 6, true),
+    ('v1_orden_aseo', 'plantilla_hq_fo_40_v1', 'orden_aseo', 'PRESENTACIÓN DE ORDEN Y ASEO', '[]', 'CABINA', 7, false),
+    ('v1_pito', 'plantilla_hq_fo_40_v1', 'pito', 'PITO', '[]', 'CABINA', 8, false),
+    ('v1_gps', 'plantilla_hq_fo_40_v1', 'gps', 'SISTEMA DE MONITOREO GPS', '["SISTEMA DE MONITOREO GPS (ALERTA SONORA)"]', 'CABINA', 9, false),
+    ('v1_frenos', 'plantilla_hq_fo_40_v1', 'frenos', 'FRENOS', '[]', 'FRENOS', 10, true),
+    ('v1_frenos_emergencia', 'plantilla_hq_fo_40_v1', 'frenos_emergencia', 'FRENOS DE EMERGENCIA O DE MANO', '[]', 'FRENOS', 11, true),
+    ('v1_cinturones', 'plantilla_hq_fo_40_v1', 'cinturones', 'CINTURONES DE SEGURIDAD', '[]', 'CABINA', 12, true),
+    ('v1_puertas', 'plantilla_hq_fo_40_v1', 'puertas', 'PUERTAS EN BUEN ESTADO', '[]', 'CABINA', 13, false),
+    ('v1_vidrios_estado', 'plantilla_hq_fo_40_v1', 'vidrios_estado', 'VIDRIOS EN BUEN ESTADO', '[]', 'VISIBILIDAD', 14, false),
+    ('v1_limpia_brisas', 'plantilla_hq_fo_40_v1', 'limpia_brisas', 'LIMPIA BRISAS', '["LIMPIABRISAS"]', 'VISIBILIDAD', 15, true),
+    ('v1_extintor_vigente', 'plantilla_hq_fo_40_v1', 'extintor_vigente', 'EXTINTOR VIGENTE', '["EXTINTOR"]', 'SEGURIDAD', 16, false),
+    ('v1_botiquin_completo', 'plantilla_hq_fo_40_v1', 'botiquin_completo', 'BOTIQUÍN', '[]', 'SEGURIDAD', 17, false),
+    ('v1_tapiceria', 'plantilla_hq_fo_40_v1', 'tapiceria', 'ESTADO GENERAL DE TAPICERÍA', '[]', 'CABINA', 18, false),
+    ('v1_indicadores', 'plantilla_hq_fo_40_v1', 'indicadores', 'Indicadores (nivel de combustible, temperatura, velocímetro y aceite)', '["INDICADORES"]', 'CABINA', 19, false),
+    ('v1_aceite_motor', 'plantilla_hq_fo_40_v1', 'aceite_motor', 'NIVELES DE FLUIDOS ACEITE MOTOR', '["NIVELES DE FLUIDO ACEITE MOTOR"]', 'FLUIDOS', 20, true),
+    ('v1_fluido_frenos', 'plantilla_hq_fo_40_v1', 'fluido_frenos', 'NIVELES DE FLUIDO DE FRENOS', '[]', 'FLUIDOS', 21, true),
+    ('v1_fluido_direccion', 'plantilla_hq_fo_40_v1', 'fluido_direccion', 'NIVELES DE FLUIDO DE DIRECCIÓN HIDRAÚLICA', '["NIVELES DE FLUIDO DE DIRECCIÓN HIDRÁULICA"]', 'FLUIDOS', 22, true),
+    ('v1_fluido_refrigerante', 'plantilla_hq_fo_40_v1', 'fluido_refrigerante', 'NIVELES DE FLUIDO REFRIGERANTE', '[]', 'FLUIDOS', 23, true),
+    ('v1_fluido_limpiabrisas', 'plantilla_hq_fo_40_v1', 'fluido_limpiabrisas', 'NIVELES DE FLUIDO LIMPIA PARABRISAS', '[]', 'FLUIDOS', 24, false),
+    ('v1_correas', 'plantilla_hq_fo_40_v1', 'correas', 'ESTADO DE CORREAS', '[]', 'MECANICA', 25, false),
+    ('v1_baterias', 'plantilla_hq_fo_40_v1', 'baterias', 'ESTADO DE BATERÍAS, CABLES, CONEXIONES', '[]', 'MECANICA', 26, false),
+    ('v1_llantas_labrado', 'plantilla_hq_fo_40_v1', 'llantas_labrado', 'LLANTAS - LABRADO (min 2mm DE LABRADO)', '[]', 'LLANTAS', 27, true),
+    ('v1_llantas_cortaduras', 'plantilla_hq_fo_40_v1', 'llantas_cortaduras', 'LLANTAS - SIN CORTADURAS Y SIN ABULTAMIENTOS', '[]', 'LLANTAS', 28, true),
+    ('v1_llanta_repuesto', 'plantilla_hq_fo_40_v1', 'llanta_repuesto', 'LLANTA DE REPUESTO', '[]', 'LLANTAS', 29, false),
+    ('v1_copas_pernos', 'plantilla_hq_fo_40_v1', 'copas_pernos', 'COPAS O PERNOS DE SUJECIÓN DE LAS LLANTAS', '[]', 'LLANTAS', 30, true),
+    ('v1_suspension', 'plantilla_hq_fo_40_v1', 'suspension', 'SUSPENSIÓN (TERMINALES)', '[]', 'MECANICA', 31, true),
+    ('v1_direccion', 'plantilla_hq_fo_40_v1', 'direccion', 'DIRECCIÓN (TERMINALES)', '[]', 'MECANICA', 32, true),
+    ('v1_tapa_tanque', 'plantilla_hq_fo_40_v1', 'tapa_tanque', 'Tapa de tanque de combustible en buen estado', '[]', 'EQUIPAMIENTO', 33, false),
+    ('v1_kit_carretera', 'plantilla_hq_fo_40_v1', 'kit_carretera', 'Equipo de carretera: gato, llave de pernos, herramienta básica, triángulos o conos, bloques, chaleco, señal pare-siga', '["Equipo de carretera"]', 'EQUIPAMIENTO', 34, false),
+    ('v1_kit_ambiental', 'plantilla_hq_fo_40_v1', 'kit_ambiental', 'Kit ambiental', '[]', 'EQUIPAMIENTO', 35, false),
+    ('v1_documentacion', 'plantilla_hq_fo_40_v1', 'documentacion', 'Documentación: tecnomecánica y de gases, tarjeta de propiedad, SOAT, licencia de conducción y permiso para conducir interno', '["Documentación"]', 'DOCUMENTOS', 36, false);
+
+-- Criticidad y encabezado sincronizados desde los archivos ya importados (catálogo anterior)
+UPDATE "plantilla_items" AS p
+SET "is_critical" = c."is_critical", "encabezado" = c."encabezado"
+FROM "items_checklist" AS c
+WHERE p."plantilla_id" = 'plantilla_hq_fo_40_v1' AND p."campo" = c."campo";
+
+-- Las inspecciones existentes se respondieron con la v1
+UPDATE "inspecciones" SET "plantilla_id" = 'plantilla_hq_fo_40_v1';
+
+-- Resultados históricos: una fila por inspección e ítem
+INSERT INTO "inspeccion_items" ("id", "inspeccion_id", "item_id", "campo", "resultado")
+SELECT md5(i."id" || ':' || v."campo"), i."id", p."id", v."campo", v."resultado"
+FROM "inspecciones" AS i
+CROSS JOIN LATERAL (VALUES
+    ('altas_bajas', i."altas_bajas"),
+    ('direccionales', i."direccionales"),
+    ('parqueo', i."parqueo"),
+    ('freno', i."freno"),
+    ('espejos', i."espejos"),
+    ('vidrios', i."vidrios"),
+    ('orden_aseo', i."orden_aseo"),
+    ('pito', i."pito"),
+    ('gps', i."gps"),
+    ('frenos', i."frenos"),
+    ('frenos_emergencia', i."frenos_emergencia"),
+    ('cinturones', i."cinturones"),
+    ('puertas', i."puertas"),
+    ('vidrios_estado', i."vidrios_estado"),
+    ('limpia_brisas', i."limpia_brisas"),
+    ('extintor_vigente', i."extintor_vigente"),
+    ('botiquin_completo', i."botiquin_completo"),
+    ('tapiceria', i."tapiceria"),
+    ('indicadores', i."indicadores"),
+    ('aceite_motor', i."aceite_motor"),
+    ('fluido_frenos', i."fluido_frenos"),
+    ('fluido_direccion', i."fluido_direccion"),
+    ('fluido_refrigerante', i."fluido_refrigerante"),
+    ('fluido_limpiabrisas', i."fluido_limpiabrisas"),
+    ('correas', i."correas"),
+    ('baterias', i."baterias"),
+    ('llantas_labrado', i."llantas_labrado"),
+    ('llantas_cortaduras', i."llantas_cortaduras"),
+    ('llanta_repuesto', i."llanta_repuesto"),
+    ('copas_pernos', i."copas_pernos"),
+    ('suspension', i."suspension"),
+    ('direccion', i."direccion"),
+    ('tapa_tanque', i."tapa_tanque"),
+    ('kit_carretera', i."kit_carretera"),
+    ('kit_ambiental', i."kit_ambiental"),
+    ('documentacion', i."documentacion")
+) AS v("campo", "resultado")
+JOIN "plantilla_items" AS p ON p."plantilla_id" = 'plantilla_hq_fo_40_v1' AND p."campo" = v."campo";
+
+-- AlterTable: los resultados ya viven en inspeccion_items
+ALTER TABLE "inspecciones"
+    DROP COLUMN "altas_bajas",
+    DROP COLUMN "direccionales",
+    DROP COLUMN "parqueo",
+    DROP COLUMN "freno",
+    DROP COLUMN "espejos",
+    DROP COLUMN "vidrios",
+    DROP COLUMN "orden_aseo",
+    DROP COLUMN "pito",
+    DROP COLUMN "gps",
+    DROP COLUMN "frenos",
+    DROP COLUMN "frenos_emergencia",
+    DROP COLUMN "cinturones",
+    DROP COLUMN "puertas",
+    DROP COLUMN "vidrios_estado",
+    DROP COLUMN "limpia_brisas",
+    DROP COLUMN "extintor_vigente",
+    DROP COLUMN "botiquin_completo",
+    DROP COLUMN "tapiceria",
+    DROP COLUMN "indicadores",
+    DROP COLUMN "aceite_motor",
+    DROP COLUMN "fluido_frenos",
+    DROP COLUMN "fluido_direccion",
+    DROP COLUMN "fluido_refrigerante",
+    DROP COLUMN "fluido_limpiabrisas",
+    DROP COLUMN "correas",
+    DROP COLUMN "baterias",
+    DROP COLUMN "llantas_labrado",
+    DROP COLUMN "llantas_cortaduras",
+    DROP COLUMN "llanta_repuesto",
+    DROP COLUMN "copas_pernos",
+    DROP COLUMN "suspension",
+    DROP COLUMN "direccion",
+    DROP COLUMN "tapa_tanque",
+    DROP COLUMN "kit_carretera",
+    DROP COLUMN "kit_ambiental",
+    DROP COLUMN "documentacion";
+
+-- DropTable: la criticidad ahora es parte de cada versión de plantilla
+DROP TABLE "items_checklist";
@@ -0,0 +1,35 @@
+-- La tabla anterior solo tenía la inspección y nunca se escribió: se reemplaza por la línea de tiempo.
+-- Los eventos de las inspecciones ya cargadas se generan con POST /api/drivers/sync.
+
+-- DropTable
+DROP TABLE "historial_conductores";
+
+-- CreateTable
+CREATE TABLE "historial_conductores" (
+    "id" TEXT NOT NULL,
+    "conductor_id" TEXT NOT NULL,
+    "tipo" TEXT NOT NULL,
+    "fecha" TIMESTAMP(3) NOT NULL,
+    "descripcion" TEXT NOT NULL DEFAULT '',
+    "detalle" JSONB,
+    "inspeccion_id" TEXT,
+    "registrado_por" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "historial_conductores_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "historial_conductores_conductor_id_fecha_idx" ON "historial_conductores"("conductor_id", "fecha");
+
+-- CreateIndex
+CREATE INDEX "historial_conductores_inspeccion_id_idx" ON "historial_conductores"("inspeccion_id");
+
+-- CreateIndex
+CREATE INDEX "historial_conductores_tipo_idx" ON "historial_conductores"("tipo");
+
+-- AddForeignKey
+ALTER TABLE "historial_conductores" ADD CONSTRAINT "historial_conductores_conductor_id_fkey" FOREIGN KEY ("conductor_id") REFERENCES "conductores"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "historial_conductores" ADD CONSTRAINT "historial_conductores_inspeccion_id_fkey" FOREIGN KEY ("inspeccion_id") REFERENCES "inspecciones"("id") ON DELETE CASCADE ON UPDATE CASCADE;
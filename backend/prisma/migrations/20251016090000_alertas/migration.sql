@@ -0,0 +1,57 @@
+-- Las alertas de las inspecciones ya cargadas se generan con POST /api/alerts/sync.
+
+-- CreateTable
+CREATE TABLE "alertas" (
+    "id" TEXT NOT NULL,
+    "inspeccion_id" TEXT NOT NULL,
+    "tipo" TEXT NOT NULL,
+    "prioridad" TEXT NOT NULL,
+    "estado" TEXT NOT NULL DEFAULT 'ACTIVA',
+    "descripcion" TEXT NOT NULL DEFAULT '',
+    "detalle" JSONB,
+    "asignado_a" TEXT,
+    "fecha_asignacion" TIMESTAMP(3),
+    "fecha_revision" TIMESTAMP(3),
+    "fecha_resolucion" TIMESTAMP(3),
+    "resuelto_por" TEXT,
+    "accion_correctiva" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "alertas_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "alertas_seguimiento" (
+    "id" TEXT NOT NULL,
+    "alerta_id" TEXT NOT NULL,
+    "tipo" TEXT NOT NULL,
+    "autor" TEXT NOT NULL,
+    "texto" TEXT NOT NULL DEFAULT '',
+    "estado_anterior" TEXT,
+    "estado_nuevo" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "alertas_seguimiento_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "alertas_inspeccion_id_key" ON "alertas"("inspeccion_id");
+
+-- CreateIndex
+CREATE INDEX "alertas_estado_idx" ON "alertas"("estado");
+
+-- CreateIndex
+CREATE INDEX "alertas_tipo_idx" ON "alertas"("tipo");
+
+-- CreateIndex
+CREATE INDEX "alertas_asignado_a_idx" ON "alertas"("asignado_a");
+
+-- CreateIndex
+CREATE INDEX "alertas_seguimiento_alerta_id_createdAt_idx" ON "alertas_seguimiento"("alerta_id", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "alertas" ADD CONSTRAINT "alertas_inspeccion_id_fkey" FOREIGN KEY ("inspeccion_id") REFERENCES "inspecciones"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "alertas_seguimiento" ADD CONSTRAINT "alertas_seguimiento_alerta_id_fkey" FOREIGN KEY ("alerta_id") REFERENCES "alertas"("id") ON DELETE CASCADE ON UPDATE CASCADE;
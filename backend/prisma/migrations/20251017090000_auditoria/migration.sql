@@ -0,0 +1,41 @@
+-- Registro de auditoría de solo inserción: el trigger impide modificar o borrar entradas.
+
+-- CreateTable
+CREATE TABLE "auditoria" (
+    "id" TEXT NOT NULL,
+    "actor" TEXT NOT NULL,
+    "accion" TEXT NOT NULL,
+    "entidad" TEXT NOT NULL,
+    "entidad_id" TEXT,
+    "antes" JSONB,
+    "despues" JSONB,
+    "request_id" TEXT,
+    "ip" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "auditoria_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "auditoria_entidad_entidad_id_idx" ON "auditoria"("entidad", "entidad_id");
+
+-- CreateIndex
+CREATE INDEX "auditoria_actor_idx" ON "auditoria"("actor");
+
+-- CreateIndex
+CREATE INDEX "auditoria_createdAt_idx" ON "auditoria"("createdAt");
+
+-- Solo inserción
+CREATE FUNCTION "auditoria_solo_insercion"() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'La tabla auditoria es de solo inserción (% no permitido)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "auditoria_sin_cambios"
+    BEFORE UPDATE OR DELETE ON "auditoria"
+    FOR EACH ROW EXECUTE FUNCTION "auditoria_solo_insercion"();
+
+CREATE TRIGGER "auditoria_sin_truncate"
+    BEFORE TRUNCATE ON "auditoria"
+    FOR EACH STATEMENT EXECUTE FUNCTION "auditoria_solo_insercion"();
@@ -0,0 +1,11 @@
+-- El archivo subido se guarda con el trabajo para que cualquier instancia pueda procesarlo o retomarlo
+-- AlterTable
+ALTER TABLE "trabajos_carga" ADD COLUMN "archivo" BYTEA,
+ADD COLUMN "tipo_archivo" TEXT,
+ADD COLUMN "archivo_id" TEXT,
+ADD COLUMN "instancia" TEXT,
+ADD COLUMN "latido" TIMESTAMP(3),
+ADD COLUMN "intentos" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "trabajos_carga_estado_latido_idx" ON "trabajos_carga"("estado", "latido");
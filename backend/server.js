@@ -10,6 +10,8 @@ require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+// Cada cuánto se buscan trabajos de carga en cola o abandonados por otra instancia
+const UPLOAD_JOB_POLL_MS = 60 * 1000;
 
 // 🔧 **CONFIGURACIÓN DE CORS**
 console.log('[CORS] Configurando CORS...');
@@ -61,7 +63,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id', 'X-User'],
+  exposedHeaders: ['X-Request-Id']
 }));
 
 // 🔧 **MIDDLEWARE DE SEGURIDAD**
@@ -101,6 +104,10 @@ app.use(express.urlencoded({
   limit: '10mb'
 }));
 
+// 🧵 **CONTEXTO DE LA SOLICITUD** (id, IP y usuario para la auditoría)
+const { requestContext } = require('./src/middleware/requestContext');
+app.use(requestContext);
+
 // 🔧 **CONFIGURACIÓN DE BASE DE DATOS**
 console.log('[DB] Creando cliente Prisma...');
 const { getPrismaClient } = require('./src/config/database');
@@ -111,7 +118,17 @@ try {
   
   // Test de conexión
   prisma.$connect()
-    .then(() => console.log('[DB] ✅ Conexión a base de datos establecida'))
+    .then(() => {
+      console.log('[DB] ✅ Conexión a base de datos establecida');
+      // Los trabajos de carga guardan su archivo: esta instancia toma los que quedaron en cola
+      // y los que otra dejó sin terminar (latido vencido), ahora y periódicamente
+      const UploadController = require('./src/controllers/uploadController');
+      const uploadWorker = new UploadController();
+      const resumeJobs = () => uploadWorker.resumePendingJobs()
+        .catch(err => console.error('[TRABAJOS] ❌ Error retomando trabajos:', err.message));
+      setInterval(resumeJobs, UPLOAD_JOB_POLL_MS).unref();
+      return resumeJobs();
+    })
     .catch(err => console.error('[DB] ❌ Error conectando a BD:', err.message));
 } catch (error) {
   console.error('[DB] ❌ Error configurando Prisma:', error.message);
@@ -152,6 +169,46 @@ try {
   app.use('/api/upload', uploadRoutes);
   console.log('[ROUTES] ✅ Rutas de upload configuradas: /api/upload');
   
+  // 🚗 Rutas de vehículos
+  const vehicleRoutes = require('./src/routes/vehicles');
+  app.use('/api/vehicles', vehicleRoutes);
+  console.log('[ROUTES] ✅ Rutas de vehículos configuradas: /api/vehicles');
+  
+  // 👨‍✈️ Rutas de conductores
+  const driverRoutes = require('./src/routes/drivers');
+  app.use('/api/drivers', driverRoutes);
+  console.log('[ROUTES] ✅ Rutas de conductores configuradas: /api/drivers');
+  
+  // 📑 Rutas de contratos y campos
+  const contractRoutes = require('./src/routes/contracts');
+  app.use('/api/contracts', contractRoutes);
+  console.log('[ROUTES] ✅ Rutas de contratos configuradas: /api/contracts');
+  
+  // 📋 Rutas de plantillas del checklist
+  const checklistRoutes = require('./src/routes/checklist');
+  app.use('/api/checklist', checklistRoutes);
+  console.log('[ROUTES] ✅ Rutas de plantillas configuradas: /api/checklist');
+  
+  // 🚨 Rutas de alertas
+  const alertRoutes = require('./src/routes/alerts');
+  app.use('/api/alerts', alertRoutes);
+  console.log('[ROUTES] ✅ Rutas de alertas configuradas: /api/alerts');
+  
+  // 🧾 Rutas de auditoría
+  const auditRoutes = require('./src/routes/audit');
+  app.use('/api/audit', auditRoutes);
+  console.log('[ROUTES] ✅ Rutas de auditoría configuradas: /api/audit');
+  
+  // 🔍 Rutas de búsqueda e historial
+  const searchRoutes = require('./src/routes/search');
+  app.use('/api/search', searchRoutes);
+  console.log('[ROUTES] ✅ Rutas de búsqueda configuradas: /api/search');
+  
+  // 📊 Rutas del dashboard (estadísticas, KPIs, widgets y reportes)
+  const dashboardRoutes = require('./src/routes/dashboard');
+  app.use('/api/dashboard', dashboardRoutes);
+  console.log('[ROUTES] ✅ Rutas de dashboard configuradas: /api/dashboard');
+  
   // 🔍 Otras rutas (agregar según necesidad)
   // const inspectionRoutes = require('./src/routes/inspections');
   // app.use('/api/inspections', inspectionRoutes);
@@ -164,6 +221,14 @@ try {
       version: '2.0.0',
       endpoints: {
         upload: '/api/upload',
+        vehicles: '/api/vehicles',
+        drivers: '/api/drivers',
+        contracts: '/api/contracts',
+        checklist: '/api/checklist',
+        alerts: '/api/alerts',
+        audit: '/api/audit',
+        search: '/api/search',
+        dashboard: '/api/dashboard',
         health: '/health'
       },
       documentation: 'https://docs.example.com', // TODO: Agregar documentación real
@@ -171,15 +236,6 @@ try {
     });
   });
   
-  // Rutas de dashboard (widgets y kpis)
-  app.get('/api/dashboard/widgets', (req, res) => {
-    res.json({ widgets: [] }); // Devuelve tu lógica real aquí
-  });
-
-  app.get('/api/dashboard/kpis', (req, res) => {
-    res.json({ kpis: [] }); // Devuelve tu lógica real aquí
-  });
-  
 } catch (error) {
   console.error('[ROUTES] ❌ Error configurando rutas:', error);
   process.exit(1);
@@ -236,6 +292,7 @@ app.use((req, res) => {
       'GET /api',
       'POST /api/upload/validate',
       'POST /api/upload/process',
+      'GET /api/upload/progress/:jobId',
       'GET /api/upload/history',
       'GET /api/upload/stats'
     ]
@@ -256,6 +313,7 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`   ✅ API Info: http://localhost:${PORT}/api`);
   console.log(`   📤 Upload Validate: http://localhost:${PORT}/api/upload/validate`);
   console.log(`   📤 Upload Process: http://localhost:${PORT}/api/upload/process`);
+  console.log(`   ⏳ Upload Progress: http://localhost:${PORT}/api/upload/progress/:jobId`);
   console.log(`   📊 Upload History: http://localhost:${PORT}/api/upload/history`);
   console.log(`   📊 Upload Stats: http://localhost:${PORT}/api/upload/stats\n`);
 });
@@ -0,0 +1,153 @@
+// 📄 ARCHIVO: backend/src/config/checklistItems.js
+// 📋 Definición de los ítems del formulario HQ-FO-40 y su campo en `inspecciones`
+
+/**
+ * Resultados posibles de un ítem (enum ResultadoItem del esquema).
+ * NO_APLICA y SIN_RESPUESTA se excluyen de puntajes y agregados.
+ */
+const CHECKLIST_RESULTS = {
+  CUMPLE: 'CUMPLE',
+  NO_CUMPLE: 'NO_CUMPLE',
+  NO_APLICA: 'NO_APLICA',
+  SIN_RESPUESTA: 'SIN_RESPUESTA'
+};
+
+// Resultados que sí cuentan al evaluar un ítem
+const EVALUABLE_RESULTS = [CHECKLIST_RESULTS.CUMPLE, CHECKLIST_RESULTS.NO_CUMPLE];
+
+/**
+ * Ítems de inspección vehicular conocidos, en el orden del formulario.
+ * `headers` son los encabezados aceptados SIN el marcador "**" (se comparan normalizados).
+ * Qué ítems tiene cada versión del formulario y cuáles son críticos lo define la plantilla
+ * versionada (tabla plantillas_checklist); los ítems agregados en una plantilla nueva se
+ * reconocen al importar sin tocar esta lista.
+ */
+const CHECKLIST_ITEMS = [
+  // 💡 Luces y visibilidad
+  { field: 'altas_bajas', category: 'LUCES', headers: ['ALTAS Y BAJAS'] },
+  { field: 'direccionales', category: 'LUCES', headers: ['DIRECCIONALES DERECHA E IZQUIERDA', 'DIRECCIONALES'] },
+  { field: 'parqueo', category: 'LUCES', headers: ['DE PARQUEO', 'LUCES DE PARQUEO'] },
+  { field: 'freno', category: 'LUCES', headers: ['DE FRENO', 'LUCES DE FRENO'] },
+  { field: 'reversa_alarma', category: 'LUCES', headers: ['DE REVERSA Y ALARMA DE RETROCESO', 'LUCES DE REVERSA'] },
+  { field: 'espejos', category: 'VISIBILIDAD', headers: ['ESPEJO CENTRAL Y ESPEJOS LATERALES', 'ESPEJOS'] },
+  { field: 'vidrios', category: 'VISIBILIDAD', headers: ['VIDRIO FRONTAL'] },
+
+  // 🚗 Cabina y estado general
+  { field: 'orden_aseo', category: 'CABINA', headers: ['PRESENTACIÓN DE ORDEN Y ASEO'] },
+  { field: 'pito', category: 'CABINA', headers: ['PITO'] },
+  {
+    field: 'gps',
+    category: 'CABINA',
+    headers: ['SISTEMA DE MONITOREO GPS', 'SISTEMA DE MONITOREO GPS (ALERTA SONORA)']
+  },
+  { field: 'frenos', category: 'FRENOS', headers: ['FRENOS'] },
+  { field: 'frenos_emergencia', category: 'FRENOS', headers: ['FRENOS DE EMERGENCIA O DE MANO'] },
+  { field: 'cinturones', category: 'CABINA', headers: ['CINTURONES DE SEGURIDAD'] },
+  { field: 'puertas', category: 'CABINA', headers: ['PUERTAS EN BUEN ESTADO'] },
+  { field: 'vidrios_estado', category: 'VISIBILIDAD', headers: ['VIDRIOS EN BUEN ESTADO'] },
+  { field: 'limpia_brisas', category: 'VISIBILIDAD', headers: ['LIMPIA BRISAS', 'LIMPIABRISAS'] },
+  { field: 'extintor_vigente', category: 'SEGURIDAD', headers: ['EXTINTOR VIGENTE', 'EXTINTOR'] },
+  { field: 'botiquin_completo', category: 'SEGURIDAD', headers: ['BOTIQUÍN'] },
+  { field: 'tapiceria', category: 'CABINA', headers: ['ESTADO GENERAL DE TAPICERÍA'] },
+  {
+    field: 'indicadores',
+    category: 'CABINA',
+    headers: ['Indicadores (nivel de combustible, temperatura, velocímetro y aceite)', 'INDICADORES']
+  },
+  {
+    field: 'objetos_sueltos',
+    category: 'CABINA',
+    headers: [
+      'Verificar la ausencia de objetos sueltos en la cabina que puedan distraer al conductor',
+      'Objetos sueltos en la cabina'
+    ]
+  },
+
+  // 🔧 Fluidos y mecánica
+  { field: 'aceite_motor', category: 'FLUIDOS', headers: ['NIVELES DE FLUIDOS ACEITE MOTOR', 'NIVELES DE FLUIDO ACEITE MOTOR'] },
+  { field: 'fluido_frenos', category: 'FLUIDOS', headers: ['NIVELES DE FLUIDO DE FRENOS'] },
+  {
+    field: 'fluido_direccion',
+    category: 'FLUIDOS',
+    headers: ['NIVELES DE FLUIDO DE DIRECCIÓN HIDRAÚLICA', 'NIVELES DE FLUIDO DE DIRECCIÓN HIDRÁULICA']
+  },
+  { field: 'fluido_refrigerante', category: 'FLUIDOS', headers: ['NIVELES DE FLUIDO REFRIGERANTE'] },
+  { field: 'fluido_limpiabrisas', category: 'FLUIDOS', headers: ['NIVELES DE FLUIDO LIMPIA PARABRISAS'] },
+  { field: 'correas', category: 'MECANICA', headers: ['ESTADO DE CORREAS'] },
+  { field: 'baterias', category: 'MECANICA', headers: ['ESTADO DE BATERÍAS, CABLES, CONEXIONES'] },
+
+  // 🛞 Llantas, suspensión y dirección
+  { field: 'llantas_labrado', category: 'LLANTAS', headers: ['LLANTAS - LABRADO (min 2mm DE LABRADO)'] },
+  { field: 'llantas_cortaduras', category: 'LLANTAS', headers: ['LLANTAS - SIN CORTADURAS Y SIN ABULTAMIENTOS'] },
+  { field: 'llanta_repuesto', category: 'LLANTAS', headers: ['LLANTA DE REPUESTO'] },
+  { field: 'copas_pernos', category: 'LLANTAS', headers: ['COPAS O PERNOS DE SUJECIÓN DE LAS LLANTAS'] },
+  { field: 'suspension', category: 'MECANICA', headers: ['SUSPENSIÓN (TERMINALES)'] },
+  { field: 'direccion', category: 'MECANICA', headers: ['DIRECCIÓN (TERMINALES)'] },
+
+  // 📋 Equipamiento y documentos
+  { field: 'tapa_tanque', category: 'EQUIPAMIENTO', headers: ['Tapa de tanque de combustible en buen estado'] },
+  {
+    field: 'kit_carretera',
+    category: 'EQUIPAMIENTO',
+    headers: [
+      'Equipo de carretera: gato, llave de pernos, herramienta básica, triángulos o conos, bloques, chaleco, señal pare-siga',
+      'Equipo de carretera'
+    ]
+  },
+  { field: 'kit_ambiental', category: 'EQUIPAMIENTO', headers: ['Kit ambiental'] },
+  {
+    field: 'documentacion',
+    category: 'DOCUMENTOS',
+    headers: [
+      'Documentación: tecnomecánica y de gases, tarjeta de propiedad, SOAT, licencia de conducción y permiso para conducir interno',
+      'Documentación'
+    ]
+  }
+];
+
+/**
+ * Preguntas de fatiga del conductor. Todas se responden Cumple/No cumple o Sí/No.
+ * `defaultValue` (igual al default del esquema) se usa cuando la respuesta está vacía:
+ * las hojas anteriores a la inclusión de estas preguntas no las traen.
+ */
+const FATIGUE_ITEMS = [
+  {
+    field: 'horas_sueno_suficientes',
+    defaultValue: true,
+    headers: ['¿Ha dormido al menos 7 horas en las últimas 24 horas?']
+  },
+  {
+    field: 'libre_sintomas_fatiga',
+    defaultValue: true,
+    headers: ['¿Se encuentra libre de síntomas de fatiga (Somnolencia, dolor de cabeza, irritabilidad)?']
+  },
+  {
+    field: 'condiciones_aptas',
+    defaultValue: true,
+    headers: ['¿Se siente en condiciones físicas y mentales para conducir?']
+  },
+  {
+    field: 'consumo_medicamentos',
+    defaultValue: false,
+    headers: ['¿Ha consumido medicamentos o sustancias que afecten su estado de alerta?*']
+  }
+];
+
+/**
+ * Resultados de una inspección guardada ({ campo: resultado }) a partir de sus filas de inspeccion_items.
+ * @param {Array<{campo: string, resultado: string}>} items
+ * @returns {Object<string, string>}
+ */
+function getItemResults(items = []) {
+  return Object.fromEntries(items.map(item => [item.campo, item.resultado]));
+}
+
+module.exports = {
+  CHECKLIST_RESULTS,
+  EVALUABLE_RESULTS,
+  CHECKLIST_ITEMS,
+  FATIGUE_ITEMS,
+  CHECKLIST_FIELDS: CHECKLIST_ITEMS.map(item => item.field),
+  FATIGUE_FIELDS: FATIGUE_ITEMS.map(item => item.field),
+  getItemResults
+};
@@ -0,0 +1,84 @@
+// 📄 ARCHIVO: backend/src/config/columnAliases.js
+// 🗺️ Encabezados conocidos por campo: única fuente para el mapeo de columnas del Excel
+
+const { CHECKLIST_ITEMS, FATIGUE_ITEMS } = require('./checklistItems');
+
+/**
+ * Alias de encabezado por campo básico de la inspección.
+ * La comparación se hace por llave normalizada (ver normalizeExcelHeader),
+ * así que no hace falta repetir variantes de mayúsculas o tildes.
+ */
+const BASE_COLUMN_ALIASES = {
+  placa_vehiculo: [
+    'PLACA DEL VEHICULO', 'PLACA DEL VEHÍCULO', 'PLACA_VEHICULO', 'Placa', 'Número de placa', 'No. Placa'
+  ],
+  contrato: [
+    'CONTRATO', 'CONTRATO/CAMPO', 'Contrato Campo', 'CAMPO/CONTRATO', 'Nombre del contrato', 'No. Contrato'
+  ],
+  turno: [
+    'TURNO', 'TURNO DE TRABAJO', 'Jornada'
+  ],
+  conductor_nombre: [
+    'NOMBRE DE QUIEN REALIZA LA INSPECCIÓN', 'Nombre del Inspector', 'Inspector', 'Conductor', 'Nombre Conductor', 'NOMBRE_CONDUCTOR'
+  ],
+  fecha: [
+    'Marca temporal', 'Fecha', 'Timestamp', 'Fecha de inspección'
+  ],
+  campo_coordinacion: [
+    'CAMPO/COORDINACIÓN', 'Campo', 'Coordinación'
+  ],
+  kilometraje: [
+    'KILOMETRAJE', 'KM', 'Kilómetros'
+  ],
+  observaciones: [
+    'OBSERVACIONES', 'Observación'
+  ]
+};
+
+// Etiquetas legibles de los campos básicos (asistente de mapeo)
+const BASE_FIELD_LABELS = {
+  placa_vehiculo: 'Placa del vehículo',
+  contrato: 'Contrato',
+  turno: 'Turno',
+  conductor_nombre: 'Nombre de quien realiza la inspección',
+  fecha: 'Fecha / Marca temporal',
+  campo_coordinacion: 'Campo / Coordinación',
+  kilometraje: 'Kilometraje',
+  observaciones: 'Observaciones'
+};
+
+/**
+ * Mapeo completo campo → alias: campos básicos, ítems del checklist y preguntas de fatiga.
+ * @param {Array<{field: string, headers: string[]}>} [checklistItems] - Ítems reconocibles (plantillas)
+ * @returns {Object<string, string[]>}
+ */
+function buildColumnAliases(checklistItems = CHECKLIST_ITEMS) {
+  const aliases = {};
+  Object.entries(BASE_COLUMN_ALIASES).forEach(([field, headers]) => {
+    aliases[field] = [...headers];
+  });
+  [...checklistItems, ...FATIGUE_ITEMS].forEach(item => {
+    aliases[item.field] = [...item.headers];
+  });
+  return aliases;
+}
+
+/**
+ * Campos asignables a una columna con su etiqueta y grupo.
+ * @param {Array<{field: string, headers: string[]}>} [checklistItems] - Ítems reconocibles (plantillas)
+ * @returns {Array<{field: string, label: string, group: string}>}
+ */
+function getMappableFields(checklistItems = CHECKLIST_ITEMS) {
+  return [
+    ...Object.keys(BASE_COLUMN_ALIASES).map(field => ({ field, label: BASE_FIELD_LABELS[field], group: 'general' })),
+    ...FATIGUE_ITEMS.map(item => ({ field: item.field, label: item.headers[0], group: 'fatiga' })),
+    ...checklistItems.map(item => ({ field: item.field, label: item.headers[0], group: 'checklist' }))
+  ];
+}
+
+module.exports = {
+  BASE_COLUMN_ALIASES,
+  BASE_FIELD_LABELS,
+  buildColumnAliases,
+  getMappableFields
+};
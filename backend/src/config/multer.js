@@ -42,8 +42,8 @@ const diskStorage = multer.diskStorage({
 const excelFileFilter = (req, file, cb) => {
   console.log(`[MULTER] 🔍 Validando archivo: ${file.originalname}, MIME: ${file.mimetype}`);
   
-  // Extensiones permitidas
-  const allowedExtensions = ['.xlsx', '.xls'];
+  // Extensiones permitidas (CSV: exportaciones de Google Forms)
+  const allowedExtensions = ['.xlsx', '.xls', '.csv'];
   const fileExtension = path.extname(file.originalname).toLowerCase();
   
   // Tipos MIME permitidos
@@ -51,13 +51,15 @@ const excelFileFilter = (req, file, cb) => {
     'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
     'application/vnd.ms-excel', // .xls
     'application/octet-stream', // Fallback para algunos navegadores
-    'application/x-ole-storage' // Otro fallback para .xls
+    'application/x-ole-storage', // Otro fallback para .xls
+    'text/csv', // .csv
+    'text/plain' // .csv en algunos navegadores
   ];
   
   // Validar extensión
   if (!allowedExtensions.includes(fileExtension)) {
     console.log(`[MULTER] ❌ Extensión no permitida: ${fileExtension}`);
-    const error = new Error(`Solo se permiten archivos Excel (.xlsx, .xls). Recibido: ${fileExtension}`);
+    const error = new Error(`Solo se permiten archivos Excel (.xlsx, .xls) o CSV (.csv). Recibido: ${fileExtension}`);
     error.code = 'INVALID_FILE_EXTENSION';
     return cb(error, false);
   }
@@ -0,0 +1,141 @@
+// 🚨 CONTROLADOR DE ALERTAS
+// backend/src/controllers/alertController.js
+
+const AlertService = require('../services/alertService');
+const { successResponse, errorResponse } = require('../utils/responseUtils');
+
+// Códigos del servicio → estado HTTP
+const ALERT_ERROR_STATUS = {
+  ALERTA_INVALIDA: 400,
+  ALERTA_NO_ENCONTRADA: 404,
+  TRANSICION_INVALIDA: 409,
+  ALERTA_MODIFICADA: 409
+};
+
+class AlertController {
+  constructor() {
+    this.alertService = new AlertService();
+  }
+
+  // 📋 Listar alertas (filtros: estado, tipo, prioridad, asignadoA, search, fechaInicio, fechaFin)
+  async getAlerts(req, res) {
+    try {
+      const { fechaInicio, fechaFin } = req.query;
+      const estado = req.query.estado
+        ? String(req.query.estado).split(',').map(value => value.trim().toUpperCase()).filter(Boolean)
+        : [];
+      const tipo = req.query.tipo ? String(req.query.tipo).toUpperCase() : undefined;
+      const prioridad = req.query.prioridad ? String(req.query.prioridad).toUpperCase() : undefined;
+
+      const invalidStates = estado.filter(value => !this.alertService.states.includes(value));
+      if (invalidStates.length > 0) {
+        throw new Error(`ALERTA_INVALIDA: estados no válidos: ${invalidStates.join(', ')} (${this.alertService.states.join(', ')})`);
+      }
+      if (tipo && !this.alertService.types.includes(tipo)) {
+        throw new Error(`ALERTA_INVALIDA: tipo "${tipo}" no válido (${this.alertService.types.join(', ')})`);
+      }
+      if (prioridad && !this.alertService.priorities.includes(prioridad)) {
+        throw new Error(`ALERTA_INVALIDA: prioridad "${prioridad}" no válida (${this.alertService.priorities.join(', ')})`);
+      }
+      const invalidDate = [fechaInicio, fechaFin].find(value => value && !/^\d{4}-\d{2}-\d{2}$/.test(value));
+      if (invalidDate) {
+        throw new Error(`ALERTA_INVALIDA: fecha "${invalidDate}" no válida (AAAA-MM-DD)`);
+      }
+
+      const result = await this.alertService.listAlerts({
+        estado,
+        tipo,
+        prioridad,
+        asignadoA: req.query.asignadoA ? String(req.query.asignadoA).trim() : undefined,
+        search: req.query.search ? String(req.query.search).trim() : undefined,
+        from: fechaInicio,
+        to: fechaFin,
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500)
+      });
+      return successResponse(res, result, `${result.pagination.total} alertas encontradas`);
+    } catch (error) {
+      return this.handleAlertError(res, error, 'listar');
+    }
+  }
+
+  // 🔍 Detalle de una alerta con su seguimiento
+  async getAlert(req, res) {
+    try {
+      const alert = await this.alertService.getAlert(req.params.alertId);
+      return successResponse(res, alert, 'Alerta obtenida');
+    } catch (error) {
+      return this.handleAlertError(res, error, 'obtener');
+    }
+  }
+
+  // 👷 Asignar a un supervisor
+  async assignAlert(req, res) {
+    try {
+      const alert = await this.alertService.assignAlert(req.params.alertId, {
+        assignee: req.body?.assignee,
+        user: this.getUser(req)
+      });
+      return successResponse(res, alert, `Alerta asignada a ${alert.assignedTo}`);
+    } catch (error) {
+      return this.handleAlertError(res, error, 'asignar');
+    }
+  }
+
+  // 💬 Comentar
+  async addComment(req, res) {
+    try {
+      const alert = await this.alertService.addComment(req.params.alertId, {
+        text: req.body?.text,
+        user: this.getUser(req)
+      });
+      return successResponse(res, alert, 'Comentario agregado', 201);
+    } catch (error) {
+      return this.handleAlertError(res, error, 'comentar');
+    }
+  }
+
+  // 🔀 Cambiar de estado (RESUELTA exige la acción correctiva)
+  async changeStatus(req, res) {
+    try {
+      const alert = await this.alertService.changeStatus(req.params.alertId, {
+        status: req.body?.status,
+        correctiveAction: req.body?.correctiveAction,
+        comment: req.body?.comment,
+        user: this.getUser(req)
+      });
+      return successResponse(res, alert, `Alerta en estado ${alert.status}`);
+    } catch (error) {
+      return this.handleAlertError(res, error, 'cambiar el estado de');
+    }
+  }
+
+  // 🔄 Generar las alertas de inspecciones cargadas antes de existir la tabla
+  async syncAlerts(req, res) {
+    try {
+      const result = await this.alertService.syncMissingInspections();
+      return successResponse(res, result, `${result.created} alertas generadas`);
+    } catch (error) {
+      return this.handleAlertError(res, error, 'generar');
+    }
+  }
+
+  getUser(req) {
+    return String(req.body?.user || req.body?.usuario || 'sistema').trim();
+  }
+
+  // ⚠️ Errores del flujo de alertas
+  handleAlertError(res, error, action) {
+    console.error(`[ALERTAS] ❌ Error al ${action} alertas:`, error);
+    const code = Object.keys(ALERT_ERROR_STATUS).find(prefix => error.message?.startsWith(prefix));
+    if (code) {
+      return errorResponse(res, code, error.message.replace(`${code}: `, ''), ALERT_ERROR_STATUS[code]);
+    }
+    if (error.code === 'P2025') {
+      return errorResponse(res, 'ALERTA_NO_ENCONTRADA', 'No existe una alerta con ese id', 404);
+    }
+    return errorResponse(res, 'ALERTAS_FALLIDO', error.message, 500);
+  }
+}
+
+module.exports = AlertController;
@@ -0,0 +1,45 @@
+// 🧾 CONTROLADOR DE AUDITORÍA
+// backend/src/controllers/auditController.js
+
+const AuditService = require('../services/auditService');
+const { successResponse, errorResponse } = require('../utils/responseUtils');
+
+class AuditController {
+  constructor() {
+    this.auditService = new AuditService();
+  }
+
+  // 📋 Listar cambios (filtros: entidad, entidadId, actor, accion, fechaInicio, fechaFin)
+  async getEntries(req, res) {
+    try {
+      const { fechaInicio, fechaFin } = req.query;
+      const accion = req.query.accion ? String(req.query.accion).toUpperCase() : undefined;
+
+      if (accion && !this.auditService.actions.includes(accion)) {
+        return errorResponse(res, 'AUDITORIA_INVALIDA',
+          `Acción "${accion}" no válida (${this.auditService.actions.join(', ')})`, 400);
+      }
+      const invalidDate = [fechaInicio, fechaFin].find(value => value && !/^\d{4}-\d{2}-\d{2}$/.test(value));
+      if (invalidDate) {
+        return errorResponse(res, 'AUDITORIA_INVALIDA', `Fecha "${invalidDate}" no válida (AAAA-MM-DD)`, 400);
+      }
+
+      const result = await this.auditService.listEntries({
+        entidad: req.query.entidad ? String(req.query.entidad).trim() : undefined,
+        entidadId: req.query.entidadId ? String(req.query.entidadId).trim() : undefined,
+        actor: req.query.actor ? String(req.query.actor).trim() : undefined,
+        accion,
+        from: fechaInicio,
+        to: fechaFin,
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500)
+      });
+      return successResponse(res, result, `${result.pagination.total} cambios encontrados`);
+    } catch (error) {
+      console.error('[AUDITORIA] ❌ Error listando la auditoría:', error);
+      return errorResponse(res, 'AUDITORIA_FALLIDA', error.message, 500);
+    }
+  }
+}
+
+module.exports = AuditController;
@@ -0,0 +1,83 @@
+// 📋 CONTROLADOR DE PLANTILLAS DEL CHECKLIST
+// backend/src/controllers/checklistController.js
+
+const ChecklistTemplateService = require('../services/checklistTemplateService');
+const { successResponse, errorResponse } = require('../utils/responseUtils');
+
+// Códigos del servicio → estado HTTP
+const TEMPLATE_ERROR_STATUS = {
+  PLANTILLA_INVALIDA: 400,
+  PLANTILLA_NO_ENCONTRADA: 404
+};
+
+class ChecklistController {
+  constructor() {
+    this.checklistTemplateService = new ChecklistTemplateService();
+  }
+
+  // 📋 Versiones de la plantilla con sus ítems e inspecciones respondidas
+  async getTemplates(req, res) {
+    try {
+      const templates = await this.checklistTemplateService.listTemplates();
+      return successResponse(res, templates, 'Plantillas obtenidas');
+    } catch (error) {
+      return this.handleTemplateError(res, error, 'listar plantillas');
+    }
+  }
+
+  // 🔍 Detalle de una versión
+  async getTemplate(req, res) {
+    try {
+      const template = await this.checklistTemplateService.getTemplate(req.params.templateId);
+      if (!template) {
+        return errorResponse(res, 'PLANTILLA_NO_ENCONTRADA', 'No existe una plantilla con ese id', 404);
+      }
+      return successResponse(res, this.checklistTemplateService.toPublicTemplate(template), 'Plantilla obtenida');
+    } catch (error) {
+      return this.handleTemplateError(res, error, 'obtener la plantilla');
+    }
+  }
+
+  // ➕ Publicar una versión nueva { name?, description?, activate?, items: [{ field, header, aliases?, group?, critical? }] }
+  async createTemplate(req, res) {
+    try {
+      const template = await this.checklistTemplateService.createTemplate({
+        name: req.body?.name,
+        description: req.body?.description,
+        activate: req.body?.activate,
+        items: req.body?.items
+      });
+      return successResponse(res, template, `Versión ${template.version} de la plantilla creada`, 201);
+    } catch (error) {
+      return this.handleTemplateError(res, error, 'crear la plantilla');
+    }
+  }
+
+  // ✅ Marcar una versión como vigente
+  async activateTemplate(req, res) {
+    try {
+      const template = await this.checklistTemplateService.activateTemplate(req.params.templateId);
+      return successResponse(res, template, `Versión ${template.version} vigente`);
+    } catch (error) {
+      return this.handleTemplateError(res, error, 'activar la plantilla');
+    }
+  }
+
+  // ⚠️ Errores de plantillas
+  handleTemplateError(res, error, action) {
+    console.error(`[PLANTILLAS] ❌ Error al ${action}:`, error);
+    const code = Object.keys(TEMPLATE_ERROR_STATUS).find(prefix => error.message?.startsWith(prefix));
+    if (code) {
+      return errorResponse(res, code, error.message.replace(`${code}: `, ''), TEMPLATE_ERROR_STATUS[code]);
+    }
+    if (error.code === 'P2002') {
+      return errorResponse(res, 'PLANTILLA_DUPLICADA', 'Otra versión se creó al mismo tiempo, intente de nuevo', 409);
+    }
+    if (error.code === 'P2025') {
+      return errorResponse(res, 'PLANTILLA_NO_ENCONTRADA', 'No existe la plantilla indicada', 404);
+    }
+    return errorResponse(res, 'PLANTILLAS_FALLIDO', error.message, 500);
+  }
+}
+
+module.exports = ChecklistController;
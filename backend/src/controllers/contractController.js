@@ -0,0 +1,180 @@
+// 📑 CONTROLADOR DE CONTRATOS Y CAMPOS
+// backend/src/controllers/contractController.js
+
+const ContractService = require('../services/contractService');
+const { successResponse, errorResponse } = require('../utils/responseUtils');
+
+// Códigos del servicio → estado HTTP
+const CONTRACT_ERROR_STATUS = {
+  CONTRATO_INVALIDO: 400,
+  CONTRATO_NO_ENCONTRADO: 404,
+  CONTRATO_DUPLICADO: 409,
+  CONTRATO_EN_USO: 409,
+  CAMPO_INVALIDO: 400,
+  CAMPO_NO_ENCONTRADO: 404,
+  CAMPO_DUPLICADO: 409,
+  CAMPO_EN_USO: 409
+};
+
+class ContractController {
+  constructor() {
+    this.contractService = new ContractService();
+  }
+
+  // 📋 Listar contratos con sus campos (búsqueda por nombre, alias o campo)
+  async getContracts(req, res) {
+    try {
+      const result = await this.contractService.listContracts({
+        search: req.query.search ? String(req.query.search) : undefined,
+        estado: req.query.estado ? String(req.query.estado).toUpperCase() : undefined
+      });
+      return successResponse(res, result, 'Contratos obtenidos');
+    } catch (error) {
+      return this.handleContractError(res, error, 'listar contratos');
+    }
+  }
+
+  // 🔍 Detalle de un contrato
+  async getContract(req, res) {
+    try {
+      const contract = await this.contractService.getContract(req.params.contractId);
+      if (!contract) {
+        return errorResponse(res, 'CONTRATO_NO_ENCONTRADO', 'No existe un contrato con ese id', 404);
+      }
+      return successResponse(res, contract, 'Contrato obtenido');
+    } catch (error) {
+      return this.handleContractError(res, error, 'obtener el contrato');
+    }
+  }
+
+  // ➕ Crear contrato
+  async createContract(req, res) {
+    try {
+      const contract = await this.contractService.createContract(this.readCatalogInput(req.body));
+      return successResponse(res, contract, 'Contrato creado', 201);
+    } catch (error) {
+      return this.handleContractError(res, error, 'crear el contrato');
+    }
+  }
+
+  // ✏️ Renombrar o cambiar el estado de un contrato
+  async updateContract(req, res) {
+    try {
+      const contract = await this.contractService.updateContract(
+        req.params.contractId,
+        this.readCatalogInput(req.body)
+      );
+      return successResponse(res, contract, 'Contrato actualizado');
+    } catch (error) {
+      return this.handleContractError(res, error, 'actualizar el contrato');
+    }
+  }
+
+  // 🗑️ Eliminar contrato sin inspecciones
+  async deleteContract(req, res) {
+    try {
+      const result = await this.contractService.deleteContract(req.params.contractId);
+      return successResponse(res, result, 'Contrato eliminado');
+    } catch (error) {
+      return this.handleContractError(res, error, 'eliminar el contrato');
+    }
+  }
+
+  // 🔀 Fusionar contratos { targetId, sourceIds }
+  async mergeContracts(req, res) {
+    try {
+      const result = await this.contractService.mergeContracts(
+        req.body?.targetId,
+        Array.isArray(req.body?.sourceIds) ? req.body.sourceIds : []
+      );
+      return successResponse(res, result,
+        `${result.mergedContracts} contratos fusionados, ${result.movedInspections} inspecciones reasignadas`);
+    } catch (error) {
+      return this.handleContractError(res, error, 'fusionar contratos');
+    }
+  }
+
+  // ➕ Crear campo dentro del contrato
+  async createField(req, res) {
+    try {
+      const contract = await this.contractService.createField(
+        req.params.contractId,
+        this.readCatalogInput(req.body)
+      );
+      return successResponse(res, contract, 'Campo creado', 201);
+    } catch (error) {
+      return this.handleContractError(res, error, 'crear el campo');
+    }
+  }
+
+  // ✏️ Renombrar o cambiar el estado de un campo
+  async updateField(req, res) {
+    try {
+      const contract = await this.contractService.updateField(req.params.fieldId, this.readCatalogInput(req.body));
+      return successResponse(res, contract, 'Campo actualizado');
+    } catch (error) {
+      return this.handleContractError(res, error, 'actualizar el campo');
+    }
+  }
+
+  // 🗑️ Eliminar campo sin inspecciones
+  async deleteField(req, res) {
+    try {
+      const contract = await this.contractService.deleteField(req.params.fieldId);
+      return successResponse(res, contract, 'Campo eliminado');
+    } catch (error) {
+      return this.handleContractError(res, error, 'eliminar el campo');
+    }
+  }
+
+  // 🔀 Fusionar campos del mismo contrato { targetId, sourceIds }
+  async mergeFields(req, res) {
+    try {
+      const result = await this.contractService.mergeFields(
+        req.body?.targetId,
+        Array.isArray(req.body?.sourceIds) ? req.body.sourceIds : []
+      );
+      return successResponse(res, result,
+        `${result.mergedFields} campos fusionados, ${result.movedInspections} inspecciones reasignadas`);
+    } catch (error) {
+      return this.handleContractError(res, error, 'fusionar campos');
+    }
+  }
+
+  // 🔄 Enlazar inspecciones existentes a contratos y campos canónicos
+  async syncContracts(req, res) {
+    try {
+      const result = await this.contractService.syncInspections();
+      return successResponse(res, result,
+        `${result.linkedInspections} inspecciones enlazadas, ${result.created} contratos o campos nuevos`);
+    } catch (error) {
+      return this.handleContractError(res, error, 'sincronizar contratos');
+    }
+  }
+
+  // 🧾 Campos editables del cuerpo de la petición
+  readCatalogInput(body = {}) {
+    return {
+      name: body.name,
+      status: body.status
+    };
+  }
+
+  // ⚠️ Errores del maestro de contratos
+  handleContractError(res, error, action) {
+    console.error(`[CONTRACTS] ❌ Error al ${action}:`, error);
+    const code = Object.keys(CONTRACT_ERROR_STATUS).find(prefix => error.message?.startsWith(prefix));
+    if (code) {
+      return errorResponse(res, code, error.message.replace(`${code}: `, ''), CONTRACT_ERROR_STATUS[code]);
+    }
+    if (error.code === 'P2002') {
+      return errorResponse(res, 'CONTRATO_DUPLICADO', 'Ya existe un contrato o campo con ese nombre', 409);
+    }
+    if (error.code === 'P2025') {
+      return errorResponse(res, 'CONTRATO_NO_ENCONTRADO', 'No existe el contrato o campo indicado', 404);
+    }
+    return errorResponse(res, 'CONTRATOS_FALLIDO', error.message, 500);
+  }
+}
+
+module.exports = ContractController;
@@ -3,7 +3,7 @@
 
 const DatabaseService = require('../services/databaseService');
 const { successResponse, errorResponse } = require('../utils/responseUtils');
-const { startOfDay, endOfDay, subDays, subMonths, format } = require('../utils/dateUtils');
+const { formatDateKey } = require('../utils/dateUtils');
 
 class DashboardController {
   constructor() {
@@ -100,7 +100,7 @@ class DashboardController {
       const endDate = new Date();
       const startDate = this.calculateStartDate(endDate, periodo);
 
-      console.log(`[DASHBOARD] 📅 Período: ${startDate.toISOString().split('T')[0]} - ${endDate.toISOString().split('T')[0]}`);
+      console.log(`[DASHBOARD] 📅 Período: ${formatDateKey(startDate)} - ${formatDateKey(endDate)}`);
 
       // Obtener métricas base
       const [
@@ -126,8 +126,8 @@ class DashboardController {
 
       const response = {
         periodo: {
-          inicio: startDate.toISOString().split('T')[0],
-          fin: endDate.toISOString().split('T')[0],
+          inicio: formatDateKey(startDate),
+          fin: formatDateKey(endDate),
           dias: Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24))
         },
         kpis,
@@ -271,8 +271,8 @@ class DashboardController {
         metadata: {
           generado: new Date().toISOString(),
           periodo: {
-            inicio: startDate.toISOString().split('T')[0],
-            fin: endDate.toISOString().split('T')[0],
+            inicio: formatDateKey(startDate),
+            fin: formatDateKey(endDate),
             descripcion: this.getPeriodDescription(periodo)
           },
           version: '2.0.0',
@@ -496,7 +496,7 @@ class DashboardController {
       const prisma = this.dbService.prisma;
 
       // Análisis de patrones de fatiga por turno
-      const fatigaPorTurno = await prisma.inspeccion.groupBy({
+      const fatigaPorTurno = await prisma.inspecciones.groupBy({
         by: ['turno'],
         where: {
           OR: [
@@ -519,7 +519,7 @@ class DashboardController {
       const treintaDiasAtras = new Date();
       treintaDiasAtras.setDate(treintaDiasAtras.getDate() - 30);
 
-      const tendenciaFatiga = await prisma.inspeccion.groupBy({
+      const tendenciaFatiga = await prisma.inspecciones.groupBy({
         by: ['fecha'],
         where: {
           fecha: { gte: treintaDiasAtras },
@@ -535,7 +535,7 @@ class DashboardController {
       });
 
       // Conductores con patrones problemáticos
-      const conductoresProblematicos = await prisma.inspeccion.groupBy({
+      const conductoresProblematicos = await prisma.inspecciones.groupBy({
   by: ['conductor_nombre'],
         where: {
           fecha: { gte: treintaDiasAtras },
@@ -655,7 +655,7 @@ class DashboardController {
       const date = new Date(startDate);
       date.setDate(date.getDate() + i);
       stats.push({
-        fecha: date.toISOString().split('T')[0],
+        fecha: formatDateKey(date),
         inspecciones: Math.floor(Math.random() * 50) + 10,
         alertas: Math.floor(Math.random() * 5),
         eficiencia: Math.floor(Math.random() * 20) + 80
@@ -813,7 +813,7 @@ class DashboardController {
   // Métodos para reporte ejecutivo (implementación simplificada)
   async generateExecutiveSummary(startDate, endDate) {
     return {
-      periodo: `${startDate.toISOString().split('T')[0]} - ${endDate.toISOString().split('T')[0]}`,
+      periodo: `${formatDateKey(startDate)} - ${formatDateKey(endDate)}`,
       mensaje: 'Resumen ejecutivo del período',
       puntosDestacados: [
         'Sistema de fatiga implementado exitosamente',
@@ -0,0 +1,152 @@
+// 👨‍✈️ CONTROLADOR DE CONDUCTORES
+// backend/src/controllers/driverController.js
+
+const DriverService = require('../services/driverService');
+const DriverTimelineService = require('../services/driverTimelineService');
+const { successResponse, errorResponse } = require('../utils/responseUtils');
+
+// Códigos del servicio → estado HTTP
+const DRIVER_ERROR_STATUS = {
+  CONDUCTOR_INVALIDO: 400,
+  FUSION_INVALIDA: 400,
+  EVENTO_INVALIDO: 400,
+  CONDUCTOR_NO_ENCONTRADO: 404,
+  CONDUCTOR_DUPLICADO: 409
+};
+
+class DriverController {
+  constructor() {
+    this.driverService = new DriverService();
+    this.timelineService = new DriverTimelineService();
+  }
+
+  // 📋 Listar conductores (búsqueda por nombre, alias o cédula)
+  async getDrivers(req, res) {
+    try {
+      const result = await this.driverService.listDrivers({
+        search: req.query.search ? String(req.query.search) : undefined,
+        estado: req.query.estado ? String(req.query.estado).toUpperCase() : undefined,
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500)
+      });
+      return successResponse(res, result, 'Conductores obtenidos');
+    } catch (error) {
+      return this.handleDriverError(res, error, 'listar');
+    }
+  }
+
+  // 🔍 Detalle de un conductor
+  async getDriver(req, res) {
+    try {
+      const driver = await this.driverService.getDriver(req.params.driverId);
+      if (!driver) {
+        return errorResponse(res, 'CONDUCTOR_NO_ENCONTRADO', 'No existe un conductor con ese id', 404);
+      }
+      return successResponse(res, driver, 'Conductor obtenido');
+    } catch (error) {
+      return this.handleDriverError(res, error, 'obtener');
+    }
+  }
+
+  // ➕ Registrar conductor
+  async createDriver(req, res) {
+    try {
+      const driver = await this.driverService.createDriver({
+        name: req.body?.name,
+        cedula: req.body?.cedula,
+        contract: req.body?.contract,
+        status: req.body?.status
+      });
+      return successResponse(res, driver, 'Conductor registrado', 201);
+    } catch (error) {
+      return this.handleDriverError(res, error, 'registrar');
+    }
+  }
+
+  // ✏️ Actualizar nombre canónico, cédula, contrato o estado
+  async updateDriver(req, res) {
+    try {
+      const driver = await this.driverService.updateDriver(req.params.driverId, {
+        name: req.body?.name,
+        cedula: req.body?.cedula,
+        contract: req.body?.contract,
+        status: req.body?.status
+      });
+      return successResponse(res, driver, 'Conductor actualizado');
+    } catch (error) {
+      return this.handleDriverError(res, error, 'actualizar');
+    }
+  }
+
+  // 🔍 Posibles duplicados para fusionar
+  async getDuplicateCandidates(req, res) {
+    try {
+      const minScore = parseFloat(req.query.minScore);
+      const candidates = await this.driverService.findDuplicateCandidates({
+        minScore: minScore > 0 && minScore <= 1 ? minScore : undefined,
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200)
+      });
+      return successResponse(res, candidates, `${candidates.length} posibles duplicados`);
+    } catch (error) {
+      return this.handleDriverError(res, error, 'buscar duplicados de');
+    }
+  }
+
+  // 🔀 Fusionar conductores duplicados en uno
+  async mergeDrivers(req, res) {
+    try {
+      const result = await this.driverService.mergeDrivers(req.body?.targetId, req.body?.sourceIds, {
+        user: req.body?.user
+      });
+      return successResponse(res, result,
+        `${result.mergedDrivers.length} conductores fusionados, ${result.movedInspections} inspecciones reasignadas`);
+    } catch (error) {
+      return this.handleDriverError(res, error, 'fusionar');
+    }
+  }
+
+  // 🔄 Enlazar inspecciones sin conductor (cargas anteriores al maestro)
+  async syncDrivers(req, res) {
+    try {
+      const result = await this.driverService.linkUnlinkedInspections();
+      return successResponse(res, result, `${result.linkedInspections} inspecciones enlazadas`);
+    } catch (error) {
+      return this.handleDriverError(res, error, 'sincronizar');
+    }
+  }
+
+  // 🩺 Registrar evaluación médica o suspensión en la línea de tiempo
+  async addDriverEvent(req, res) {
+    try {
+      const event = await this.timelineService.addManualEvent(req.params.driverId, {
+        type: req.body?.type,
+        date: req.body?.date,
+        description: req.body?.description,
+        result: req.body?.result,
+        until: req.body?.until,
+        user: req.body?.user
+      });
+      return successResponse(res, event, 'Evento registrado en el historial del conductor', 201);
+    } catch (error) {
+      return this.handleDriverError(res, error, 'registrar el evento de');
+    }
+  }
+
+  // ⚠️ Errores del maestro de conductores
+  handleDriverError(res, error, action) {
+    console.error(`[DRIVERS] ❌ Error al ${action} conductores:`, error);
+    const code = Object.keys(DRIVER_ERROR_STATUS).find(prefix => error.message?.startsWith(prefix));
+    if (code) {
+      return errorResponse(res, code, error.message.replace(`${code}: `, ''), DRIVER_ERROR_STATUS[code]);
+    }
+    if (error.code === 'P2002') {
+      return errorResponse(res, 'CONDUCTOR_DUPLICADO', 'Ya existe un conductor con ese nombre o cédula', 409);
+    }
+    if (error.code === 'P2025') {
+      return errorResponse(res, 'CONDUCTOR_NO_ENCONTRADO', 'No existe un conductor con ese id', 404);
+    }
+    return errorResponse(res, 'CONDUCTORES_FALLIDO', error.message, 500);
+  }
+}
+
+module.exports = DriverController;
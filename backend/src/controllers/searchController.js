@@ -2,12 +2,18 @@
 // src/controllers/searchController.js
 
 const DatabaseService = require('../services/databaseService');
+const DriverTimelineService = require('../services/driverTimelineService');
+const AlertService = require('../services/alertService');
 const { successResponse, errorResponse } = require('../utils/responseUtils');
 const { validateSearchParams, validateDateRange } = require('../middleware/validation');
+const { CHECKLIST_RESULTS, getItemResults } = require('../config/checklistItems');
+const { getZonedParts } = require('../utils/dateUtils');
 
 class SearchController {
   constructor() {
     this.dbService = new DatabaseService();
+    this.timelineService = new DriverTimelineService();
+    this.alertService = new AlertService();
   }
     // 📊 Resumen de fatiga
     async getFatigaSummary(prisma, timeframe = '1month') {
@@ -21,7 +27,7 @@ class SearchController {
       else if (timeframe === '1year') startDate.setFullYear(now.getFullYear() - 1);
 
       // Consulta agregada por día
-      const result = await prisma.inspeccion.groupBy({
+      const result = await prisma.inspecciones.groupBy({
         by: ['fecha'],
         where: {
           fecha: {
@@ -42,7 +48,7 @@ class SearchController {
       });
 
       // Métricas de fatiga (conteo de booleanos)
-      const totalMedicamentos = await prisma.inspeccion.count({
+      const totalMedicamentos = await prisma.inspecciones.count({
         where: {
           fecha: {
             gte: startDate,
@@ -51,7 +57,7 @@ class SearchController {
           consumo_medicamentos: true
         }
       });
-      const totalSueno = await prisma.inspeccion.count({
+      const totalSueno = await prisma.inspecciones.count({
         where: {
           fecha: {
             gte: startDate,
@@ -60,7 +66,7 @@ class SearchController {
           horas_sueno: true
         }
       });
-      const totalLibreFatiga = await prisma.inspeccion.count({
+      const totalLibreFatiga = await prisma.inspecciones.count({
         where: {
           fecha: {
             gte: startDate,
@@ -69,7 +75,7 @@ class SearchController {
           libre_fatiga: true
         }
       });
-      const totalAptos = await prisma.inspeccion.count({
+      const totalAptos = await prisma.inspecciones.count({
         where: {
           fecha: {
             gte: startDate,
@@ -347,6 +353,45 @@ class SearchController {
     }
   }
 
+  // 🕓 Línea de tiempo de un conductor del maestro (filtros: types, fechaInicio, fechaFin)
+  async getDriverTimeline(req, res) {
+    try {
+      const { driverId } = req.params;
+      const { fechaInicio, fechaFin } = req.query;
+
+      const types = req.query.types
+        ? String(req.query.types).split(',').map(type => type.trim().toUpperCase()).filter(Boolean)
+        : [];
+      const invalidTypes = types.filter(type => !this.timelineService.eventTypes.includes(type));
+      if (invalidTypes.length > 0) {
+        return errorResponse(res, 'TIPO_EVENTO_INVALIDO',
+          `Tipos no válidos: ${invalidTypes.join(', ')} (${this.timelineService.eventTypes.join(', ')})`, 400);
+      }
+      const invalidDate = [fechaInicio, fechaFin].find(value => value && !/^\d{4}-\d{2}-\d{2}$/.test(value));
+      if (invalidDate) {
+        return errorResponse(res, 'FECHA_INVALIDA', `Fecha "${invalidDate}" no válida (AAAA-MM-DD)`, 400);
+      }
+
+      const timeline = await this.timelineService.getTimeline(driverId, {
+        types,
+        from: fechaInicio,
+        to: fechaFin,
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500)
+      });
+
+      console.log(`[SEARCH] 🕓 Línea de tiempo de ${timeline.driver.name}: ${timeline.pagination.total} eventos`);
+      return successResponse(res, timeline, `${timeline.pagination.total} eventos en el historial de ${timeline.driver.name}`);
+
+    } catch (error) {
+      if (error.message?.startsWith('CONDUCTOR_NO_ENCONTRADO')) {
+        return errorResponse(res, 'CONDUCTOR_NO_ENCONTRADO', 'No existe un conductor con ese id', 404);
+      }
+      console.error('[SEARCH] ❌ Error obteniendo la línea de tiempo del conductor:', error);
+      return errorResponse(res, 'HISTORIAL_CONDUCTOR_ERROR', error.message, 500);
+    }
+  }
+
   // 🚗 Búsqueda por vehículo
   async searchVehicleHistory(req, res) {
     try {
@@ -406,49 +451,33 @@ class SearchController {
     }
   }
 
-  // 🚨 Búsqueda de alertas activas
+  // 🚨 Alertas abiertas (ACTIVA y EN_REVISION) de la tabla de alertas
   async getActiveAlerts(req, res) {
     try {
       const { 
-        severity = 'all',        // Severidad de alertas
-        timeframe = '24h',       // Marco temporal
-        limit = 50,             // Límite de resultados
+        tipo,                    // CRITICA | ADVERTENCIA
+        limit = 50,              // Límite de resultados
         includeResolved = false  // Incluir alertas resueltas
       } = req.query;
 
       console.log('[SEARCH] 🚨 Obteniendo alertas activas');
 
-      // Obtener alertas críticas
-      const criticalAlerts = await this.dbService.getCriticalAlerts(parseInt(limit));
-
-      // Filtrar por severidad si se especifica
-      let filteredAlerts = criticalAlerts;
-      if (severity !== 'all') {
-        filteredAlerts = criticalAlerts.filter(alert => 
-          alert.severity.toLowerCase() === severity.toLowerCase()
-        );
-      }
-
-      // Filtrar por tiempo
-      if (timeframe !== 'all') {
-        const hours = this.parseTimeframe(timeframe);
-        const cutoffTime = new Date(Date.now() - hours * 60 * 60 * 1000);
-        filteredAlerts = filteredAlerts.filter(alert => 
-          new Date(alert.fecha) >= cutoffTime
-        );
-      }
-
-      // Agrupar alertas por tipo y severidad
-      const alertSummary = this.groupAlertsByType(filteredAlerts);
-
-      // Generar recomendaciones de acción
-      const actionPlan = this.generateAlertActionPlan(filteredAlerts);
-
-      const response = Array.isArray(filteredAlerts) ? filteredAlerts : [];
+      const estado = String(includeResolved) === 'true'
+        ? this.alertService.states
+        : this.alertService.states.filter(state => state !== 'RESUELTA');
+      const tipoAlerta = tipo && this.alertService.types.includes(String(tipo).toUpperCase())
+        ? String(tipo).toUpperCase()
+        : undefined;
+
+      const { alerts } = await this.alertService.listAlerts({
+        estado,
+        tipo: tipoAlerta,
+        limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500)
+      });
 
-      console.log(`[SEARCH] ✅ Alertas activas obtenidas: ${filteredAlerts.length} alertas`);
+      console.log(`[SEARCH] ✅ Alertas activas obtenidas: ${alerts.length} alertas`);
 
-      return successResponse(res, response, `${filteredAlerts.length} alertas activas encontradas`);
+      return successResponse(res, alerts, `${alerts.length} alertas activas encontradas`);
 
     } catch (error) {
       console.error('[SEARCH] ❌ Error obteniendo alertas activas:', error);
@@ -570,10 +599,11 @@ class SearchController {
     if (!inspeccion.libre_sintomas_fatiga) problems.push('Síntomas fatiga');
     if (!inspeccion.condiciones_aptas) problems.push('No apto');
     
-    // Problemas del vehículo
-    if (inspeccion.luces_funcionando === false) problems.push('Luces');
-    if (inspeccion.frenos_funcionando === false) problems.push('Frenos');
-    if (inspeccion.kit_carretera === false) problems.push('Kit carretera');
+    // Problemas del vehículo (solo NO_CUMPLE; N/A no es un problema)
+    const items = getItemResults(inspeccion.items);
+    if (items.altas_bajas === CHECKLIST_RESULTS.NO_CUMPLE) problems.push('Luces');
+    if (items.frenos === CHECKLIST_RESULTS.NO_CUMPLE) problems.push('Frenos');
+    if (items.kit_carretera === CHECKLIST_RESULTS.NO_CUMPLE) problems.push('Kit carretera');
     
     return {
       count: problems.length,
@@ -669,17 +699,6 @@ class SearchController {
     return mapping[timeframe] || 365;
   }
 
-  parseTimeframe(timeframe) {
-    const mapping = {
-      '1h': 1,
-      '24h': 24,
-      '48h': 48,
-      '1week': 168,
-      '1month': 720
-    };
-    return mapping[timeframe] || 24;
-  }
-
   // Métodos de análisis (implementación simplificada)
   analyzeSearchPatterns(inspecciones) {
     return { implemented: false, message: 'Análisis de patrones en desarrollo' };
@@ -695,7 +714,7 @@ class SearchController {
 
   analyzeTimeDistribution(inspecciones) {
     const distribution = inspecciones.reduce((acc, insp) => {
-      const month = new Date(insp.fecha).getMonth() + 1;
+      const month = getZonedParts(insp.fecha).month;
       acc[month] = (acc[month] || 0) + 1;
       return acc;
     }, {});
@@ -788,39 +807,7 @@ class SearchController {
     return [];
   }
 
-  groupAlertsByType(alerts) {
-    return alerts.reduce((acc, alert) => {
-      const type = alert.alertType || 'OTROS';
-      acc[type] = (acc[type] || 0) + 1;
-      return acc;
-    }, {});
-  }
 
-  generateAlertActionPlan(alerts) {
-    const plan = [];
-    
-    const criticalAlerts = alerts.filter(a => a.severity === 'CRITICO');
-    if (criticalAlerts.length > 0) {
-      plan.push({
-        priority: 1,
-        action: 'Atender alertas críticas inmediatamente',
-        count: criticalAlerts.length,
-        timeframe: 'Inmediato'
-      });
-    }
-    
-    const highAlerts = alerts.filter(a => a.severity === 'ALTO');
-    if (highAlerts.length > 0) {
-      plan.push({
-        priority: 2,
-        action: 'Revisar y seguir alertas de alta prioridad',
-        count: highAlerts.length,
-        timeframe: 'En las próximas 2 horas'
-      });
-    }
-    
-    return plan;
-  }
 
   async exportSearchResults(res, results, format, filename) {
     // TODO: Implementar exportación en diferentes formatos
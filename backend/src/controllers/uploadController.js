@@ -3,14 +3,60 @@
 
 const ExcelService = require('../services/excelService');
 const ValidationService = require('../services/validationService');
+const ChecklistTemplateService = require('../services/checklistTemplateService');
+const UploadJobService = require('../services/uploadJobService');
+const TemplateService = require('../services/templateService');
+const ImportSourceService = require('../services/importSourceService');
+const RejectedRowsService = require('../services/rejectedRowsService');
+const QuarantineService = require('../services/quarantineService');
+const MappingProfileService = require('../services/mappingProfileService');
+const OdometerService = require('../services/odometerService');
+const DriverTimelineService = require('../services/driverTimelineService');
+const AlertService = require('../services/alertService');
+const AuditService = require('../services/auditService');
+const { AUDIT_ACTIONS } = require('../services/auditService');
+const DriverService = require('../services/driverService');
+const VehicleService = require('../services/vehicleService');
+const ContractService = require('../services/contractService');
 const { successResponse, errorResponse } = require('../utils/responseUtils');
 const { getPrismaClient } = require('../config/database');
+const { CHECKLIST_RESULTS, FATIGUE_FIELDS, FATIGUE_ITEMS, getItemResults } = require('../config/checklistItems');
+const { buildNaturalKey, findNaturalKeyMatch } = require('../utils/excelUtils');
+
+// Qué hacer con filas cuya llave natural ya existe: omitirlas, actualizarlas o rechazar el archivo
+const IMPORT_MODES = ['skip', 'update', 'fail'];
+
+// Campos comparados en la vista previa para distinguir filas repetidas de filas modificadas
+// (además de los ítems de la versión de plantilla del archivo)
+const PREVIEW_COMPARED_FIELDS = [
+  'fecha', 'contrato', 'turno', 'campo_coordinacion', 'kilometraje', 'observaciones',
+  ...FATIGUE_FIELDS
+];
+
+// Tiempo máximo de la transacción única en cargas "todo o nada" (ms)
+const ATOMIC_TRANSACTION_TIMEOUT = 10 * 60 * 1000;
+
+const TEMPLATE_FILE_NAME = 'Plantilla HQ-FO-40.xlsx';
 
 class UploadController {
   constructor() {
     this.prisma = getPrismaClient();
     this.excelService = new ExcelService();
     this.validationService = new ValidationService();
+    this.checklistTemplateService = new ChecklistTemplateService();
+    this.uploadJobService = new UploadJobService();
+    this.templateService = new TemplateService();
+    this.importSourceService = new ImportSourceService();
+    this.rejectedRowsService = new RejectedRowsService();
+    this.quarantineService = new QuarantineService();
+    this.mappingProfileService = new MappingProfileService();
+    this.odometerService = new OdometerService();
+    this.driverTimelineService = new DriverTimelineService();
+    this.alertService = new AlertService();
+    this.auditService = new AuditService();
+    this.driverService = new DriverService();
+    this.vehicleService = new VehicleService();
+    this.contractService = new ContractService();
   }
 
   // 🔍 Validar archivo Excel antes de procesarlo
@@ -23,6 +69,7 @@ class UploadController {
       }
       
       const file = req.file;
+      const preview = req.query.preview === 'true';
       const maxSize = parseInt(process.env.MAX_FILE_SIZE) || 50 * 1024 * 1024; // 50MB default
       
       console.log(`[UPLOAD] 📊 Archivo recibido: ${file.originalname} (${Math.round(file.size / 1024)}KB)`);
@@ -34,16 +81,24 @@ class UploadController {
       }
       
       // Validar extensión
-      if (!file.originalname.match(/\.(xlsx|xls)$/i)) {
+      if (!file.originalname.match(/\.(xlsx|xls|csv)$/i)) {
         return errorResponse(res, 'FORMATO_INVALIDO', 
-          'Solo se permiten archivos Excel (.xlsx, .xls)', 400);
+          'Solo se permiten archivos Excel (.xlsx, .xls) o CSV (.csv)', 400);
       }
       
+      // Perfil de mapeo indicado o, si no se indica, autodetección entre los guardados
+      const profileId = req.body.profileId ? String(req.body.profileId) : undefined;
+      const mappingOptions = await this.mappingProfileService.resolveMappingOptions(profileId);
+      
       // Analizar estructura del archivo
-      const analysis = await this.excelService.analyzeExcelFile(file.buffer, file.originalname);
+      await this.loadChecklistItems();
+      const analysis = await this.excelService.analyzeExcelFile(file.buffer, file.originalname, mappingOptions);
+      
+      // Columnas obligatorias sin reconocer en hojas con datos: se responde el mapeo para asignarlas
+      const needsMapping = !analysis.isValid && analysis.sheets.some(sheet => sheet.rowCount > 0);
       
       // ⚠️ VALIDACIÓN CRÍTICA: Verificar si el archivo es válido
-      if (!analysis.isValid) {
+      if (!analysis.isValid && !needsMapping) {
         console.error('[UPLOAD] ❌ Archivo Excel inválido:', analysis.errors);
         return errorResponse(res, 'ARCHIVO_INVALIDO', 
           `Archivo Excel inválido: ${analysis.errors.join(', ')}`, 400);
@@ -51,178 +106,645 @@ class UploadController {
       
       // Verificar si el archivo ya fue procesado
       const existingFile = await this.checkDuplicateFile(analysis.fileHash);
-      if (existingFile && !req.query.allowDuplicates) {
+      // En vista previa se informa la duplicidad por fila en lugar de rechazar el archivo
+      if (existingFile && !req.query.allowDuplicates && !preview) {
         return errorResponse(res, 'ARCHIVO_DUPLICADO', 
           `Este archivo ya fue procesado el ${new Date(existingFile.fecha_procesamiento).toLocaleString()}`, 409);
       }
       
       const response = {
-        isValid: true,
+        isValid: !needsMapping,
         fileName: file.originalname,
         fileSize: file.size,
         fileHash: analysis.fileHash,
         detectedYear: analysis.dateInfo?.año,
         detectedMonths: analysis.dateInfo?.mesesNombres || [],
         estimatedRecords: analysis.totalRows,
+        duplicatesAcrossSheets: analysis.duplicatesAcrossSheets || 0,
+        sheets: analysis.sheets || [],
         columnMapping: {
           found: Object.keys(analysis.columnMapping.found),
           missing: analysis.columnMapping.missing,
-          missingRequired: analysis.columnMapping.missingRequired
+          missingRequired: analysis.columnMapping.missingRequired,
+          // Columna y confianza de cada campo (perfil, alias exacto o similitud)
+          matches: analysis.columnMapping.matches || {},
+          lowConfidence: analysis.columnMapping.lowConfidence || [],
+          // Encabezados sin campo con sugerencias, para el asistente de mapeo
+          unmapped: analysis.columnMapping.unmapped || [],
+          ignored: analysis.columnMapping.ignored || []
         },
+        profile: analysis.profile,
         errors: analysis.errors || [],
         warnings: analysis.warnings || [],
+        checklistItems: analysis.checklistHeaders || [],
         recommendations: this.generateRecommendations(analysis),
-        isDuplicate: !!existingFile
+        isDuplicate: !!existingFile,
+        // Última marca temporal importada de esta fuente (las filas anteriores se omitirán)
+        source: this.importSourceService.toSummary(
+          await this.importSourceService.findSource(file.originalname, req.body.source).catch(() => null)
+        )
       };
       
+      if (needsMapping) {
+        console.warn(`[UPLOAD] 🗺️ Columnas obligatorias sin asignar: ${analysis.columnMapping.missingRequired.join(', ')}`);
+        return successResponse(res, response, 'El archivo requiere asignar columnas');
+      }
+      
+      if (preview) {
+        response.preview = await this.buildImportPreview(file, {
+          sheets: this.parseSheetSelection(req.body.sheets),
+          ...mappingOptions
+        });
+      }
+      
       console.log('[UPLOAD] ✅ Validación exitosa:', {
         filename: file.originalname,
         rows: analysis.totalRows,
         year: response.detectedYear,
         months: response.detectedMonths.length,
-        columnsFound: Object.keys(analysis.columnMapping.found).length
+        columnsFound: Object.keys(analysis.columnMapping.found).length,
+        sheets: response.sheets.length
       });
       
       return successResponse(res, response, 'Archivo validado exitosamente');
       
     } catch (error) {
       console.error('[UPLOAD] ❌ Error en validación:', error);
+      if (error.message.startsWith('PERFIL_NO_ENCONTRADO')) {
+        return errorResponse(res, 'PERFIL_NO_ENCONTRADO', 'El perfil de mapeo no existe o está inactivo', 404);
+      }
       return errorResponse(res, 'VALIDACION_FALLIDA', error.message, 500);
     }
   }
 
-  // 🚀 Procesar y cargar archivo Excel
-  async uploadExcel(req, res) {
-    const startTime = Date.now();
-    let transaction = null;
+  // 👁️ Vista previa: normaliza y valida como una carga real y clasifica cada fila sin escribir
+  async buildImportPreview(file, options) {
+    await this.loadChecklistItems();
+    const processingResult = await this.excelService.processExcelFile(file.buffer, file.originalname, options);
+    
+    // Versión de plantilla con la que se cargaría el archivo (sin registrarla si es nueva)
+    const template = await this.checklistTemplateService.resolveForImport(processingResult.checklistHeaders, {
+      create: false
+    });
+    const checklistFields = (template?.items || []).map(item => item.campo);
+    
+    const batchValidation = this.validationService.validateBatch(processingResult.records, template);
+    const validRecords = batchValidation.validRecords.map(v => ({
+      ...v.record,
+      nivel_riesgo: v.validation.riskLevel,
+      puntaje_total: v.validation.score,
+      tiene_alertas_criticas: v.validation.criticalAlerts.length > 0
+    }));
+    
+    const existingIds = await this.findExistingInspections(validRecords);
+    const existingRows = await this.findInspectionsById([...new Set(existingIds.values())]);
+    
+    const toRow = (record, status, extra = {}) => ({
+      sheet: record.hoja_origen,
+      row: record.fila_origen,
+      status,
+      plate: record.placa_vehiculo,
+      inspector: record.conductor_nombre,
+      date: record.fecha,
+      contract: record.contrato,
+      inspectionId: null,
+      changes: [],
+      errors: [],
+      warnings: [],
+      ...extra
+    });
+    
+    const rows = [];
+    batchValidation.invalidRecords.forEach(({ record, validation }) => {
+      rows.push(toRow(record, 'invalid', {
+        errors: validation.errors.map(e => `${e.field}: ${e.message}`),
+        warnings: validation.warnings.map(w => `${w.field}: ${w.message}`)
+      }));
+    });
+    validRecords.forEach((record, index) => {
+      const warnings = batchValidation.validRecords[index].validation.warnings.map(w => `${w.field}: ${w.message}`);
+      const existingId = existingIds.get(record.id);
+      if (!existingId) {
+        rows.push(toRow(record, 'new', { warnings }));
+        return;
+      }
+      const changes = this.diffInspection(
+        existingRows.get(existingId),
+        { ...this.buildInspectionData(record), ...this.pickChecklistResults(record, checklistFields) },
+        checklistFields
+      );
+      rows.push(toRow(record, changes.length > 0 ? 'changed' : 'duplicate', {
+        inspectionId: existingId,
+        changes,
+        warnings
+      }));
+    });
+    
+    // Orden del archivo: hoja y fila
+    const sheetOrder = processingResult.sheets.map(sheet => sheet.name);
+    rows.sort((a, b) => (sheetOrder.indexOf(a.sheet) - sheetOrder.indexOf(b.sheet)) || (a.row - b.row));
     
+    const summary = { total: rows.length, new: 0, duplicate: 0, changed: 0, invalid: 0 };
+    rows.forEach(row => { summary[row.status]++; });
+    
+    console.log('[UPLOAD] 👁️ Vista previa generada:', summary);
+    return { summary, rows };
+  }
+
+  // 📥 Cargar inspecciones existentes por id (en bloques) → Map(id → inspección)
+  async findInspectionsById(ids, chunkSize = 500) {
+    const inspections = new Map();
+    for (let i = 0; i < ids.length; i += chunkSize) {
+      const rows = await this.prisma.inspecciones.findMany({
+        where: { id: { in: ids.slice(i, i + chunkSize) } },
+        include: { items: { select: { campo: true, resultado: true } } }
+      });
+      rows.forEach(row => inspections.set(row.id, row));
+    }
+    return inspections;
+  }
+
+  // 🔀 Campos que cambiarían si la fila se cargara en modo update
+  diffInspection(current, incoming, checklistFields = []) {
+    if (!current) return [];
+    const normalize = (value) => {
+      if (value instanceof Date) return value.toISOString();
+      if (value === null || value === undefined) return '';
+      return String(value);
+    };
+    // Ítems que la inspección guardada no tiene (versión anterior del formulario) cuentan como sin respuesta
+    const currentValues = {
+      ...current,
+      ...this.pickChecklistResults({}, checklistFields),
+      ...getItemResults(current.items)
+    };
+    return [...PREVIEW_COMPARED_FIELDS, ...checklistFields]
+      .filter(field => normalize(currentValues[field]) !== normalize(incoming[field]))
+      .map(field => ({ field, current: currentValues[field], incoming: incoming[field] }));
+  }
+
+  // 🚀 Recibir archivo Excel y encolar su procesamiento (responde de inmediato con el id del trabajo)
+  async uploadExcel(req, res) {
     try {
-      console.log('[UPLOAD] 🚀 Iniciando procesamiento de archivo Excel...');
+      console.log('[UPLOAD] 🚀 Recibiendo archivo Excel para procesamiento...');
       
       if (!req.file) {
         return errorResponse(res, 'ARCHIVO_REQUERIDO', 'Debe seleccionar un archivo Excel', 400);
       }
       
       const file = req.file;
+      const mode = String(req.body.mode || req.query.mode || 'skip').toLowerCase();
+      if (!IMPORT_MODES.includes(mode)) {
+        return errorResponse(res, 'MODO_INVALIDO', `Modo de importación no válido: ${mode}. Use ${IMPORT_MODES.join(', ')}`, 400);
+      }
+      
       const options = {
+        mode,
         forceReprocess: req.body.forceReprocess === 'true',
         skipValidation: req.body.skipValidation === 'true',
         batchSize: parseInt(req.body.batchSize) || 500,
+        sheets: this.parseSheetSelection(req.body.sheets),
+        atomic: req.body.atomic === 'true',
+        incremental: req.body.incremental === 'true',
+        source: req.body.source ? String(req.body.source) : undefined,
+        profileId: req.body.profileId ? String(req.body.profileId) : undefined,
         allowInvalidRecords: false // ⚠️ CRÍTICO: No permitir registros inválidos
       };
       
-      console.log(`[UPLOAD] 📊 Procesando archivo: ${file.originalname}`, options);
-      
-      // 1. Procesar archivo Excel
-      const processingResult = await this.excelService.processExcelFile(file.buffer, file.originalname, options);
-      
-      if (!processingResult.success) {
-        throw new Error(`Error procesando Excel: ${processingResult.error}`);
+      if (options.profileId) {
+        const profile = await this.mappingProfileService.getProfile(options.profileId);
+        if (!profile || !profile.activo) {
+          return errorResponse(res, 'PERFIL_NO_ENCONTRADO', 'El perfil de mapeo no existe o está inactivo', 404);
+        }
       }
       
-      console.log(`[UPLOAD] 📊 Excel procesado: ${processingResult.totalRecords} registros`);
-      
-      // 2. ⚠️ VALIDACIÓN CRÍTICA: Validar TODOS los registros
-      console.log('[UPLOAD] 🔍 Iniciando validación de registros...');
-      const batchValidation = this.validationService.validateBatch(processingResult.records);
-      
-        // Si hay registros inválidos, continuar y reportar en la respuesta
-        let errorDetails = [];
-        if (batchValidation.invalidRecords.length > 0) {
-          console.warn(`[UPLOAD] ⚠️ Se encontraron ${batchValidation.invalidRecords.length} registros inválidos, solo se insertarán los válidos.`);
-          errorDetails = batchValidation.invalidRecords.slice(0, 10).map(invalid => ({
-            fila: invalid.index + 1,
-            placa: invalid.record.placa_vehiculo,
-            errores: invalid.validation.errors.map(e => `${e.field}: ${e.message}`)
-          }));
+      // Un archivo ya cargado (y no revertido) no se vuelve a procesar salvo que se pida con forceReprocess
+      if (!options.forceReprocess) {
+        const existingFile = await this.checkDuplicateFile(this.excelService.getFileHash(file.buffer));
+        if (existingFile) {
+          return errorResponse(res, 'ARCHIVO_DUPLICADO',
+            `Este archivo ya fue procesado el ${new Date(existingFile.fecha_procesamiento).toLocaleString()}. Envíe forceReprocess=true para procesarlo de nuevo`,
+            409, existingFile);
         }
+      }
       
-      console.log(`[UPLOAD] ✅ Validación completada: ${batchValidation.validRecords.length} registros válidos`);
-      
-      // 3. Guardar registros válidos en la base de datos
-      const insertResult = await this.insertRecordsIntoDatabase(
-        batchValidation.validRecords.map(v => v.record),
-        processingResult.fileHash,
-        file.originalname,
-        options
-      );
+      // El archivo queda guardado con el trabajo: si esta instancia se reinicia o se congela
+      // después de responder, otra lo retoma (resumePendingJobs)
+      const job = await this.uploadJobService.createJob(file, options);
       
-      // 4. Guardar registro del archivo procesado
-      await this.saveProcessedFileRecord(file, processingResult, insertResult);
+      // El procesamiento continúa después de responder; el avance se consulta en /progress/:jobId
+      setImmediate(() => this.runUploadJob(job.id));
       
-      // 5. Generar estadísticas y alertas
-      const stats = await this.generateProcessingStats(insertResult);
-      const alerts = await this.generateAlerts(batchValidation);
+      return successResponse(res, {
+        jobId: job.id,
+        status: 'QUEUED',
+        fileName: file.originalname,
+        progressUrl: `/api/upload/progress/${job.id}`
+      }, 'Archivo recibido. El procesamiento continúa en segundo plano.', 202);
       
-      const response = {
-        success: true,
-        processing: {
-          totalRecords: processingResult.totalRecords,
-          validRecords: batchValidation.validRecords.length,
-          invalidRecords: batchValidation.invalidRecords.length,
-          insertedRecords: insertResult.insertedRecords,
-          duplicateRecords: insertResult.duplicateRecords,
-          processingTime: Date.now() - startTime
-        },
-        validation: {
-          successRate: batchValidation.summary.successRate,
-          totalErrors: batchValidation.totalErrors,
-          totalWarnings: batchValidation.totalWarnings,
-          criticalAlerts: batchValidation.criticalAlerts.length
-        },
-        database: {
-          newRecords: insertResult.insertedRecords,
-          duplicatesSkipped: insertResult.duplicateRecords,
-          errorsInserting: insertResult.errorRecords || 0
-        },
-        fileInfo: {
-          fileName: file.originalname,
-          fileSize: file.size,
-          fileHash: processingResult.fileHash,
-          detectedYear: processingResult.dateInfo?.año,
-          detectedMonths: processingResult.dateInfo?.mesesNombres || []
-        },
-        statistics: stats,
-        alerts: alerts,
-        nextSteps: this.generateNextSteps(insertResult, alerts)
+    } catch (error) {
+      console.error('[UPLOAD] ❌ Error encolando archivo:', error);
+      return errorResponse(res, 'ENCOLADO_FALLIDO', error.message, 500);
+    }
+  }
+
+  // 📊 Consultar progreso de un trabajo de carga
+  async getUploadProgress(req, res) {
+    try {
+      const status = await this.uploadJobService.getJobStatus(req.params.jobId);
+      if (!status) {
+        return errorResponse(res, 'TRABAJO_NO_ENCONTRADO', 'No existe un trabajo de carga con ese id', 404);
+      }
+      return successResponse(res, status, 'Progreso obtenido');
+    } catch (error) {
+      console.error('[UPLOAD] ❌ Error obteniendo progreso:', error);
+      return errorResponse(res, 'PROGRESO_FALLIDO', error.message, 500);
+    }
+  }
+
+  // ⏳ Tomar y ejecutar un trabajo de carga registrando fase y avance. Devuelve false si otra
+  // instancia ya lo tiene. Un trabajo retomado sigue con el archivo que registró su intento anterior.
+  async runUploadJob(jobId) {
+    let job;
+    try {
+      job = await this.uploadJobService.claimJob(jobId);
+    } catch (error) {
+      console.error(`[UPLOAD] ❌ No se pudo tomar el trabajo ${jobId}:`, error);
+      return false;
+    }
+    if (!job) return false;
+    
+    const stopHeartbeat = this.uploadJobService.startHeartbeat(jobId);
+    try {
+      const file = {
+        originalname: job.nombre_archivo,
+        size: job.tamano_archivo,
+        mimetype: job.tipo_archivo,
+        buffer: Buffer.from(job.archivo)
       };
-      
-      console.log('[UPLOAD] ✅ Procesamiento exitoso:', {
-        archivo: file.originalname,
-        totalRegistros: response.processing.totalRecords,
-        registrosInsertados: response.database.newRecords,
-        tiempoProcesamiento: response.processing.processingTime + 'ms'
+      const response = await this.processUpload(file, {
+        ...job.opciones,
+        resumeFileId: job.archivo_id || undefined,
+        onFileRegistered: (archivoId) => this.uploadJobService.setProcessedFile(jobId, archivoId),
+        onProgress: (progress) => this.uploadJobService.updateProgress(jobId, progress)
       });
-      
-      // 📧 Notificación para casos críticos
-      if (alerts.some(a => a.level === 'CRITICO')) {
-        console.log('🚨 ALERTAS CRÍTICAS DETECTADAS - Se requiere notificación');
-        // TODO: Implementar sistema de notificaciones
+      await this.uploadJobService.completeJob(jobId, response);
+      console.log(`[UPLOAD] ✅ Trabajo ${jobId} completado`);
+    } catch (error) {
+      console.error(`[UPLOAD] ❌ Trabajo ${jobId} falló:`, error);
+      await this.uploadJobService.failJob(jobId, error);
+    } finally {
+      stopHeartbeat();
+    }
+    return true;
+  }
+
+  // 🔁 Ejecutar los trabajos en cola o abandonados por otra instancia (al iniciar, periódicamente
+  // y desde el cron de la plataforma). Los que agotaron sus intentos quedan en ERROR.
+  async resumePendingJobs() {
+    if (this.resumingJobs) return { resumed: 0 };
+    this.resumingJobs = true;
+    try {
+      const expired = await this.uploadJobService.expireAbandonedJobs();
+      let resumed = 0;
+      for (const jobId of await this.uploadJobService.listClaimableJobIds()) {
+        if (await this.runUploadJob(jobId)) resumed++;
       }
-      
-      return successResponse(res, response, 
-        `Archivo procesado exitosamente. ${response.database.newRecords} registros nuevos agregados.`);
-      
+      return { resumed, expired };
+    } finally {
+      this.resumingJobs = false;
+    }
+  }
+
+  // 🔁 GET /api/upload/jobs/resume - Retomar trabajos pendientes (cron)
+  async resumeJobs(req, res) {
+    try {
+      const result = await this.resumePendingJobs();
+      return successResponse(res, result, `${result.resumed} trabajos procesados`);
     } catch (error) {
-      console.error('[UPLOAD] ❌ Error en procesamiento:', error);
-      
-      // Rollback de transacción si existe
-      if (transaction) {
-        try {
-          await transaction.rollback();
-          console.log('[UPLOAD] 🔄 Rollback de transacción completado');
-        } catch (rollbackError) {
-          console.error('[UPLOAD] ❌ Error en rollback:', rollbackError);
+      console.error('[UPLOAD] ❌ Error retomando trabajos:', error);
+      return errorResponse(res, 'TRABAJOS_FALLIDOS', error.message, 500);
+    }
+  }
+
+  // 🚀 Procesar y cargar archivo Excel
+  async processUpload(file, options) {
+    const startTime = Date.now();
+    const reportProgress = options.onProgress || (async () => {});
+    
+    console.log(`[UPLOAD] 📊 Procesando archivo: ${file.originalname}`, options);
+    
+    // 1. Procesar archivo Excel con el perfil de mapeo indicado o autodetectado
+    await reportProgress({ phase: 'PARSEANDO' });
+    await this.loadChecklistItems();
+    const mappingOptions = await this.mappingProfileService.resolveMappingOptions(options.profileId);
+    const processingResult = await this.excelService.processExcelFile(file.buffer, file.originalname, {
+      ...options,
+      ...mappingOptions
+    });
+    
+    if (!processingResult.success) {
+      throw new Error(`Error procesando Excel: ${processingResult.error}`);
+    }
+    
+    console.log(`[UPLOAD] 📊 Excel procesado: ${processingResult.totalRecords} registros`);
+    
+    // 2. Versión de plantilla respondida: la que tiene los ítems y marcadores "**" del archivo
+    // (se registra una versión nueva si el formulario cambió)
+    const template = await this.checklistTemplateService.resolveForImport(processingResult.checklistHeaders, {
+      source: file.originalname
+    });
+    processingResult.records.forEach(record => {
+      record.plantilla_id = template?.id || null;
+    });
+    
+    // 💧 Importación incremental: las filas hasta la marca de agua de la fuente ya se importaron.
+    // En modo update no se filtra: las correcciones de filas ya importadas deben poder reimportarse
+    const source = await this.importSourceService.resolveSource(file.originalname, options.source);
+    const previousWatermark = Number(source.ultima_marca_temporal);
+    const incremental = !!options.incremental && options.mode !== 'update';
+    const { newRecords, seenRecords } = incremental
+      ? this.importSourceService.splitByWatermark(processingResult.records, previousWatermark)
+      : { newRecords: processingResult.records, seenRecords: [] };
+    if (seenRecords.length > 0) {
+      console.log(`[UPLOAD] 💧 ${seenRecords.length} filas omitidas por ser anteriores a la última importación de "${source.nombre}"`);
+    }
+    
+    // 3. ⚠️ VALIDACIÓN CRÍTICA: Validar TODOS los registros
+    console.log('[UPLOAD] 🔍 Iniciando validación de registros...');
+    await reportProgress({ phase: 'VALIDANDO', rowsTotal: newRecords.length });
+    const batchValidation = this.validationService.validateBatch(newRecords, template);
+    
+    // Si hay registros inválidos, continuar y reportar en el progreso del trabajo
+    const validationErrors = batchValidation.invalidRecords.map(invalid => ({
+      fila: invalid.index + 1,
+      placa: invalid.record.placa_vehiculo,
+      errores: invalid.validation.errors.map(e => `${e.field}: ${e.message}`)
+    }));
+    if (validationErrors.length > 0) {
+      console.warn(`[UPLOAD] ⚠️ Se encontraron ${validationErrors.length} registros inválidos, solo se insertarán los válidos.`);
+    }
+    
+    console.log(`[UPLOAD] ✅ Validación completada: ${batchValidation.validRecords.length} registros válidos`);
+    
+    // 4. Registrar el archivo antes de insertar: cada inspección queda ligada a él para poder revertirla
+    const processedFile = await this.createProcessedFileRecord(file, processingResult, {
+      sourceId: source.id,
+      alreadySeen: seenRecords.length,
+      resumeFileId: options.resumeFileId
+    });
+    if (options.onFileRegistered) await options.onFileRegistered(processedFile.id);
+    
+    // 🚫 Guardar las filas rechazadas completas para descargarlas anotadas y corregirlas
+    let rejectedCount = 0;
+    try {
+      rejectedCount = await this.rejectedRowsService.saveRejectedRows(
+        processedFile.id,
+        this.rejectedRowsService.buildRejectedRows(batchValidation.invalidRecords, processingResult.sheetColumns)
+      );
+    } catch (error) {
+      console.error('[UPLOAD] ⚠️ No se pudieron guardar las filas rechazadas:', error.message);
+    }
+    
+    // 👨‍✈️ Enlazar cada inspección con su conductor del maestro (se crean los nuevos)
+    const { links: driverLinks, summary: drivers } = await this.linkDrivers(
+      batchValidation.validRecords.map(v => v.record)
+    );
+    
+    // 🚗 Enlazar cada inspección con su vehículo registrado; las placas desconocidas quedan
+    // sin vehículo y se informan con sugerencias
+    const { links: vehicleLinks, summary: vehicles } = await this.linkVehicles(
+      batchValidation.validRecords.map(v => v.record)
+    );
+    
+    // 📑 Enlazar contrato y campo canónicos; las variantes del nombre quedan como alias
+    const { links: contractLinks, summary: contracts } = await this.linkContracts(
+      batchValidation.validRecords.map(v => v.record)
+    );
+    
+    // 5. Guardar registros válidos con riesgo y puntaje calculados
+    // Las filas inválidas cuentan como ya procesadas para el avance
+    const invalidCount = validationErrors.length;
+    await reportProgress({ phase: 'INSERTANDO', rowsDone: invalidCount, errors: validationErrors });
+    let insertResult;
+    try {
+      insertResult = await this.insertRecordsIntoDatabase(
+        batchValidation.validRecords.map(v => ({
+          ...v.record,
+          ...this.vehicleService.getVehicleFields(vehicleLinks, v.record),
+          ...this.contractService.getContractFields(contractLinks, v.record),
+          archivo_id: processedFile.id,
+          conductor_id: this.driverService.getDriverId(driverLinks, v.record),
+          nivel_riesgo: v.validation.riskLevel,
+          puntaje_total: v.validation.score,
+          tiene_alertas_criticas: v.validation.criticalAlerts.length > 0
+        })),
+        processingResult.fileHash,
+        file.originalname,
+        {
+          ...options,
+          onBatchWritten: (rowsDone, insertErrors) => reportProgress({
+            rowsDone: invalidCount + rowsDone,
+            errors: [...validationErrors, ...insertErrors]
+          })
         }
-      }
-      
-      // Determinar código de error apropiado
-      const statusCode = error.message.includes('REGISTROS_INVALIDOS') ? 400 :
-                        error.message.includes('DUPLICADO') ? 409 :
-                        error.message.includes('ARCHIVO') ? 400 : 500;
-      
-      return errorResponse(res, 'PROCESAMIENTO_FALLIDO', error.message, statusCode);
+      );
+    } catch (error) {
+      await this.markProcessedFileFailed(processedFile.id, error);
+      throw error;
+    }
+    
+    // Actualizar el registro del archivo con el resultado
+    await this.saveProcessedFileRecord(processedFile.id, processingResult, insertResult);
+    
+    // 💧 La marca de agua solo avanza si todos los lotes se guardaron: si alguno falló,
+    // la próxima carga lo reintenta y las filas ya guardadas se omiten por llave natural.
+    // Se toma de las filas válidas para que una fecha errónea no bloquee las siguientes.
+    let watermark = previousWatermark;
+    if (insertResult.errors.length === 0) {
+      const latest = await this.importSourceService.advanceWatermark(
+        source.id,
+        batchValidation.validRecords.map(v => v.record),
+        processedFile.id
+      );
+      watermark = Math.max(previousWatermark, latest || 0);
+    }
+    
+    // 🛣️ Revisar el odómetro de las placas cargadas contra su historial
+    const odometer = await this.recheckOdometer(
+      batchValidation.validRecords.map(v => this.vehicleService.getVehicleFields(vehicleLinks, v.record).placa_vehiculo)
+    );
+    
+    // 🕓 Registrar las inspecciones escritas en la línea de tiempo de cada conductor
+    await this.recordDriverTimeline([...insertResult.insertedIds, ...insertResult.updatedIds]);
+    
+    // 🚨 Crear o actualizar las alertas de seguimiento de las inspecciones escritas
+    const storedAlerts = await this.syncAlerts([...insertResult.insertedIds, ...insertResult.updatedIds]);
+    
+    // 6. Generar estadísticas y alertas
+    const stats = await this.generateProcessingStats(insertResult);
+    const alerts = await this.generateAlerts(batchValidation);
+    
+    const response = {
+      success: true,
+      processing: {
+        totalRecords: processingResult.totalRecords,
+        validRecords: batchValidation.validRecords.length,
+        invalidRecords: batchValidation.invalidRecords.length,
+        duplicatesAcrossSheets: processingResult.duplicatesAcrossSheets || 0,
+        alreadySeenRecords: seenRecords.length,
+        insertedRecords: insertResult.insertedRecords,
+        updatedRecords: insertResult.updatedRecords,
+        duplicateRecords: insertResult.duplicateRecords,
+        processingTime: Date.now() - startTime
+      },
+      validation: {
+        successRate: batchValidation.summary.successRate,
+        totalErrors: batchValidation.totalErrors,
+        totalWarnings: batchValidation.totalWarnings,
+        criticalAlerts: batchValidation.criticalAlerts.length
+      },
+      database: {
+        mode: insertResult.mode,
+        newRecords: insertResult.insertedRecords,
+        updatedRecords: insertResult.updatedRecords,
+        duplicatesSkipped: insertResult.skippedRecords,
+        errorsInserting: insertResult.errorRecords || 0,
+        atomic: options.atomic,
+        insertTime: insertResult.processingTime,
+        recordsPerSecond: insertResult.recordsPerSecond
+      },
+      incremental: {
+        enabled: incremental,
+        source: source.nombre,
+        previousWatermark: previousWatermark > 0 ? new Date(previousWatermark).toISOString() : null,
+        watermark: watermark > 0 ? new Date(watermark).toISOString() : null,
+        alreadySeenRecords: seenRecords.length
+      },
+      odometer,
+      storedAlerts,
+      drivers,
+      vehicles,
+      contracts,
+      checklistTemplate: template
+        ? { id: template.id, version: template.version, name: template.nombre, items: template.items.length }
+        : null,
+      rejectedRows: {
+        count: rejectedCount,
+        downloadUrl: rejectedCount > 0 ? `/api/upload/${processedFile.id}/rejected` : null,
+        quarantineUrl: rejectedCount > 0 ? `/api/upload/quarantine?uploadId=${processedFile.id}` : null
+      },
+      fileInfo: {
+        processedFileId: processedFile.id,
+        fileName: file.originalname,
+        fileSize: file.size,
+        fileHash: processingResult.fileHash,
+        detectedYear: processingResult.dateInfo?.año,
+        detectedMonths: processingResult.dateInfo?.mesesNombres || []
+      },
+      sheets: processingResult.sheets || [],
+      statistics: stats,
+      alerts: alerts,
+      nextSteps: this.generateNextSteps(insertResult, alerts, odometer, vehicles)
+    };
+    
+    console.log('[UPLOAD] ✅ Procesamiento exitoso:', {
+      archivo: file.originalname,
+      totalRegistros: response.processing.totalRecords,
+      registrosInsertados: response.database.newRecords,
+      tiempoProcesamiento: response.processing.processingTime + 'ms'
+    });
+    
+    // 📧 Notificación para casos críticos
+    if (alerts.some(a => a.level === 'CRITICO')) {
+      console.log('🚨 ALERTAS CRÍTICAS DETECTADAS - Se requiere notificación');
+      // TODO: Implementar sistema de notificaciones
+    }
+    
+    return response;
+  }
+
+  // 👨‍✈️ Resolver conductores; si falla, las inspecciones se guardan sin enlazar
+  // y se enlazan después con la sincronización del maestro
+  async linkDrivers(records) {
+    try {
+      return await this.driverService.resolveDrivers(records);
+    } catch (error) {
+      console.error('[UPLOAD] ⚠️ No se pudieron enlazar los conductores:', error.message);
+      return { links: new Map(), summary: null };
+    }
+  }
+
+  // 🚗 Resolver vehículos; si falla, las inspecciones se guardan sin enlazar
+  // y se enlazan después con la sincronización del registro
+  async linkVehicles(records) {
+    try {
+      return await this.vehicleService.resolvePlates(records);
+    } catch (error) {
+      console.error('[UPLOAD] ⚠️ No se pudieron enlazar los vehículos:', error.message);
+      return { links: new Map(), summary: null };
+    }
+  }
+
+  // 📑 Resolver contratos y campos; si falla, las inspecciones se guardan sin enlazar
+  // y se enlazan después con la sincronización del maestro
+  async linkContracts(records) {
+    try {
+      return await this.contractService.resolveContracts(records);
+    } catch (error) {
+      console.error('[UPLOAD] ⚠️ No se pudieron enlazar los contratos:', error.message);
+      return { links: new Map(), summary: null };
+    }
+  }
+
+  // 📋 Reconocer al leer el archivo los ítems de todas las versiones de plantilla
+  async loadChecklistItems() {
+    this.excelService.setChecklistItems(await this.checklistTemplateService.getKnownItems());
+  }
+
+  // 🛣️ Recalcular advertencias de odómetro; un fallo no invalida la carga ya guardada
+  async recheckOdometer(plates) {
+    try {
+      return await this.odometerService.recheckPlates(plates);
+    } catch (error) {
+      console.error('[UPLOAD] ⚠️ No se pudieron revisar los kilometrajes:', error.message);
+      return null;
+    }
+  }
+
+  // 🕓 Registrar inspecciones en la línea de tiempo de sus conductores; un fallo no invalida la carga
+  // (la sincronización del maestro completa las que falten)
+  async recordDriverTimeline(inspectionIds) {
+    try {
+      return await this.driverTimelineService.recordInspections(inspectionIds);
+    } catch (error) {
+      console.error('[UPLOAD] ⚠️ No se pudo actualizar el historial de conductores:', error.message);
+      return null;
+    }
+  }
+
+  // 🚨 Sincronizar las alertas de las inspecciones escritas; un fallo no invalida la carga
+  // (POST /api/alerts/sync genera las que falten)
+  async syncAlerts(inspectionIds) {
+    try {
+      return await this.alertService.syncInspections(inspectionIds);
+    } catch (error) {
+      console.error('[UPLOAD] ⚠️ No se pudieron generar las alertas:', error.message);
+      return null;
+    }
+  }
+
+  // 📑 Interpretar las hojas seleccionadas (JSON array o lista separada por comas)
+  parseSheetSelection(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.map(String);
+    try {
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed)) return parsed.map(String);
+    } catch (error) {
+      // No es JSON: se interpreta como lista separada por comas
     }
+    return String(value).split(',').map(name => name.trim()).filter(Boolean);
   }
 
   // 💾 Insertar registros en la base de datos
@@ -238,196 +760,326 @@ class UploadController {
       throw new Error(`Error de conexión a base de datos: ${dbError.message}`);
     }
     
+    const mode = options.mode || 'skip';
     const result = {
+      mode,
       insertedRecords: 0,
+      updatedRecords: 0,
+      skippedRecords: 0,
       duplicateRecords: 0,
       errorRecords: 0,
       insertedIds: [],
+      updatedIds: [],
       errors: []
     };
     
+    // 🔑 Buscar inspecciones ya existentes por llave natural (marca temporal + placa + inspector)
+    const existingIds = await this.findExistingInspections(records);
+    if (mode === 'fail' && existingIds.size > 0) {
+      // Un trabajo retomado encuentra las filas que guardó antes de interrumpirse: esas se omiten
+      const duplicates = options.resumeFileId
+        ? await this.prisma.inspecciones.count({
+          where: { id: { in: [...existingIds.values()] }, archivo_id: { not: options.resumeFileId } }
+        })
+        : existingIds.size;
+      if (duplicates > 0) {
+        throw new Error(`DUPLICADO: ${duplicates} registros ya existen en la base de datos (modo fail, no se insertó ninguno)`);
+      }
+    }
+    
+    // ⚠️ VERIFICACIÓN FINAL: Re-validar campos críticos antes de insertar
+    const insertable = records.filter((record, index) => {
+      const hasRequiredFields = Number(record.marca_temporal) > 0 &&
+                               record.placa_vehiculo && 
+                               record.placa_vehiculo.trim() !== '' &&
+                               record.contrato && 
+                               record.contrato.trim() !== '' &&
+                               record.turno && 
+                               record.turno.trim() !== '';
+      
+      if (!hasRequiredFields) {
+        console.error(`[UPLOAD] ❌ Registro ${index + 1} rechazado por campos vacíos:`, {
+          marcaTemporal: record.marca_temporal,
+          placa: record.placa_vehiculo,
+          contrato: record.contrato,
+          turno: record.turno
+        });
+        result.errorRecords++;
+      }
+      
+      return hasRequiredFields;
+    });
+    
     const batchSize = options.batchSize || 500;
     const batches = [];
     
     // Dividir en lotes
-    for (let i = 0; i < records.length; i += batchSize) {
-      batches.push(records.slice(i, i + batchSize));
+    for (let i = 0; i < insertable.length; i += batchSize) {
+      batches.push(insertable.slice(i, i + batchSize));
     }
     
-    console.log(`[UPLOAD] 📦 Procesando ${batches.length} lotes de hasta ${batchSize} registros...`);
+    console.log(`[UPLOAD] 📦 Procesando ${batches.length} lotes de hasta ${batchSize} registros (${options.atomic ? 'todo o nada' : 'transacción por lote'})...`);
+    const insertStart = Date.now();
     
-    for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
-      const batch = batches[batchIndex];
-      console.log(`[UPLOAD] 📦 Procesando lote ${batchIndex + 1}/${batches.length} (${batch.length} registros)...`);
-      
+    // 📊 Avisar el avance por lote (filas rechazadas por campos vacíos cuentan como procesadas)
+    const rejectedCount = records.length - insertable.length;
+    const notifyBatchWritten = async (batchIndex) => {
+      if (!options.onBatchWritten) return;
+      const rowsDone = rejectedCount + Math.min((batchIndex + 1) * batchSize, insertable.length);
+      await options.onBatchWritten(rowsDone, result.errors);
+    };
+    
+    if (options.atomic) {
+      // 🔒 Una sola transacción: si un lote falla no queda ningún registro del archivo
       try {
-        // ⚠️ VERIFICACIÓN FINAL: Re-validar campos críticos antes de insertar
-        const validatedBatch = batch.filter((record, index) => {
-          const hasRequiredFields = record.placa_vehiculo && 
-                                   record.placa_vehiculo.trim() !== '' &&
-                                   record.contrato && 
-                                   record.contrato.trim() !== '' &&
-                                   record.turno && 
-                                   record.turno.trim() !== '';
-          
-          if (!hasRequiredFields) {
-            console.error(`[UPLOAD] ❌ Registro ${index + 1} rechazado por campos vacíos:`, {
-              placa: record.placa_vehiculo,
-              contrato: record.contrato,
-              turno: record.turno
-            });
-            result.errorRecords++;
+        await this.prisma.$transaction(async (tx) => {
+          for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
+            await this.writeBatch(tx, batches[batchIndex], existingIds, mode, result);
+            console.log(`[UPLOAD] ✅ Lote ${batchIndex + 1}/${batches.length} escrito`);
+            await notifyBatchWritten(batchIndex);
           }
-          
-          return hasRequiredFields;
-        });
-        
-        console.log(`[UPLOAD] 📊 Lote ${batchIndex + 1}: ${validatedBatch.length}/${batch.length} registros válidos para insertar`);
-        
-        if (validatedBatch.length === 0) {
-          console.warn(`[UPLOAD] ⚠️ Lote ${batchIndex + 1} sin registros válidos, saltando...`);
-          continue;
-        }
+        }, { maxWait: 10000, timeout: ATOMIC_TRANSACTION_TIMEOUT });
+      } catch (error) {
+        console.error('[UPLOAD] ❌ Error en carga todo o nada, transacción revertida:', error);
+        throw new Error(`CARGA_REVERTIDA: no se guardó ningún registro (${error.message})`);
+      }
+    } else {
+      for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
+        const batch = batches[batchIndex];
+        // Acumular en un resultado parcial para no contar un lote revertido
+        const batchResult = { insertedRecords: 0, updatedRecords: 0, skippedRecords: 0, insertedIds: [], updatedIds: [] };
         
-        // ⚠️ INSERCIÓN UNO POR UNO CON LOGGING DETALLADO
-        for (let i = 0; i < validatedBatch.length; i++) {
-          const record = validatedBatch[i];
+        try {
+          await this.prisma.$transaction(
+            (tx) => this.writeBatch(tx, batch, existingIds, mode, batchResult),
+            { maxWait: 10000, timeout: 60000 }
+          );
           
-          try {
-            console.log(`[UPLOAD] 🔄 Insertando registro ${i + 1}/${validatedBatch.length}: ${record.placa_vehiculo}`);
-            
-            // ⚠️ CREAR REGISTRO CON CAMPOS MÍNIMOS REQUERIDOS
-            const recordToInsert = {
-              id: record.id,
-              fecha: record.fecha ? new Date(record.fecha) : new Date(),
-              conductor_nombre: record.conductor_nombre || '',
-              placa_vehiculo: record.placa_vehiculo,
-              contrato: record.contrato,
-              turno: record.turno,
-              campo_coordinacion: record.campo_coordinacion || '',
-              kilometraje: record.kilometraje || 0,
-              marca_temporal: record.marca_temporal || Date.now(),
-              nivel_riesgo: record.nivel_riesgo || 'BAJO',
-              puntaje_total: record.puntaje_total || 0,
-              observaciones: record.observaciones || '',
-              
-              // Campos boolean con valores por defecto
-              gps: record.gps || false,
-              pito: record.pito || false,
-              freno: record.freno || false,
-              frenos: record.frenos || false,
-              correas: record.correas || false,
-              espejos: record.espejos || false,
-              parqueo: record.parqueo || false,
-              puertas: record.puertas || false,
-              vidrios: record.vidrios || false,
-              baterias: record.baterias || false,
-              tapiceria: record.tapiceria || false,
-              cinturones: record.cinturones || false,
-              orden_aseo: record.orden_aseo || false,
-              suspension: record.suspension || false,
-              altas_bajas: record.altas_bajas || false,
-              horas_sueno: record.horas_sueno || false,
-              indicadores: record.indicadores || false,
-              tapa_tanque: record.tapa_tanque || false,
-              aceite_motor: record.aceite_motor || false,
-              libre_fatiga: record.libre_fatiga || false,
-              direccionales: record.direccionales || false,
-              documentacion: record.documentacion || false,
-              fluido_frenos: record.fluido_frenos || false,
-              kit_ambiental: record.kit_ambiental || false,
-              limpia_brisas: record.limpia_brisas || false,
-              espejos_estado: record.espejos_estado || 'BUENO',
-              
-              createdAt: new Date(),
-              updatedAt: new Date()
-            };
-            
-            // 🔍 LOG DEL REGISTRO A INSERTAR
-            console.log(`[UPLOAD] 📋 Datos a insertar:`, {
-              id: recordToInsert.id,
-              placa_vehiculo: recordToInsert.placa_vehiculo,
-              contrato: recordToInsert.contrato,
-              turno: recordToInsert.turno,
-              fecha: recordToInsert.fecha
-            });
-            
-            const inserted = await this.prisma.inspecciones.create({
-              data: recordToInsert
-            });
-            
-            result.insertedIds.push(inserted.id);
-            result.insertedRecords++;
-            
-            console.log(`[UPLOAD] ✅ Registro insertado: ${inserted.id} - ${record.placa_vehiculo}`);
-            
-          } catch (insertError) {
-            console.error(`[UPLOAD] ❌ Error insertando registro ${i + 1}:`, insertError);
-            console.error(`[UPLOAD] ❌ Registro problemático:`, {
-              placa: record.placa_vehiculo,
-              contrato: record.contrato,
-              turno: record.turno,
-              error: insertError.message,
-              code: insertError.code
-            });
-            
-            if (insertError.code === 'P2002') {
-              // Duplicado detectado
-              result.duplicateRecords++;
-              console.log(`[UPLOAD] ⚠️ Duplicado detectado: ${record.placa_vehiculo}`);
-            } else {
-              result.errorRecords++;
-              result.errors.push({
-                record: record.placa_vehiculo,
-                error: insertError.message,
-                code: insertError.code
-              });
-            }
-          }
+          result.insertedRecords += batchResult.insertedRecords;
+          result.updatedRecords += batchResult.updatedRecords;
+          result.skippedRecords += batchResult.skippedRecords;
+          result.insertedIds.push(...batchResult.insertedIds);
+          result.updatedIds.push(...batchResult.updatedIds);
+          console.log(`[UPLOAD] ✅ Lote ${batchIndex + 1}/${batches.length} completado: ${result.insertedRecords} total insertados hasta ahora`);
+          
+        } catch (error) {
+          console.error(`[UPLOAD] ❌ Error procesando lote ${batchIndex + 1}, lote revertido:`, error);
+          result.errorRecords += batch.length;
+          result.errors.push({
+            batch: batchIndex + 1,
+            error: error.message,
+            code: error.code
+          });
         }
         
-        console.log(`[UPLOAD] ✅ Lote ${batchIndex + 1} completado: ${result.insertedRecords} total insertados hasta ahora`);
-        
-      } catch (error) {
-        console.error(`[UPLOAD] ❌ Error procesando lote ${batchIndex + 1}:`, error);
-        result.errorRecords += batch.length;
-        result.errors.push({
-          batch: batchIndex + 1,
-          error: error.message
-        });
+        await notifyBatchWritten(batchIndex);
       }
     }
     
+    // ⏱️ Rendimiento medido de la escritura en BD
+    result.processingTime = Date.now() - insertStart;
+    const writtenRecords = result.insertedRecords + result.updatedRecords;
+    result.recordsPerSecond = result.processingTime > 0
+      ? Math.round((writtenRecords * 1000) / result.processingTime)
+      : writtenRecords;
+    result.duplicateRecords = result.skippedRecords;
+    
     console.log(`[UPLOAD] ✅ Inserción completada:`, {
+      modo: mode,
+      todoONada: !!options.atomic,
       insertados: result.insertedRecords,
-      duplicados: result.duplicateRecords,
+      actualizados: result.updatedRecords,
+      omitidos: result.skippedRecords,
       errores: result.errorRecords,
       total: records.length,
-      idsInsertados: result.insertedIds.slice(0, 5) // Solo los primeros 5 IDs para el log
+      tiempo: result.processingTime + 'ms',
+      registrosPorSegundo: result.recordsPerSecond
     });
     
-    // ⚠️ VERIFICACIÓN POST-INSERCIÓN
-    if (result.insertedRecords > 0) {
-      try {
-        const countInDB = await this.prisma.inspecciones.count({
-          where: {
-            id: { in: result.insertedIds.slice(0, 10) } // Verificar los primeros 10
-          }
-        });
-        console.log(`[UPLOAD] 🔍 Verificación: ${countInDB} registros confirmados en BD`);
-      } catch (verifyError) {
-        console.error(`[UPLOAD] ⚠️ Error verificando inserción:`, verifyError);
+    return result;
+  }
+
+  // 📦 Escribir un lote dentro de una transacción: createMany para nuevos, update para existentes
+  // (la auditoría se escribe en la misma transacción: si falla, el lote se revierte)
+  async writeBatch(tx, batch, existingIds, mode, result) {
+    const toCreate = [];
+    const toUpdate = [];
+    const auditEntries = [];
+    // Resultados del checklist según la versión de plantilla de cada registro
+    const templates = new Map((await this.checklistTemplateService.getTemplates()).map(template => [template.id, template]));
+    const buildItems = (record, inspectionId) => this.checklistTemplateService
+      .buildInspectionItems(templates.get(record.plantilla_id), record)
+      .map(item => ({ ...item, inspeccion_id: inspectionId }));
+    
+    batch.forEach(record => {
+      const data = this.buildInspectionData(record);
+      const existingId = existingIds.get(record.id);
+      if (!existingId) {
+        toCreate.push({ record, data });
+      } else if (mode === 'update') {
+        // Se conserva el id, la fecha de creación y el archivo de origen de la inspección original
+        delete data.id;
+        delete data.createdAt;
+        delete data.archivo_id;
+        toUpdate.push({ id: existingId, record, data });
+      } else {
+        result.skippedRecords++;
       }
+    });
+    
+    if (toCreate.length > 0) {
+      // skipDuplicates: filas que otra carga insertó entre la búsqueda y la escritura
+      const created = await tx.inspecciones.createMany({ data: toCreate.map(({ data }) => data), skipDuplicates: true });
+      result.insertedRecords += created.count;
+      result.skippedRecords += toCreate.length - created.count;
+      
+      const insertedRows = await tx.inspecciones.findMany({
+        where: { id: { in: toCreate.map(({ data }) => data.id) } },
+        select: { id: true }
+      });
+      const insertedIds = new Set(insertedRows.map(row => row.id));
+      result.insertedIds.push(...insertedIds);
+      
+      const inserted = toCreate
+        .filter(({ data }) => insertedIds.has(data.id))
+        .map(({ record, data }) => ({ data, items: buildItems(record, data.id) }));
+      const items = inserted.flatMap(({ items }) => items);
+      if (items.length > 0) {
+        await tx.inspeccion_items.createMany({ data: items });
+      }
+      inserted.forEach(({ data, items }) => auditEntries.push({
+        accion: AUDIT_ACTIONS.CREAR,
+        entidad: 'inspecciones',
+        entidadId: data.id,
+        despues: this.buildAuditSnapshot(data, items)
+      }));
     }
     
-    return result;
+    // Estado anterior de las inspecciones que se reescriben, para la auditoría
+    const previous = toUpdate.length > 0
+      ? await tx.inspecciones.findMany({
+        where: { id: { in: toUpdate.map(({ id }) => id) } },
+        include: { items: { select: { campo: true, resultado: true } } }
+      })
+      : [];
+    const previousById = new Map(previous.map(({ items, ...row }) => [row.id, { row, items }]));
+    
+    for (const { id, record, data } of toUpdate) {
+      await tx.inspecciones.update({ where: { id }, data });
+      // La fila actualizada puede venir de otra versión del formulario: se reemplazan sus resultados
+      await tx.inspeccion_items.deleteMany({ where: { inspeccion_id: id } });
+      const items = buildItems(record, id);
+      if (items.length > 0) {
+        await tx.inspeccion_items.createMany({ data: items });
+      }
+      result.updatedRecords++;
+      result.updatedIds.push(id);
+      
+      const before = previousById.get(id);
+      auditEntries.push({
+        accion: AUDIT_ACTIONS.ACTUALIZAR,
+        entidad: 'inspecciones',
+        entidadId: id,
+        antes: before && this.buildAuditSnapshot(before.row, before.items),
+        despues: this.buildAuditSnapshot({ ...before?.row, ...data, id }, items)
+      });
+    }
+    
+    await this.auditService.recordMany(auditEntries, tx);
+  }
+
+  // 🧾 Inspección tal como queda en la auditoría: sus columnas y el resultado de cada ítem del checklist
+  // (marca_temporal como texto: en BD es BigInt y en el registro importado es número)
+  buildAuditSnapshot(inspection, items) {
+    return {
+      ...inspection,
+      marca_temporal: inspection.marca_temporal != null ? String(inspection.marca_temporal) : null,
+      items: Object.fromEntries(items.map(item => [item.campo, item.resultado]))
+    };
+  }
+
+  // 🧾 Construir los datos de la inspección a guardar
+  buildInspectionData(record) {
+    return {
+      id: record.id,
+      fecha: record.fecha ? new Date(record.fecha) : new Date(),
+      conductor_nombre: record.conductor_nombre || '',
+      placa_vehiculo: record.placa_vehiculo,
+      contrato: record.contrato,
+      turno: record.turno,
+      campo_coordinacion: record.campo_coordinacion || '',
+      kilometraje: record.kilometraje || 0,
+      marca_temporal: record.marca_temporal,
+      clave_natural: buildNaturalKey(record),
+      nivel_riesgo: record.nivel_riesgo || 'BAJO',
+      puntaje_total: record.puntaje_total || 0,
+      tiene_alertas_criticas: record.tiene_alertas_criticas || false,
+      observaciones: record.observaciones || '',
+      archivo_id: record.archivo_id || null,
+      conductor_id: record.conductor_id || null,
+      vehiculo_id: record.vehiculo_id || null,
+      contrato_id: record.contrato_id || null,
+      campo_id: record.campo_id || null,
+      plantilla_id: record.plantilla_id || null,
+      
+      // Preguntas de fatiga del formulario (los ítems del checklist van en inspeccion_items)
+      ...this.pickFormFields(record),
+      
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+  }
+
+  // 🔑 Buscar inspecciones existentes por llave natural → Map(id del registro → id en BD)
+  async findExistingInspections(records, chunkSize = 200) {
+    const existingIds = new Map();
+    const candidates = records.filter(record => record.marca_temporal);
+    
+    for (let i = 0; i < candidates.length; i += chunkSize) {
+      const chunk = candidates.slice(i, i + chunkSize);
+      // Llaves del registro y de los segundos contiguos, normalizadas como las guarda la carga
+      const keys = chunk.flatMap(record => [0, -1, 1].map(offset => buildNaturalKey(record, offset)));
+      const existing = await this.prisma.inspecciones.findMany({
+        where: { clave_natural: { in: keys.filter(Boolean) } },
+        select: { id: true, clave_natural: true }
+      });
+      
+      const keyIndex = new Map(existing.map(row => [row.clave_natural, row.id]));
+      chunk.forEach(record => {
+        const existingId = findNaturalKeyMatch(keyIndex, record);
+        if (existingId) existingIds.set(record.id, existingId);
+      });
+    }
+    
+    if (existingIds.size > 0) {
+      console.log(`[UPLOAD] 🔑 ${existingIds.size} registros ya existen en la base de datos`);
+    }
+    return existingIds;
+  }
+
+  // ✅ Resultado de cada ítem del checklist indicado (sin respuesta si el registro no lo trae)
+  pickChecklistResults(record, fields) {
+    return Object.fromEntries(
+      fields.map(field => [field, CHECKLIST_RESULTS[record[field]] || CHECKLIST_RESULTS.SIN_RESPUESTA])
+    );
+  }
+
+  // ✅ Extraer preguntas de fatiga con sus valores por defecto
+  pickFormFields(record) {
+    const fields = {};
+    FATIGUE_ITEMS.forEach(item => {
+      fields[item.field] = typeof record[item.field] === 'boolean' ? record[item.field] : item.defaultValue;
+    });
+    return fields;
   }
 
   // 📊 Verificar archivo duplicado
   async checkDuplicateFile(fileHash) {
     try {
-      const existing = await this.prisma.archivos_procesados.findUnique({
-        where: { hash_archivo: fileHash },
+      // Los archivos revertidos o fallidos pueden volver a cargarse
+      const existing = await this.prisma.archivos_procesados.findFirst({
+        where: { hash_archivo: fileHash, estado: { notIn: ['REVERTIDO', 'ERROR'] } },
+        orderBy: { fecha_procesamiento: 'desc' },
         select: {
           id: true,
           nombre_archivo: true,
@@ -444,23 +1096,47 @@ class UploadController {
     }
   }
 
-  // 💾 Guardar registro del archivo procesado
-  async saveProcessedFileRecord(file, processingResult, insertResult) {
+  // 💾 Registrar archivo en proceso (sus inspecciones apuntan a este id). Un trabajo retomado
+  // reutiliza el archivo de su intento anterior; sus filas rechazadas se vuelven a guardar.
+  async createProcessedFileRecord(file, processingResult, { sourceId, alreadySeen = 0, resumeFileId } = {}) {
+    const data = {
+      nombre_archivo: file.originalname,
+      hash_archivo: processingResult.fileHash,
+      tamano_archivo: file.size,
+      total_registros: processingResult.totalRecords,
+      fuente_id: sourceId || null,
+      registros_ya_vistos: alreadySeen,
+      ano_detectado: processingResult.dateInfo?.año,
+      estado: 'PROCESANDO',
+      fecha_procesamiento: new Date()
+    };
+    
+    if (resumeFileId) {
+      const [, processedFile] = await this.prisma.$transaction([
+        this.prisma.filas_rechazadas.deleteMany({ where: { archivo_id: resumeFileId } }),
+        this.prisma.archivos_procesados.update({ where: { id: resumeFileId }, data })
+      ]);
+      console.log(`[UPLOAD] 💾 Archivo ${processedFile.id} retomado`);
+      return processedFile;
+    }
+    
+    const processedFile = await this.prisma.archivos_procesados.create({ data });
+    console.log(`[UPLOAD] 💾 Archivo registrado: ${processedFile.id}`);
+    return processedFile;
+  }
+
+  // 💾 Guardar resultado en el registro del archivo procesado
+  async saveProcessedFileRecord(processedFileId, processingResult, insertResult) {
     try {
-      await this.prisma.archivos_procesados.create({
+      await this.prisma.archivos_procesados.update({
+        where: { id: processedFileId },
         data: {
-          nombre_archivo: file.originalname,
-          hash_archivo: processingResult.fileHash,
-          tamano_archivo: file.size,
-          total_registros: processingResult.totalRecords,
           registros_insertados: insertResult.insertedRecords,
           registros_duplicados: insertResult.duplicateRecords,
           registros_error: insertResult.errorRecords,
-          ano_detectado: processingResult.dateInfo?.año,
           tiempo_procesamiento: processingResult.processingTime,
           errores_validacion: insertResult.errors,
-          estado: insertResult.errorRecords > 0 ? 'CON_ERRORES' : 'PROCESADO',
-          fecha_procesamiento: new Date()
+          estado: insertResult.errorRecords > 0 ? 'CON_ERRORES' : 'PROCESADO'
         }
       });
       
@@ -470,13 +1146,452 @@ class UploadController {
     }
   }
 
+  // ❌ Marcar archivo cuya carga falló (no quedó ninguna inspección nueva en modo todo o nada)
+  async markProcessedFileFailed(processedFileId, error) {
+    try {
+      await this.prisma.archivos_procesados.update({
+        where: { id: processedFileId },
+        data: { estado: 'ERROR', errores_validacion: [{ error: error.message }] }
+      });
+    } catch (updateError) {
+      console.error('[UPLOAD] ⚠️ Error marcando archivo como fallido:', updateError);
+    }
+  }
+
+  // 🗑️ Revertir una carga: elimina sus inspecciones y marca el archivo como REVERTIDO
+  async revertUpload(req, res) {
+    try {
+      const { uploadId } = req.params;
+      const reason = String(req.body?.reason || req.body?.motivo || '').trim();
+      const user = String(req.body?.user || req.body?.usuario || 'sistema').trim();
+      
+      if (!reason) {
+        return errorResponse(res, 'MOTIVO_REQUERIDO', 'Debe indicar el motivo de la reversión', 400);
+      }
+      
+      const processedFile = await this.prisma.archivos_procesados.findUnique({ where: { id: uploadId } });
+      if (!processedFile) {
+        return errorResponse(res, 'CARGA_NO_ENCONTRADA', 'No existe una carga con ese id', 404);
+      }
+      if (processedFile.estado === 'REVERTIDO') {
+        return errorResponse(res, 'CARGA_YA_REVERTIDA', 
+          `La carga ya fue revertida el ${new Date(processedFile.fecha_reversion).toLocaleString()}`, 409);
+      }
+      if (processedFile.estado === 'PROCESANDO') {
+        return errorResponse(res, 'CARGA_EN_PROCESO', 'La carga aún se está procesando', 409);
+      }
+      
+      console.log(`[UPLOAD] 🗑️ Revirtiendo carga ${uploadId} (${processedFile.nombre_archivo}) por ${user}: ${reason}`);
+      
+      // Al borrar las inspecciones se borran en cascada sus alertas con su seguimiento, su historial
+      // y sus advertencias de odómetro: una alerta que un supervisor ya trabajó no puede perderse así
+      const { inspections, deleted, revertedFile, closedRows } = await this.prisma.$transaction(async (tx) => {
+        const trackedAlerts = await tx.alertas.count({
+          where: {
+            inspeccion: { archivo_id: uploadId },
+            OR: [{ estado: { not: 'ACTIVA' } }, { asignado_a: { not: null } }, { seguimiento: { some: {} } }]
+          }
+        });
+        if (trackedAlerts > 0) {
+          throw new Error(`ALERTAS_EN_SEGUIMIENTO: ${trackedAlerts} alertas de esta carga ya fueron asignadas, comentadas, revisadas o resueltas`);
+        }
+        
+        // Inspecciones y alertas tal como estaban, para la auditoría y para revisar el odómetro de sus placas
+        const current = await tx.inspecciones.findMany({
+          where: { archivo_id: uploadId },
+          include: { items: { select: { campo: true, resultado: true } }, alerta: true }
+        });
+        const deletedInspections = await tx.inspecciones.deleteMany({ where: { archivo_id: uploadId } });
+        const file = await tx.archivos_procesados.update({
+          where: { id: uploadId },
+          data: {
+            estado: 'REVERTIDO',
+            motivo_reversion: reason,
+            usuario_reversion: user,
+            fecha_reversion: new Date()
+          }
+        });
+        // Las filas de la carga que seguían en cuarentena ya no pueden reenviarse a un archivo revertido
+        const closedRows = await this.quarantineService.closeUploadRows(tx, uploadId, { user, reason });
+        
+        await this.auditService.recordMany([
+          {
+            accion: AUDIT_ACTIONS.REVERTIR,
+            entidad: 'archivos_procesados',
+            entidadId: uploadId,
+            antes: processedFile,
+            despues: file,
+            actor: user
+          },
+          ...current.map(({ items, ...inspection }) => ({
+            accion: AUDIT_ACTIONS.ELIMINAR,
+            entidad: 'inspecciones',
+            entidadId: inspection.id,
+            antes: this.buildAuditSnapshot({ ...inspection, alerta: undefined }, items),
+            actor: user
+          })),
+          ...current.filter(inspection => inspection.alerta).map(({ alerta }) => ({
+            accion: AUDIT_ACTIONS.ELIMINAR,
+            entidad: 'alertas',
+            entidadId: alerta.id,
+            antes: alerta,
+            actor: user
+          }))
+        ], tx);
+        
+        return { inspections: current, deleted: deletedInspections, revertedFile: file, closedRows };
+      }, { maxWait: 10000, timeout: 60000 });
+      const affectedPlates = [...new Set(inspections.map(inspection => inspection.placa_vehiculo))];
+      const deletedAlerts = inspections.filter(inspection => inspection.alerta).length;
+      
+      console.log(`[UPLOAD] ✅ Carga revertida: ${deleted.count} inspecciones y ${deletedAlerts} alertas eliminadas, ${closedRows} filas en cuarentena descartadas`);
+      
+      // 🛣️ Las lecturas que quedan se comparan de nuevo sin las inspecciones revertidas
+      await this.recheckOdometer(affectedPlates);
+      
+      // 💧 Las filas revertidas deben poder importarse de nuevo en la próxima carga incremental
+      let sourceWatermark;
+      if (processedFile.fuente_id) {
+        try {
+          const latest = await this.importSourceService.recalculateWatermark(processedFile.fuente_id);
+          sourceWatermark = latest > 0 ? new Date(latest).toISOString() : null;
+        } catch (error) {
+          console.warn('[UPLOAD] ⚠️ No se pudo recalcular la marca de agua de la fuente:', error.message);
+        }
+      }
+      
+      return successResponse(res, {
+        uploadId,
+        fileName: revertedFile.nombre_archivo,
+        deletedRecords: deleted.count,
+        deletedAlerts,
+        discardedQuarantineRows: closedRows,
+        status: revertedFile.estado,
+        reason: revertedFile.motivo_reversion,
+        user: revertedFile.usuario_reversion,
+        revertedAt: revertedFile.fecha_reversion,
+        sourceWatermark
+      }, `Carga revertida. ${deleted.count} inspecciones y ${deletedAlerts} alertas eliminadas.`);
+      
+    } catch (error) {
+      if (error.message.startsWith('ALERTAS_EN_SEGUIMIENTO')) {
+        return errorResponse(res, 'ALERTAS_EN_SEGUIMIENTO', 
+          `${error.message.replace('ALERTAS_EN_SEGUIMIENTO: ', '')}; la reversión las eliminaría. Corrija las filas volviendo a cargar el archivo en modo Actualizar.`, 409);
+      }
+      console.error('[UPLOAD] ❌ Error revirtiendo carga:', error);
+      return errorResponse(res, 'REVERSION_FALLIDA', error.message, 500);
+    }
+  }
+
+  // 📋 Descargar plantilla Excel con listas desplegables e instrucciones
+  async getExcelTemplate(req, res) {
+    try {
+      const buffer = await this.templateService.generateTemplate();
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${TEMPLATE_FILE_NAME}"`);
+      return res.send(Buffer.from(buffer));
+
+    } catch (error) {
+      console.error('[UPLOAD] ❌ Error generando plantilla:', error);
+      return errorResponse(res, 'PLANTILLA_FALLIDA', error.message, 500);
+    }
+  }
+
+  // ℹ️ Descripción de la plantilla disponible
+  async getExcelTemplateInfo(req, res) {
+    try {
+      const info = await this.templateService.getTemplateInfo();
+      return successResponse(res, [info], 'Plantillas disponibles');
+    } catch (error) {
+      console.error('[UPLOAD] ❌ Error obteniendo información de plantilla:', error);
+      return errorResponse(res, 'PLANTILLA_FALLIDA', error.message, 500);
+    }
+  }
+
+  // 🚫 Descargar las filas rechazadas de una carga como Excel anotado
+  async getRejectedRows(req, res) {
+    try {
+      const { uploadId } = req.params;
+      const processedFile = await this.prisma.archivos_procesados.findUnique({
+        where: { id: uploadId },
+        select: { id: true, nombre_archivo: true }
+      });
+      if (!processedFile) {
+        return errorResponse(res, 'CARGA_NO_ENCONTRADA', 'No existe una carga con ese id', 404);
+      }
+      
+      const workbook = await this.rejectedRowsService.generateWorkbook(uploadId);
+      if (!workbook) {
+        return errorResponse(res, 'SIN_FILAS_RECHAZADAS', 'La carga no tiene filas rechazadas', 404);
+      }
+      
+      const baseName = processedFile.nombre_archivo.replace(/\.(xlsx|xls|csv)$/i, '');
+      const fileName = `Filas rechazadas - ${baseName}.xlsx`;
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+      return res.send(Buffer.from(workbook.buffer));
+      
+    } catch (error) {
+      console.error('[UPLOAD] ❌ Error generando filas rechazadas:', error);
+      return errorResponse(res, 'RECHAZADAS_FALLIDO', error.message, 500);
+    }
+  }
+
+  // 🧪 Listar filas en cuarentena (por carga y estado)
+  async getQuarantine(req, res) {
+    try {
+      const result = await this.quarantineService.listRows({
+        uploadId: req.query.uploadId,
+        status: req.query.status ? String(req.query.status).toUpperCase() : undefined,
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200)
+      });
+      return successResponse(res, result, 'Filas en cuarentena obtenidas');
+    } catch (error) {
+      console.error('[UPLOAD] ❌ Error listando cuarentena:', error);
+      return errorResponse(res, 'CUARENTENA_FALLIDA', error.message, 500);
+    }
+  }
+
+  // ✅ Validar una corrección sin guardarla (validación en línea de la grilla)
+  async validateQuarantineRow(req, res) {
+    try {
+      const row = await this.quarantineService.getRow(req.params.rowId);
+      if (!row) {
+        return errorResponse(res, 'FILA_NO_ENCONTRADA', 'No existe una fila en cuarentena con ese id', 404);
+      }
+      if (!row.datos) {
+        return errorResponse(res, 'FILA_SIN_DATOS', 'La fila se rechazó antes de la cuarentena y no puede corregirse en la app', 409);
+      }
+      
+      const { record } = this.quarantineService.applyChanges(row, req.body?.changes || {});
+      const validation = await this.quarantineService.validate(record);
+      
+      return successResponse(res, {
+        isValid: validation.isValid,
+        errors: validation.errors.map(e => ({ field: e.field, message: e.message })),
+        warnings: validation.warnings.map(w => ({ field: w.field, message: w.message }))
+      }, validation.isValid ? 'Fila válida' : 'La fila aún tiene errores');
+      
+    } catch (error) {
+      if (error.message.startsWith('CAMPO_NO_EDITABLE')) {
+        return errorResponse(res, 'CAMPO_NO_EDITABLE', error.message, 400);
+      }
+      console.error('[UPLOAD] ❌ Error validando fila en cuarentena:', error);
+      return errorResponse(res, 'VALIDACION_FALLIDA', error.message, 500);
+    }
+  }
+
+  // 🔁 Corregir una fila y reenviarla por el mismo camino de inserción de las cargas
+  async resubmitQuarantineRow(req, res) {
+    try {
+      const user = String(req.body?.user || req.body?.usuario || 'sistema').trim();
+      const row = await this.quarantineService.getRow(req.params.rowId);
+      
+      if (!row) {
+        return errorResponse(res, 'FILA_NO_ENCONTRADA', 'No existe una fila en cuarentena con ese id', 404);
+      }
+      if (row.archivo?.estado === 'REVERTIDO') {
+        return errorResponse(res, 'CARGA_REVERTIDA', 'La carga de esta fila fue revertida: vuelva a cargar el archivo', 409);
+      }
+      if (row.estado !== 'PENDIENTE') {
+        return errorResponse(res, 'FILA_YA_RESUELTA', `La fila ya fue ${row.estado.toLowerCase()} por ${row.usuario_resolucion}`, 409);
+      }
+      if (!row.datos) {
+        return errorResponse(res, 'FILA_SIN_DATOS', 'La fila se rechazó antes de la cuarentena y no puede corregirse en la app', 409);
+      }
+      
+      const { record, diff } = this.quarantineService.applyChanges(row, req.body?.changes || {});
+      const validation = await this.quarantineService.validate(record);
+      
+      // Si sigue inválida se guardan los cambios para no perder lo corregido
+      if (!validation.isValid) {
+        const updated = await this.quarantineService.recordCorrection(row, { user, action: 'EDITADA', diff, record, validation });
+        return errorResponse(res, 'FILA_INVALIDA', 
+          `La fila aún tiene ${validation.errors.length} errores`, 422, updated);
+      }
+      
+      const { links: driverLinks } = await this.linkDrivers([record]);
+      const { links: vehicleLinks } = await this.linkVehicles([record]);
+      const { links: contractLinks } = await this.linkContracts([record]);
+      const vehicleFields = this.vehicleService.getVehicleFields(vehicleLinks, record);
+      const insertResult = await this.insertRecordsIntoDatabase([{
+        ...record,
+        ...vehicleFields,
+        ...this.contractService.getContractFields(contractLinks, record),
+        fecha: new Date(record.fecha),
+        archivo_id: row.archivo_id,
+        conductor_id: this.driverService.getDriverId(driverLinks, record),
+        nivel_riesgo: validation.riskLevel,
+        puntaje_total: validation.score,
+        tiene_alertas_criticas: validation.criticalAlerts.length > 0
+      }], null, row.archivo?.nombre_archivo, { mode: 'skip', batchSize: 1 });
+      
+      if (insertResult.insertedRecords === 0) {
+        const duplicate = insertResult.skippedRecords > 0;
+        const updated = await this.quarantineService.recordCorrection(row, {
+          user,
+          action: 'EDITADA',
+          diff,
+          record,
+          validation,
+          comment: duplicate
+            ? 'Ya existe una inspección con la misma marca temporal, placa e inspector'
+            : insertResult.errors[0]?.error || 'No se pudo insertar la fila'
+        });
+        return duplicate
+          ? errorResponse(res, 'DUPLICADO', 'Ya existe una inspección con la misma marca temporal, placa e inspector', 409, updated)
+          : errorResponse(res, 'INSERCION_FALLIDA', insertResult.errors[0]?.error || 'No se pudo insertar la fila', 500, updated);
+      }
+      
+      const updated = await this.quarantineService.recordCorrection(row, {
+        user,
+        action: 'REENVIADA',
+        diff,
+        record,
+        validation,
+        inspectionId: insertResult.insertedIds[0]
+      });
+      await this.prisma.archivos_procesados.update({
+        where: { id: row.archivo_id },
+        data: { registros_insertados: { increment: 1 } }
+      });
+      await this.recheckOdometer([vehicleFields.placa_vehiculo]);
+      await this.recordDriverTimeline(insertResult.insertedIds);
+      await this.syncAlerts(insertResult.insertedIds);
+      
+      return successResponse(res, updated, 'Fila corregida e insertada');
+      
+    } catch (error) {
+      if (error.message.startsWith('CAMPO_NO_EDITABLE')) {
+        return errorResponse(res, 'CAMPO_NO_EDITABLE', error.message, 400);
+      }
+      console.error('[UPLOAD] ❌ Error reenviando fila en cuarentena:', error);
+      return errorResponse(res, 'REENVIO_FALLIDO', error.message, 500);
+    }
+  }
+
+  // 🗑️ Descartar una fila en cuarentena (no se insertará)
+  async discardQuarantineRow(req, res) {
+    try {
+      const reason = String(req.body?.reason || req.body?.motivo || '').trim();
+      const user = String(req.body?.user || req.body?.usuario || 'sistema').trim();
+      
+      if (!reason) {
+        return errorResponse(res, 'MOTIVO_REQUERIDO', 'Debe indicar el motivo para descartar la fila', 400);
+      }
+      
+      const row = await this.quarantineService.getRow(req.params.rowId);
+      if (!row) {
+        return errorResponse(res, 'FILA_NO_ENCONTRADA', 'No existe una fila en cuarentena con ese id', 404);
+      }
+      if (row.archivo?.estado === 'REVERTIDO') {
+        return errorResponse(res, 'CARGA_REVERTIDA', 'La carga de esta fila fue revertida: vuelva a cargar el archivo', 409);
+      }
+      if (row.estado !== 'PENDIENTE') {
+        return errorResponse(res, 'FILA_YA_RESUELTA', `La fila ya fue ${row.estado.toLowerCase()} por ${row.usuario_resolucion}`, 409);
+      }
+      
+      const updated = await this.quarantineService.recordCorrection(row, { user, action: 'DESCARTADA', comment: reason });
+      return successResponse(res, updated, 'Fila descartada');
+      
+    } catch (error) {
+      console.error('[UPLOAD] ❌ Error descartando fila en cuarentena:', error);
+      return errorResponse(res, 'DESCARTE_FALLIDO', error.message, 500);
+    }
+  }
+
+  // 🗺️ Listar perfiles de mapeo de columnas (?includeInactive=true para ver todos)
+  async getMappingProfiles(req, res) {
+    try {
+      const profiles = await this.mappingProfileService.listProfiles({
+        includeInactive: req.query.includeInactive === 'true'
+      });
+      return successResponse(res, profiles.map(profile => this.mappingProfileService.toPublicProfile(profile)), 'Perfiles de mapeo obtenidos');
+    } catch (error) {
+      console.error('[UPLOAD] ❌ Error listando perfiles de mapeo:', error);
+      return errorResponse(res, 'PERFILES_FALLIDOS', error.message, 500);
+    }
+  }
+
+  // 🏷️ Campos a los que se puede asignar una columna
+  async getMappableFields(req, res) {
+    try {
+      const required = new Set(this.validationService.requiredFields);
+      const fields = (await this.mappingProfileService.getFields()).map(item => ({ ...item, required: required.has(item.field) }));
+      return successResponse(res, fields, 'Campos asignables obtenidos');
+    } catch (error) {
+      console.error('[UPLOAD] ❌ Error obteniendo campos asignables:', error);
+      return errorResponse(res, 'PERFILES_FALLIDOS', error.message, 500);
+    }
+  }
+
+  // ➕ Crear perfil de mapeo desde el asistente
+  async createMappingProfile(req, res) {
+    try {
+      const profile = await this.mappingProfileService.createProfile({
+        name: req.body?.name,
+        description: req.body?.description,
+        mapping: req.body?.mapping,
+        headers: req.body?.headers,
+        user: req.body?.user
+      });
+      return successResponse(res, this.mappingProfileService.toPublicProfile(profile), 'Perfil de mapeo creado', 201);
+    } catch (error) {
+      return this.handleMappingProfileError(res, error, 'crear');
+    }
+  }
+
+  // ✏️ Actualizar perfil de mapeo
+  async updateMappingProfile(req, res) {
+    try {
+      const profile = await this.mappingProfileService.updateProfile(req.params.profileId, {
+        name: req.body?.name,
+        description: req.body?.description,
+        mapping: req.body?.mapping,
+        headers: req.body?.headers,
+        active: req.body?.active
+      });
+      return successResponse(res, this.mappingProfileService.toPublicProfile(profile), 'Perfil de mapeo actualizado');
+    } catch (error) {
+      return this.handleMappingProfileError(res, error, 'actualizar');
+    }
+  }
+
+  // 🗑️ Eliminar perfil de mapeo
+  async deleteMappingProfile(req, res) {
+    try {
+      await this.mappingProfileService.deleteProfile(req.params.profileId);
+      return successResponse(res, { id: req.params.profileId }, 'Perfil de mapeo eliminado');
+    } catch (error) {
+      return this.handleMappingProfileError(res, error, 'eliminar');
+    }
+  }
+
+  // ⚠️ Errores de perfiles: mapeo inválido, nombre repetido o perfil inexistente
+  handleMappingProfileError(res, error, action) {
+    console.error(`[UPLOAD] ❌ Error al ${action} perfil de mapeo:`, error);
+    if (error.message.startsWith('MAPEO_INVALIDO')) {
+      return errorResponse(res, 'MAPEO_INVALIDO', error.message.replace('MAPEO_INVALIDO: ', ''), 400);
+    }
+    if (error.code === 'P2002') {
+      return errorResponse(res, 'PERFIL_DUPLICADO', 'Ya existe un perfil de mapeo con ese nombre', 409);
+    }
+    if (error.code === 'P2025') {
+      return errorResponse(res, 'PERFIL_NO_ENCONTRADO', 'No existe un perfil de mapeo con ese id', 404);
+    }
+    return errorResponse(res, 'PERFIL_FALLIDO', error.message, 500);
+  }
+
   // 📊 Generar estadísticas del procesamiento
   async generateProcessingStats(insertResult) {
-    // Implementar estadísticas específicas
+    const attempted = insertResult.insertedRecords + insertResult.errorRecords;
     return {
-      successRate: Math.round((insertResult.insertedRecords / (insertResult.insertedRecords + insertResult.errorRecords)) * 100),
-      processingSpeed: insertResult.insertedRecords / (insertResult.processingTime / 1000), // registros por segundo
-      errorRate: Math.round((insertResult.errorRecords / (insertResult.insertedRecords + insertResult.errorRecords)) * 100)
+      successRate: attempted > 0 ? Math.round((insertResult.insertedRecords / attempted) * 100) : 100,
+      processingSpeed: insertResult.recordsPerSecond || 0, // registros por segundo medidos en la escritura
+      insertTime: insertResult.processingTime || 0,
+      errorRate: attempted > 0 ? Math.round((insertResult.errorRecords / attempted) * 100) : 0
     };
   }
 
@@ -515,6 +1630,10 @@ class UploadController {
       recommendations.push(`Verificar nombres de columnas: ${analysis.columnMapping.missing.join(', ')}`);
     }
     
+    if ((analysis.columnMapping.unmapped || []).length > 0) {
+      recommendations.push(`${analysis.columnMapping.unmapped.length} columnas sin asignar: use el asistente de mapeo para guardarlas en un perfil`);
+    }
+    
     if (analysis.totalRows > 5000) {
       recommendations.push('Archivo grande detectado - el procesamiento puede tomar varios minutos');
     }
@@ -527,7 +1646,7 @@ class UploadController {
   }
 
   // 📝 Generar próximos pasos
-  generateNextSteps(result, alerts) {
+  generateNextSteps(result, alerts, odometer, vehicles) {
     const steps = [];
     
     if (result.insertedRecords > 0) {
@@ -542,6 +1661,14 @@ class UploadController {
       steps.push(`Revisar ${result.errorRecords} registros con errores`);
     }
     
+    if (odometer?.warnings > 0) {
+      steps.push(`Revisar ${odometer.warnings} lecturas de kilometraje sospechosas en Vehículos`);
+    }
+    
+    if (vehicles?.unregistered > 0) {
+      steps.push(`Revisar ${vehicles.unregistered} placas sin registrar en Vehículos`);
+    }
+    
     return steps;
   }
 
@@ -0,0 +1,210 @@
+// 🚗 CONTROLADOR DE VEHÍCULOS
+// backend/src/controllers/vehicleController.js
+
+const OdometerService = require('../services/odometerService');
+const VehicleService = require('../services/vehicleService');
+const { successResponse, errorResponse } = require('../utils/responseUtils');
+
+// Códigos del servicio → estado HTTP
+const VEHICLE_ERROR_STATUS = {
+  VEHICULO_INVALIDO: 400,
+  VEHICULO_NO_ENCONTRADO: 404,
+  VEHICULO_DUPLICADO: 409
+};
+
+class VehicleController {
+  constructor() {
+    this.odometerService = new OdometerService();
+    this.vehicleService = new VehicleService();
+  }
+
+  // 📋 Listar vehículos del registro (búsqueda por placa, placa alterna, marca o modelo)
+  async getVehicles(req, res) {
+    try {
+      const result = await this.vehicleService.listVehicles({
+        search: req.query.search ? String(req.query.search) : undefined,
+        estado: req.query.estado ? String(req.query.estado).toUpperCase() : undefined,
+        contrato: req.query.contrato ? String(req.query.contrato) : undefined,
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 1000)
+      });
+      return successResponse(res, result, 'Vehículos obtenidos');
+    } catch (error) {
+      return this.handleVehicleError(res, error, 'listar');
+    }
+  }
+
+  // 🔍 Detalle de un vehículo
+  async getVehicle(req, res) {
+    try {
+      const vehicle = await this.vehicleService.getVehicle(req.params.vehicleId);
+      if (!vehicle) {
+        return errorResponse(res, 'VEHICULO_NO_ENCONTRADO', 'No existe un vehículo con ese id', 404);
+      }
+      return successResponse(res, vehicle, 'Vehículo obtenido');
+    } catch (error) {
+      return this.handleVehicleError(res, error, 'obtener');
+    }
+  }
+
+  // ➕ Registrar vehículo (se enlazan las inspecciones que ya tenían su placa)
+  async createVehicle(req, res) {
+    try {
+      const result = await this.vehicleService.createVehicle(this.readVehicleInput(req.body));
+      return successResponse(res, result, `Vehículo registrado, ${result.linkedInspections} inspecciones enlazadas`, 201);
+    } catch (error) {
+      return this.handleVehicleError(res, error, 'registrar');
+    }
+  }
+
+  // ✏️ Actualizar placa, tipo, marca, modelo, contrato o estado
+  async updateVehicle(req, res) {
+    try {
+      const { vehicle, plates } = await this.vehicleService.updateVehicle(
+        req.params.vehicleId,
+        this.readVehicleInput(req.body)
+      );
+      await this.refreshOdometer(plates);
+      return successResponse(res, vehicle, 'Vehículo actualizado');
+    } catch (error) {
+      return this.handleVehicleError(res, error, 'actualizar');
+    }
+  }
+
+  // ❓ Placas de inspecciones que no están en el registro, con sugerencias
+  async getUnregisteredPlates(req, res) {
+    try {
+      const result = await this.vehicleService.listUnregisteredPlates({
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500)
+      });
+      return successResponse(res, result, `${result.total} placas sin registrar`);
+    } catch (error) {
+      return this.handleVehicleError(res, error, 'listar placas sin registrar de');
+    }
+  }
+
+  // 🎯 Corregir una placa mal digitada asignándola a un vehículo registrado { vehicleId }
+  async assignPlate(req, res) {
+    try {
+      const result = await this.vehicleService.assignPlate(req.params.placa, req.body?.vehicleId, {
+        user: req.body?.user
+      });
+      await this.refreshOdometer(result.plates);
+      return successResponse(res, result,
+        `Placa corregida a ${result.vehicle.placa}, ${result.movedInspections} inspecciones reasignadas`);
+    } catch (error) {
+      return this.handleVehicleError(res, error, 'corregir placa de');
+    }
+  }
+
+  // 🔄 Enlazar inspecciones sin vehículo y registrar placas frecuentes
+  async syncVehicles(req, res) {
+    try {
+      const minInspections = parseInt(req.body?.minInspections);
+      const result = await this.vehicleService.syncRegistry(
+        minInspections > 0 ? { minInspections } : undefined
+      );
+      await this.refreshOdometer(result.plates);
+      return successResponse(res, result,
+        `${result.registered} vehículos registrados, ${result.linkedInspections} inspecciones enlazadas`);
+    } catch (error) {
+      return this.handleVehicleError(res, error, 'sincronizar');
+    }
+  }
+
+  // 🛣️ Listar advertencias de odómetro (por placa y tipo)
+  async getOdometerWarnings(req, res) {
+    try {
+      const tipo = req.query.tipo ? String(req.query.tipo).toUpperCase() : undefined;
+      if (tipo && !this.odometerService.warningTypes.includes(tipo)) {
+        return errorResponse(res, 'TIPO_INVALIDO',
+          `Tipo de advertencia no válido. Use: ${this.odometerService.warningTypes.join(', ')}`, 400);
+      }
+
+      const result = await this.odometerService.listWarnings({
+        placa: req.params.placa || req.query.placa,
+        tipo,
+        page: Math.max(parseInt(req.query.page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500)
+      });
+      return successResponse(res, result, 'Advertencias de odómetro obtenidas');
+
+    } catch (error) {
+      console.error('[VEHICLES] ❌ Error obteniendo advertencias de odómetro:', error);
+      return errorResponse(res, 'ODOMETRO_FALLIDO', error.message, 500);
+    }
+  }
+
+  // 📊 Conteo de advertencias de odómetro por placa
+  async getOdometerSummary(req, res) {
+    try {
+      const plates = await this.odometerService.getSummaryByPlate();
+      return successResponse(res, {
+        plates,
+        total: plates.reduce((sum, plate) => sum + plate.total, 0),
+        config: this.odometerService.config
+      }, 'Resumen de odómetro obtenido');
+
+    } catch (error) {
+      console.error('[VEHICLES] ❌ Error obteniendo resumen de odómetro:', error);
+      return errorResponse(res, 'ODOMETRO_FALLIDO', error.message, 500);
+    }
+  }
+
+  // 🔄 Recalcular advertencias de una placa o de toda la flota
+  async recheckOdometer(req, res) {
+    try {
+      const placa = req.body?.placa ? String(req.body.placa).trim().toUpperCase() : null;
+      console.log(`[VEHICLES] 🔄 Recalculando odómetro ${placa ? `de ${placa}` : 'de toda la flota'}...`);
+
+      const summary = placa
+        ? await this.odometerService.recheckPlates([placa])
+        : await this.odometerService.recheckAll();
+      return successResponse(res, summary, `${summary.warnings} advertencias en ${summary.plates} placas`);
+
+    } catch (error) {
+      console.error('[VEHICLES] ❌ Error recalculando odómetro:', error);
+      return errorResponse(res, 'ODOMETRO_FALLIDO', error.message, 500);
+    }
+  }
+
+  // 🧾 Campos editables del cuerpo de la petición
+  readVehicleInput(body = {}) {
+    return {
+      placa: body.placa,
+      type: body.type,
+      brand: body.brand,
+      model: body.model,
+      contract: body.contract,
+      status: body.status
+    };
+  }
+
+  // 🛣️ Las inspecciones que cambian de placa cambian el historial de odómetro de ambas placas
+  async refreshOdometer(plates) {
+    if (!plates || plates.length === 0) return;
+    try {
+      await this.odometerService.recheckPlates(plates);
+    } catch (error) {
+      console.error('[VEHICLES] ⚠️ No se pudo recalcular el odómetro:', error.message);
+    }
+  }
+
+  // ⚠️ Errores del registro de vehículos
+  handleVehicleError(res, error, action) {
+    console.error(`[VEHICLES] ❌ Error al ${action} vehículos:`, error);
+    const code = Object.keys(VEHICLE_ERROR_STATUS).find(prefix => error.message?.startsWith(prefix));
+    if (code) {
+      return errorResponse(res, code, error.message.replace(`${code}: `, ''), VEHICLE_ERROR_STATUS[code]);
+    }
+    if (error.code === 'P2002') {
+      return errorResponse(res, 'VEHICULO_DUPLICADO', 'Ya existe un vehículo o una inspección con esa placa', 409);
+    }
+    if (error.code === 'P2025') {
+      return errorResponse(res, 'VEHICULO_NO_ENCONTRADO', 'No existe un vehículo con ese id', 404);
+    }
+    return errorResponse(res, 'VEHICULOS_FALLIDO', error.message, 500);
+  }
+}
+
+module.exports = VehicleController;
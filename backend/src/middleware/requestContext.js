@@ -0,0 +1,41 @@
+// 🧵 MIDDLEWARE DE CONTEXTO DE LA SOLICITUD
+// backend/src/middleware/requestContext.js
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const storage = new AsyncLocalStorage();
+
+// Ids de solicitud aceptados desde el cliente o un proxy (el resto se reemplaza por uno nuevo)
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+// 🆔 Asignar un id a cada solicitud y dejarlo disponible, junto con la IP y el usuario,
+// para todo el código que se ejecute a partir de ella (incluidas las cargas en segundo plano)
+const requestContext = (req, res, next) => {
+  const incoming = String(req.get('x-request-id') || '');
+  const requestId = REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.requestId = requestId;
+  res.set('X-Request-Id', requestId);
+  storage.run({ requestId, req }, next);
+};
+
+// 📋 Contexto de la solicitud en curso (null fuera de una solicitud, p. ej. al iniciar el servidor).
+// El usuario se lee al consultar: en cargas multipart el cuerpo se procesa después de este middleware.
+const getRequestContext = () => {
+  const store = storage.getStore();
+  if (!store) return null;
+
+  const { req } = store;
+  const actor = req.get('x-user') || req.body?.user || req.body?.usuario || '';
+  return {
+    requestId: store.requestId,
+    ip: req.ip || null,
+    actor: String(actor).trim() || null
+  };
+};
+
+module.exports = {
+  requestContext,
+  getRequestContext
+};
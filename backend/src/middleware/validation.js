@@ -23,13 +23,13 @@ const validateExcelFile = (req, res, next) => {
   console.log(`[VALIDATION-MW] 📊 Archivo recibido: ${file.originalname} (${file.size} bytes)`);
   
   // ✅ VALIDACIÓN 1: Extensión del archivo
-  const allowedExtensions = /\.(xlsx|xls)$/i;
+  const allowedExtensions = /\.(xlsx|xls|csv)$/i;
   if (!allowedExtensions.test(file.originalname)) {
     console.log(`[VALIDATION-MW] ❌ Extensión inválida: ${file.originalname}`);
     return res.status(400).json({
       success: false,
       error: 'EXTENSION_INVALIDA',
-      message: 'Solo se permiten archivos Excel (.xlsx, .xls)'
+      message: 'Solo se permiten archivos Excel (.xlsx, .xls) o CSV (.csv)'
     });
   }
   
@@ -121,8 +121,51 @@ const handleMulterError = (error, req, res, next) => {
   next();
 };
 
+// 🔍 **VALIDACIÓN DE PARÁMETROS DE BÚSQUEDA**
+
+// Paginación y rango de fechas de las búsquedas de inspecciones
+const validateSearchParams = (req, res, next) => {
+  const { page, limit, fechaInicio, fechaFin } = req.query;
+  
+  if (page !== undefined && !(parseInt(page) >= 1)) {
+    return res.status(400).json({
+      success: false,
+      error: 'PARAMETRO_INVALIDO',
+      message: 'page debe ser un número mayor o igual a 1'
+    });
+  }
+  
+  if (limit !== undefined && !(parseInt(limit) >= 1 && parseInt(limit) <= 1000)) {
+    return res.status(400).json({
+      success: false,
+      error: 'PARAMETRO_INVALIDO',
+      message: 'limit debe estar entre 1 y 1000'
+    });
+  }
+  
+  const invalidDate = [fechaInicio, fechaFin].find(value => value && isNaN(new Date(value).getTime()));
+  if (invalidDate) {
+    return res.status(400).json({
+      success: false,
+      error: 'FECHA_INVALIDA',
+      message: `Fecha "${invalidDate}" no válida`
+    });
+  }
+  
+  if (fechaInicio && fechaFin && new Date(fechaInicio) > new Date(fechaFin)) {
+    return res.status(400).json({
+      success: false,
+      error: 'RANGO_FECHAS_INVALIDO',
+      message: 'fechaInicio debe ser anterior a fechaFin'
+    });
+  }
+  
+  next();
+};
+
 // 📤 **EXPORTACIONES SIMPLIFICADAS**
 module.exports = {
   validateExcelFile,
-  handleMulterError
+  handleMulterError,
+  validateSearchParams
 };
\ No newline at end of file
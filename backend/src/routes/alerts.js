@@ -0,0 +1,28 @@
+// 🚨 RUTAS DE ALERTAS
+// backend/src/routes/alerts.js
+
+const express = require('express');
+const AlertController = require('../controllers/alertController');
+
+const router = express.Router();
+const alertController = new AlertController();
+
+// 📋 GET /api/alerts - Alertas (filtros: estado, tipo, prioridad, asignadoA, search, fechaInicio, fechaFin)
+router.get('/', (req, res) => alertController.getAlerts(req, res));
+
+// 🔄 POST /api/alerts/sync - Generar alertas de inspecciones cargadas antes de la tabla
+router.post('/sync', (req, res) => alertController.syncAlerts(req, res));
+
+// 🔍 GET /api/alerts/:alertId - Detalle con seguimiento
+router.get('/:alertId', (req, res) => alertController.getAlert(req, res));
+
+// 👷 POST /api/alerts/:alertId/assign - Asignar a un supervisor { assignee, user }
+router.post('/:alertId/assign', (req, res) => alertController.assignAlert(req, res));
+
+// 💬 POST /api/alerts/:alertId/comments - Comentar { text, user }
+router.post('/:alertId/comments', (req, res) => alertController.addComment(req, res));
+
+// 🔀 POST /api/alerts/:alertId/status - Cambiar estado { status, correctiveAction, comment, user }
+router.post('/:alertId/status', (req, res) => alertController.changeStatus(req, res));
+
+module.exports = router;
@@ -0,0 +1,13 @@
+// 🧾 RUTAS DE AUDITORÍA
+// backend/src/routes/audit.js
+
+const express = require('express');
+const AuditController = require('../controllers/auditController');
+
+const router = express.Router();
+const auditController = new AuditController();
+
+// 📋 GET /api/audit - Cambios registrados (filtros: entidad, entidadId, actor, accion, fechaInicio, fechaFin)
+router.get('/', (req, res) => auditController.getEntries(req, res));
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// 📋 RUTAS DE PLANTILLAS DEL CHECKLIST
+// backend/src/routes/checklist.js
+
+const express = require('express');
+const ChecklistController = require('../controllers/checklistController');
+
+const router = express.Router();
+const checklistController = new ChecklistController();
+
+// 📋 GET /api/checklist/templates - Versiones de la plantilla con sus ítems
+router.get('/templates', (req, res) => checklistController.getTemplates(req, res));
+
+// ➕ POST /api/checklist/templates - Publicar una versión nueva { name?, description?, activate?, items }
+router.post('/templates', (req, res) => checklistController.createTemplate(req, res));
+
+// 🔍 GET /api/checklist/templates/:templateId - Detalle de una versión
+router.get('/templates/:templateId', (req, res) => checklistController.getTemplate(req, res));
+
+// ✅ PUT /api/checklist/templates/:templateId/activate - Marcar la versión como vigente
+router.put('/templates/:templateId/activate', (req, res) => checklistController.activateTemplate(req, res));
+
+module.exports = router;
@@ -0,0 +1,43 @@
+// 📑 RUTAS DE CONTRATOS Y CAMPOS
+// backend/src/routes/contracts.js
+
+const express = require('express');
+const ContractController = require('../controllers/contractController');
+
+const router = express.Router();
+const contractController = new ContractController();
+
+// 📋 GET /api/contracts - Contratos con sus campos y alias (filtros: search, estado)
+router.get('/', (req, res) => contractController.getContracts(req, res));
+
+// 🔀 POST /api/contracts/merge - Fusionar contratos { targetId, sourceIds }
+router.post('/merge', (req, res) => contractController.mergeContracts(req, res));
+
+// 🔄 POST /api/contracts/sync - Enlazar inspecciones sin contrato o campo canónico
+router.post('/sync', (req, res) => contractController.syncContracts(req, res));
+
+// ➕ POST /api/contracts - Crear contrato { name, status? }
+router.post('/', (req, res) => contractController.createContract(req, res));
+
+// 🔀 POST /api/contracts/fields/merge - Fusionar campos del mismo contrato { targetId, sourceIds }
+router.post('/fields/merge', (req, res) => contractController.mergeFields(req, res));
+
+// ✏️ PUT /api/contracts/fields/:fieldId - Actualizar campo
+router.put('/fields/:fieldId', (req, res) => contractController.updateField(req, res));
+
+// 🗑️ DELETE /api/contracts/fields/:fieldId - Eliminar campo sin inspecciones
+router.delete('/fields/:fieldId', (req, res) => contractController.deleteField(req, res));
+
+// 🔍 GET /api/contracts/:contractId - Detalle de contrato
+router.get('/:contractId', (req, res) => contractController.getContract(req, res));
+
+// ✏️ PUT /api/contracts/:contractId - Actualizar contrato
+router.put('/:contractId', (req, res) => contractController.updateContract(req, res));
+
+// 🗑️ DELETE /api/contracts/:contractId - Eliminar contrato sin inspecciones
+router.delete('/:contractId', (req, res) => contractController.deleteContract(req, res));
+
+// ➕ POST /api/contracts/:contractId/fields - Crear campo en el contrato { name, status? }
+router.post('/:contractId/fields', (req, res) => contractController.createField(req, res));
+
+module.exports = router;
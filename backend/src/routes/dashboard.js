@@ -4,11 +4,14 @@
 const express = require('express');
 const DashboardController = require('../controllers/dashboardController');
 const PDFReportService = require('../services/pdfReportService');
+const ContractService = require('../services/contractService');
 const rateLimit = require('express-rate-limit');
+const { formatDateKey, getDayRange } = require('../utils/dateUtils');
 
 const router = express.Router();
 const dashboardController = new DashboardController();
 const pdfReportService = new PDFReportService();
+const contractService = new ContractService();
 
 // 📊 Rate limiting para dashboard
 const dashboardLimiter = rateLimit({
@@ -74,7 +77,7 @@ router.get('/pdf/daily-report',
       console.log('[DASHBOARD-ROUTE] 📄 Generando reporte diario PDF...');
       
       const { 
-        fecha = new Date().toISOString().split('T')[0],
+        fecha = formatDateKey(new Date()),
         includeCharts = true,
         template = 'standard',
         contrato,
@@ -146,7 +149,7 @@ router.get('/pdf/executive-summary',
         includeProjections
       });
       
-      const filename = `HQ-FO-40_Resumen_Ejecutivo_${periodo}_${new Date().toISOString().split('T')[0]}.pdf`;
+      const filename = `HQ-FO-40_Resumen_Ejecutivo_${periodo}_${formatDateKey(new Date())}.pdf`;
       
       res.setHeader('Content-Type', 'application/pdf');
       res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
@@ -195,7 +198,7 @@ router.get('/pdf/fatigue-analysis',
         includeRecommendations
       });
       
-      const filename = `HQ-FO-40_Analisis_Fatiga_${periodo}_${new Date().toISOString().split('T')[0]}.pdf`;
+      const filename = `HQ-FO-40_Analisis_Fatiga_${periodo}_${formatDateKey(new Date())}.pdf`;
       
       res.setHeader('Content-Type', 'application/pdf');
       res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
@@ -259,7 +262,7 @@ router.post('/pdf/custom-report',
         logo
       });
       
-      const filename = `HQ-FO-40_${titulo.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.pdf`;
+      const filename = `HQ-FO-40_${titulo.replace(/\s+/g, '_')}_${formatDateKey(new Date())}.pdf`;
       
       res.setHeader('Content-Type', 'application/pdf');
       res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
@@ -299,12 +302,13 @@ router.get('/kpis',
       const startDate = new Date();
       startDate.setDate(startDate.getDate() - (periodo === '7days' ? 7 : periodo === '90days' ? 90 : 30));
       
-      const filters = { fecha: { gte: startDate, lte: endDate } };
-      if (contrato) filters.contrato = { contains: contrato, mode: 'insensitive' };
-      if (campo) filters.campo = { contains: campo, mode: 'insensitive' };
+      const filters = {
+        fecha: { gte: startDate, lte: endDate },
+        ...await contractService.buildInspectionFilter({ contrato, campo })
+      };
       
       const [totalInspecciones, alertasRojas, advertencias, puntajePromedio] = await Promise.all([
-        prisma.inspeccion.count({ where: filters }),
+        prisma.inspecciones.count({ where: filters }),
         0,
         0,
         { _avg: {} }
@@ -482,10 +486,8 @@ router.get('/widgets',
       const { getPrismaClient } = require('../config/database');
       const prisma = getPrismaClient();
       
-      // Obtener datos rápidos para widgets en paralelo
-      const today = new Date();
-      const startOfToday = new Date(today.setHours(0, 0, 0, 0));
-      const endOfToday = new Date(today.setHours(23, 59, 59, 999));
+      // Obtener datos rápidos para widgets en paralelo (el día de hoy en APP_TIMEZONE)
+      const { start: startOfToday, end: endOfToday } = getDayRange(new Date());
       
       const [
             inspeccionesHoy,
@@ -496,13 +498,13 @@ router.get('/widgets',
             ultimasAlertas,
             topProblemas
           ] = await Promise.all([
-            prisma.inspeccion.count({
+            prisma.inspecciones.count({
               where: { fecha: { gte: startOfToday, lte: endOfToday } }
             }),
             0,
             0,
             [],
-            prisma.inspeccion.findMany({
+            prisma.inspecciones.findMany({
               where: { fecha: { gte: startOfToday, lte: endOfToday } },
               select: { placa_vehiculo: true },
               distinct: ['placa_vehiculo']
@@ -0,0 +1,34 @@
+// 👨‍✈️ RUTAS DE CONDUCTORES
+// backend/src/routes/drivers.js
+
+const express = require('express');
+const DriverController = require('../controllers/driverController');
+
+const router = express.Router();
+const driverController = new DriverController();
+
+// 📋 GET /api/drivers - Conductores del maestro (filtros: search, estado)
+router.get('/', (req, res) => driverController.getDrivers(req, res));
+
+// 🔍 GET /api/drivers/duplicates - Posibles duplicados por similitud de nombre
+router.get('/duplicates', (req, res) => driverController.getDuplicateCandidates(req, res));
+
+// 🔀 POST /api/drivers/merge - Fusionar conductores { targetId, sourceIds }
+router.post('/merge', (req, res) => driverController.mergeDrivers(req, res));
+
+// 🔄 POST /api/drivers/sync - Enlazar inspecciones sin conductor
+router.post('/sync', (req, res) => driverController.syncDrivers(req, res));
+
+// ➕ POST /api/drivers - Registrar conductor
+router.post('/', (req, res) => driverController.createDriver(req, res));
+
+// 🔍 GET /api/drivers/:driverId - Detalle de conductor
+router.get('/:driverId', (req, res) => driverController.getDriver(req, res));
+
+// ✏️ PUT /api/drivers/:driverId - Actualizar conductor
+router.put('/:driverId', (req, res) => driverController.updateDriver(req, res));
+
+// 🩺 POST /api/drivers/:driverId/events - Evaluación médica o suspensión { type, date, description, result, until }
+router.post('/:driverId/events', (req, res) => driverController.addDriverEvent(req, res));
+
+module.exports = router;
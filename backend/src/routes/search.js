@@ -5,6 +5,8 @@ const express = require('express');
 const SearchController = require('../controllers/searchController');
 const { validateSearchParams } = require('../middleware/validation');
 const rateLimit = require('express-rate-limit');
+const { formatDateKey, startOfDay } = require('../utils/dateUtils');
+const ContractService = require('../services/contractService');
 
 const router = express.Router();
 const searchController = new SearchController();
@@ -48,6 +50,11 @@ router.get('/driver/:driverId',
   searchController.searchDriverHistory.bind(searchController)
 );
 
+// 🕓 GET /api/search/driver/:driverId/timeline - Línea de tiempo del conductor (maestro)
+router.get('/driver/:driverId/timeline',
+  searchController.getDriverTimeline.bind(searchController)
+);
+
 // 🚗 GET /api/search/vehicle/:placa - Historial específico de vehículo
 router.get('/vehicle/:placa',
   searchController.searchVehicleHistory.bind(searchController)
@@ -92,12 +99,14 @@ router.get('/trends', async (req, res) => {
         startDate.setDate(startDate.getDate() - 30);
     }
     
+    const desde = startOfDay(startDate);
+
     // Obtener tendencias por día
     const trends = await prisma.inspeccion.groupBy({
       by: ['fecha'],
       where: {
         fecha: {
-          gte: startDate,
+          gte: desde,
           lte: endDate
         }
       },
@@ -117,10 +126,15 @@ router.get('/trends', async (req, res) => {
       }
     });
     
-    // Procesar datos para el frontend
-    const processedTrends = trends.map(item => ({
-      fecha: item.fecha.toISOString().split('T')[0],
-      totalInspecciones: item._count.id,
+    // Procesar datos para el frontend: fecha guarda la hora exacta, se agrupa por día en la zona de la aplicación
+    const porDia = trends.reduce((acc, item) => {
+      const dia = formatDateKey(item.fecha);
+      acc[dia] = (acc[dia] || 0) + item._count.id;
+      return acc;
+    }, {});
+    const processedTrends = Object.entries(porDia).map(([fecha, total]) => ({
+      fecha,
+      totalInspecciones: total,
   // Eliminados: alertasRojas, advertencias, medicamentos, suenoInsuficiente, sintomasFatiga, noAptos, puntajePromedio, tasaAlertasRojas, tasaAdvertencias
     }));
     
@@ -131,8 +145,8 @@ router.get('/trends', async (req, res) => {
     
     const response = {
       periodo: {
-        inicio: startDate.toISOString().split('T')[0],
-        fin: endDate.toISOString().split('T')[0],
+        inicio: formatDateKey(desde),
+        fin: formatDateKey(endDate),
         dias: processedTrends.length
       },
       tendencias: processedTrends,
@@ -194,7 +208,7 @@ router.get('/summary/:type', async (req, res) => {
         summary = await this.getVehiculosSummary(prisma, timeframe, limit);
         break;
       case 'contratos':
-        summary = await this.getContratosSummary(prisma, timeframe, limit);
+        summary = await getContratosSummary(prisma, timeframe, limit);
         break;
       case 'fatiga':
           // Llamar correctamente al método del controlador
@@ -359,6 +373,7 @@ router.get('/test', (req, res) => {
       'GET /api/search/inspections - Búsqueda general',
       'POST /api/search/advanced - Búsqueda avanzada',
       'GET /api/search/driver/:id - Historial conductor',
+      'GET /api/search/driver/:id/timeline - Línea de tiempo del conductor',
       'GET /api/search/vehicle/:placa - Historial vehículo',
       'GET /api/search/alerts - Alertas activas',
       'GET /api/search/trends - Análisis tendencias',
@@ -414,12 +429,24 @@ async function getVehiculosSummary(prisma, timeframe, limit) {
   };
 }
 
+// 📑 Agrupado por contrato canónico: las variantes del nombre cuentan como un solo contrato
 async function getContratosSummary(prisma, timeframe, limit) {
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - (timeframe === '7days' ? 7 : timeframe === '90days' ? 90 : 30));
+  const top = parseInt(limit) || 10;
+
+  const rendimiento = await new ContractService().getContractPerformance({ fecha: { gte: cutoffDate } });
+  
   return {
-    rendimientoPorContrato: [],
-    problemasRecurrentes: [],
-    mejorDesempeno: [],
-    note: 'Implementación completa en desarrollo'
+    rendimientoPorContrato: rendimiento.slice(0, top),
+    problemasRecurrentes: rendimiento
+      .filter(contrato => contrato.criticalAlerts > 0)
+      .sort((a, b) => b.criticalAlerts - a.criticalAlerts)
+      .slice(0, top),
+    mejorDesempeno: rendimiento
+      .filter(contrato => contrato.contractId)
+      .sort((a, b) => b.efficiency - a.efficiency || b.averageScore - a.averageScore)
+      .slice(0, top)
   };
 }
 
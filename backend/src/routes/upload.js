@@ -26,13 +26,13 @@ const uploadLimiter = rateLimit({
   legacyHeaders: false
 });
 
-// 📁 Configuración de Multer para archivos Excel
+// 📁 Configuración de Multer para archivos Excel y CSV
 const upload = multer({
   storage: multer.memoryStorage(),
   fileFilter: (req, file, cb) => {
     console.log(`[UPLOAD-ROUTE] 📁 Archivo: ${file.originalname}, tipo: ${file.mimetype}`);
     
-    const allowedExtensions = /\.(xlsx|xls)$/i;
+    const allowedExtensions = /\.(xlsx|xls|csv)$/i;
     const hasValidExtension = allowedExtensions.test(file.originalname);
     
     if (hasValidExtension) {
@@ -40,7 +40,7 @@ const upload = multer({
       cb(null, true);
     } else {
       console.log(`[UPLOAD-ROUTE] ❌ Archivo rechazado: ${file.originalname}`);
-      cb(new Error('Solo se permiten archivos Excel (.xlsx, .xls)'), false);
+      cb(new Error('Solo se permiten archivos Excel (.xlsx, .xls) o CSV (.csv)'), false);
     }
   },
   limits: {
@@ -66,7 +66,7 @@ router.post('/validate',
   (req, res) => uploadController.validateExcel(req, res)
 );
 
-// 🚀 POST /api/upload/process - Procesar archivo Excel
+// 🚀 POST /api/upload/process - Encolar procesamiento de archivo Excel (202 + jobId)
 router.post('/process', 
   uploadLimiter,
   upload.single('file'),
@@ -75,18 +75,57 @@ router.post('/process',
   (req, res) => uploadController.uploadExcel(req, res)
 );
 
+// ⏳ GET /api/upload/progress/:jobId - Progreso de un trabajo de carga
+router.get('/progress/:jobId', (req, res) => uploadController.getUploadProgress(req, res));
+
+// 🔁 GET /api/upload/jobs/resume - Retomar trabajos en cola o abandonados (cron de la plataforma)
+router.get('/jobs/resume', (req, res) => uploadController.resumeJobs(req, res));
+
 // 📊 GET /api/upload/history - Obtener historial
 router.get('/history', (req, res) => uploadController.getUploadHistory(req, res));
 
 // 📊 GET /api/upload/stats - Obtener estadísticas
 router.get('/stats', (req, res) => uploadController.getUploadStats(req, res));
 
-// 📋 GET /api/upload/template - Obtener plantilla
+// 📋 GET /api/upload/template - Descargar plantilla .xlsx
 router.get('/template', (req, res) => uploadController.getExcelTemplate(req, res));
 
+// ℹ️ GET /api/upload/template/info - Columnas y descripción de la plantilla
+router.get('/template/info', (req, res) => uploadController.getExcelTemplateInfo(req, res));
+
+// 🗺️ GET /api/upload/profiles - Perfiles de mapeo de columnas
+router.get('/profiles', (req, res) => uploadController.getMappingProfiles(req, res));
+
+// 🏷️ GET /api/upload/profiles/fields - Campos a los que se puede asignar una columna
+router.get('/profiles/fields', (req, res) => uploadController.getMappableFields(req, res));
+
+// ➕ POST /api/upload/profiles - Guardar un perfil de mapeo ({ name, mapping: { encabezado: campo | null } })
+router.post('/profiles', (req, res) => uploadController.createMappingProfile(req, res));
+
+// ✏️ PUT /api/upload/profiles/:profileId - Actualizar un perfil de mapeo
+router.put('/profiles/:profileId', (req, res) => uploadController.updateMappingProfile(req, res));
+
+// 🗑️ DELETE /api/upload/profiles/:profileId - Eliminar un perfil de mapeo
+router.delete('/profiles/:profileId', (req, res) => uploadController.deleteMappingProfile(req, res));
+
+// 🧪 GET /api/upload/quarantine - Filas rechazadas en cuarentena (?uploadId, ?status)
+router.get('/quarantine', (req, res) => uploadController.getQuarantine(req, res));
+
+// ✅ POST /api/upload/quarantine/:rowId/validate - Validar una corrección sin guardarla
+router.post('/quarantine/:rowId/validate', (req, res) => uploadController.validateQuarantineRow(req, res));
+
+// 🔁 POST /api/upload/quarantine/:rowId/resubmit - Guardar corrección e insertar la fila
+router.post('/quarantine/:rowId/resubmit', (req, res) => uploadController.resubmitQuarantineRow(req, res));
+
+// 🗑️ POST /api/upload/quarantine/:rowId/discard - Descartar la fila
+router.post('/quarantine/:rowId/discard', (req, res) => uploadController.discardQuarantineRow(req, res));
+
 // 🔍 GET /api/upload/:uploadId - Obtener detalles de upload
 router.get('/:uploadId', (req, res) => uploadController.getUploadDetails(req, res));
 
+// 🚫 GET /api/upload/:uploadId/rejected - Descargar filas rechazadas anotadas (.xlsx)
+router.get('/:uploadId/rejected', (req, res) => uploadController.getRejectedRows(req, res));
+
 // 🗑️ POST /api/upload/:uploadId/revert - Revertir upload
 router.post('/:uploadId/revert', 
   uploadLimiter,
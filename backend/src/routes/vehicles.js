@@ -0,0 +1,43 @@
+// 🛣️ RUTAS DE VEHÍCULOS
+// backend/src/routes/vehicles.js
+
+const express = require('express');
+const VehicleController = require('../controllers/vehicleController');
+
+const router = express.Router();
+const vehicleController = new VehicleController();
+
+// 📋 GET /api/vehicles - Vehículos del registro (filtros: search, estado, contrato)
+router.get('/', (req, res) => vehicleController.getVehicles(req, res));
+
+// ❓ GET /api/vehicles/unregistered - Placas de inspecciones sin vehículo, con sugerencias
+router.get('/unregistered', (req, res) => vehicleController.getUnregisteredPlates(req, res));
+
+// 🎯 POST /api/vehicles/unregistered/:placa/assign - Corregir placa a un vehículo { vehicleId }
+router.post('/unregistered/:placa/assign', (req, res) => vehicleController.assignPlate(req, res));
+
+// 🔄 POST /api/vehicles/sync - Enlazar inspecciones y registrar placas frecuentes { minInspections? }
+router.post('/sync', (req, res) => vehicleController.syncVehicles(req, res));
+
+// ➕ POST /api/vehicles - Registrar vehículo
+router.post('/', (req, res) => vehicleController.createVehicle(req, res));
+
+// 🛣️ GET /api/vehicles/odometer-warnings - Advertencias de kilometraje (filtros: placa, tipo)
+router.get('/odometer-warnings', (req, res) => vehicleController.getOdometerWarnings(req, res));
+
+// 📊 GET /api/vehicles/odometer-warnings/summary - Advertencias por placa
+router.get('/odometer-warnings/summary', (req, res) => vehicleController.getOdometerSummary(req, res));
+
+// 🔄 POST /api/vehicles/odometer-warnings/recheck - Recalcular una placa o toda la flota
+router.post('/odometer-warnings/recheck', (req, res) => vehicleController.recheckOdometer(req, res));
+
+// 🚗 GET /api/vehicles/:placa/odometer-warnings - Advertencias de un vehículo
+router.get('/:placa/odometer-warnings', (req, res) => vehicleController.getOdometerWarnings(req, res));
+
+// 🔍 GET /api/vehicles/:vehicleId - Detalle de vehículo
+router.get('/:vehicleId', (req, res) => vehicleController.getVehicle(req, res));
+
+// ✏️ PUT /api/vehicles/:vehicleId - Actualizar vehículo
+router.put('/:vehicleId', (req, res) => vehicleController.updateVehicle(req, res));
+
+module.exports = router;
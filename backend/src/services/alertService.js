@@ -0,0 +1,477 @@
+// 📄 ARCHIVO: backend/src/services/alertService.js
+// 🚨 Alertas de las inspecciones: generación al importar y flujo ACTIVA → EN_REVISION → RESUELTA
+
+const { getPrismaClient } = require('../config/database');
+const { CHECKLIST_RESULTS, FATIGUE_ITEMS } = require('../config/checklistItems');
+const { startOfDay, endOfDay } = require('../utils/dateUtils');
+const DriverTimelineService = require('./driverTimelineService');
+const AuditService = require('./auditService');
+const { AUDIT_ACTIONS } = require('./auditService');
+
+const ALERT_TYPES = ['CRITICA', 'ADVERTENCIA'];
+const ALERT_PRIORITIES = ['ALTA', 'MEDIA', 'BAJA'];
+const ALERT_STATES = ['ACTIVA', 'EN_REVISION', 'RESUELTA'];
+
+// Estados a los que puede pasar cada estado (devolver a ACTIVA libera la revisión; reabrir vuelve a EN_REVISION)
+const ALERT_TRANSITIONS = {
+  ACTIVA: ['EN_REVISION'],
+  EN_REVISION: ['RESUELTA', 'ACTIVA'],
+  RESUELTA: ['EN_REVISION']
+};
+
+// Entradas del seguimiento de una alerta
+const FOLLOW_UP_TYPES = {
+  COMENTARIO: 'COMENTARIO',
+  ASIGNACION: 'ASIGNACION',
+  CAMBIO_ESTADO: 'CAMBIO_ESTADO'
+};
+
+// Prioridad de una advertencia según el nivel de riesgo de la inspección
+const WARNING_PRIORITY = { ALTO: 'ALTA', MEDIO: 'MEDIA', BAJO: 'BAJA' };
+
+// Alertas que una sincronización puede eliminar: nadie las tomó ni las comentó
+const REMOVABLE_ALERT_WHERE = { estado: 'ACTIVA', asignado_a: null, seguimiento: { none: {} } };
+
+// Inspecciones revisadas por transacción
+const INSPECTION_CHUNK_SIZE = 500;
+
+const INSPECTION_SELECT = {
+  id: true,
+  fecha: true,
+  placa_vehiculo: true,
+  conductor_nombre: true,
+  conductor_id: true,
+  contrato: true,
+  nivel_riesgo: true,
+  puntaje_total: true,
+  tiene_alertas_criticas: true,
+  ...Object.fromEntries(FATIGUE_ITEMS.map(item => [item.field, true]))
+};
+
+class AlertService {
+  constructor() {
+    this.prisma = getPrismaClient();
+    this.timelineService = new DriverTimelineService();
+    this.auditService = new AuditService();
+    this.types = ALERT_TYPES;
+    this.priorities = ALERT_PRIORITIES;
+    this.states = ALERT_STATES;
+  }
+
+  // 🧾 Alerta que corresponde a una inspección guardada (null si no requiere seguimiento).
+  // CRITICA: ítems críticos que no cumplen o riesgo de fatiga; ADVERTENCIA: riesgo medio/alto o alguna respuesta de fatiga desfavorable.
+  buildAlert(inspection) {
+    const fatigue = this.timelineService.getFatigueFlags(inspection);
+    const failed = (inspection.items || []).map(item => ({
+      campo: item.campo,
+      encabezado: item.item?.encabezado || item.campo,
+      critico: Boolean(item.item?.is_critical)
+    }));
+    const failedCritical = failed.filter(item => item.critico);
+
+    let tipo;
+    let prioridad;
+    if (inspection.tiene_alertas_criticas) {
+      tipo = 'CRITICA';
+      prioridad = 'ALTA';
+    } else if (inspection.nivel_riesgo !== 'BAJO' || fatigue.length > 0) {
+      tipo = 'ADVERTENCIA';
+      prioridad = WARNING_PRIORITY[inspection.nivel_riesgo] || 'BAJA';
+    } else {
+      return null;
+    }
+
+    const reasons = [];
+    if (failedCritical.length > 0) {
+      reasons.push(`ítems críticos que no cumplen: ${failedCritical.map(item => item.encabezado).join(', ')}`);
+    } else if (failed.length > 0) {
+      reasons.push(`${failed.length} ítem(s) que no cumplen`);
+    }
+    if (fatigue.length > 0) reasons.push(this.timelineService.describeFatigue(fatigue));
+
+    return {
+      tipo,
+      prioridad,
+      descripcion: reasons.length > 0
+        ? `${inspection.placa_vehiculo}: ${reasons.join('; ')}`
+        : `${inspection.placa_vehiculo}: riesgo ${String(inspection.nivel_riesgo).toLowerCase()}`,
+      detalle: {
+        nivelRiesgo: inspection.nivel_riesgo,
+        puntaje: inspection.puntaje_total,
+        itemsNoCumplen: failed,
+        fatiga: fatigue
+      }
+    };
+  }
+
+  // 🔄 Crear o actualizar las alertas de las inspecciones indicadas (nuevas o reescritas).
+  // Una alerta ya en seguimiento conserva su estado; una ACTIVA sin asignar que ya no aplica se elimina.
+  async syncInspections(inspectionIds) {
+    const ids = [...new Set((inspectionIds || []).filter(Boolean))];
+    const summary = { inspections: ids.length, created: 0, updated: 0, removed: 0 };
+
+    for (let i = 0; i < ids.length; i += INSPECTION_CHUNK_SIZE) {
+      const chunk = ids.slice(i, i + INSPECTION_CHUNK_SIZE);
+      const inspections = await this.prisma.inspecciones.findMany({
+        where: { id: { in: chunk } },
+        select: {
+          ...INSPECTION_SELECT,
+          items: {
+            where: { resultado: CHECKLIST_RESULTS.NO_CUMPLE },
+            select: { campo: true, item: { select: { encabezado: true, is_critical: true } } }
+          },
+          alerta: true
+        }
+      });
+
+      const creates = [];
+      const updates = [];
+      const removals = [];
+      inspections.forEach(inspection => {
+        const alert = this.buildAlert(inspection);
+        const existing = inspection.alerta;
+        if (alert && !existing) {
+          creates.push({ inspeccion_id: inspection.id, ...alert });
+        } else if (alert) {
+          updates.push({ existing, data: alert });
+        } else if (existing && existing.estado === 'ACTIVA' && !existing.asignado_a) {
+          removals.push(existing);
+        }
+      });
+
+      const byId = new Map(inspections.map(inspection => [inspection.id, inspection]));
+      const removed = await this.prisma.$transaction(async (tx) => {
+        await tx.alertas.createMany({ data: creates, skipDuplicates: true });
+        const createdAlerts = creates.length > 0
+          ? await tx.alertas.findMany({ where: { inspeccion_id: { in: creates.map(alert => alert.inspeccion_id) } } })
+          : [];
+        const updatedAlerts = [];
+        for (const { existing, data } of updates) {
+          updatedAlerts.push({ existing, updated: await tx.alertas.update({ where: { id: existing.id }, data }) });
+        }
+        // La alerta leída antes de la transacción pudo asignarse o comentarse desde entonces:
+        // solo se elimina si sigue sin tomar, y solo las eliminadas salen de la línea de tiempo y la auditoría
+        const removedAlerts = [];
+        for (const alert of removals) {
+          const { count } = await tx.alertas.deleteMany({ where: { id: alert.id, ...REMOVABLE_ALERT_WHERE } });
+          if (count > 0) removedAlerts.push(alert);
+        }
+
+        // 🕓 Toda alerta nueva, crítica o advertencia, queda en la línea de tiempo del conductor;
+        // la de una alerta eliminada sale con ella
+        const events = createdAlerts
+          .map(alert => ({ alert, inspection: byId.get(alert.inspeccion_id) }))
+          .filter(({ inspection }) => inspection?.conductor_id)
+          .map(({ alert, inspection }) => this.timelineService.buildAlertEvent(alert, inspection));
+        if (events.length > 0) {
+          await tx.historial_conductores.createMany({ data: events });
+        }
+        if (removedAlerts.length > 0) {
+          await tx.historial_conductores.deleteMany({
+            where: { inspeccion_id: { in: removedAlerts.map(alert => alert.inspeccion_id) }, tipo: 'ALERTA_GENERADA' }
+          });
+        }
+
+        await this.auditSync(tx, createdAlerts, updatedAlerts, removedAlerts);
+        return removedAlerts.length;
+      }, { maxWait: 10000, timeout: 60000 });
+      summary.created += creates.length;
+      summary.updated += updates.length;
+      summary.removed += removed;
+    }
+
+    if (summary.created > 0 || summary.removed > 0) {
+      console.log(`[ALERTAS] 🚨 ${summary.created} alertas nuevas, ${summary.updated} actualizadas, ${summary.removed} eliminadas`);
+    }
+    return summary;
+  }
+
+  // 🧾 Auditoría de una sincronización: alertas creadas, las que cambiaron y las eliminadas
+  async auditSync(tx, created, updates, removals) {
+    await this.auditService.recordMany([
+      ...created.map(alert => ({ accion: AUDIT_ACTIONS.CREAR, entidad: 'alertas', entidadId: alert.id, despues: alert })),
+      ...updates
+        .filter(({ existing, updated }) => this.auditService.diff(
+          this.auditService.toJson(existing), this.auditService.toJson(updated)
+        ).length > 0)
+        .map(({ existing, updated }) => ({
+          accion: AUDIT_ACTIONS.ACTUALIZAR, entidad: 'alertas', entidadId: existing.id, antes: existing, despues: updated
+        })),
+      ...removals.map(alert => ({ accion: AUDIT_ACTIONS.ELIMINAR, entidad: 'alertas', entidadId: alert.id, antes: alert }))
+    ], tx);
+  }
+
+  // 🧩 Generar las alertas de inspecciones cargadas antes de existir la tabla
+  async syncMissingInspections() {
+    const summary = { inspections: 0, created: 0 };
+    const where = {
+      alerta: { is: null },
+      OR: [
+        { tiene_alertas_criticas: true },
+        { nivel_riesgo: { not: 'BAJO' } },
+        ...FATIGUE_ITEMS.map(item => ({ [item.field]: !item.defaultValue }))
+      ]
+    };
+    for (;;) {
+      const pending = await this.prisma.inspecciones.findMany({ where, select: { id: true }, take: INSPECTION_CHUNK_SIZE });
+      if (pending.length === 0) break;
+
+      const result = await this.syncInspections(pending.map(row => row.id));
+      summary.inspections += result.inspections;
+      summary.created += result.created;
+      // Toda inspección del filtro genera su alerta
+      if (result.created === 0) break;
+    }
+    return summary;
+  }
+
+  // 📋 Alertas con filtros (estado, tipo, prioridad, responsable, texto y rango de días), la más reciente primero
+  async listAlerts({ estado, tipo, prioridad, asignadoA, search, from, to, page = 1, limit = 50 } = {}) {
+    const inspectionWhere = {};
+    if (search) {
+      inspectionWhere.OR = [
+        { placa_vehiculo: { contains: search, mode: 'insensitive' } },
+        { conductor_nombre: { contains: search, mode: 'insensitive' } },
+        { contrato: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+    if (from || to) {
+      inspectionWhere.fecha = {};
+      if (from) inspectionWhere.fecha.gte = startOfDay(from);
+      if (to) inspectionWhere.fecha.lte = endOfDay(to);
+    }
+
+    // Contadores: por estado sin filtrar estado, tipo ni prioridad; por tipo solo dentro de los estados pedidos
+    const baseWhere = Object.keys(inspectionWhere).length > 0 ? { inspeccion: inspectionWhere } : {};
+    if (asignadoA) baseWhere.asignado_a = asignadoA;
+    const where = { ...baseWhere };
+    if (estado && estado.length > 0) where.estado = { in: estado };
+    if (tipo) where.tipo = tipo;
+    if (prioridad) where.prioridad = prioridad;
+
+    const [total, alerts, byState, byType] = await Promise.all([
+      this.prisma.alertas.count({ where }),
+      this.prisma.alertas.findMany({
+        where,
+        orderBy: [{ inspeccion: { fecha: 'desc' } }, { createdAt: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit,
+        include: { inspeccion: { select: INSPECTION_SELECT } }
+      }),
+      this.prisma.alertas.groupBy({ by: ['estado'], where: baseWhere, _count: { id: true } }),
+      this.prisma.alertas.groupBy({ by: ['tipo'], where: { ...baseWhere, estado: where.estado }, _count: { id: true } })
+    ]);
+
+    const countOf = (rows, field, value) => rows.find(row => row[field] === value)?._count.id || 0;
+    return {
+      alerts: alerts.map(alert => this.toPublicAlert(alert)),
+      summary: {
+        byState: Object.fromEntries(ALERT_STATES.map(state => [state, countOf(byState, 'estado', state)])),
+        byType: Object.fromEntries(ALERT_TYPES.map(type => [type, countOf(byType, 'tipo', type)]))
+      },
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  // 🔍 Alerta con su seguimiento completo
+  async getAlert(alertId) {
+    const alert = await this.prisma.alertas.findUnique({
+      where: { id: alertId },
+      include: {
+        inspeccion: { select: INSPECTION_SELECT },
+        seguimiento: { orderBy: { createdAt: 'asc' } }
+      }
+    });
+    if (!alert) throw new Error('ALERTA_NO_ENCONTRADA: No existe una alerta con ese id');
+    return this.toPublicAlert(alert);
+  }
+
+  async findAlert(alertId) {
+    const alert = await this.prisma.alertas.findUnique({
+      where: { id: alertId },
+      include: { inspeccion: { select: INSPECTION_SELECT } }
+    });
+    if (!alert) throw new Error('ALERTA_NO_ENCONTRADA: No existe una alerta con ese id');
+    return alert;
+  }
+
+  // 👷 Asignar la alerta a un supervisor
+  async assignAlert(alertId, { assignee, user }) {
+    const supervisor = String(assignee || '').trim();
+    if (!supervisor) throw new Error('ALERTA_INVALIDA: indique el supervisor responsable');
+
+    const alert = await this.findAlert(alertId);
+    if (alert.estado === 'RESUELTA') {
+      throw new Error('TRANSICION_INVALIDA: una alerta resuelta no se reasigna; reábrala primero');
+    }
+
+    await this.prisma.$transaction(async (tx) => {
+      await this.updateIfUnchanged(tx, alert, { asignado_a: supervisor, fecha_asignacion: new Date() });
+      await tx.alertas_seguimiento.create({
+        data: {
+          alerta_id: alertId,
+          tipo: FOLLOW_UP_TYPES.ASIGNACION,
+          autor: user,
+          texto: alert.asignado_a ? `Reasignada de ${alert.asignado_a} a ${supervisor}` : `Asignada a ${supervisor}`
+        }
+      });
+      const updated = await tx.alertas.findUnique({ where: { id: alertId } });
+      await this.auditChange(tx, AUDIT_ACTIONS.ASIGNAR, alert, updated, user);
+    });
+    console.log(`[ALERTAS] 👷 Alerta ${alertId} asignada a ${supervisor} por ${user}`);
+    return this.getAlert(alertId);
+  }
+
+  // 💬 Agregar un comentario al seguimiento
+  async addComment(alertId, { text, user }) {
+    const texto = String(text || '').trim();
+    if (!texto) throw new Error('ALERTA_INVALIDA: el comentario está vacío');
+
+    await this.findAlert(alertId);
+    await this.prisma.$transaction(async (tx) => {
+      const entry = await tx.alertas_seguimiento.create({
+        data: { alerta_id: alertId, tipo: FOLLOW_UP_TYPES.COMENTARIO, autor: user, texto }
+      });
+      await this.auditService.record({
+        accion: AUDIT_ACTIONS.COMENTAR, entidad: 'alertas', entidadId: alertId, despues: entry, actor: user
+      }, tx);
+    });
+    return this.getAlert(alertId);
+  }
+
+  // 🔀 Cambiar el estado de la alerta. Resolverla exige la acción correctiva tomada.
+  async changeStatus(alertId, { status, correctiveAction, comment, user }) {
+    const estado = String(status || '').toUpperCase();
+    if (!ALERT_STATES.includes(estado)) {
+      throw new Error(`ALERTA_INVALIDA: estado "${status}" no válido (${ALERT_STATES.join(', ')})`);
+    }
+
+    const alert = await this.findAlert(alertId);
+    if (!ALERT_TRANSITIONS[alert.estado].includes(estado)) {
+      throw new Error(`TRANSICION_INVALIDA: una alerta ${alert.estado} no puede pasar a ${estado}`);
+    }
+
+    const accion = String(correctiveAction || '').trim();
+    if (estado === 'RESUELTA' && !accion) {
+      throw new Error('ALERTA_INVALIDA: indique la acción correctiva tomada para resolver la alerta');
+    }
+
+    const now = new Date();
+    const data = { estado };
+    if (estado === 'EN_REVISION') {
+      data.fecha_revision = now;
+      // Quien toma la alerta en revisión queda como responsable si no había uno
+      if (!alert.asignado_a) {
+        data.asignado_a = user;
+        data.fecha_asignacion = now;
+      }
+    }
+    if (estado === 'RESUELTA') {
+      data.fecha_resolucion = now;
+      data.resuelto_por = user;
+      data.accion_correctiva = accion;
+    } else {
+      data.fecha_resolucion = null;
+      data.resuelto_por = null;
+      data.accion_correctiva = null;
+    }
+
+    const note = String(comment || '').trim();
+    await this.prisma.$transaction(async (tx) => {
+      await this.updateIfUnchanged(tx, alert, data);
+      await tx.alertas_seguimiento.create({
+        data: {
+          alerta_id: alertId,
+          tipo: FOLLOW_UP_TYPES.CAMBIO_ESTADO,
+          autor: user,
+          texto: [estado === 'RESUELTA' ? `Acción correctiva: ${accion}` : '', note].filter(Boolean).join('. '),
+          estado_anterior: alert.estado,
+          estado_nuevo: estado
+        }
+      });
+      const updated = await tx.alertas.findUnique({ where: { id: alertId } });
+      await this.auditChange(tx, AUDIT_ACTIONS.CAMBIAR_ESTADO, alert, updated, user);
+    });
+    console.log(`[ALERTAS] 🔀 Alerta ${alertId}: ${alert.estado} → ${estado} por ${user}`);
+
+    if (estado === 'RESUELTA' && alert.inspeccion.conductor_id) {
+      await this.recordResolution(alert, accion, user, now);
+    }
+    return this.getAlert(alertId);
+  }
+
+  // 🔒 Escribir la alerta solo si conserva el estado y el responsable con que se leyó: de dos
+  // asignaciones o cambios de estado simultáneos solo uno escribe y deja seguimiento
+  async updateIfUnchanged(tx, alert, data) {
+    const { count } = await tx.alertas.updateMany({
+      where: { id: alert.id, estado: alert.estado, asignado_a: alert.asignado_a },
+      data
+    });
+    if (count !== 1) {
+      throw new Error('ALERTA_MODIFICADA: la alerta cambió mientras se procesaba la solicitud; recárguela e intente de nuevo');
+    }
+  }
+
+  // 🧾 Auditoría de un cambio del flujo (sin la inspección que se incluye al consultar la alerta)
+  async auditChange(tx, accion, alert, updated, user) {
+    await this.auditService.record({
+      accion, entidad: 'alertas', entidadId: alert.id, antes: { ...alert, inspeccion: undefined }, despues: updated, actor: user
+    }, tx);
+  }
+
+  // 🕓 La resolución queda en la línea de tiempo del conductor; un fallo no revierte el cambio de estado
+  async recordResolution(alert, accion, user, fecha) {
+    try {
+      await this.timelineService.recordEvent({
+        conductorId: alert.inspeccion.conductor_id,
+        tipo: 'ALERTA_RESUELTA',
+        fecha,
+        descripcion: `${alert.tipo === 'CRITICA' ? 'Alerta crítica' : 'Advertencia'} de ${alert.inspeccion.placa_vehiculo} resuelta: ${accion}`,
+        detalle: { alertaId: alert.id, tipo: alert.tipo, accionCorrectiva: accion },
+        inspeccionId: alert.inspeccion_id,
+        user
+      });
+    } catch (error) {
+      console.error('[ALERTAS] ⚠️ No se pudo registrar la resolución en el historial del conductor:', error.message);
+    }
+  }
+
+  // 📤 Alerta para el frontend
+  toPublicAlert(alert) {
+    const inspection = alert.inspeccion;
+    return {
+      id: alert.id,
+      inspectionId: alert.inspeccion_id,
+      type: alert.tipo,
+      priority: alert.prioridad,
+      status: alert.estado,
+      description: alert.descripcion,
+      details: alert.detalle,
+      date: inspection.fecha,
+      driver: inspection.conductor_nombre,
+      driverId: inspection.conductor_id,
+      plate: inspection.placa_vehiculo,
+      contract: inspection.contrato,
+      assignedTo: alert.asignado_a,
+      assignedAt: alert.fecha_asignacion,
+      reviewStartedAt: alert.fecha_revision,
+      resolvedAt: alert.fecha_resolucion,
+      resolvedBy: alert.resuelto_por,
+      correctiveAction: alert.accion_correctiva,
+      nextStates: ALERT_TRANSITIONS[alert.estado],
+      followUp: alert.seguimiento?.map(entry => ({
+        id: entry.id,
+        type: entry.tipo,
+        author: entry.autor,
+        text: entry.texto,
+        fromStatus: entry.estado_anterior,
+        toStatus: entry.estado_nuevo,
+        createdAt: entry.createdAt
+      })),
+      createdAt: alert.createdAt,
+      updatedAt: alert.updatedAt
+    };
+  }
+}
+
+module.exports = AlertService;
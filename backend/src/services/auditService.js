@@ -0,0 +1,139 @@
+// 📄 ARCHIVO: backend/src/services/auditService.js
+// 🧾 Auditoría de escrituras: quién cambió qué, con la fila antes y después, desde qué solicitud e IP
+
+const { getPrismaClient } = require('../config/database');
+const { getRequestContext } = require('../middleware/requestContext');
+const { startOfDay, endOfDay } = require('../utils/dateUtils');
+
+const AUDIT_ACTIONS = {
+  CREAR: 'CREAR',
+  ACTUALIZAR: 'ACTUALIZAR',
+  ELIMINAR: 'ELIMINAR',
+  REVERTIR: 'REVERTIR',
+  ASIGNAR: 'ASIGNAR',
+  COMENTAR: 'COMENTAR',
+  CAMBIAR_ESTADO: 'CAMBIAR_ESTADO',
+  FUSIONAR: 'FUSIONAR',
+  ACTIVAR: 'ACTIVAR'
+};
+
+// Campos que cambian en toda escritura y no aportan al comparar versiones
+const IGNORED_DIFF_FIELDS = ['createdAt', 'updatedAt'];
+
+// Entradas escritas por consulta
+const ENTRY_CHUNK_SIZE = 500;
+
+class AuditService {
+  constructor() {
+    this.prisma = getPrismaClient();
+    this.actions = Object.values(AUDIT_ACTIONS);
+  }
+
+  // 🧾 Entrada de auditoría con el usuario, el id de solicitud y la IP de la solicitud en curso
+  buildEntry({ accion, entidad, entidadId = null, antes, despues, actor }) {
+    const context = getRequestContext();
+    return {
+      actor: String(actor || context?.actor || 'sistema').trim(),
+      accion,
+      entidad,
+      entidad_id: entidadId ? String(entidadId) : null,
+      antes: this.toJson(antes),
+      despues: this.toJson(despues),
+      request_id: context?.requestId || null,
+      ip: context?.ip || null
+    };
+  }
+
+  // 🔢 Fila serializable a JSON (marca_temporal es BigInt); Prisma no acepta null en campos Json opcionales
+  toJson(value) {
+    if (value === null || value === undefined) return undefined;
+    return JSON.parse(JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item)));
+  }
+
+  // ✍️ Registrar cambios con el cliente de la transacción que los escribe: si la auditoría falla, la escritura se revierte
+  async record(change, client = this.prisma) {
+    return this.recordMany([change], client);
+  }
+
+  async recordMany(changes, client = this.prisma) {
+    const entries = (changes || []).map(change => this.buildEntry(change));
+    for (let i = 0; i < entries.length; i += ENTRY_CHUNK_SIZE) {
+      await client.auditoria.createMany({ data: entries.slice(i, i + ENTRY_CHUNK_SIZE) });
+    }
+    return entries.length;
+  }
+
+  // 🔀 Reasignar inspecciones en bloque (fusiones, correcciones de placa, sincronizaciones) con una
+  // entrada por inspección: los campos que cambian, antes y después. Devuelve cuántas se reasignaron.
+  async reassignInspections(tx, where, data, { actor } = {}) {
+    const select = Object.fromEntries(['id', ...Object.keys(data)].map(field => [field, true]));
+    const rows = await tx.inspecciones.findMany({ where, select });
+    for (let i = 0; i < rows.length; i += ENTRY_CHUNK_SIZE) {
+      const chunk = rows.slice(i, i + ENTRY_CHUNK_SIZE);
+      await tx.inspecciones.updateMany({ where: { id: { in: chunk.map(row => row.id) } }, data });
+      await this.recordMany(chunk.map(({ id, ...before }) => ({
+        accion: AUDIT_ACTIONS.ACTUALIZAR, entidad: 'inspecciones', entidadId: id, antes: before, despues: data, actor
+      })), tx);
+    }
+    return rows.length;
+  }
+
+  // 📋 Entradas con filtros (entidad, registro, usuario, acción y rango de días), la más reciente primero
+  async listEntries({ entidad, entidadId, actor, accion, from, to, page = 1, limit = 50 } = {}) {
+    const where = {};
+    if (entidad) where.entidad = entidad;
+    if (entidadId) where.entidad_id = entidadId;
+    if (actor) where.actor = { contains: actor, mode: 'insensitive' };
+    if (accion) where.accion = accion;
+    if (from || to) {
+      where.createdAt = {};
+      if (from) where.createdAt.gte = startOfDay(from);
+      if (to) where.createdAt.lte = endOfDay(to);
+    }
+
+    const [total, entries] = await Promise.all([
+      this.prisma.auditoria.count({ where }),
+      this.prisma.auditoria.findMany({
+        where,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit
+      })
+    ]);
+
+    return {
+      entries: entries.map(entry => this.toPublicEntry(entry)),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  // 🔀 Campos que cambiaron entre la fila anterior y la nueva
+  diff(before, after) {
+    const previous = before || {};
+    const next = after || {};
+    return [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+      .filter(field => !IGNORED_DIFF_FIELDS.includes(field))
+      .filter(field => JSON.stringify(previous[field] ?? null) !== JSON.stringify(next[field] ?? null))
+      .map(field => ({ field, before: previous[field] ?? null, after: next[field] ?? null }));
+  }
+
+  // 📤 Entrada para el frontend
+  toPublicEntry(entry) {
+    return {
+      id: entry.id,
+      actor: entry.actor,
+      action: entry.accion,
+      entity: entry.entidad,
+      entityId: entry.entidad_id,
+      before: entry.antes,
+      after: entry.despues,
+      changes: this.diff(entry.antes, entry.despues),
+      requestId: entry.request_id,
+      ip: entry.ip,
+      createdAt: entry.createdAt
+    };
+  }
+}
+
+module.exports = AuditService;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
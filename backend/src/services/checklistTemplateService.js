@@ -0,0 +1,270 @@
+// 📄 ARCHIVO: backend/src/services/checklistTemplateService.js
+// 📋 Plantillas versionadas del checklist: ítems, grupo y criticidad de cada versión del formulario
+
+const { getPrismaClient } = require('../config/database');
+const { CHECKLIST_ITEMS, CHECKLIST_RESULTS, FATIGUE_ITEMS } = require('../config/checklistItems');
+const { BASE_COLUMN_ALIASES } = require('../config/columnAliases');
+const { normalizeExcelHeader } = require('../utils/excelUtils');
+const AuditService = require('./auditService');
+const { AUDIT_ACTIONS } = require('./auditService');
+
+const TEMPLATE_ORIGINS = {
+  MANUAL: 'MANUAL',
+  IMPORTACION: 'IMPORTACION'
+};
+
+// Clave de un ítem: se usa como nombre de campo en los registros importados
+const ITEM_KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Caché compartida entre instancias: las plantillas cambian solo al importar o al crear una versión
+let cachedTemplates = null;
+
+class ChecklistTemplateService {
+  constructor() {
+    this.prisma = getPrismaClient();
+    this.auditService = new AuditService();
+  }
+
+  // 📋 Todas las versiones con sus ítems, la más reciente primero
+  async getTemplates() {
+    if (!cachedTemplates) {
+      cachedTemplates = await this.prisma.plantillas_checklist.findMany({
+        include: { items: { orderBy: { orden: 'asc' } } },
+        orderBy: { version: 'desc' }
+      });
+    }
+    return cachedTemplates;
+  }
+
+  // 🔍 Versión por id
+  async getTemplate(templateId) {
+    const templates = await this.getTemplates();
+    return templates.find(template => template.id === templateId) || null;
+  }
+
+  // ✅ Versión vigente (la marcada como activa o, si ninguna lo está, la más reciente)
+  async getActiveTemplate() {
+    const templates = await this.getTemplates();
+    return templates.find(template => template.activa) || templates[0] || null;
+  }
+
+  // 🗺️ Ítems reconocibles al importar: definiciones base más los ítems y encabezados de todas las versiones
+  async getKnownItems() {
+    const known = new Map(CHECKLIST_ITEMS.map(item => [item.field, { ...item, headers: [...item.headers] }]));
+    const templates = await this.getTemplates();
+    [...templates].reverse().forEach(template => {
+      template.items.forEach(item => {
+        const current = known.get(item.campo) || { field: item.campo, category: item.grupo, headers: [] };
+        const headers = [item.encabezado, ...(item.encabezados || [])].filter(header => !current.headers.includes(header));
+        known.set(item.campo, { ...current, headers: [...current.headers, ...headers] });
+      });
+    });
+    return Array.from(known.values());
+  }
+
+  // 🔑 Firma de una versión: sus ítems y su criticidad (el orden de las columnas no cuenta)
+  buildSignature(items) {
+    return items.map(item => `${item.campo}:${item.is_critical ? 1 : 0}`).sort().join('|');
+  }
+
+  // 🎯 Versión con la que se respondió un archivo: la que tiene exactamente sus ítems y criticidad.
+  // Si ninguna coincide se crea una versión nueva; con create = false solo se arma (vista previa).
+  async resolveForImport(checklistHeaders = [], { source = '', create = true } = {}) {
+    if (checklistHeaders.length === 0) {
+      console.log('[PLANTILLAS] ⏭️ Archivo sin ítems de checklist reconocidos, se usa la plantilla vigente');
+      return this.getActiveTemplate();
+    }
+
+    const knownItems = new Map((await this.getKnownItems()).map(item => [item.field, item]));
+    const items = checklistHeaders.map((header, index) => {
+      const definition = knownItems.get(header.field) || { headers: [], category: '' };
+      return {
+        campo: header.field,
+        encabezado: header.header,
+        encabezados: definition.headers.filter(alias => alias !== header.header),
+        grupo: definition.category || '',
+        orden: index + 1,
+        is_critical: header.isCritical
+      };
+    });
+
+    const signature = this.buildSignature(items);
+    const existing = (await this.getTemplates()).find(template => this.buildSignature(template.items) === signature);
+    if (existing) return existing;
+    if (!create) return { id: null, version: null, nombre: 'Versión nueva', activa: false, items };
+
+    console.log(`[PLANTILLAS] 🆕 "${source}" no coincide con ninguna versión, se registra una nueva`);
+    return this.createVersion({
+      descripcion: source ? `Detectada al importar ${source}` : 'Detectada al importar',
+      origen: TEMPLATE_ORIGINS.IMPORTACION,
+      items
+    });
+  }
+
+  // 📋 Versiones con el número de inspecciones respondidas con cada una
+  async listTemplates() {
+    const [templates, counts] = await Promise.all([
+      this.getTemplates(),
+      this.prisma.inspecciones.groupBy({ by: ['plantilla_id'], _count: { _all: true } })
+    ]);
+    const totals = new Map(counts.map(row => [row.plantilla_id, row._count._all]));
+    return templates.map(template => this.toPublicTemplate(template, totals.get(template.id) || 0));
+  }
+
+  // ➕ Nueva versión desde la administración (las versiones no se editan: se publica otra)
+  async createTemplate(input = {}) {
+    const items = await this.buildTemplateItems(input.items);
+    const template = await this.createVersion({
+      nombre: input.name ? String(input.name).trim() : '',
+      descripcion: input.description ? String(input.description).trim() : '',
+      origen: TEMPLATE_ORIGINS.MANUAL,
+      activa: input.activate !== false,
+      items
+    });
+    return this.toPublicTemplate(template, 0);
+  }
+
+  // ✅ Marcar una versión como vigente
+  async activateTemplate(templateId) {
+    const template = await this.getTemplate(templateId);
+    if (!template) {
+      throw new Error('PLANTILLA_NO_ENCONTRADA: No existe una plantilla con ese id');
+    }
+
+    await this.prisma.$transaction(async (tx) => {
+      await tx.plantillas_checklist.updateMany({ where: { activa: true }, data: { activa: false } });
+      const activated = await tx.plantillas_checklist.update({ where: { id: templateId }, data: { activa: true } });
+      // Los ítems no cambian al activar una versión
+      await this.auditService.record({
+        accion: AUDIT_ACTIONS.ACTIVAR,
+        entidad: 'plantillas_checklist',
+        entidadId: templateId,
+        antes: { ...template, items: undefined },
+        despues: activated
+      }, tx);
+    });
+    cachedTemplates = null;
+    console.log(`[PLANTILLAS] ✅ Versión ${template.version} marcada como vigente`);
+
+    return this.toPublicTemplate(await this.getTemplate(templateId));
+  }
+
+  // 🧱 Registrar una versión con el siguiente número; la primera queda vigente aunque no se pida
+  async createVersion({ nombre = '', descripcion = '', origen, activa = false, items }) {
+    const template = await this.prisma.$transaction(async (tx) => {
+      const last = await tx.plantillas_checklist.findFirst({ orderBy: { version: 'desc' }, select: { version: true } });
+      const version = (last?.version || 0) + 1;
+      const hasActive = (await tx.plantillas_checklist.count({ where: { activa: true } })) > 0;
+      if (activa && hasActive) {
+        await tx.plantillas_checklist.updateMany({ where: { activa: true }, data: { activa: false } });
+      }
+      const created = await tx.plantillas_checklist.create({
+        data: {
+          version,
+          nombre: nombre || `HQ-FO-40 v${version}`,
+          descripcion,
+          origen,
+          activa: activa || !hasActive,
+          items: { create: items }
+        },
+        include: { items: { orderBy: { orden: 'asc' } } }
+      });
+      await this.auditService.record({
+        accion: AUDIT_ACTIONS.CREAR, entidad: 'plantillas_checklist', entidadId: created.id, despues: created
+      }, tx);
+      return created;
+    });
+
+    cachedTemplates = null;
+    console.log(`[PLANTILLAS] ✅ Versión ${template.version} registrada: ${template.items.length} ítems, ${template.items.filter(item => item.is_critical).length} críticos`);
+    return template;
+  }
+
+  // 🧾 Validar los ítems enviados por la administración
+  async buildTemplateItems(rawItems) {
+    if (!Array.isArray(rawItems) || rawItems.length === 0) {
+      throw new Error('PLANTILLA_INVALIDA: La plantilla debe tener al menos un ítem');
+    }
+
+    const knownItems = await this.getKnownItems();
+    // Encabezados ya usados por otros campos: un encabezado no puede corresponder a dos campos
+    const headerOwners = new Map();
+    const addOwner = (header, field) => headerOwners.set(normalizeExcelHeader(header).key, field);
+    Object.entries(BASE_COLUMN_ALIASES).forEach(([field, headers]) => headers.forEach(header => addOwner(header, field)));
+    FATIGUE_ITEMS.forEach(item => item.headers.forEach(header => addOwner(header, item.field)));
+    knownItems.forEach(item => item.headers.forEach(header => addOwner(header, item.field)));
+
+    const reserved = new Set([...Object.keys(BASE_COLUMN_ALIASES), ...FATIGUE_ITEMS.map(item => item.field)]);
+    const seen = new Set();
+    return rawItems.map((raw, index) => {
+      const campo = String(raw?.field || '').trim().toLowerCase();
+      if (!ITEM_KEY_PATTERN.test(campo) || reserved.has(campo)) {
+        throw new Error(`PLANTILLA_INVALIDA: Clave de ítem inválida "${campo}" (letras minúsculas, números y _)`);
+      }
+      if (seen.has(campo)) {
+        throw new Error(`PLANTILLA_INVALIDA: El ítem "${campo}" está repetido`);
+      }
+      seen.add(campo);
+
+      const definition = knownItems.find(item => item.field === campo);
+      // El marcador "**" del formulario se expresa con "critical", no en el encabezado
+      const encabezado = String(raw.header || definition?.headers[0] || '').replace(/^\*+/, '').trim();
+      if (!encabezado) {
+        throw new Error(`PLANTILLA_INVALIDA: El ítem "${campo}" necesita un encabezado`);
+      }
+      const encabezados = (Array.isArray(raw.aliases) ? raw.aliases : [])
+        .map(alias => String(alias).replace(/^\*+/, '').trim())
+        .filter(alias => alias && alias !== encabezado);
+      [encabezado, ...encabezados].forEach(header => {
+        const owner = headerOwners.get(normalizeExcelHeader(header).key);
+        if (owner && owner !== campo) {
+          throw new Error(`PLANTILLA_INVALIDA: El encabezado "${header}" ya corresponde al campo "${owner}"`);
+        }
+      });
+
+      return {
+        campo,
+        encabezado,
+        encabezados,
+        grupo: String(raw.group || definition?.category || '').trim().toUpperCase(),
+        orden: index + 1,
+        is_critical: raw.critical === true
+      };
+    });
+  }
+
+  // 🧾 Resultados de una inspección para su versión de plantilla (los ítems sin respuesta también)
+  buildInspectionItems(template, record) {
+    if (!template) return [];
+    return template.items.map(item => ({
+      item_id: item.id,
+      campo: item.campo,
+      resultado: CHECKLIST_RESULTS[record[item.campo]] || CHECKLIST_RESULTS.SIN_RESPUESTA
+    }));
+  }
+
+  // 📤 Versión para el frontend
+  toPublicTemplate(template, totalInspections) {
+    return {
+      id: template.id,
+      version: template.version,
+      name: template.nombre,
+      description: template.descripcion,
+      active: template.activa,
+      origin: template.origen,
+      createdAt: template.createdAt,
+      ...(totalInspections !== undefined && { totalInspections }),
+      items: template.items.map(item => ({
+        id: item.id,
+        field: item.campo,
+        header: item.encabezado,
+        aliases: item.encabezados || [],
+        group: item.grupo,
+        order: item.orden,
+        critical: item.is_critical
+      }))
+    };
+  }
+}
+
+module.exports = ChecklistTemplateService;
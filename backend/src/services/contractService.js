@@ -0,0 +1,692 @@
+// 📄 ARCHIVO: backend/src/services/contractService.js
+// 📑 Maestro de contratos y campos: nombres canónicos, alias del formulario y agrupación por id
+
+const { getPrismaClient } = require('../config/database');
+const { normalizeCatalogKey, catalogSimilarity } = require('../utils/excelUtils');
+const AuditService = require('./auditService');
+const { AUDIT_ACTIONS } = require('./auditService');
+
+const CATALOG_STATES = ['ACTIVO', 'INACTIVO'];
+
+// Las fusiones mueven todas las inspecciones de un contrato en una sola transacción (ms)
+const MERGE_TRANSACTION_TIMEOUT = 2 * 60 * 1000;
+
+class ContractService {
+  constructor() {
+    this.prisma = getPrismaClient();
+    this.config = {
+      // Un nombre con un error de digitación se enlaza al existente; uno distinto crea un contrato/campo nuevo
+      matchMinScore: parseFloat(process.env.CONTRACT_MATCH_MIN_SCORE) || 0.9
+    };
+    this.states = CATALOG_STATES;
+    this.auditService = new AuditService();
+  }
+
+  // 📚 Índice en memoria: llave (nombre canónico + alias) → contrato, y dentro de cada contrato → campo
+  async loadIndex() {
+    const contracts = await this.prisma.contratos.findMany({
+      select: {
+        id: true,
+        nombre: true,
+        nombre_clave: true,
+        alias: { select: { clave: true } },
+        campos: { select: { id: true, nombre: true, nombre_clave: true, alias: { select: { clave: true } } } }
+      }
+    });
+
+    const index = this.createCatalog();
+    contracts.forEach(contract => {
+      const entry = { id: contract.id, nombre: contract.nombre, fields: this.createCatalog() };
+      contract.campos.forEach(field => this.addToCatalog(
+        entry.fields,
+        { id: field.id, nombre: field.nombre },
+        [field.nombre_clave, ...field.alias.map(alias => alias.clave)]
+      ));
+      this.addToCatalog(index, entry, [contract.nombre_clave, ...contract.alias.map(alias => alias.clave)]);
+    });
+    return index;
+  }
+
+  createCatalog() {
+    return { byKey: new Map(), entries: [] };
+  }
+
+  addToCatalog(catalog, entry, keys) {
+    keys.forEach(key => catalog.byKey.set(key, entry));
+    if (!catalog.entries.includes(entry)) catalog.entries.push(entry);
+  }
+
+  // 🎯 Entrada del catálogo para un nombre del formulario: llave exacta o nombre casi idéntico
+  matchName(catalog, name) {
+    const key = normalizeCatalogKey(name);
+    if (!key) return null;
+    if (catalog.byKey.has(key)) {
+      return { entry: catalog.byKey.get(key), score: 1, method: 'exacto' };
+    }
+
+    let best = null;
+    catalog.byKey.forEach((entry, candidateKey) => {
+      const score = catalogSimilarity(key, candidateKey);
+      if (score >= this.config.matchMinScore && (!best || score > best.score)) {
+        best = { entry, score, method: 'similitud' };
+      }
+    });
+    return best;
+  }
+
+  // 🔗 Contrato y campo canónicos para cada combinación de los registros; crea los que no existen
+  // y guarda las variantes como alias. Devuelve Map(llave → entrada) y el resumen de enlaces.
+  async resolveContracts(records, index = null) {
+    const catalogIndex = index || await this.loadIndex();
+    const links = new Map();
+    const summary = { contracts: 0, fields: 0, matched: 0, similar: 0, created: 0 };
+
+    const contracts = new Map();
+    records.forEach(record => {
+      const contractKey = normalizeCatalogKey(record.contrato);
+      if (!contractKey) return;
+      const contract = contracts.get(contractKey) || { name: record.contrato, fields: new Map() };
+      const fieldKey = normalizeCatalogKey(record.campo_coordinacion);
+      if (fieldKey && !contract.fields.has(fieldKey)) contract.fields.set(fieldKey, record.campo_coordinacion);
+      contracts.set(contractKey, contract);
+    });
+
+    for (const [contractKey, { name, fields }] of contracts) {
+      const contract = await this.resolveEntry(catalogIndex, contractKey, name, summary, {
+        label: 'Contrato',
+        entity: 'contratos',
+        createAlias: (entry, alias) => this.prisma.contratos_alias.upsert({
+          where: { clave: alias.clave },
+          update: {},
+          create: { contrato_id: entry.id, ...alias }
+        }),
+        createEntry: async (data, tx) => ({
+          ...await tx.contratos.create({ data, select: { id: true, nombre: true } }),
+          fields: this.createCatalog()
+        })
+      });
+      links.set(contractKey, contract);
+      summary.contracts++;
+
+      for (const [fieldKey, fieldName] of fields) {
+        const field = await this.resolveEntry(contract.fields, fieldKey, fieldName, summary, {
+          label: `Campo de ${contract.nombre}`,
+          entity: 'campos',
+          createAlias: (entry, alias) => this.prisma.campos_alias.upsert({
+            where: { contrato_id_clave: { contrato_id: contract.id, clave: alias.clave } },
+            update: {},
+            create: { campo_id: entry.id, contrato_id: contract.id, ...alias }
+          }),
+          createEntry: (data, tx) => tx.campos.create({
+            data: { ...data, contrato_id: contract.id },
+            select: { id: true, nombre: true }
+          })
+        });
+        links.set(`${contractKey}|${fieldKey}`, field);
+        summary.fields++;
+      }
+    }
+
+    if (summary.similar > 0 || summary.created > 0) {
+      console.log(`[CONTRATOS] 📑 ${summary.contracts} contratos y ${summary.fields} campos: ${summary.matched} conocidos, ${summary.similar} por similitud, ${summary.created} nuevos`);
+    }
+    return { links, summary };
+  }
+
+  // 🔗 Entrada de un nombre en un catálogo (contratos o campos de un contrato)
+  async resolveEntry(catalog, key, name, summary, { label, entity, createAlias, createEntry }) {
+    const match = this.matchName(catalog, name);
+    if (match) {
+      if (match.method === 'similitud') {
+        summary.similar++;
+        console.log(`[CONTRATOS] 🔗 ${label} "${name}" enlazado a "${match.entry.nombre}" (${Math.round(match.score * 100)}%)`);
+      } else {
+        summary.matched++;
+      }
+      if (!catalog.byKey.has(key)) {
+        await createAlias(match.entry, { nombre: String(name).trim(), clave: key });
+        this.addToCatalog(catalog, match.entry, [key]);
+      }
+      return match.entry;
+    }
+
+    const entry = await this.prisma.$transaction(async (tx) => {
+      const created = await createEntry({ nombre: this.formatName(name), nombre_clave: key }, tx);
+      await this.auditService.record({
+        accion: AUDIT_ACTIONS.CREAR, entidad: entity, entidadId: created.id, despues: { id: created.id, nombre: created.nombre, nombre_clave: key }
+      }, tx);
+      return created;
+    });
+    this.addToCatalog(catalog, entry, [key]);
+    summary.created++;
+    console.log(`[CONTRATOS] ➕ ${label} "${entry.nombre}" creado`);
+    return entry;
+  }
+
+  // 🔗 Ids de contrato y campo de un registro según los enlaces resueltos
+  getContractFields(links, record) {
+    const contractKey = normalizeCatalogKey(record.contrato);
+    const contract = links.get(contractKey);
+    if (!contract) return { contrato_id: null, campo_id: null };
+    const field = links.get(`${contractKey}|${normalizeCatalogKey(record.campo_coordinacion)}`);
+    return { contrato_id: contract.id, campo_id: field ? field.id : null };
+  }
+
+  // 🏷️ Nombre canónico: espacios unificados y en mayúsculas, como se usa en el formulario
+  formatName(name) {
+    return String(name || '').replace(/\s+/g, ' ').trim().toUpperCase();
+  }
+
+  // 📋 Contratos con sus campos, alias y estadísticas de inspección
+  async listContracts({ search, estado } = {}) {
+    const where = {};
+    if (estado) where.estado = estado;
+    const key = normalizeCatalogKey(search);
+    if (key) {
+      where.OR = [
+        { nombre_clave: { contains: key } },
+        { alias: { some: { clave: { contains: key } } } },
+        { campos: { some: { nombre_clave: { contains: key } } } }
+      ];
+    }
+
+    const [contracts, stats, unlinkedInspections] = await Promise.all([
+      this.prisma.contratos.findMany({
+        where,
+        orderBy: { nombre: 'asc' },
+        include: this.contractInclude()
+      }),
+      this.getInspectionStats(),
+      this.prisma.inspecciones.count({ where: { contrato_id: null, contrato: { not: '' } } })
+    ]);
+
+    return {
+      contracts: contracts.map(contract => this.toPublicContract(contract, stats)),
+      total: contracts.length,
+      unlinkedInspections
+    };
+  }
+
+  // 🔍 Contrato por id
+  async getContract(contractId) {
+    const contract = await this.prisma.contratos.findUnique({
+      where: { id: contractId },
+      include: this.contractInclude()
+    });
+    if (!contract) return null;
+    const stats = await this.getInspectionStats({ contrato_id: contractId });
+    return this.toPublicContract(contract, stats);
+  }
+
+  contractInclude() {
+    return {
+      alias: { orderBy: { nombre: 'asc' } },
+      campos: { orderBy: { nombre: 'asc' }, include: { alias: { orderBy: { nombre: 'asc' } } } }
+    };
+  }
+
+  // 📊 Inspecciones, alertas críticas, puntaje promedio y última fecha por contrato y por campo
+  async getInspectionStats(where = {}) {
+    const [contracts, fields] = await Promise.all([
+      this.groupStats('contrato_id', where),
+      this.groupStats('campo_id', where)
+    ]);
+    return { contracts, fields };
+  }
+
+  async groupStats(by, where = {}) {
+    const [totals, critical] = await Promise.all([
+      this.prisma.inspecciones.groupBy({
+        by: [by],
+        where: { AND: [where, { [by]: { not: null } }] },
+        _count: { id: true },
+        _avg: { puntaje_total: true },
+        _max: { fecha: true }
+      }),
+      this.prisma.inspecciones.groupBy({
+        by: [by],
+        where: { AND: [where, { [by]: { not: null }, tiene_alertas_criticas: true }] },
+        _count: { id: true }
+      })
+    ]);
+
+    const stats = new Map();
+    totals.forEach(row => stats.set(row[by], {
+      totalInspections: row._count.id,
+      averageScore: Math.round((row._avg.puntaje_total || 0) * 10) / 10,
+      lastInspection: row._max.fecha,
+      criticalAlerts: 0
+    }));
+    critical.forEach(row => {
+      if (stats.has(row[by])) stats.get(row[by]).criticalAlerts = row._count.id;
+    });
+    return stats;
+  }
+
+  // 📈 Rendimiento por contrato canónico para dashboards y reportes (las variantes del nombre
+  // ya no fragmentan la agrupación). Las inspecciones sin contrato van en "Sin especificar".
+  async getContractPerformance(where = {}) {
+    const [totals, critical] = await Promise.all([
+      this.prisma.inspecciones.groupBy({
+        by: ['contrato_id'],
+        where,
+        _count: { id: true },
+        _avg: { puntaje_total: true }
+      }),
+      this.prisma.inspecciones.groupBy({
+        by: ['contrato_id'],
+        where: { ...where, tiene_alertas_criticas: true },
+        _count: { id: true }
+      })
+    ]);
+
+    const ids = totals.map(row => row.contrato_id).filter(Boolean);
+    const contracts = ids.length > 0
+      ? await this.prisma.contratos.findMany({ where: { id: { in: ids } }, select: { id: true, nombre: true } })
+      : [];
+    const names = new Map(contracts.map(contract => [contract.id, contract.nombre]));
+    const criticalById = new Map(critical.map(row => [row.contrato_id, row._count.id]));
+
+    return totals
+      .map(row => {
+        const criticalAlerts = criticalById.get(row.contrato_id) || 0;
+        return {
+          contractId: row.contrato_id,
+          contract: names.get(row.contrato_id) || 'Sin especificar',
+          inspections: row._count.id,
+          criticalAlerts,
+          averageScore: Math.round((row._avg.puntaje_total || 0) * 100) / 100,
+          efficiency: row._count.id > 0 ? Math.round((1 - criticalAlerts / row._count.id) * 100) : 100
+        };
+      })
+      .sort((a, b) => b.inspections - a.inspections);
+  }
+
+  // 🔎 Filtro de inspecciones por contrato/campo: acepta el id o cualquier variante del nombre
+  // y siempre filtra por ids canónicos
+  async buildInspectionFilter({ contrato, campo } = {}) {
+    const where = {};
+    if (contrato) where.contrato_id = { in: await this.findIds('contratos', contrato) };
+    if (campo) {
+      where.campo_id = {
+        in: await this.findIds('campos', campo, where.contrato_id ? { contrato_id: where.contrato_id } : {})
+      };
+    }
+    return where;
+  }
+
+  async findIds(model, text, scope = {}) {
+    const value = String(text).trim();
+    const key = normalizeCatalogKey(value);
+    const OR = [{ id: value }];
+    if (key) {
+      OR.push({ nombre_clave: { contains: key } }, { alias: { some: { clave: { contains: key } } } });
+    }
+    const rows = await this.prisma[model].findMany({ where: { ...scope, OR }, select: { id: true } });
+    return rows.map(row => row.id);
+  }
+
+  // ✅ Validar nombre y estado de un contrato o campo
+  buildCatalogData({ name, status }, code) {
+    const data = {};
+    if (name !== undefined) {
+      const nombre = this.formatName(name);
+      const key = normalizeCatalogKey(nombre);
+      if (!key) throw new Error(`${code}_INVALIDO: el nombre es obligatorio`);
+      data.nombre = nombre;
+      data.nombre_clave = key;
+    }
+    if (status !== undefined) {
+      const estado = String(status).toUpperCase();
+      if (!CATALOG_STATES.includes(estado)) {
+        throw new Error(`${code}_INVALIDO: estado "${status}" no válido (${CATALOG_STATES.join(', ')})`);
+      }
+      data.estado = estado;
+    }
+    return data;
+  }
+
+  // ⚠️ Un nombre (o variante) solo puede identificar a un contrato
+  async assertContractKeyAvailable(key, contractId = null) {
+    const owner = await this.prisma.contratos.findFirst({
+      where: { OR: [{ nombre_clave: key }, { alias: { some: { clave: key } } }] },
+      select: { id: true, nombre: true }
+    });
+    if (owner && owner.id !== contractId) {
+      throw new Error(`CONTRATO_DUPLICADO: el nombre ya corresponde al contrato ${owner.nombre}`);
+    }
+  }
+
+  // ⚠️ Dentro de un contrato, un nombre (o variante) solo puede identificar a un campo
+  async assertFieldKeyAvailable(contractId, key, fieldId = null) {
+    const owner = await this.prisma.campos.findFirst({
+      where: { contrato_id: contractId, OR: [{ nombre_clave: key }, { alias: { some: { clave: key } } }] },
+      select: { id: true, nombre: true }
+    });
+    if (owner && owner.id !== fieldId) {
+      throw new Error(`CAMPO_DUPLICADO: el nombre ya corresponde al campo ${owner.nombre} de este contrato`);
+    }
+  }
+
+  // ➕ Crear un contrato
+  async createContract(input) {
+    const data = this.buildCatalogData(input, 'CONTRATO');
+    if (!data.nombre) throw new Error('CONTRATO_INVALIDO: el nombre es obligatorio');
+    await this.assertContractKeyAvailable(data.nombre_clave);
+
+    const contract = await this.prisma.$transaction(async (tx) => {
+      const created = await tx.contratos.create({ data });
+      await this.auditService.record({ accion: AUDIT_ACTIONS.CREAR, entidad: 'contratos', entidadId: created.id, despues: created }, tx);
+      return created;
+    });
+    console.log(`[CONTRATOS] ➕ Contrato ${contract.nombre} creado`);
+    return this.getContract(contract.id);
+  }
+
+  // ✏️ Renombrar o cambiar el estado de un contrato. El nombre anterior queda como alias
+  // para que las próximas cargas lo sigan reconociendo.
+  async updateContract(contractId, input) {
+    const current = await this.prisma.contratos.findUnique({ where: { id: contractId } });
+    if (!current) throw new Error(`CONTRATO_NO_ENCONTRADO: ${contractId}`);
+
+    const data = this.buildCatalogData(input, 'CONTRATO');
+    const renamed = data.nombre_clave && data.nombre_clave !== current.nombre_clave;
+    if (renamed) await this.assertContractKeyAvailable(data.nombre_clave, contractId);
+
+    await this.prisma.$transaction(async (tx) => {
+      const contract = await tx.contratos.update({ where: { id: contractId }, data });
+      if (renamed) {
+        await tx.contratos_alias.deleteMany({ where: { contrato_id: contractId, clave: data.nombre_clave } });
+        await tx.contratos_alias.upsert({
+          where: { clave: current.nombre_clave },
+          update: {},
+          create: { contrato_id: contractId, nombre: current.nombre, clave: current.nombre_clave }
+        });
+      }
+      await this.auditService.record({
+        accion: AUDIT_ACTIONS.ACTUALIZAR, entidad: 'contratos', entidadId: contractId, antes: current, despues: contract
+      }, tx);
+    });
+
+    console.log(`[CONTRATOS] ✏️ Contrato ${data.nombre || current.nombre} actualizado${renamed ? ` (antes ${current.nombre})` : ''}`);
+    return this.getContract(contractId);
+  }
+
+  // 🗑️ Eliminar un contrato sin inspecciones (uno con inspecciones se fusiona con otro)
+  async deleteContract(contractId) {
+    const contract = await this.prisma.contratos.findUnique({ where: { id: contractId } });
+    if (!contract) throw new Error(`CONTRATO_NO_ENCONTRADO: ${contractId}`);
+    const inspections = await this.prisma.inspecciones.count({ where: { contrato_id: contractId } });
+    if (inspections > 0) {
+      throw new Error(`CONTRATO_EN_USO: ${contract.nombre} tiene ${inspections} inspecciones; fusiónelo con otro contrato`);
+    }
+
+    await this.prisma.$transaction(async (tx) => {
+      await tx.contratos.delete({ where: { id: contractId } });
+      await this.auditService.record({ accion: AUDIT_ACTIONS.ELIMINAR, entidad: 'contratos', entidadId: contractId, antes: contract }, tx);
+    });
+    console.log(`[CONTRATOS] 🗑️ Contrato ${contract.nombre} eliminado`);
+    return { id: contractId, name: contract.nombre };
+  }
+
+  // ➕ Crear un campo dentro de un contrato
+  async createField(contractId, input) {
+    const contract = await this.prisma.contratos.findUnique({ where: { id: contractId } });
+    if (!contract) throw new Error(`CONTRATO_NO_ENCONTRADO: ${contractId}`);
+
+    const data = this.buildCatalogData(input, 'CAMPO');
+    if (!data.nombre) throw new Error('CAMPO_INVALIDO: el nombre es obligatorio');
+    await this.assertFieldKeyAvailable(contractId, data.nombre_clave);
+
+    const field = await this.prisma.$transaction(async (tx) => {
+      const created = await tx.campos.create({ data: { ...data, contrato_id: contractId } });
+      await this.auditService.record({ accion: AUDIT_ACTIONS.CREAR, entidad: 'campos', entidadId: created.id, despues: created }, tx);
+      return created;
+    });
+    console.log(`[CONTRATOS] ➕ Campo ${field.nombre} creado en ${contract.nombre}`);
+    return this.getContract(contractId);
+  }
+
+  // ✏️ Renombrar o cambiar el estado de un campo; el nombre anterior queda como alias
+  async updateField(fieldId, input) {
+    const current = await this.prisma.campos.findUnique({ where: { id: fieldId } });
+    if (!current) throw new Error(`CAMPO_NO_ENCONTRADO: ${fieldId}`);
+
+    const data = this.buildCatalogData(input, 'CAMPO');
+    const renamed = data.nombre_clave && data.nombre_clave !== current.nombre_clave;
+    if (renamed) await this.assertFieldKeyAvailable(current.contrato_id, data.nombre_clave, fieldId);
+
+    await this.prisma.$transaction(async (tx) => {
+      const field = await tx.campos.update({ where: { id: fieldId }, data });
+      if (renamed) {
+        await tx.campos_alias.deleteMany({ where: { campo_id: fieldId, clave: data.nombre_clave } });
+        await tx.campos_alias.upsert({
+          where: { contrato_id_clave: { contrato_id: current.contrato_id, clave: current.nombre_clave } },
+          update: {},
+          create: { campo_id: fieldId, contrato_id: current.contrato_id, nombre: current.nombre, clave: current.nombre_clave }
+        });
+      }
+      await this.auditService.record({
+        accion: AUDIT_ACTIONS.ACTUALIZAR, entidad: 'campos', entidadId: fieldId, antes: current, despues: field
+      }, tx);
+    });
+
+    console.log(`[CONTRATOS] ✏️ Campo ${data.nombre || current.nombre} actualizado${renamed ? ` (antes ${current.nombre})` : ''}`);
+    return this.getContract(current.contrato_id);
+  }
+
+  // 🗑️ Eliminar un campo sin inspecciones
+  async deleteField(fieldId) {
+    const field = await this.prisma.campos.findUnique({ where: { id: fieldId } });
+    if (!field) throw new Error(`CAMPO_NO_ENCONTRADO: ${fieldId}`);
+    const inspections = await this.prisma.inspecciones.count({ where: { campo_id: fieldId } });
+    if (inspections > 0) {
+      throw new Error(`CAMPO_EN_USO: ${field.nombre} tiene ${inspections} inspecciones; fusiónelo con otro campo`);
+    }
+
+    await this.prisma.$transaction(async (tx) => {
+      await tx.campos.delete({ where: { id: fieldId } });
+      await this.auditService.record({ accion: AUDIT_ACTIONS.ELIMINAR, entidad: 'campos', entidadId: fieldId, antes: field }, tx);
+    });
+    console.log(`[CONTRATOS] 🗑️ Campo ${field.nombre} eliminado`);
+    return this.getContract(field.contrato_id);
+  }
+
+  // 🔀 Fusionar contratos: inspecciones, alias y campos pasan al contrato conservado (los campos
+  // con el mismo nombre se fusionan) y los nombres fusionados quedan como alias
+  async mergeContracts(targetId, sourceIds = []) {
+    const ids = [...new Set(sourceIds)].filter(id => id && id !== targetId);
+    if (!targetId || ids.length === 0) {
+      throw new Error('CONTRATO_INVALIDO: indique el contrato que se conserva y al menos otro contrato a fusionar');
+    }
+
+    const fieldInclude = { campos: { include: { alias: true } } };
+    const [target, sources] = await Promise.all([
+      this.prisma.contratos.findUnique({ where: { id: targetId }, include: fieldInclude }),
+      this.prisma.contratos.findMany({ where: { id: { in: ids } }, include: fieldInclude })
+    ]);
+    if (!target) throw new Error(`CONTRATO_NO_ENCONTRADO: ${targetId}`);
+    if (sources.length !== ids.length) {
+      const missing = ids.filter(id => !sources.some(source => source.id === id));
+      throw new Error(`CONTRATO_NO_ENCONTRADO: ${missing.join(', ')}`);
+    }
+
+    const fieldKeys = this.buildFieldKeys(target.campos);
+    const movedInspections = await this.prisma.$transaction(async (tx) => {
+      let moved = 0;
+      for (const source of sources) {
+        await tx.contratos_alias.updateMany({ where: { contrato_id: source.id }, data: { contrato_id: targetId } });
+        await tx.contratos_alias.create({
+          data: { contrato_id: targetId, nombre: source.nombre, clave: source.nombre_clave }
+        });
+        for (const field of source.campos) {
+          await this.absorbField(tx, field, targetId, fieldKeys);
+        }
+        moved += await this.auditService.reassignInspections(tx, { contrato_id: source.id }, { contrato_id: targetId });
+        await tx.contratos.delete({ where: { id: source.id } });
+      }
+      await this.auditMerge(tx, 'contratos', target, sources, moved);
+      return moved;
+    }, { timeout: MERGE_TRANSACTION_TIMEOUT });
+
+    console.log(`[CONTRATOS] 🔀 ${sources.map(source => source.nombre).join(', ')} fusionados en ${target.nombre} (${movedInspections} inspecciones)`);
+    return { contract: await this.getContract(targetId), mergedContracts: sources.length, movedInspections };
+  }
+
+  // 🔀 Fusionar campos del mismo contrato en uno
+  async mergeFields(targetId, sourceIds = []) {
+    const ids = [...new Set(sourceIds)].filter(id => id && id !== targetId);
+    if (!targetId || ids.length === 0) {
+      throw new Error('CAMPO_INVALIDO: indique el campo que se conserva y al menos otro campo a fusionar');
+    }
+
+    const target = await this.prisma.campos.findUnique({ where: { id: targetId } });
+    if (!target) throw new Error(`CAMPO_NO_ENCONTRADO: ${targetId}`);
+    const fields = await this.prisma.campos.findMany({
+      where: { contrato_id: target.contrato_id },
+      include: { alias: true }
+    });
+    const sources = fields.filter(field => ids.includes(field.id));
+    if (sources.length !== ids.length) {
+      throw new Error('CAMPO_INVALIDO: solo se pueden fusionar campos del mismo contrato');
+    }
+
+    const fieldKeys = this.buildFieldKeys(fields);
+    const movedInspections = await this.prisma.$transaction(async (tx) => {
+      let moved = 0;
+      for (const source of sources) {
+        moved += await this.mergeFieldInto(tx, source, target, fieldKeys);
+      }
+      await this.auditMerge(tx, 'campos', target, sources, moved);
+      return moved;
+    }, { timeout: MERGE_TRANSACTION_TIMEOUT });
+
+    console.log(`[CONTRATOS] 🔀 Campos ${sources.map(source => source.nombre).join(', ')} fusionados en ${target.nombre} (${movedInspections} inspecciones)`);
+    return { contract: await this.getContract(target.contrato_id), mergedFields: sources.length, movedInspections };
+  }
+
+  // 🧾 Auditoría de una fusión: el registro conservado y los eliminados (cada inspección reasignada tiene su entrada)
+  async auditMerge(tx, entity, target, sources, movedInspections) {
+    const sourceIds = sources.map(source => source.id);
+    await this.auditService.recordMany([
+      {
+        accion: AUDIT_ACTIONS.FUSIONAR,
+        entidad: entity,
+        entidadId: target.id,
+        antes: target,
+        despues: { ...target, fusionados: sourceIds, inspeccionesReasignadas: movedInspections }
+      },
+      ...sources.map(source => ({
+        accion: AUDIT_ACTIONS.ELIMINAR, entidad: entity, entidadId: source.id, antes: source, despues: { fusionadoEn: target.id }
+      }))
+    ], tx);
+  }
+
+  // Llaves (nombre canónico + alias) → campo, dentro de un contrato
+  buildFieldKeys(fields) {
+    const keys = new Map();
+    fields.forEach(field => {
+      [field.nombre_clave, ...field.alias.map(alias => alias.clave)].forEach(key => keys.set(key, field));
+    });
+    return keys;
+  }
+
+  // Campo de un contrato fusionado: se fusiona con el campo del mismo nombre o pasa al contrato conservado
+  async absorbField(tx, field, contractId, fieldKeys) {
+    const twin = fieldKeys.get(field.nombre_clave);
+    if (twin) return this.mergeFieldInto(tx, field, twin, fieldKeys);
+
+    // Las variantes que el contrato conservado ya reconoce se descartan
+    const known = field.alias.filter(alias => fieldKeys.has(alias.clave)).map(alias => alias.id);
+    if (known.length > 0) await tx.campos_alias.deleteMany({ where: { id: { in: known } } });
+    await tx.campos_alias.updateMany({ where: { campo_id: field.id }, data: { contrato_id: contractId } });
+    await tx.campos.update({ where: { id: field.id }, data: { contrato_id: contractId } });
+    const moved = { ...field, contrato_id: contractId };
+    [field.nombre_clave, ...field.alias.map(alias => alias.clave)].forEach(key => {
+      if (!fieldKeys.has(key)) fieldKeys.set(key, moved);
+    });
+    return 0;
+  }
+
+  // Inspecciones y variantes de un campo pasan a otro; el nombre del campo eliminado queda como alias
+  async mergeFieldInto(tx, source, target, fieldKeys) {
+    await tx.campos_alias.deleteMany({ where: { campo_id: source.id } });
+    const variants = [{ nombre: source.nombre, clave: source.nombre_clave }, ...source.alias];
+    for (const { nombre, clave } of variants) {
+      const owner = fieldKeys.get(clave);
+      if (owner && owner.id !== source.id) continue;
+      await tx.campos_alias.create({
+        data: { campo_id: target.id, contrato_id: target.contrato_id, nombre, clave }
+      });
+      fieldKeys.set(clave, target);
+    }
+
+    const moved = await this.auditService.reassignInspections(tx, { campo_id: source.id }, { campo_id: target.id });
+    await tx.campos.delete({ where: { id: source.id } });
+    return moved;
+  }
+
+  // 🔄 Enlazar las inspecciones sin contrato o sin campo canónico (cargas anteriores al maestro
+  // o cargas en las que falló el enlace); crea los contratos y campos que falten
+  async syncInspections() {
+    const pending = {
+      contrato: { not: '' },
+      OR: [{ contrato_id: null }, { campo_id: null, campo_coordinacion: { not: '' } }]
+    };
+    const rows = await this.prisma.inspecciones.groupBy({
+      by: ['contrato', 'campo_coordinacion'],
+      where: pending
+    });
+
+    const { summary, links } = await this.resolveContracts(rows);
+    let linkedInspections = 0;
+    for (const row of rows) {
+      const fields = this.getContractFields(links, row);
+      if (!fields.contrato_id) continue;
+      const group = { contrato: row.contrato, campo_coordinacion: row.campo_coordinacion };
+      // Un campo que no se pudo resolver no se vuelve a contar en cada sincronización
+      const where = fields.campo_id ? { ...pending, ...group } : { ...group, contrato_id: null };
+      linkedInspections += await this.prisma.$transaction(
+        (tx) => this.auditService.reassignInspections(tx, where, fields),
+        { maxWait: 10000, timeout: 60000 }
+      );
+    }
+
+    console.log(`[CONTRATOS] 🔄 ${linkedInspections} inspecciones enlazadas, ${summary.created} contratos/campos nuevos`);
+    return { ...summary, linkedInspections };
+  }
+
+  // 📤 Contrato para el frontend
+  toPublicContract(contract, stats) {
+    const contractStats = stats.contracts.get(contract.id) || {};
+    return {
+      id: contract.id,
+      name: contract.nombre,
+      status: contract.estado,
+      aliases: (contract.alias || []).map(alias => alias.nombre),
+      fields: (contract.campos || []).map(field => this.toPublicField(field, stats.fields.get(field.id))),
+      totalInspections: contractStats.totalInspections || 0,
+      criticalAlerts: contractStats.criticalAlerts || 0,
+      averageScore: contractStats.averageScore || 0,
+      lastInspection: contractStats.lastInspection || null,
+      createdAt: contract.createdAt,
+      updatedAt: contract.updatedAt
+    };
+  }
+
+  toPublicField(field, stats = {}) {
+    return {
+      id: field.id,
+      contractId: field.contrato_id,
+      name: field.nombre,
+      status: field.estado,
+      aliases: (field.alias || []).map(alias => alias.nombre),
+      totalInspections: stats.totalInspections || 0,
+      criticalAlerts: stats.criticalAlerts || 0,
+      averageScore: stats.averageScore || 0,
+      lastInspection: stats.lastInspection || null
+    };
+  }
+}
+
+module.exports = ContractService;
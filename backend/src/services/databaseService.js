@@ -2,10 +2,13 @@
 // src/services/databaseService.js
 
 const { getPrismaClient } = require('../config/database');
+const { startOfDay, endOfDay, formatDateKey, getZonedParts, zonedTimeToUtc } = require('../utils/dateUtils');
+const ContractService = require('./contractService');
 
 class DatabaseService {
   constructor() {
     this.prisma = getPrismaClient();
+    this.contractService = new ContractService();
   }
 
   // 📊 MÉTODOS DE CONSULTA Y BÚSQUEDA
@@ -49,20 +52,15 @@ class DatabaseService {
       ];
     }
 
-      // Filtros de fecha
+      // Filtros de fecha: días completos en APP_TIMEZONE
       if (fechaInicio || fechaFin) {
         where.fecha = {};
-        if (fechaInicio) where.fecha.gte = new Date(fechaInicio);
-        if (fechaFin) {
-          const fechaFinDate = new Date(fechaFin);
-          fechaFinDate.setHours(23, 59, 59, 999);
-          where.fecha.lte = fechaFinDate;
-        }
+        if (fechaInicio) where.fecha.gte = startOfDay(fechaInicio);
+        if (fechaFin) where.fecha.lte = endOfDay(fechaFin);
       }
 
-      // Filtros específicos
-  if (contrato) where.contrato = { contains: contrato, mode: 'insensitive' };
-  if (campo) where.campo = { contains: campo, mode: 'insensitive' };
+      // Filtros específicos (contrato y campo por sus ids canónicos)
+  Object.assign(where, await this.contractService.buildInspectionFilter({ contrato, campo }));
   if (estado) where.estado = estado;
   // Eliminados: tiene_alerta_roja y tiene_advertencias
   if (nivelRiesgo) where.nivel_riesgo = nivelRiesgo;
@@ -87,13 +85,13 @@ class DatabaseService {
 
       // Ejecutar consulta con paginación
       const [inspecciones, totalCount] = await Promise.all([
-        this.prisma.inspeccion.findMany({
+        this.prisma.inspecciones.findMany({
           where,
           orderBy: orderByConfig,
           skip: parseInt(offset),
           take: parseInt(limit)
         }),
-        this.prisma.inspeccion.count({ where })
+        this.prisma.inspecciones.count({ where })
   ]);
 
       console.log(`[DB-SERVICE] ✅ Búsqueda completada: ${inspecciones.length}/${totalCount} resultados`);
@@ -125,12 +123,10 @@ class DatabaseService {
       
       console.log('[DB-SERVICE] 📊 Obteniendo estadísticas del dashboard...');
 
-  // Filtros base
+  // Filtros base: año y mes como rango de fechas en APP_TIMEZONE
   const baseWhere = {};
-  if (ano) baseWhere.ano = parseInt(ano);
-  if (mes) baseWhere.mes = parseInt(mes);
-  if (contrato) baseWhere.contrato = { contains: contrato, mode: 'insensitive' };
-  if (campo) baseWhere.campo = { contains: campo, mode: 'insensitive' };
+  if (ano || mes) baseWhere.fecha = this.buildPeriodRange(ano, mes);
+  Object.assign(baseWhere, await this.contractService.buildInspectionFilter({ contrato, campo }));
 
       // Obtener estadísticas principales en paralelo
       const [
@@ -140,68 +136,55 @@ class DatabaseService {
         inspeccionesHoy,
         conductoresUnicos,
         vehiculosUnicos,
-        inspeccionesPorEstado,
+        alertasPorEstado,
         inspeccionesPorRiesgo,
-        promediosPuntaje,
         tendenciaMensual
       ] = await Promise.all([
         // Total de inspecciones
-        this.prisma.inspeccion.count({ where: baseWhere }),
+        this.prisma.inspecciones.count({ where: baseWhere }),
         
         // Alertas rojas
-        this.prisma.inspeccion.count({ 
-          // Eliminado: where: { ...baseWhere, tiene_alerta_roja: true }
-        }),
+        this.prisma.inspecciones.count({ where: { ...baseWhere, tiene_alertas_criticas: true } }),
         
         // Advertencias
-        this.prisma.inspeccion.count({ 
-          // Eliminado: where: { ...baseWhere, tiene_advertencias: true }
-        }),
+        this.prisma.inspecciones.count({ where: { ...baseWhere, alerta: { is: { tipo: 'ADVERTENCIA' } } } }),
         
         // Inspecciones de hoy
-        this.prisma.inspeccion.count({
+        this.prisma.inspecciones.count({
           where: {
             ...baseWhere,
-            fecha: {
-              gte: new Date(new Date().setHours(0, 0, 0, 0)),
-              lte: new Date(new Date().setHours(23, 59, 59, 999))
-            }
+            fecha: { gte: startOfDay(), lte: endOfDay() }
           }
         }),
         
         // Conductores únicos
-        this.prisma.inspeccion.findMany({
+        this.prisma.inspecciones.findMany({
           where: baseWhere,
           select: { conductor_nombre: true },
           distinct: ['conductor_nombre']
         }),
         
         // Vehículos únicos
-        this.prisma.inspeccion.findMany({
+        this.prisma.inspecciones.findMany({
           where: baseWhere,
           select: { placa_vehiculo: true },
           distinct: ['placa_vehiculo']
         }),
         
-        // Distribución por estado
-        this.prisma.inspeccion.groupBy({
-          by: ['estado_inspeccion'],
-          where: baseWhere,
-          _count: { estado_inspeccion: true }
+        // Distribución de las alertas por estado
+        this.prisma.alertas.groupBy({
+          by: ['estado'],
+          where: { inspeccion: baseWhere },
+          _count: { estado: true }
         }),
         
         // Distribución por nivel de riesgo
-        this.prisma.inspeccion.groupBy({
+        this.prisma.inspecciones.groupBy({
           by: ['nivel_riesgo'],
           where: baseWhere,
           _count: { nivel_riesgo: true }
         }),
         
-        // Promedios de puntaje
-        this.prisma.inspeccion.aggregate({
-          where: baseWhere
-        }),
-        
         // Tendencia mensual (últimos 12 meses)
         this.getTendenciaMensual(baseWhere)
   ]);
@@ -231,8 +214,8 @@ class DatabaseService {
           porcentajes
         },
         distribuciones: {
-          porEstado: inspeccionesPorEstado.reduce((acc, item) => {
-            acc[item.estado_inspeccion] = item._count.estado_inspeccion;
+          porEstado: alertasPorEstado.reduce((acc, item) => {
+            acc[item.estado] = item._count.estado;
             return acc;
           }, {}),
           porRiesgo: inspeccionesPorRiesgo.reduce((acc, item) => {
@@ -273,7 +256,7 @@ class DatabaseService {
         combinacionProblemas
       ] = await Promise.all([
         // Conductores que consumen medicamentos (CRÍTICO)
-        this.prisma.inspeccion.count({
+        this.prisma.inspecciones.count({
           where: { ...baseWhere, consumo_medicamentos: true }
         }),
         
@@ -281,7 +264,7 @@ class DatabaseService {
         // Eliminados: horas_sueno_suficientes, libre_sintomas_fatiga, condiciones_aptas
         
         // Conductores con múltiples problemas
-        this.prisma.inspeccion.count({
+        this.prisma.inspecciones.count({
           where: {
             ...baseWhere,
             OR: [
@@ -330,45 +313,55 @@ class DatabaseService {
       const doceMonthsAgo = new Date();
       doceMonthsAgo.setMonth(doceMonthsAgo.getMonth() - 12);
 
-      const tendencia = await this.prisma.inspeccion.groupBy({
-        by: ['ano', 'mes'],
+      const inspecciones = await this.prisma.inspecciones.findMany({
         where: {
           ...baseWhere,
           fecha: {
-            gte: doceMonthsAgo
+            ...baseWhere.fecha,
+            gte: baseWhere.fecha?.gte > doceMonthsAgo ? baseWhere.fecha.gte : doceMonthsAgo
           }
         },
-        _count: {
-          id: true
-        },
-        _sum: {
-          tiene_alerta_roja: true,
-          tiene_advertencias: true
-        },
-        orderBy: [
-          { ano: 'asc' },
-          { mes: 'asc' }
-        ]
+        select: { fecha: true, tiene_alertas_criticas: true, alerta: { select: { tipo: true } } }
       });
 
-      return tendencia.map(item => ({
-        periodo: `${item.ano}-${item.mes.toString().padStart(2, '0')}`,
-        ano: item.ano,
-        mes: item.mes,
-        totalInspecciones: item._count.id,
-        alertasRojas: item._sum.tiene_alerta_roja || 0,
-        advertencias: item._sum.tiene_advertencias || 0
-      }));
+      // Meses de APP_TIMEZONE ("2025-08")
+      const tendencia = new Map();
+      inspecciones.forEach(inspeccion => {
+        const periodo = formatDateKey(inspeccion.fecha).slice(0, 7);
+        const item = tendencia.get(periodo) || { totalInspecciones: 0, alertasRojas: 0, advertencias: 0 };
+        item.totalInspecciones++;
+        if (inspeccion.tiene_alertas_criticas) item.alertasRojas++;
+        if (inspeccion.alerta?.tipo === 'ADVERTENCIA') item.advertencias++;
+        tendencia.set(periodo, item);
+      });
+
+      return [...tendencia.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([periodo, item]) => ({
+          periodo,
+          ano: parseInt(periodo.slice(0, 4), 10),
+          mes: parseInt(periodo.slice(5, 7), 10),
+          ...item
+        }));
     } catch (error) {
       console.error('[DB-SERVICE] Error obteniendo tendencia:', error);
       return [];
     }
   }
 
+  // 📅 Rango de fechas de un año o de un mes en APP_TIMEZONE (sin año, el mes del año en curso)
+  buildPeriodRange(ano, mes) {
+    const year = parseInt(ano) || getZonedParts(new Date()).year;
+    const month = parseInt(mes) || null;
+    const start = { year, month: month || 1, day: 1 };
+    const end = month && month < 12 ? { year, month: month + 1, day: 1 } : { year: year + 1, month: 1, day: 1 };
+    return { gte: zonedTimeToUtc(start), lt: zonedTimeToUtc(end) };
+  }
+
   // 🧮 Calcular porcentaje
   async calculatePercentage(count, baseWhere) {
     try {
-      const total = await this.prisma.inspeccion.count({ where: baseWhere });
+      const total = await this.prisma.inspecciones.count({ where: baseWhere });
       return total > 0 ? Math.round((count / total) * 100 * 100) / 100 : 0;
     } catch (error) {
       return 0;
@@ -380,7 +373,7 @@ class DatabaseService {
     try {
       console.log(`[DB-SERVICE] 👨‍💼 Obteniendo historial del conductor: ${conductorNombre}`);
 
-      const inspecciones = await this.prisma.inspeccion.findMany({
+      const inspecciones = await this.prisma.inspecciones.findMany({
         where: {
           conductor_nombre: { contains: conductorNombre, mode: 'insensitive' }
         },
@@ -438,7 +431,7 @@ class DatabaseService {
   // 🚨 Obtener alertas críticas actuales
   async getCriticalAlerts(limit = 20) {
     try {
-      const alerts = await this.prisma.inspeccion.findMany({
+      const alerts = await this.prisma.inspecciones.findMany({
         where: {
           fecha: {
             gte: new Date(Date.now() - 24 * 60 * 60 * 1000) // Últimas 24 horas
@@ -451,14 +444,16 @@ class DatabaseService {
         select: {
           id: true,
           fecha: true,
-          nombre_inspector: true,
+          conductor_nombre: true,
           placa_vehiculo: true,
           contrato: true,
           campo_coordinacion: true,
           consumo_medicamentos: true,
-          horas_sueno: true,
-          libre_fatiga: true,
+          horas_sueno_suficientes: true,
+          libre_sintomas_fatiga: true,
           condiciones_aptas: true,
+          nivel_riesgo: true,
+          tiene_alertas_criticas: true,
           observaciones: true
         }
       });
@@ -497,8 +492,7 @@ class DatabaseService {
       if (fechaFin) {
         where.fecha = { ...where.fecha, lte: new Date(fechaFin) };
       }
-      if (contrato) where.contrato = { contains: contrato, mode: 'insensitive' };
-      if (campo) where.campo = { contains: campo, mode: 'insensitive' };
+      Object.assign(where, await this.contractService.buildInspectionFilter({ contrato, campo }));
 
       // Datos principales del reporte
       const [
@@ -613,8 +607,8 @@ class DatabaseService {
   }
 
   calculateAlertSeverity(alert) {
-    if (alert.tiene_alerta_roja) return 'CRITICO';
-    if (alert.tiene_advertencias) return 'ALTO';
+    if (alert.tiene_alertas_criticas) return 'CRITICO';
+    if (alert.nivel_riesgo && alert.nivel_riesgo !== 'BAJO') return 'ALTO';
     return 'MEDIO';
   }
 
@@ -634,10 +628,10 @@ class DatabaseService {
   // Métodos auxiliares para reportes
   async getReportSummary(where) {
     const [total, alertasRojas, advertencias, promedios] = await Promise.all([
-      this.prisma.inspeccion.count({ where }),
-      this.prisma.inspeccion.count({ where: { ...where, tiene_alerta_roja: true } }),
-      this.prisma.inspeccion.count({ where: { ...where, tiene_advertencias: true } }),
-      this.prisma.inspeccion.aggregate({
+      this.prisma.inspecciones.count({ where }),
+      this.prisma.inspecciones.count({ where: { ...where, tiene_alerta_roja: true } }),
+      this.prisma.inspecciones.count({ where: { ...where, tiene_advertencias: true } }),
+      this.prisma.inspecciones.aggregate({
         where,
         _avg: { puntaje_total: true }
       })
@@ -653,7 +647,7 @@ class DatabaseService {
   }
 
   async getStateDistribution(where) {
-    return await this.prisma.inspeccion.groupBy({
+    return await this.prisma.inspecciones.groupBy({
       by: ['estado_inspeccion'],
       where,
       _count: { estado_inspeccion: true }
@@ -661,7 +655,7 @@ class DatabaseService {
   }
 
   async getTopRiskDrivers(where, limit = 10) {
-    return await this.prisma.inspeccion.groupBy({
+    return await this.prisma.inspecciones.groupBy({
       by: ['conductor_nombre'],
       where: { ...where, tiene_alerta_roja: true },
       _count: { tiene_alerta_roja: true },
@@ -671,7 +665,7 @@ class DatabaseService {
   }
 
   async getTopProblematicVehicles(where, limit = 10) {
-    return await this.prisma.inspeccion.groupBy({
+    return await this.prisma.inspecciones.groupBy({
       by: ['placa_vehiculo'],
       where: { ...where, tiene_advertencias: true },
       _count: { tiene_advertencias: true },
@@ -681,7 +675,7 @@ class DatabaseService {
   }
 
   async getDailyTrend(where) {
-    return await this.prisma.inspeccion.groupBy({
+    return await this.prisma.inspecciones.groupBy({
       by: ['fecha'],
       where,
       _count: { id: true },
@@ -0,0 +1,439 @@
+// 📄 ARCHIVO: backend/src/services/driverService.js
+// 👨‍✈️ Maestro de conductores: nombre canónico, alias del formulario y fusión de duplicados
+
+const { getPrismaClient } = require('../config/database');
+const { normalizeNameKey, formatPersonName, nameSimilarity } = require('../utils/excelUtils');
+const DriverTimelineService = require('./driverTimelineService');
+const AuditService = require('./auditService');
+const { AUDIT_ACTIONS } = require('./auditService');
+
+const DRIVER_STATES = ['ACTIVO', 'INACTIVO'];
+
+// Pares con al menos esta similitud se proponen como posibles duplicados
+const DUPLICATE_MIN_SCORE = 0.75;
+
+class DriverService {
+  constructor() {
+    this.prisma = getPrismaClient();
+    this.config = {
+      // Solo se enlaza automáticamente un nombre casi idéntico: "Luis" y "Luisa" no son la misma persona
+      matchMinScore: parseFloat(process.env.DRIVER_MATCH_MIN_SCORE) || 0.95
+    };
+    this.states = DRIVER_STATES;
+    this.timelineService = new DriverTimelineService();
+    this.auditService = new AuditService();
+  }
+
+  // 📚 Índice en memoria de conductores y sus llaves (nombre canónico + alias)
+  async loadIndex() {
+    const drivers = await this.prisma.conductores.findMany({
+      select: { id: true, nombre: true, nombre_clave: true, cedula: true, alias: { select: { clave: true } } }
+    });
+    const index = { byKey: new Map(), byCedula: new Map(), drivers };
+    drivers.forEach(driver => this.addToIndex(index, driver, [driver.nombre_clave, ...driver.alias.map(alias => alias.clave)]));
+    return index;
+  }
+
+  addToIndex(index, driver, keys) {
+    keys.forEach(key => index.byKey.set(key, driver));
+    if (driver.cedula) index.byCedula.set(driver.cedula, driver);
+    if (!index.drivers.includes(driver)) index.drivers.push(driver);
+  }
+
+  // 🎯 Conductor de un nombre del formulario: cédula, llave exacta o nombre casi idéntico
+  matchName(index, name, cedula) {
+    if (cedula && index.byCedula.has(cedula)) {
+      return { driver: index.byCedula.get(cedula), score: 1, method: 'cedula' };
+    }
+    const key = normalizeNameKey(name);
+    if (!key) return null;
+    if (index.byKey.has(key)) {
+      return { driver: index.byKey.get(key), score: 1, method: 'exacto' };
+    }
+
+    let best = null;
+    index.byKey.forEach((driver, candidateKey) => {
+      const score = nameSimilarity(key, candidateKey);
+      if (score >= this.config.matchMinScore && (!best || score > best.score)) {
+        best = { driver, score, method: 'similitud' };
+      }
+    });
+    return best;
+  }
+
+  // 🔗 Conductor para cada nombre de los registros; crea los que no existen y guarda las variantes.
+  // Devuelve Map(llave del nombre → id del conductor) y el resumen de enlaces.
+  async resolveDrivers(records, index = null) {
+    const driverIndex = index || await this.loadIndex();
+    const links = new Map();
+    const summary = { names: 0, matched: 0, similar: 0, created: 0 };
+
+    const names = new Map();
+    records.forEach(record => {
+      const key = normalizeNameKey(record.conductor_nombre);
+      if (key && !names.has(key)) names.set(key, record);
+    });
+    summary.names = names.size;
+
+    for (const [key, record] of names) {
+      const cedula = record.cedula_conductor ? String(record.cedula_conductor).trim() : null;
+      const match = this.matchName(driverIndex, record.conductor_nombre, cedula);
+
+      if (match) {
+        links.set(key, match.driver.id);
+        if (match.method === 'similitud') {
+          summary.similar++;
+          console.log(`[CONDUCTORES] 🔗 "${record.conductor_nombre}" enlazado a "${match.driver.nombre}" (${Math.round(match.score * 100)}%)`);
+        } else {
+          summary.matched++;
+        }
+        if (!driverIndex.byKey.has(key)) {
+          await this.prisma.conductores_alias.upsert({
+            where: { clave: key },
+            update: {},
+            create: { conductor_id: match.driver.id, nombre: String(record.conductor_nombre).trim(), clave: key }
+          });
+          this.addToIndex(driverIndex, match.driver, [key]);
+        }
+        continue;
+      }
+
+      const driver = await this.prisma.$transaction(async (tx) => {
+        const newDriver = await tx.conductores.create({
+          data: {
+            nombre: formatPersonName(record.conductor_nombre),
+            nombre_clave: key,
+            cedula,
+            contrato: record.contrato || '',
+            alias: { create: { nombre: String(record.conductor_nombre).trim(), clave: key } }
+          },
+          select: { id: true, nombre: true, nombre_clave: true, cedula: true }
+        });
+        await this.auditService.record({
+          accion: AUDIT_ACTIONS.CREAR, entidad: 'conductores', entidadId: newDriver.id, despues: newDriver
+        }, tx);
+        return newDriver;
+      });
+      this.addToIndex(driverIndex, driver, [key]);
+      links.set(key, driver.id);
+      summary.created++;
+    }
+
+    if (summary.similar > 0 || summary.created > 0) {
+      console.log(`[CONDUCTORES] 👨‍✈️ ${summary.names} nombres: ${summary.matched} conocidos, ${summary.similar} por similitud, ${summary.created} nuevos`);
+    }
+    return { links, summary };
+  }
+
+  // 🔗 Id del conductor de un registro según los enlaces resueltos
+  getDriverId(links, record) {
+    return links.get(normalizeNameKey(record.conductor_nombre)) || null;
+  }
+
+  // 🔄 Enlazar inspecciones cargadas antes del maestro (o cuyo conductor se eliminó)
+  async linkUnlinkedInspections() {
+    const names = await this.prisma.inspecciones.groupBy({
+      by: ['conductor_nombre', 'contrato'],
+      where: { conductor_id: null, conductor_nombre: { not: '' } },
+      _count: { id: true },
+      orderBy: { _count: { id: 'desc' } }
+    });
+
+    // El contrato más frecuente de cada nombre queda como contrato del conductor nuevo
+    const { links, summary } = await this.resolveDrivers(names);
+
+    let linked = 0;
+    for (const [key, driverId] of links) {
+      const rawNames = [...new Set(names
+        .filter(row => normalizeNameKey(row.conductor_nombre) === key)
+        .map(row => row.conductor_nombre))];
+      linked += await this.prisma.$transaction(
+        (tx) => this.auditService.reassignInspections(
+          tx, { conductor_id: null, conductor_nombre: { in: rawNames } }, { conductor_id: driverId }
+        ),
+        { maxWait: 10000, timeout: 60000 }
+      );
+    }
+
+    console.log(`[CONDUCTORES] 🔄 ${linked} inspecciones enlazadas a ${links.size} conductores`);
+
+    // Las recién enlazadas (y las cargadas antes de la línea de tiempo) entran al historial del conductor
+    const timeline = await this.timelineService.recordMissingInspections();
+    return { ...summary, linkedInspections: linked, timelineEvents: timeline.events };
+  }
+
+  // 📋 Conductores con sus estadísticas de inspección
+  async listDrivers({ search, estado, page = 1, limit = 50 } = {}) {
+    const where = {};
+    if (estado) where.estado = estado;
+    if (search) {
+      const key = normalizeNameKey(search);
+      where.OR = [
+        { nombre_clave: { contains: key } },
+        { alias: { some: { clave: { contains: key } } } },
+        { cedula: { contains: String(search).trim() } }
+      ];
+    }
+
+    const [total, drivers] = await Promise.all([
+      this.prisma.conductores.count({ where }),
+      this.prisma.conductores.findMany({
+        where,
+        include: { alias: { select: { nombre: true }, orderBy: { createdAt: 'asc' } } },
+        orderBy: { nombre: 'asc' },
+        skip: (page - 1) * limit,
+        take: limit
+      })
+    ]);
+
+    const stats = await this.getInspectionStats(drivers.map(driver => driver.id));
+    return {
+      drivers: drivers.map(driver => this.toPublicDriver(driver, stats.get(driver.id))),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  // 📊 Inspecciones, alertas críticas, puntaje promedio y última fecha por conductor
+  async getInspectionStats(driverIds) {
+    const stats = new Map();
+    if (driverIds.length === 0) return stats;
+
+    const [totals, critical] = await Promise.all([
+      this.prisma.inspecciones.groupBy({
+        by: ['conductor_id'],
+        where: { conductor_id: { in: driverIds } },
+        _count: { id: true },
+        _avg: { puntaje_total: true },
+        _max: { fecha: true }
+      }),
+      this.prisma.inspecciones.groupBy({
+        by: ['conductor_id'],
+        where: { conductor_id: { in: driverIds }, tiene_alertas_criticas: true },
+        _count: { id: true }
+      })
+    ]);
+
+    totals.forEach(row => stats.set(row.conductor_id, {
+      totalInspections: row._count.id,
+      averageScore: Math.round((row._avg.puntaje_total || 0) * 10) / 10,
+      lastInspection: row._max.fecha,
+      criticalAlerts: 0
+    }));
+    critical.forEach(row => {
+      if (stats.has(row.conductor_id)) stats.get(row.conductor_id).criticalAlerts = row._count.id;
+    });
+    return stats;
+  }
+
+  // 🔍 Conductor por id con sus alias
+  async getDriver(driverId) {
+    const driver = await this.prisma.conductores.findUnique({
+      where: { id: driverId },
+      include: { alias: { select: { nombre: true }, orderBy: { createdAt: 'asc' } } }
+    });
+    if (!driver) return null;
+    const stats = await this.getInspectionStats([driverId]);
+    return this.toPublicDriver(driver, stats.get(driverId));
+  }
+
+  // ✅ Validar los datos editables de un conductor
+  buildDriverData({ name, cedula, contract, status }) {
+    const data = {};
+    if (name !== undefined) {
+      const nombre = formatPersonName(name);
+      if (!nombre) throw new Error('CONDUCTOR_INVALIDO: el conductor necesita un nombre');
+      data.nombre = nombre;
+      data.nombre_clave = normalizeNameKey(nombre);
+    }
+    if (cedula !== undefined) {
+      const value = String(cedula ?? '').replace(/[^\dA-Za-z]/g, '');
+      data.cedula = value || null;
+    }
+    if (contract !== undefined) data.contrato = String(contract || '').trim();
+    if (status !== undefined) {
+      const estado = String(status).toUpperCase();
+      if (!DRIVER_STATES.includes(estado)) {
+        throw new Error(`CONDUCTOR_INVALIDO: estado "${status}" no válido (${DRIVER_STATES.join(', ')})`);
+      }
+      data.estado = estado;
+    }
+    return data;
+  }
+
+  // ➕ Registrar un conductor manualmente
+  async createDriver(input) {
+    const data = this.buildDriverData(input);
+    if (!data.nombre) throw new Error('CONDUCTOR_INVALIDO: el conductor necesita un nombre');
+
+    const driver = await this.prisma.$transaction(async (tx) => {
+      const created = await tx.conductores.create({
+        data: { ...data, alias: { create: { nombre: data.nombre, clave: data.nombre_clave } } }
+      });
+      await this.auditService.record({
+        accion: AUDIT_ACTIONS.CREAR, entidad: 'conductores', entidadId: created.id, despues: created
+      }, tx);
+      return created;
+    });
+    console.log(`[CONDUCTORES] ➕ Conductor "${driver.nombre}" registrado`);
+    return this.getDriver(driver.id);
+  }
+
+  // ✏️ Actualizar nombre canónico, cédula, contrato o estado.
+  // El nombre anterior queda como alias para que las próximas cargas lo sigan reconociendo.
+  async updateDriver(driverId, input) {
+    const current = await this.prisma.conductores.findUnique({ where: { id: driverId } });
+    if (!current) throw new Error(`CONDUCTOR_NO_ENCONTRADO: ${driverId}`);
+
+    const data = this.buildDriverData(input);
+    const renamed = data.nombre_clave && data.nombre_clave !== current.nombre_clave;
+    if (renamed) {
+      const alias = await this.prisma.conductores_alias.findUnique({ where: { clave: data.nombre_clave } });
+      if (alias && alias.conductor_id !== driverId) {
+        throw new Error(`CONDUCTOR_DUPLICADO: "${data.nombre}" ya identifica a otro conductor; fusiónelos en lugar de renombrar`);
+      }
+    }
+
+    await this.prisma.$transaction(async (tx) => {
+      const driver = await tx.conductores.update({ where: { id: driverId }, data });
+      if (renamed) {
+        await tx.conductores_alias.upsert({
+          where: { clave: data.nombre_clave },
+          update: {},
+          create: { conductor_id: driverId, nombre: data.nombre, clave: data.nombre_clave }
+        });
+      }
+      await this.auditService.record({
+        accion: AUDIT_ACTIONS.ACTUALIZAR, entidad: 'conductores', entidadId: driverId, antes: current, despues: driver
+      }, tx);
+    });
+
+    console.log(`[CONDUCTORES] ✏️ Conductor "${data.nombre || current.nombre}" actualizado`);
+    return this.getDriver(driverId);
+  }
+
+  // 🔍 Posibles duplicados: pares de conductores con nombres parecidos
+  async findDuplicateCandidates({ minScore = DUPLICATE_MIN_SCORE, limit = 50 } = {}) {
+    const drivers = await this.prisma.conductores.findMany({
+      where: { estado: 'ACTIVO' },
+      select: { id: true, nombre: true, nombre_clave: true, cedula: true }
+    });
+
+    const pairs = [];
+    for (let i = 0; i < drivers.length; i++) {
+      for (let j = i + 1; j < drivers.length; j++) {
+        const [a, b] = [drivers[i], drivers[j]];
+        // Dos cédulas distintas son dos personas aunque el nombre coincida
+        if (a.cedula && b.cedula && a.cedula !== b.cedula) continue;
+        const score = nameSimilarity(a.nombre_clave, b.nombre_clave);
+        if (score >= minScore) pairs.push({ a, b, score });
+      }
+    }
+    pairs.sort((x, y) => y.score - x.score);
+    const selected = pairs.slice(0, limit);
+
+    const stats = await this.getInspectionStats([...new Set(selected.flatMap(pair => [pair.a.id, pair.b.id]))]);
+    const summarize = driver => ({
+      id: driver.id,
+      name: driver.nombre,
+      cedula: driver.cedula,
+      totalInspections: stats.get(driver.id)?.totalInspections || 0
+    });
+    return selected.map(pair => ({
+      score: Math.round(pair.score * 100) / 100,
+      drivers: [summarize(pair.a), summarize(pair.b)]
+    }));
+  }
+
+  // 🔀 Fusionar duplicados en un conductor: inspecciones, alias e historial pasan al destino
+  async mergeDrivers(targetId, sourceIds, { user } = {}) {
+    const sources = [...new Set((sourceIds || []).filter(id => id && id !== targetId))];
+    if (!targetId || sources.length === 0) {
+      throw new Error('FUSION_INVALIDA: indique el conductor a conservar y al menos otro conductor');
+    }
+
+    const drivers = await this.prisma.conductores.findMany({ where: { id: { in: [targetId, ...sources] } } });
+    const target = drivers.find(driver => driver.id === targetId);
+    if (!target || drivers.length !== sources.length + 1) {
+      throw new Error('CONDUCTOR_NO_ENCONTRADO: alguno de los conductores a fusionar no existe');
+    }
+    const merged = drivers.filter(driver => driver.id !== targetId);
+    const cedulas = new Set([target.cedula, ...merged.map(driver => driver.cedula)].filter(Boolean));
+    if (cedulas.size > 1) {
+      throw new Error(`FUSION_INVALIDA: los conductores tienen cédulas distintas (${[...cedulas].join(', ')})`);
+    }
+
+    const result = await this.prisma.$transaction(async (tx) => {
+      const moved = await this.auditService.reassignInspections(
+        tx, { conductor_id: { in: sources } }, { conductor_id: targetId }, { actor: user }
+      );
+      await tx.conductores_alias.updateMany({
+        where: { conductor_id: { in: sources } },
+        data: { conductor_id: targetId }
+      });
+      await tx.historial_conductores.updateMany({
+        where: { conductor_id: { in: sources } },
+        data: { conductor_id: targetId }
+      });
+      // El nombre canónico de cada conductor fusionado también identifica al destino
+      for (const driver of merged) {
+        await tx.conductores_alias.upsert({
+          where: { clave: driver.nombre_clave },
+          update: { conductor_id: targetId },
+          create: { conductor_id: targetId, nombre: driver.nombre, clave: driver.nombre_clave }
+        });
+      }
+      await tx.conductores.deleteMany({ where: { id: { in: sources } } });
+      if (!target.cedula && cedulas.size === 1) {
+        await tx.conductores.update({ where: { id: targetId }, data: { cedula: [...cedulas][0] } });
+      }
+      const merging = await tx.conductores.findUnique({ where: { id: targetId } });
+
+      await this.auditService.recordMany([
+        {
+          accion: AUDIT_ACTIONS.FUSIONAR,
+          entidad: 'conductores',
+          entidadId: targetId,
+          antes: target,
+          despues: { ...merging, fusionados: sources, inspeccionesReasignadas: moved },
+          actor: user
+        },
+        ...merged.map(driver => ({
+          accion: AUDIT_ACTIONS.ELIMINAR,
+          entidad: 'conductores',
+          entidadId: driver.id,
+          antes: driver,
+          despues: { fusionadoEn: targetId },
+          actor: user
+        }))
+      ], tx);
+      return { movedInspections: moved };
+    }, { maxWait: 10000, timeout: 60000 });
+
+    console.log(`[CONDUCTORES] 🔀 ${merged.map(driver => `"${driver.nombre}"`).join(', ')} fusionados en "${target.nombre}" por ${user || 'sistema'} (${result.movedInspections} inspecciones)`);
+    return {
+      driver: await this.getDriver(targetId),
+      mergedDrivers: merged.map(driver => ({ id: driver.id, name: driver.nombre })),
+      movedInspections: result.movedInspections
+    };
+  }
+
+  // 📤 Conductor para el frontend
+  toPublicDriver(driver, stats = {}) {
+    return {
+      id: driver.id,
+      name: driver.nombre,
+      cedula: driver.cedula,
+      contract: driver.contrato,
+      status: driver.estado,
+      aliases: (driver.alias || []).map(alias => alias.nombre),
+      totalInspections: stats.totalInspections || 0,
+      criticalAlerts: stats.criticalAlerts || 0,
+      averageScore: stats.averageScore || 0,
+      lastInspection: stats.lastInspection || null,
+      createdAt: driver.createdAt,
+      updatedAt: driver.updatedAt
+    };
+  }
+}
+
+module.exports = DriverService;
@@ -0,0 +1,299 @@
+// 📄 ARCHIVO: backend/src/services/driverTimelineService.js
+// 🕓 Línea de tiempo del conductor: inspecciones, fatiga, alertas, evaluaciones médicas y suspensiones
+
+const { getPrismaClient } = require('../config/database');
+const { FATIGUE_ITEMS } = require('../config/checklistItems');
+const { startOfDay, endOfDay } = require('../utils/dateUtils');
+const AuditService = require('./auditService');
+const { AUDIT_ACTIONS } = require('./auditService');
+
+const TIMELINE_EVENT_TYPES = {
+  INSPECCION: 'INSPECCION',
+  FATIGA: 'FATIGA',                         // Alguna respuesta de fatiga desfavorable
+  ALERTA_GENERADA: 'ALERTA_GENERADA',
+  ALERTA_RESUELTA: 'ALERTA_RESUELTA',
+  EVALUACION_MEDICA: 'EVALUACION_MEDICA',
+  SUSPENSION: 'SUSPENSION'
+};
+
+// Eventos que se derivan de una inspección: se recalculan cada vez que la inspección se escribe
+// (ALERTA_GENERADA lo registra la sincronización de alertas al crear la alerta)
+const INSPECTION_EVENT_TYPES = [
+  TIMELINE_EVENT_TYPES.INSPECCION,
+  TIMELINE_EVENT_TYPES.FATIGA
+];
+
+// Eventos que se registran a mano desde el detalle del conductor
+const MANUAL_EVENT_TYPES = [TIMELINE_EVENT_TYPES.EVALUACION_MEDICA, TIMELINE_EVENT_TYPES.SUSPENSION];
+
+const MEDICAL_RESULTS = ['APTO', 'APTO_CON_RESTRICCIONES', 'NO_APTO'];
+
+// Texto de cada respuesta de fatiga desfavorable
+const FATIGUE_LABELS = {
+  horas_sueno_suficientes: 'sueño insuficiente (menos de 7 horas)',
+  libre_sintomas_fatiga: 'síntomas de fatiga',
+  condiciones_aptas: 'no sentirse en condiciones de conducir',
+  consumo_medicamentos: 'consumo de medicamentos o sustancias'
+};
+
+// Inspecciones recalculadas por transacción
+const INSPECTION_CHUNK_SIZE = 500;
+
+class DriverTimelineService {
+  constructor() {
+    this.prisma = getPrismaClient();
+    this.eventTypes = Object.values(TIMELINE_EVENT_TYPES);
+    this.manualEventTypes = MANUAL_EVENT_TYPES;
+    this.medicalResults = MEDICAL_RESULTS;
+    this.auditService = new AuditService();
+  }
+
+  // 😴 Respuestas de fatiga desfavorables (las que difieren de la respuesta esperada)
+  getFatigueFlags(inspection) {
+    return FATIGUE_ITEMS
+      .filter(item => inspection[item.field] !== undefined && inspection[item.field] !== item.defaultValue)
+      .map(item => item.field);
+  }
+
+  // 💬 Texto de las respuestas de fatiga desfavorables
+  describeFatigue(fields) {
+    return fields.map(field => FATIGUE_LABELS[field]).join(', ');
+  }
+
+  // 🧾 Eventos de una inspección ya guardada
+  buildInspectionEvents(inspection) {
+    const base = { conductor_id: inspection.conductor_id, inspeccion_id: inspection.id, fecha: inspection.fecha };
+    const fatigue = this.getFatigueFlags(inspection);
+
+    const events = [{
+      ...base,
+      tipo: TIMELINE_EVENT_TYPES.INSPECCION,
+      descripcion: `Inspección de ${inspection.placa_vehiculo}: puntaje ${inspection.puntaje_total}, riesgo ${String(inspection.nivel_riesgo).toLowerCase()}`,
+      detalle: {
+        placa: inspection.placa_vehiculo,
+        contrato: inspection.contrato,
+        turno: inspection.turno,
+        kilometraje: inspection.kilometraje,
+        puntaje: inspection.puntaje_total,
+        nivelRiesgo: inspection.nivel_riesgo,
+        fatiga: Object.fromEntries(FATIGUE_ITEMS.map(item => [item.field, inspection[item.field]]))
+      }
+    }];
+
+    if (fatigue.length > 0) {
+      events.push({
+        ...base,
+        tipo: TIMELINE_EVENT_TYPES.FATIGA,
+        descripcion: `Reportó ${this.describeFatigue(fatigue)}`,
+        detalle: { respuestas: fatigue }
+      });
+    }
+
+    return events;
+  }
+
+  // 🚨 Evento de una alerta recién creada (crítica o advertencia) en la línea de tiempo del conductor
+  buildAlertEvent(alert, inspection) {
+    return {
+      conductor_id: inspection.conductor_id,
+      inspeccion_id: inspection.id,
+      fecha: inspection.fecha,
+      tipo: TIMELINE_EVENT_TYPES.ALERTA_GENERADA,
+      descripcion: `${alert.tipo === 'CRITICA' ? 'Alerta crítica' : 'Advertencia'} en ${alert.descripcion}`,
+      detalle: {
+        alertaId: alert.id,
+        tipo: alert.tipo,
+        prioridad: alert.prioridad,
+        nivelRiesgo: alert.detalle?.nivelRiesgo,
+        itemsNoCumplen: alert.detalle?.itemsNoCumplen || [],
+        fatiga: alert.detalle?.fatiga || []
+      }
+    };
+  }
+
+  // 🔄 Recalcular los eventos de las inspecciones indicadas (nuevas, actualizadas o recién enlazadas).
+  // Las inspecciones sin conductor solo pierden sus eventos anteriores.
+  async recordInspections(inspectionIds) {
+    const ids = [...new Set((inspectionIds || []).filter(Boolean))];
+    const summary = { inspections: ids.length, events: 0 };
+
+    for (let i = 0; i < ids.length; i += INSPECTION_CHUNK_SIZE) {
+      const chunk = ids.slice(i, i + INSPECTION_CHUNK_SIZE);
+      const inspections = await this.prisma.inspecciones.findMany({
+        where: { id: { in: chunk } },
+        select: {
+          id: true,
+          conductor_id: true,
+          fecha: true,
+          placa_vehiculo: true,
+          contrato: true,
+          turno: true,
+          kilometraje: true,
+          puntaje_total: true,
+          nivel_riesgo: true,
+          ...Object.fromEntries(FATIGUE_ITEMS.map(item => [item.field, true]))
+        }
+      });
+
+      const data = inspections
+        .filter(inspection => inspection.conductor_id)
+        .flatMap(inspection => this.buildInspectionEvents(inspection));
+
+      await this.prisma.$transaction([
+        this.prisma.historial_conductores.deleteMany({
+          where: { inspeccion_id: { in: chunk }, tipo: { in: INSPECTION_EVENT_TYPES } }
+        }),
+        this.prisma.historial_conductores.createMany({ data })
+      ]);
+      summary.events += data.length;
+    }
+
+    if (ids.length > 0) {
+      console.log(`[HISTORIAL] 🕓 ${ids.length} inspecciones registradas en la línea de tiempo (${summary.events} eventos)`);
+    }
+    return summary;
+  }
+
+  // 🧩 Completar las inspecciones con conductor que aún no tienen eventos
+  // (cargadas antes de existir la línea de tiempo o enlazadas por la sincronización)
+  async recordMissingInspections() {
+    const summary = { inspections: 0, events: 0 };
+    for (;;) {
+      const pending = await this.prisma.inspecciones.findMany({
+        where: { conductor_id: { not: null }, historial_conductores: { none: {} } },
+        select: { id: true },
+        take: INSPECTION_CHUNK_SIZE
+      });
+      if (pending.length === 0) break;
+
+      const result = await this.recordInspections(pending.map(row => row.id));
+      summary.inspections += result.inspections;
+      summary.events += result.events;
+      // Toda inspección con conductor genera al menos su evento INSPECCION
+      if (result.events === 0) break;
+    }
+    return summary;
+  }
+
+  // ➕ Registrar un evento en la línea de tiempo de un conductor
+  async recordEvent({ conductorId, tipo, fecha = new Date(), descripcion = '', detalle, inspeccionId = null, user = null }, client = this.prisma) {
+    return client.historial_conductores.create({
+      data: {
+        conductor_id: conductorId,
+        tipo,
+        fecha,
+        descripcion,
+        detalle,
+        inspeccion_id: inspeccionId,
+        registrado_por: user
+      }
+    });
+  }
+
+  // 🩺 Evaluación médica o suspensión registrada a mano
+  async addManualEvent(driverId, input = {}) {
+    const driver = await this.prisma.conductores.findUnique({ where: { id: driverId }, select: { id: true, nombre: true } });
+    if (!driver) throw new Error('CONDUCTOR_NO_ENCONTRADO: No existe un conductor con ese id');
+
+    const tipo = String(input.type || '').toUpperCase();
+    if (!MANUAL_EVENT_TYPES.includes(tipo)) {
+      throw new Error(`EVENTO_INVALIDO: tipo "${input.type}" no válido (${MANUAL_EVENT_TYPES.join(', ')})`);
+    }
+
+    const fecha = input.date ? new Date(input.date) : new Date();
+    if (isNaN(fecha.getTime())) throw new Error(`EVENTO_INVALIDO: fecha "${input.date}" no válida`);
+    let descripcion = String(input.description || '').trim();
+
+    let detalle;
+    if (tipo === TIMELINE_EVENT_TYPES.EVALUACION_MEDICA) {
+      const resultado = String(input.result || '').toUpperCase();
+      if (!MEDICAL_RESULTS.includes(resultado)) {
+        throw new Error(`EVENTO_INVALIDO: resultado "${input.result}" no válido (${MEDICAL_RESULTS.join(', ')})`);
+      }
+      detalle = { resultado };
+      if (!descripcion) descripcion = `Evaluación médica: ${resultado.replace(/_/g, ' ').toLowerCase()}`;
+    } else {
+      if (!descripcion) throw new Error('EVENTO_INVALIDO: indique el motivo de la suspensión');
+      const hasta = input.until ? new Date(input.until) : null;
+      if (hasta && (isNaN(hasta.getTime()) || hasta < fecha)) {
+        throw new Error('EVENTO_INVALIDO: la suspensión debe terminar después de empezar');
+      }
+      detalle = { hasta };
+    }
+
+    const event = await this.prisma.$transaction(async (tx) => {
+      const created = await this.recordEvent({
+        conductorId: driverId,
+        tipo,
+        fecha,
+        descripcion,
+        detalle,
+        user: input.user ? String(input.user).trim() : null
+      }, tx);
+      await this.auditService.record({
+        accion: AUDIT_ACTIONS.CREAR, entidad: 'historial_conductores', entidadId: created.id, despues: created, actor: created.registrado_por
+      }, tx);
+      return created;
+    });
+    console.log(`[HISTORIAL] 🩺 ${tipo} registrado para "${driver.nombre}"`);
+    return this.toPublicEvent(event);
+  }
+
+  // 🕓 Eventos del conductor, el más reciente primero (filtros: tipos y rango de días)
+  async getTimeline(driverId, { types, from, to, page = 1, limit = 50 } = {}) {
+    const driver = await this.prisma.conductores.findUnique({
+      where: { id: driverId },
+      select: { id: true, nombre: true, cedula: true, estado: true }
+    });
+    if (!driver) throw new Error('CONDUCTOR_NO_ENCONTRADO: No existe un conductor con ese id');
+
+    const where = { conductor_id: driverId };
+    if (types && types.length > 0) where.tipo = { in: types };
+    if (from || to) {
+      where.fecha = {};
+      if (from) where.fecha.gte = startOfDay(from);
+      if (to) where.fecha.lte = endOfDay(to);
+    }
+
+    const [total, events, counts] = await Promise.all([
+      this.prisma.historial_conductores.count({ where }),
+      this.prisma.historial_conductores.findMany({
+        where,
+        orderBy: [{ fecha: 'desc' }, { createdAt: 'desc' }],
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      this.prisma.historial_conductores.groupBy({
+        by: ['tipo'],
+        where: { conductor_id: driverId },
+        _count: { id: true }
+      })
+    ]);
+
+    return {
+      driver: { id: driver.id, name: driver.nombre, cedula: driver.cedula, status: driver.estado },
+      events: events.map(event => this.toPublicEvent(event)),
+      summary: Object.fromEntries(this.eventTypes.map(type => [
+        type,
+        counts.find(row => row.tipo === type)?._count.id || 0
+      ])),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  // 📤 Evento para el frontend
+  toPublicEvent(event) {
+    return {
+      id: event.id,
+      type: event.tipo,
+      date: event.fecha,
+      description: event.descripcion,
+      details: event.detalle,
+      inspectionId: event.inspeccion_id,
+      recordedBy: event.registrado_por,
+      createdAt: event.createdAt
+    };
+  }
+}
+
+module.exports = DriverTimelineService;
@@ -3,49 +3,25 @@
 
 const XLSX = require('xlsx');
 const ValidationService = require('./validationService');
+const {
+  buildNaturalKey,
+  findNaturalKeyMatch,
+  toTimestampSeconds,
+  normalizeExcelHeader,
+  toChecklistResult
+} = require('../utils/excelUtils');
+const { CHECKLIST_ITEMS } = require('../config/checklistItems');
+const { buildColumnAliases } = require('../config/columnAliases');
+const { excelSerialToDate, parseSpanishDateTime } = require('../utils/dateUtils');
 
 class ExcelProcessingService {
   constructor() {
     this.validationService = new ValidationService();
     
-    // 🗺️ MAPEO DE COLUMNAS EXCEL → BACKEND (actualizado según análisis)
+    // 🗺️ MAPEO DE COLUMNAS EXCEL → BACKEND (alias compartidos con ExcelService)
     this.columnMapping = {
-      // Campos básicos
-      fecha: "Marca temporal",
-      conductor_nombre: "NOMBRE DE QUIEN REALIZA LA INSPECCIÓN ",
-      cedula_conductor: "CEDULA CONDUCTOR", // Si existe
-      placa_vehiculo: "PLACA DEL VEHICULO",
-      contrato: "CONTRATO",
-      campo_coordinacion: "CAMPO/COORDINACIÓN",
-      turno: "TURNO",
-      kilometraje: "KILOMETRAJE",
-      
-      // 🚨 COLUMNAS DE FATIGA CRÍTICAS (según análisis Excel)
-      consumo_medicamentos_excel: "¿Ha consumido medicamentos o sustancias que afecten su estado de alerta?*",
-      horas_sueno_excel: "¿Ha dormido al menos 7 horas en las últimas 24 horas?",
-      libre_sintomas_fatiga_excel: "¿Se encuentra libre de síntomas de fatiga (Somnolencia, dolor de cabeza, irritabilidad)?",
-      condiciones_aptas_excel: "¿Se siente en condiciones físicas y mentales para conducir? ",
-      
-      // Inspección vehicular
-      luces_altas_bajas_excel: "** ALTAS Y BAJAS",
-      direccionales_excel: "DIRECCIONALES DERECHA E IZQUIERDA", 
-      luces_parqueo_excel: "**DE PARQUEO",
-      luces_freno_excel: "**DE FRENO",
-      luces_reversa_excel: "**DE REVERSA Y ALARMA DE RETROCESO",
-      espejos_excel: "**ESPEJO CENTRAL Y ESPEJOS LATERALES",
-      vidrio_frontal_excel: "**VIDRIO FRONTAL",
-      frenos_excel: "**FRENOS",
-      frenos_emergencia_excel: "**FRENOS DE EMERGENCIA O DE MANO",
-      cinturones_excel: "**CINTURONES DE SEGURIDAD",
-      limpiaparabrisas_excel: "**LIMPIA BRISAS",
-      extintor_excel: "EXTINTOR VIGENTE",
-      botiquin_excel: "BOTIQUÍN",
-      llantas_labrado_excel: "**LLANTAS - LABRADO (min 2mm DE LABRADO)",
-      llantas_cortaduras_excel: "**LLANTAS - SIN CORTADURAS Y SIN ABULTAMIENTOS",
-      suspension_excel: "**SUSPENSIÓN (TERMINALES)",
-      direccion_excel: "**DIRECCIÓN (TERMINALES)",
-      kit_carretera_excel: "Equipo de carretera: gato, llave de pernos, herramienta básica, triángulos o conos, bloques, chaleco, señal pare-siga",
-      observaciones: "OBSERVACIONES"
+      ...buildColumnAliases(),
+      cedula_conductor: ['CEDULA CONDUCTOR'] // Si existe
     };
 
     // 🔄 MAPEO DE VALORES EXCEL → BOOLEAN (según análisis realizado)
@@ -69,9 +45,7 @@ class ExcelProcessingService {
       'consumo_medicamentos',
       'horas_sueno_suficientes', 
       'libre_sintomas_fatiga',
-      'condiciones_aptas',
-      'frenos_funcionando',
-      'cinturones_seguros'
+      'condiciones_aptas'
     ];
   }
 
@@ -84,15 +58,46 @@ class ExcelProcessingService {
       const workbook = XLSX.readFile(filePath, {
         cellStyles: true,
         cellFormulas: true,
-        cellDates: true,
+        // Sin cellDates: las fechas llegan como número de serie y convertExcelDate las interpreta en APP_TIMEZONE
         defval: '' // Valor por defecto para celdas vacías
       });
 
       console.log('[EXCEL-PROCESSING] 📋 Hojas encontradas:', workbook.SheetNames);
       
-      // Procesar hoja principal (primera hoja o especificada)
-      const sheetName = options.sheetName || workbook.SheetNames[0];
-      const results = await this.processWorksheet(workbook, sheetName, options);
+      // Procesar hojas seleccionadas (todas por defecto) deduplicando entre hojas
+      const sheetNames = options.sheets || (options.sheetName ? [options.sheetName] : workbook.SheetNames);
+      const keyIndex = new Map();
+      const results = {
+        processedRecords: [],
+        errors: [],
+        warnings: [],
+        criticalAlerts: [],
+        statistics: {},
+        processedCount: 0,
+        duplicateCount: 0,
+        sheets: []
+      };
+
+      for (const sheetName of sheetNames) {
+        const sheetResults = await this.processWorksheet(workbook, sheetName, {
+          ...options,
+          keyIndex,
+          date1904: !!workbook.Workbook?.WBProps?.date1904
+        });
+        results.processedRecords.push(...sheetResults.processedRecords);
+        results.errors.push(...sheetResults.errors.map(error => ({ ...error, sheet: sheetName })));
+        results.warnings.push(...sheetResults.warnings);
+        results.criticalAlerts.push(...sheetResults.criticalAlerts);
+        results.processedCount += sheetResults.processedCount;
+        results.duplicateCount += sheetResults.duplicateCount;
+        results.sheets.push({
+          name: sheetName,
+          processedCount: sheetResults.processedCount,
+          duplicateCount: sheetResults.duplicateCount,
+          errorCount: sheetResults.errors.length
+        });
+      }
+      results.statistics = this.generateStatistics(results.processedRecords);
       
       console.log(`[EXCEL-PROCESSING] ✅ Procesados ${results.processedCount} registros`);
       console.log(`[EXCEL-PROCESSING] ⚠️ Errores: ${results.errors.length}`);
@@ -122,19 +127,39 @@ class ExcelProcessingService {
 
     console.log(`[EXCEL-PROCESSING] 📊 Filas extraídas: ${rawData.length}`);
 
+    // Ítems presentes en esta hoja y su criticidad según el marcador "**" de los encabezados
+    const headers = Object.keys(rawData[0] || {});
+    const checklist = this.validationService.resolveChecklist({
+      items: CHECKLIST_ITEMS.map(item => ({ item, header: this.findHeader(headers, this.columnMapping[item.field]) }))
+        .filter(({ header }) => header)
+        .map(({ item, header }) => ({ campo: item.field, is_critical: normalizeExcelHeader(header).isCritical }))
+    });
+
     const results = {
       processedRecords: [],
       errors: [],
       warnings: [],
       criticalAlerts: [],
       statistics: {},
-      processedCount: 0
+      processedCount: 0,
+      duplicateCount: 0
     };
 
     // Procesar cada fila
     for (let i = 0; i < rawData.length; i++) {
       try {
-        const normalizedRecord = await this.normalizeExcelRecord(rawData[i], i + 1);
+        const normalizedRecord = await this.normalizeExcelRecord(rawData[i], i + 1, { ...options, checklist });
+        normalizedRecord.hoja_origen = sheetName;
+        
+        // Omitir respuestas ya vistas en otra hoja (misma marca temporal, placa e inspector)
+        if (options.keyIndex) {
+          if (findNaturalKeyMatch(options.keyIndex, normalizedRecord) !== undefined) {
+            results.duplicateCount++;
+            continue;
+          }
+          const key = buildNaturalKey(normalizedRecord);
+          if (key) options.keyIndex.set(key, sheetName);
+        }
         
         // Validar registro normalizado
         const validationResult = await this.validateRecord(normalizedRecord);
@@ -144,7 +169,7 @@ class ExcelProcessingService {
           results.processedCount++;
           
           // Detectar alertas críticas
-          const criticalAlert = this.detectCriticalAlerts(normalizedRecord);
+          const criticalAlert = this.detectCriticalAlerts(normalizedRecord, checklist);
           if (criticalAlert) {
             results.criticalAlerts.push(criticalAlert);
           }
@@ -173,51 +198,48 @@ class ExcelProcessingService {
   }
 
   // 🔄 NORMALIZAR REGISTRO INDIVIDUAL (FUNCIÓN CRÍTICA)
-  async normalizeExcelRecord(excelRow, rowNumber) {
+  async normalizeExcelRecord(excelRow, rowNumber, options = {}) {
     console.log(`[EXCEL-PROCESSING] 🔄 Normalizando fila ${rowNumber}`);
+    const headers = Object.keys(excelRow);
+    const getRaw = (field) => {
+      const header = this.findHeader(headers, this.columnMapping[field]);
+      return header ? excelRow[header] : undefined;
+    };
+    const fecha = this.convertExcelDate(getRaw('fecha'), options.date1904);
     
     const normalized = {
       // Metadatos
       fila_excel: rowNumber,
       fecha_procesamiento: new Date().toISOString(),
       
-      // 📅 FECHA (conversión desde formato Excel)
-      fecha: this.convertExcelDate(excelRow[this.columnMapping.fecha]),
+      // 📅 FECHA Y HORA DE ENVÍO (conversión desde formato Excel)
+      fecha,
+      marca_temporal: toTimestampSeconds(fecha),
       
       // 👤 CONDUCTOR (limpieza de espacios)
-      conductor_nombre: this.cleanText(excelRow[this.columnMapping.conductor_nombre]),
-      cedula_conductor: this.cleanText(excelRow[this.columnMapping.cedula_conductor]),
+      conductor_nombre: this.cleanText(getRaw('conductor_nombre')),
+      cedula_conductor: this.cleanText(getRaw('cedula_conductor')),
       
       // 🚗 VEHÍCULO (normalización de placa)
-      placa_vehiculo: this.normalizeCarPlate(excelRow[this.columnMapping.placa_vehiculo]),
-      kilometraje: this.convertToNumber(excelRow[this.columnMapping.kilometraje]),
+      placa_vehiculo: this.normalizeCarPlate(getRaw('placa_vehiculo')),
+      kilometraje: this.convertToNumber(getRaw('kilometraje')),
       
       // 🏢 OPERACIÓN
-      contrato: this.cleanText(excelRow[this.columnMapping.contrato]),
-      campo_coordinacion: this.cleanText(excelRow[this.columnMapping.campo_coordinacion]),
-      turno: this.normalizeShift(excelRow[this.columnMapping.turno]),
+      contrato: this.cleanText(getRaw('contrato')),
+      campo_coordinacion: this.cleanText(getRaw('campo_coordinacion')),
+      turno: this.normalizeShift(getRaw('turno')),
       
       // 🚨 FATIGA DEL CONDUCTOR (conversión crítica a booleanos)
-      consumo_medicamentos: this.convertToBoolean(excelRow[this.columnMapping.consumo_medicamentos_excel]),
-      horas_sueno_suficientes: this.convertToBoolean(excelRow[this.columnMapping.horas_sueno_excel]),
-      libre_sintomas_fatiga: this.convertToBoolean(excelRow[this.columnMapping.libre_sintomas_fatiga_excel]),
-      condiciones_aptas: this.convertToBoolean(excelRow[this.columnMapping.condiciones_aptas_excel]),
+      consumo_medicamentos: this.convertToBoolean(getRaw('consumo_medicamentos')),
+      horas_sueno_suficientes: this.convertToBoolean(getRaw('horas_sueno_suficientes')),
+      libre_sintomas_fatiga: this.convertToBoolean(getRaw('libre_sintomas_fatiga')),
+      condiciones_aptas: this.convertToBoolean(getRaw('condiciones_aptas')),
       
-      // 🔍 INSPECCIÓN VEHICULAR (conversión a booleanos)
-      luces_funcionando: this.convertToBoolean(excelRow[this.columnMapping.luces_altas_bajas_excel]),
-      direccionales_funcionando: this.convertToBoolean(excelRow[this.columnMapping.direccionales_excel]),
-      frenos_funcionando: this.convertToBoolean(excelRow[this.columnMapping.frenos_excel]),
-      frenos_emergencia: this.convertToBoolean(excelRow[this.columnMapping.frenos_emergencia_excel]),
-      cinturones_seguros: this.convertToBoolean(excelRow[this.columnMapping.cinturones_excel]),
-      espejos_estado: this.normalizeComponentState(excelRow[this.columnMapping.espejos_excel]),
-      limpiaparabrisas_funcionando: this.convertToBoolean(excelRow[this.columnMapping.limpiaparabrisas_excel]),
-      extintor_vigente: this.convertToBoolean(excelRow[this.columnMapping.extintor_excel]),
-      botiquin_completo: this.convertToBoolean(excelRow[this.columnMapping.botiquin_excel]),
-      neumaticos_estado: this.normalizeComponentState(excelRow[this.columnMapping.llantas_labrado_excel]),
-      kit_carretera: this.convertToBoolean(excelRow[this.columnMapping.kit_carretera_excel]),
+      // 🔍 INSPECCIÓN VEHICULAR (CUMPLE / NO_CUMPLE / NO_APLICA / SIN_RESPUESTA)
+      ...this.mapChecklistFields(excelRow),
       
       // 📝 OBSERVACIONES
-      observaciones: this.cleanText(excelRow[this.columnMapping.observaciones]),
+      observaciones: this.cleanText(getRaw('observaciones')),
       
       // 🏆 CÁLCULOS AUTOMÁTICOS
       nivel_riesgo: null, // Se calculará después
@@ -226,37 +248,53 @@ class ExcelProcessingService {
     };
 
     // Calcular campos derivados usando ValidationService
-    normalized.nivel_riesgo = this.validationService.calculateRiskLevel(normalized);
-    normalized.puntaje_inspeccion = this.validationService.calculateInspectionScore(normalized);
+    normalized.nivel_riesgo = this.validationService.calculateRiskLevel(normalized, options.checklist);
+    normalized.puntaje_inspeccion = this.validationService.calculateInspectionScore(normalized, options.checklist);
     normalized.tiene_alertas_criticas = this.hasCriticalAlerts(normalized);
 
     return normalized;
   }
 
+  // 🔍 Encabezado de la hoja que corresponde a alguno de los alias de un campo
+  findHeader(headers, aliases = []) {
+    const keys = aliases.map(name => normalizeExcelHeader(name).key);
+    return headers.find(header => keys.includes(normalizeExcelHeader(header).key));
+  }
+
+  // ✅ Mapear ítems del checklist a los campos de inspecciones
+  mapChecklistFields(excelRow) {
+    const headers = Object.keys(excelRow);
+    const fields = {};
+    CHECKLIST_ITEMS.forEach(item => {
+      const header = this.findHeader(headers, this.columnMapping[item.field]);
+      fields[item.field] = toChecklistResult(header ? excelRow[header] : '');
+    });
+    return fields;
+  }
+
   // 🔄 MÉTODOS DE CONVERSIÓN Y NORMALIZACIÓN
 
-  convertExcelDate(excelDate) {
-    if (!excelDate) return null;
+  // 📅 Marca temporal completa (fecha y hora) como ISO; la hora sin zona se interpreta en APP_TIMEZONE
+  convertExcelDate(excelDate, date1904 = false) {
+    if (excelDate === null || excelDate === undefined || excelDate === '') return null;
     
     try {
       // Si ya es una fecha JavaScript
       if (excelDate instanceof Date) {
-        return excelDate.toISOString().split('T')[0];
+        return isNaN(excelDate.getTime()) ? null : excelDate.toISOString();
       }
       
-      // Si es un número (formato Excel)
+      // Si es un número de serie de Excel (incluye el 29/02/1900 ficticio de Excel)
       if (typeof excelDate === 'number') {
-        // Excel cuenta días desde 1900-01-01
-        const excelEpoch = new Date(1900, 0, 1);
-        const jsDate = new Date(excelEpoch.getTime() + (excelDate - 1) * 24 * 60 * 60 * 1000);
-        return jsDate.toISOString().split('T')[0];
+        const date = excelSerialToDate(excelDate, { date1904 });
+        return date ? date.toISOString() : null;
       }
       
-      // Si es string, intentar parsear
+      // Si es string: formato del formulario ("1/08/2025 5:33:10") o ISO
       if (typeof excelDate === 'string') {
-        const parsed = new Date(excelDate);
-        if (!isNaN(parsed)) {
-          return parsed.toISOString().split('T')[0];
+        const parsed = parseSpanishDateTime(excelDate) || new Date(excelDate);
+        if (!isNaN(parsed.getTime())) {
+          return parsed.toISOString();
         }
       }
       
@@ -339,7 +377,7 @@ class ExcelProcessingService {
   }
 
   // 🚨 DETECCIÓN DE ALERTAS CRÍTICAS
-  detectCriticalAlerts(record) {
+  detectCriticalAlerts(record, checklist) {
     const alerts = [];
     
     // ALERTA CRÍTICA: Consumo de medicamentos
@@ -371,19 +409,16 @@ class ExcelProcessingService {
       });
     }
     
-    // ALERTA MEDIA: Problemas vehiculares críticos
-    const vehicleIssues = [
-      !record.frenos_funcionando,
-      !record.cinturones_seguros,
-      !record.luces_funcionando
-    ].filter(Boolean).length;
+    // ALERTA MEDIA: Ítems críticos del formulario que no cumplen
+    const failedCriticalItems = this.validationService.getFailedCriticalItems(record, checklist);
     
-    if (vehicleIssues >= 1) {
+    if (failedCriticalItems.length >= 1) {
       alerts.push({
         tipo: 'VEHICULO_INSEGURO',
         nivel: 'MEDIO',
-        mensaje: `${vehicleIssues} problemas críticos en vehículo`,
+        mensaje: `${failedCriticalItems.length} problemas críticos en vehículo`,
         placa: record.placa_vehiculo,
+        items: failedCriticalItems,
         accion_requerida: 'REPARACION_ANTES_USO'
       });
     }
@@ -406,6 +441,8 @@ class ExcelProcessingService {
     
     if (!record.fecha) {
       errors.push('Fecha requerida');
+    } else if (!record.marca_temporal) {
+      errors.push('Marca temporal inválida: la fecha no tiene hora de envío reconocible');
     }
     
     // Validar campos críticos
@@ -4,33 +4,45 @@
 const XLSX = require('xlsx');
 const ValidationService = require('./validationService');
 const crypto = require('crypto');
+const {
+  buildNaturalKey,
+  findNaturalKeyMatch,
+  toTimestampSeconds,
+  normalizeExcelHeader,
+  matchHeader,
+  suggestFieldsForHeader,
+  toBooleanAnswer,
+  toChecklistResult
+} = require('../utils/excelUtils');
+const { CHECKLIST_ITEMS, FATIGUE_ITEMS } = require('../config/checklistItems');
+const { buildColumnAliases, getMappableFields } = require('../config/columnAliases');
+const {
+  SPANISH_MONTHS,
+  detectMonthFromSheetName,
+  parseSpanishDateTime,
+  excelSerialToDate,
+  getZonedParts,
+  formatDateKey
+} = require('../utils/dateUtils');
+const { isCsvFile, readCsvBuffer } = require('../utils/csvUtils');
+
+// Similitud mínima para asignar un encabezado que no coincide exactamente con ningún alias
+const FUZZY_MATCH_MIN_SCORE = 0.75;
+// Por debajo de esta similitud la asignación se informa como advertencia en la validación
+const LOW_CONFIDENCE_SCORE = 0.9;
 
 class ExcelService {
   constructor() {
     this.validationService = new ValidationService();
-    this.columnMapping = {
-      placa_vehiculo: [
-        "PLACA DEL VEHICULO", "PLACA DEL VEHÍCULO", "Placa del vehículo", "PLACA_VEHICULO", "Placa", "PLACA", "placa_vehiculo", "Número de placa", "No. Placa"
-      ],
-      contrato: [
-        "CONTRATO", "Contrato", "contrato", "CONTRATO/CAMPO", "Contrato Campo", "CAMPO/CONTRATO", "Nombre del contrato", "No. Contrato"
-      ],
-      turno: [
-        "TURNO", "Turno", "turno", "TURNO DE TRABAJO", "Turno de Trabajo", "Jornada", "JORNADA"
-      ],
-      conductor_nombre: [
-        "NOMBRE DE QUIEN REALIZA LA INSPECCIÓN", "NOMBRE DE QUIEN REALIZA LA INSPECCIÓN ", "Nombre del Inspector", "Inspector", "INSPECTOR", "Conductor", "CONDUCTOR", "Nombre Conductor", "NOMBRE_CONDUCTOR"
-      ],
-      fecha: [
-        "Marca temporal", "MARCA TEMPORAL", "Fecha", "FECHA", "fecha", "Timestamp", "Fecha de inspección"
-      ],
-      campo_coordinacion: [
-        "CAMPO/COORDINACIÓN", "CAMPO/COORDINACION", "Campo/Coordinación", "Campo", "CAMPO", "Coordinación", "COORDINACION"
-      ],
-      kilometraje: [
-        "KILOMETRAJE", "Kilometraje", "kilometraje", "KM", "Kilómetros"
-      ]
-    };
+    this.setChecklistItems(CHECKLIST_ITEMS);
+  }
+
+  // 📋 Ítems del checklist reconocibles (definiciones base más los de las plantillas versionadas)
+  setChecklistItems(items) {
+    this.checklistItems = items;
+    // Alias de encabezado por campo (básicos, checklist y fatiga) desde la configuración compartida
+    this.columnMapping = buildColumnAliases(items);
+    this.fieldLabels = Object.fromEntries(getMappableFields(items).map(item => [item.field, item.label]));
   }
 
   analyzeDates(data) {
@@ -42,9 +54,11 @@ class ExcelService {
         if (value && (typeof value === 'string' || value instanceof Date)) {
           const dateValue = new Date(value);
           if (!isNaN(dateValue.getTime())) {
+            // Mes y año en la zona del formulario, no en la del servidor
+            const parts = getZonedParts(dateValue);
             dates.push(dateValue);
-            months.add(dateValue.getMonth() + 1);
-            if (!year) year = dateValue.getFullYear();
+            months.add(parts.month);
+            if (!year) year = parts.year;
           }
         }
       });
@@ -61,8 +75,8 @@ class ExcelService {
       mesesNombres: monthNames,
       totalFechas: dates.length,
       rangoFechas: dates.length > 0 ? {
-        inicio: new Date(Math.min(...dates)).toISOString().split('T')[0],
-        fin: new Date(Math.max(...dates)).toISOString().split('T')[0]
+        inicio: formatDateKey(Math.min(...dates)),
+        fin: formatDateKey(Math.max(...dates))
       } : null
     };
   }
@@ -96,73 +110,57 @@ class ExcelService {
       if (!value) return '';
       return String(value).trim().replace(/\s+/g, ' ');
     };
-    const getValue = (dbField) => {
+    const getRawValue = (dbField) => {
       const excelColumn = foundColumns[dbField];
-      if (!excelColumn) return null;
-      const value = rawRecord[excelColumn];
-      return value !== undefined ? cleanString(value) : null;
+      return excelColumn ? rawRecord[excelColumn] : undefined;
     };
-    const mapBool = (dbField) => {
-      const val = getValue(dbField);
-      const normalized = val ? val.toString().trim().toLowerCase() : '';
-      let result = false;
-      if (normalized.includes('no')) {
-        result = false;
-      } else if (normalized.includes('cumple')) {
-        result = true;
-      } else {
-        result = false;
-      }
-      console.log(`[EXCEL] Campo booleano '${dbField}': valor original='${val}', normalizado='${normalized}', resultado=${result}`);
-      return result;
+    const getValue = (dbField) => {
+      const value = getRawValue(dbField);
+      return value !== undefined ? cleanString(value) : null;
     };
-    return {
+    const mapBool = (dbField) => toBooleanAnswer(getRawValue(dbField));
+    const checklist = {};
+    this.checklistItems.forEach(item => {
+      checklist[item.field] = toChecklistResult(getRawValue(item.field));
+    });
+    const fatigue = {};
+    FATIGUE_ITEMS.forEach(item => {
+      fatigue[item.field] = getValue(item.field) ? mapBool(item.field) : item.defaultValue;
+    });
+    // La marca temporal sale de la misma fecha interpretada (texto del formulario en APP_TIMEZONE)
+    const fecha = this.parseDate(getRawValue('fecha'));
+    const record = {
       id: generateId(),
-      fecha: this.parseDate(getValue('fecha')),
+      fecha,
       conductor_nombre: getValue('conductor_nombre') || '',
       placa_vehiculo: getValue('placa_vehiculo') || '',
       contrato: getValue('contrato') || '',
       turno: getValue('turno') || '',
       campo_coordinacion: getValue('campo_coordinacion') || '',
       kilometraje: parseInt(getValue('kilometraje') || '0') || 0,
-      marca_temporal: Date.now(),
+      marca_temporal: toTimestampSeconds(fecha),
+      // Fila real en la hoja (sheet_to_json deja __rowNum__ en base 0, el encabezado es la fila 1)
+      fila_origen: rawRecord.__rowNum__ !== undefined ? rawRecord.__rowNum__ + 1 : rowNumber + 1,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       nivel_riesgo: 'BAJO',
       puntaje_total: 0,
-      observaciones: '',
-      gps: mapBool('gps'),
-      pito: mapBool('pito'),
-      freno: mapBool('freno'),
-      frenos: mapBool('frenos'),
-      correas: mapBool('correas'),
-      espejos: mapBool('espejos'),
-      parqueo: mapBool('parqueo'),
-      puertas: mapBool('puertas'),
-      vidrios: mapBool('vidrios'),
-      baterias: mapBool('baterias'),
-      tapiceria: mapBool('tapiceria'),
-      cinturones: mapBool('cinturones'),
-      orden_aseo: mapBool('orden_aseo'),
-      suspension: mapBool('suspension'),
-      altas_bajas: mapBool('altas_bajas'),
-      horas_sueno: mapBool('horas_sueno'),
-      indicadores: mapBool('indicadores'),
-      tapa_tanque: mapBool('tapa_tanque'),
-      aceite_motor: mapBool('aceite_motor'),
-      libre_fatiga: mapBool('libre_fatiga'),
-      direccionales: mapBool('direccionales'),
-      documentacion: mapBool('documentacion'),
-      fluido_frenos: mapBool('fluido_frenos'),
-      kit_ambiental: mapBool('kit_ambiental'),
-      limpia_brisas: mapBool('limpia_brisas'),
-      espejos_estado: 'BUENO'
+      observaciones: getValue('observaciones') || '',
+      ...fatigue,
+      ...checklist
     };
+    // Fila tal como venía en el archivo (no enumerable: no viaja a la BD ni a las respuestas)
+    Object.defineProperty(record, 'fila_original', { value: rawRecord, enumerable: false });
+    return record;
   }
 
   parseDate(dateValue) {
+    if (dateValue === null || dateValue === undefined || dateValue === '') return null;
     try {
-      const date = new Date(dateValue);
+      // Texto como lo exporta el formulario ("1/08/2025 5:33:10"): hora en APP_TIMEZONE
+      const date = typeof dateValue === 'string'
+        ? parseSpanishDateTime(dateValue) || new Date(dateValue)
+        : new Date(dateValue);
       if (isNaN(date.getTime())) return null;
       return date.toISOString();
     } catch (error) {
@@ -171,33 +169,399 @@ class ExcelService {
     }
   }
 
+  // #️⃣ Hash del contenido del archivo: identifica una carga repetida aunque cambie el nombre
+  getFileHash(buffer) {
+    return crypto.createHash('md5').update(buffer).digest('hex');
+  }
+
+  // 📖 Leer workbook completo desde buffer (los CSV se convierten a un libro de una hoja)
+  readWorkbook(buffer, filename = '') {
+    if (isCsvFile(filename)) {
+      return this.readCsvWorkbook(buffer, filename);
+    }
+    // Sin cellDates: SheetJS arma las fechas en la zona del servidor; se convierten en readSheetRows
+    return XLSX.read(buffer, { type: 'buffer', cellNF: true });
+  }
+
+  // 📄 CSV → workbook con fechas y números ya tipados, para reutilizar el mismo pipeline
+  readCsvWorkbook(buffer, filename) {
+    const { rows, delimiter, encoding } = readCsvBuffer(buffer);
+    console.log(`[EXCEL] 📄 CSV detectado: codificación ${encoding}, delimitador "${delimiter === '\t' ? '\\t' : delimiter}", ${Math.max(rows.length - 1, 0)} filas`);
+
+    // Nombre de hoja: nombre del archivo sin extensión (Excel limita a 31 caracteres)
+    const sheetName = (filename.replace(/\.csv$/i, '').replace(/[\\/?*[\]:]/g, ' ').trim() || 'CSV').slice(0, 31);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows, { cellDates: true }), sheetName);
+    return workbook;
+  }
+
+  // 📋 Leer filas de una hoja descartando filas totalmente vacías
+  readSheetRows(workbook, sheetName) {
+    const worksheet = workbook.Sheets[sheetName];
+    if (!worksheet) {
+      throw new Error(`Hoja "${sheetName}" no encontrada en el archivo`);
+    }
+    this.convertDateCells(worksheet, workbook.Workbook?.WBProps?.date1904);
+    // raw: true conserva las fechas como Date (con hora) y los números como número
+    const rows = XLSX.utils.sheet_to_json(worksheet, { defval: '', raw: true, blankrows: false });
+    return rows.filter(row => Object.values(row).some(value => String(value).trim() !== ''));
+  }
+
+  // 🕒 Celdas numéricas con formato de fecha → instante en APP_TIMEZONE (hora de envío del formulario)
+  convertDateCells(worksheet, date1904 = false) {
+    Object.keys(worksheet).forEach(address => {
+      const cell = worksheet[address];
+      if (address[0] === '!' || cell.t !== 'n' || !cell.z || !XLSX.SSF.is_date(cell.z)) return;
+      const date = excelSerialToDate(cell.v, { date1904 });
+      if (date) {
+        cell.t = 'd';
+        cell.v = date;
+      }
+    });
+  }
+
+  // 🗺️ Resolver columnas de la hoja: asignaciones del perfil, alias exactos y, para los campos
+  // que queden sin columna, el encabezado libre más parecido. Cada campo lleva su confianza (0 a 1).
+  resolveColumns(headers, profile = null) {
+    const found = {};
+    const matches = {};
+    // Comparar por llave normalizada (sin "**", saltos de línea, tildes ni signos)
+    const headerKeys = headers.map(h => normalizeExcelHeader(h).key);
+    const assignments = this.getProfileAssignments(headers, profile);
+    const assign = (field, header, score, method) => {
+      found[field] = header;
+      matches[field] = { header, score, method };
+    };
+
+    for (const key in this.columnMapping) {
+      const aliases = this.columnMapping[key].map(name => normalizeExcelHeader(name).key);
+      // Un encabezado asignado (o ignorado) por el perfil no se vuelve a mapear por alias
+      const profileHeader = headers.find(h => assignments.get(h) === key);
+      const exactHeader = headers.find((h, index) => !assignments.has(h) && aliases.includes(headerKeys[index]));
+      if (profileHeader) {
+        assign(key, profileHeader, 1, 'perfil');
+      } else if (exactHeader) {
+        assign(key, exactHeader, 1, 'exacto');
+      }
+    }
+
+    // Similitud: se asignan primero los pares más parecidos para no depender del orden de las columnas
+    const freeHeaders = () => headers.filter(h =>
+      !Object.values(found).includes(h) && !assignments.has(h) && h.trim() && !h.startsWith('__EMPTY')
+    );
+    const candidates = [];
+    const usedHeaders = new Set(Object.values(found));
+    Object.keys(this.columnMapping).filter(field => !found[field]).forEach(field => {
+      freeHeaders().forEach(header => {
+        const { score } = matchHeader(header, this.columnMapping[field]);
+        if (score >= FUZZY_MATCH_MIN_SCORE) candidates.push({ field, header, score });
+      });
+    });
+    candidates.sort((a, b) => b.score - a.score).forEach(({ field, header, score }) => {
+      if (found[field] || usedHeaders.has(header)) return;
+      usedHeaders.add(header);
+      assign(field, header, Math.round(score * 100) / 100, 'similitud');
+    });
+
+    const missing = Object.keys(this.columnMapping).filter(field => !found[field]);
+    // Asignaciones por similitud dudosas: se informan para que el usuario las confirme
+    const lowConfidence = Object.entries(matches)
+      .filter(([, match]) => match.score < LOW_CONFIDENCE_SCORE)
+      .map(([field, match]) => ({ field, label: this.fieldLabels[field], ...match }));
+    const missingRequired = this.validationService.requiredFields.filter(field => !found[field]);
+    // Ítems del checklist presentes en el orden de las columnas, con la criticidad que marca el "**"
+    const checklistHeaders = this.checklistItems
+      .filter(item => found[item.field])
+      .sort((a, b) => headers.indexOf(found[a.field]) - headers.indexOf(found[b.field]))
+      .map(item => {
+        const header = normalizeExcelHeader(found[item.field]);
+        return { field: item.field, header: header.label, isCritical: header.isCritical };
+      });
+
+    // Encabezados sin campo, con sugerencias entre los campos aún sin columna
+    const missingAliases = Object.fromEntries(missing.map(field => [field, this.columnMapping[field]]));
+    const unmapped = freeHeaders()
+      .map(header => ({
+        header,
+        suggestions: suggestFieldsForHeader(header, missingAliases).map(suggestion => ({
+          ...suggestion,
+          label: this.fieldLabels[suggestion.field]
+        }))
+      }));
+    const ignored = headers.filter(h => assignments.has(h) && assignments.get(h) === null);
+
+    return { found, missing, missingRequired, checklistHeaders, matches, lowConfidence, unmapped, ignored };
+  }
+
+  // 🧩 Asignaciones del perfil presentes en la hoja: encabezado → campo (null = ignorar)
+  getProfileAssignments(headers, profile) {
+    const assignments = new Map();
+    if (!profile || !profile.mapeo) return assignments;
+    const byKey = new Map(Object.entries(profile.mapeo).map(([header, field]) => [normalizeExcelHeader(header).key, field]));
+    headers.forEach(header => {
+      const key = normalizeExcelHeader(header).key;
+      if (byKey.has(key)) assignments.set(header, byKey.get(key));
+    });
+    return assignments;
+  }
+
+  // 🎯 Perfil de mapeo para una hoja: el indicado explícitamente o, entre los guardados,
+  // el que reconoce todos sus encabezados en la hoja (el más específico si hay varios)
+  selectProfile(headers, options = {}) {
+    if (options.profile) return options.profile;
+    const headerKeys = new Set(headers.map(h => normalizeExcelHeader(h).key));
+    let selected = null;
+    (options.profiles || []).forEach(profile => {
+      const profileKeys = Object.keys(profile.mapeo || {}).map(header => normalizeExcelHeader(header).key);
+      const matches = profileKeys.length > 0 && profileKeys.every(key => headerKeys.has(key));
+      if (matches && (!selected || profileKeys.length > Object.keys(selected.mapeo).length)) {
+        selected = profile;
+      }
+    });
+    return selected;
+  }
+
+  // 📅 Resumen de fechas de una hoja a partir de la columna de fecha
+  analyzeSheetDates(rows, dateColumn, sheetName) {
+    const monthCounts = {};
+    const dates = [];
+    if (dateColumn) {
+      rows.forEach(row => {
+        const date = new Date(row[dateColumn]);
+        if (row[dateColumn] === '' || isNaN(date.getTime())) return;
+        dates.push(date.getTime());
+        const parts = getZonedParts(date);
+        const key = `${parts.year}-${parts.month}`;
+        monthCounts[key] = (monthCounts[key] || 0) + 1;
+      });
+    }
+
+    const fromName = detectMonthFromSheetName(sheetName);
+    const dominant = Object.entries(monthCounts).sort((a, b) => b[1] - a[1])[0];
+    const [dominantYear, dominantMonth] = dominant ? dominant[0].split('-').map(Number) : [null, null];
+    const month = fromName ? fromName.month : Object.keys(monthCounts).length === 1 ? dominantMonth : null;
+    const year = fromName && fromName.year ? fromName.year : dominantYear;
+
+    return {
+      detectedMonth: month,
+      detectedMonthName: month ? SPANISH_MONTHS[month - 1] : null,
+      detectedYear: year,
+      monthsInData: Object.keys(monthCounts).map(key => {
+        const [y, m] = key.split('-').map(Number);
+        return `${SPANISH_MONTHS[m - 1]} ${y}`;
+      }),
+      dateRange: dates.length > 0 ? {
+        inicio: new Date(Math.min(...dates)).toISOString(),
+        fin: new Date(Math.max(...dates)).toISOString()
+      } : null
+    };
+  }
+
+  // 🔍 Analizar estructura del archivo: todas las hojas con filas, columnas y mes detectado
+  // options.profile / options.profiles: perfil de mapeo indicado o perfiles guardados para autodetectar
+  async analyzeExcelFile(buffer, filename, options = {}) {
+    console.log(`[EXCEL] 🔍 Analizando archivo: ${filename}`);
+    const errors = [];
+    const warnings = [];
+    const workbook = this.readWorkbook(buffer, filename);
+    const fileHash = this.getFileHash(buffer);
+    const keyIndex = new Map();
+    const allRows = [];
+    const sheets = [];
+    let mainMapping = null;
+    let mainProfile = null;
+    // Hoja con más columnas reconocidas: se informa su mapeo si ninguna es importable
+    let candidateMapping = null;
+    // Asignaciones por similitud con baja confianza, agrupadas por columna y campo
+    const lowConfidence = new Map();
+
+    for (const sheetName of workbook.SheetNames) {
+      const rows = this.readSheetRows(workbook, sheetName);
+      const headers = Object.keys(rows[0] || {});
+      const profile = this.selectProfile(headers, options);
+      const columnMapping = this.resolveColumns(headers, profile);
+      const importable = rows.length > 0 && columnMapping.missingRequired.length === 0;
+      let duplicateRows = 0;
+
+      if (rows.length > 0 && (!candidateMapping ||
+        Object.keys(columnMapping.found).length > Object.keys(candidateMapping.found).length)) {
+        candidateMapping = columnMapping;
+      }
+
+      if (rows.length > 0) {
+        columnMapping.lowConfidence.forEach(match => {
+          const key = `${match.field}|${match.header}`;
+          if (!lowConfidence.has(key)) lowConfidence.set(key, { ...match, sheets: [] });
+          lowConfidence.get(key).sheets.push(sheetName);
+        });
+      }
+
+      if (importable) {
+        if (!mainMapping) {
+          mainMapping = columnMapping;
+          mainProfile = profile;
+        }
+        rows.forEach(row => {
+          const record = this.extractKeyFields(row, columnMapping.found);
+          const key = buildNaturalKey(record);
+          if (findNaturalKeyMatch(keyIndex, record) !== undefined) {
+            duplicateRows++;
+          } else {
+            // Sin marca temporal no hay llave: la fila se conserva y la validación la rechaza
+            if (key) keyIndex.set(key, sheetName);
+            allRows.push(row);
+          }
+        });
+      } else if (rows.length > 0) {
+        warnings.push(`Hoja "${sheetName}" sin columnas obligatorias: ${columnMapping.missingRequired.join(', ')}`);
+      }
+
+      sheets.push({
+        name: sheetName,
+        rowCount: rows.length,
+        uniqueRows: importable ? rows.length - duplicateRows : 0,
+        duplicateRows,
+        importable,
+        columnsFound: Object.keys(columnMapping.found).length,
+        missingRequired: columnMapping.missingRequired,
+        unmappedColumns: columnMapping.unmapped.length,
+        profile: profile ? { id: profile.id, name: profile.nombre } : null,
+        ...this.analyzeSheetDates(rows, columnMapping.found.fecha, sheetName)
+      });
+    }
+
+    if (!mainMapping) {
+      errors.push('Ninguna hoja contiene las columnas obligatorias');
+    }
+
+    lowConfidence.forEach(match => {
+      warnings.push(
+        `Columna "${match.header}" asignada a "${match.label}" por similitud (${Math.round(match.score * 100)}%) ` +
+        `en ${match.sheets.length === 1 ? `la hoja "${match.sheets[0]}"` : `${match.sheets.length} hojas`}: verifique el mapeo`
+      );
+    });
+
+    const totalRows = sheets.reduce((sum, sheet) => sum + sheet.uniqueRows, 0);
+    const duplicatesAcrossSheets = sheets.reduce((sum, sheet) => sum + sheet.duplicateRows, 0);
+    if (duplicatesAcrossSheets > 0) {
+      warnings.push(`${duplicatesAcrossSheets} filas repetidas entre hojas se importarán una sola vez`);
+    }
+
+    console.log(`[EXCEL] 📋 Hojas analizadas: ${sheets.length}, filas únicas: ${totalRows}, repetidas: ${duplicatesAcrossSheets}`);
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      warnings,
+      fileHash,
+      totalRows,
+      duplicatesAcrossSheets,
+      sheets,
+      checklistHeaders: mainMapping ? mainMapping.checklistHeaders : [],
+      dateInfo: mainMapping
+        ? this.analyzeDates(allRows.map(row => ({ fecha: row[mainMapping.found.fecha] })))
+        : null,
+      columnMapping: mainMapping || candidateMapping || {
+        found: {},
+        missing: Object.keys(this.columnMapping),
+        missingRequired: this.validationService.requiredFields,
+        matches: {},
+        lowConfidence: [],
+        unmapped: [],
+        ignored: []
+      },
+      profile: mainProfile ? { id: mainProfile.id, name: mainProfile.nombre } : null
+    };
+  }
+
+  // 🔑 Campos mínimos para construir la llave natural desde una fila cruda
+  extractKeyFields(row, foundColumns) {
+    return {
+      marca_temporal: toTimestampSeconds(this.parseDate(row[foundColumns.fecha])),
+      placa_vehiculo: row[foundColumns.placa_vehiculo],
+      conductor_nombre: row[foundColumns.conductor_nombre]
+    };
+  }
+
+  // 📑 Determinar qué hojas procesar (por defecto, todas las importables)
+  resolveSheetSelection(workbook, requestedSheets) {
+    if (!requestedSheets || requestedSheets.length === 0) {
+      return workbook.SheetNames;
+    }
+    const unknown = requestedSheets.filter(name => !workbook.SheetNames.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`ARCHIVO: hojas no encontradas: ${unknown.join(', ')}`);
+    }
+    // Respetar el orden del workbook para que la deduplicación sea determinista
+    return workbook.SheetNames.filter(name => requestedSheets.includes(name));
+  }
+
   async processExcelFile(buffer, filename, options = {}) {
     console.log(`[EXCEL] 🚀 Procesando archivo: ${filename}`);
     try {
-      // Leer el workbook
-      const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      // Convertir a JSON para análisis
-      const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-        defval: '',
-        raw: false,
-        dateNF: 'yyyy-mm-dd'
-      });
-      // Obtener headers
-      const headers = Object.keys(jsonData[0] || {});
-      // Generar hash del archivo
-      const fileHash = crypto.createHash('md5').update(buffer).digest('hex');
-      // Análisis de fechas
-      const dateInfo = this.analyzeDates(jsonData);
-      // Mapear registros
-      const columnMapping = { found: {} };
-      for (const key in this.columnMapping) {
-        columnMapping.found[key] = headers.find(h => this.columnMapping[key].some(name => name.toLowerCase() === h.toLowerCase()));
+      const workbook = this.readWorkbook(buffer, filename);
+      const fileHash = this.getFileHash(buffer);
+      const sheetNames = this.resolveSheetSelection(workbook, options.sheets);
+      const explicitSelection = Array.isArray(options.sheets) && options.sheets.length > 0;
+      const keyIndex = new Map();
+      const mappedRecords = [];
+      const sheets = [];
+      // Encabezados originales y columnas reconocidas por hoja (exportación de filas rechazadas)
+      const sheetColumns = {};
+      let checklistHeaders = [];
+
+      for (const sheetName of sheetNames) {
+        const rows = this.readSheetRows(workbook, sheetName);
+        const headers = Object.keys(rows[0] || {});
+        const columnMapping = this.resolveColumns(headers, this.selectProfile(headers, options));
+
+        if (rows.length === 0 || columnMapping.missingRequired.length > 0) {
+          if (explicitSelection && rows.length > 0) {
+            throw new Error(`ARCHIVO: la hoja "${sheetName}" no tiene columnas obligatorias: ${columnMapping.missingRequired.join(', ')}`);
+          }
+          console.log(`[EXCEL] ⏭️ Hoja omitida: ${sheetName}`);
+          continue;
+        }
+
+        if (checklistHeaders.length === 0) {
+          checklistHeaders = columnMapping.checklistHeaders;
+        }
+        const records = await this.mapRecords(rows, columnMapping);
+        sheetColumns[sheetName] = { headers: Object.keys(rows[0]), found: columnMapping.found };
+        let duplicateRows = 0;
+        records.forEach(record => {
+          const firstSheet = findNaturalKeyMatch(keyIndex, record);
+          if (firstSheet !== undefined) {
+            duplicateRows++;
+            return;
+          }
+          // Sin marca temporal no hay llave: la fila sigue y la validación la rechaza
+          const key = buildNaturalKey(record);
+          if (key) keyIndex.set(key, sheetName);
+          record.hoja_origen = sheetName;
+          mappedRecords.push(record);
+        });
+
+        console.log(`[EXCEL] 📄 Hoja "${sheetName}": ${records.length} filas, ${duplicateRows} repetidas de otras hojas`);
+        sheets.push({
+          name: sheetName,
+          rowCount: rows.length,
+          importedRows: records.length - duplicateRows,
+          duplicateRows
+        });
+      }
+
+      if (sheets.length === 0) {
+        throw new Error('ARCHIVO: ninguna de las hojas seleccionadas contiene datos importables');
       }
-      const mappedRecords = await this.mapRecords(jsonData, columnMapping);
-      // Validar registros
-      const validationResults = mappedRecords.map(record => this.validationService.validateRecord(record));
+
+      // Análisis de fechas
+      const dateInfo = this.analyzeDates(mappedRecords.map(record => ({ fecha: record.fecha })));
+      // Validar registros con los ítems y la criticidad que declara el propio formulario
+      const template = {
+        items: checklistHeaders.map(item => ({ campo: item.field, is_critical: item.isCritical }))
+      };
+      const validationResults = mappedRecords.map(record => this.validationService.validateRecord(record, template));
       let validRecords = 0;
       let errorRecords = 0;
       validationResults.forEach(v => v.isValid ? validRecords++ : errorRecords++);
@@ -206,6 +570,10 @@ class ExcelService {
         totalRecords: mappedRecords.length,
         validRecords,
         errorRecords,
+        duplicatesAcrossSheets: sheets.reduce((sum, sheet) => sum + sheet.duplicateRows, 0),
+        sheets,
+        sheetColumns,
+        checklistHeaders,
         records: mappedRecords,
         validationResults,
         dateInfo,
@@ -0,0 +1,107 @@
+// 📄 ARCHIVO: backend/src/services/importSourceService.js
+// 💧 Importación incremental: marca de agua por fuente con la última "Marca temporal" importada
+
+const { getPrismaClient } = require('../config/database');
+
+class ImportSourceService {
+  constructor() {
+    this.prisma = getPrismaClient();
+  }
+
+  // 🏷️ Nombre de la fuente: la exportación semanal del mismo formulario llega como
+  // "Respuestas.xlsx", "Respuestas (1).xlsx", "Respuestas (8).xlsx"...
+  buildSourceName(name) {
+    return String(name || '')
+      .replace(/\.(xlsx|xls|csv)$/i, '')
+      .replace(/(\s*\(\d+\))+$/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // 🔑 Clave única de la fuente
+  buildSourceKey(name) {
+    return this.buildSourceName(name).toLowerCase();
+  }
+
+  // 🔍 Buscar la fuente de un archivo sin crearla (validación)
+  async findSource(fileName, sourceName) {
+    const clave = this.buildSourceKey(sourceName || fileName);
+    return this.prisma.fuentes_importacion.findUnique({ where: { clave } });
+  }
+
+  // ➕ Obtener o registrar la fuente de un archivo
+  async resolveSource(fileName, sourceName) {
+    const nombre = this.buildSourceName(sourceName || fileName);
+    const clave = this.buildSourceKey(nombre);
+    return this.prisma.fuentes_importacion.upsert({
+      where: { clave },
+      update: {},
+      create: { clave, nombre }
+    });
+  }
+
+  // ✂️ Separar filas nuevas de las que ya se importaron (marca temporal <= marca de agua)
+  splitByWatermark(records, watermark) {
+    const limit = Number(watermark || 0);
+    const newRecords = [];
+    const seenRecords = [];
+    records.forEach(record => {
+      if (limit > 0 && Number(record.marca_temporal) <= limit) {
+        seenRecords.push(record);
+      } else {
+        newRecords.push(record);
+      }
+    });
+    return { newRecords, seenRecords };
+  }
+
+  // ⬆️ Avanzar la marca de agua hasta la fila más reciente; nunca retrocede. Las filas con fecha
+  // futura (la validación admite hasta un mes) no cuentan: ocultarían las cargas reales siguientes
+  async advanceWatermark(sourceId, records, processedFileId) {
+    const now = Date.now();
+    const latest = records
+      .map(record => Number(record.marca_temporal) || 0)
+      .filter(timestamp => timestamp <= now)
+      .reduce((max, timestamp) => Math.max(max, timestamp), 0);
+    if (latest === 0) return null;
+
+    // updateMany con condición: dos cargas simultáneas no pueden bajar la marca
+    const { count } = await this.prisma.fuentes_importacion.updateMany({
+      where: { id: sourceId, ultima_marca_temporal: { lt: BigInt(latest) } },
+      data: { ultima_marca_temporal: BigInt(latest), ultimo_archivo_id: processedFileId }
+    });
+    if (count > 0) {
+      console.log(`[FUENTES] 💧 Marca de agua de ${sourceId} avanzada a ${new Date(latest).toISOString()}`);
+    }
+    return latest;
+  }
+
+  // 🔄 Recalcular la marca de agua con las inspecciones que siguen en la base (tras revertir una carga)
+  async recalculateWatermark(sourceId) {
+    const aggregate = await this.prisma.inspecciones.aggregate({
+      _max: { marca_temporal: true },
+      where: { archivo: { fuente_id: sourceId } }
+    });
+    const latest = aggregate._max.marca_temporal || BigInt(0);
+
+    await this.prisma.fuentes_importacion.update({
+      where: { id: sourceId },
+      data: { ultima_marca_temporal: latest }
+    });
+    console.log(`[FUENTES] 🔄 Marca de agua de ${sourceId} recalculada: ${Number(latest) ? new Date(Number(latest)).toISOString() : 'sin datos'}`);
+    return Number(latest);
+  }
+
+  // 📋 Resumen de la fuente para respuestas JSON (BigInt no se serializa)
+  toSummary(source) {
+    if (!source) return null;
+    const watermark = Number(source.ultima_marca_temporal);
+    return {
+      id: source.id,
+      name: source.nombre,
+      watermark: watermark > 0 ? new Date(watermark).toISOString() : null
+    };
+  }
+}
+
+module.exports = ImportSourceService;
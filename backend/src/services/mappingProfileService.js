@@ -0,0 +1,148 @@
+// 📄 ARCHIVO: backend/src/services/mappingProfileService.js
+// 🗺️ Perfiles de mapeo: asignación guardada de encabezados propios de una versión del formulario
+
+const { getPrismaClient } = require('../config/database');
+const ChecklistTemplateService = require('./checklistTemplateService');
+const AuditService = require('./auditService');
+const { AUDIT_ACTIONS } = require('./auditService');
+const { getMappableFields } = require('../config/columnAliases');
+
+class MappingProfileService {
+  constructor() {
+    this.prisma = getPrismaClient();
+    this.checklistTemplateService = new ChecklistTemplateService();
+    this.auditService = new AuditService();
+  }
+
+  // 🏷️ Campos asignables: básicos, fatiga e ítems de todas las versiones de plantilla
+  async getFields() {
+    return getMappableFields(await this.checklistTemplateService.getKnownItems());
+  }
+
+  // 📋 Perfiles guardados (por defecto solo los activos)
+  async listProfiles({ includeInactive = false } = {}) {
+    return this.prisma.perfiles_mapeo.findMany({
+      where: includeInactive ? {} : { activo: true },
+      orderBy: { nombre: 'asc' }
+    });
+  }
+
+  // 🔍 Perfil por id
+  async getProfile(profileId) {
+    return this.prisma.perfiles_mapeo.findUnique({ where: { id: profileId } });
+  }
+
+  // 🎯 Opciones de mapeo para el análisis: el perfil indicado o todos los activos para autodetectar
+  async resolveMappingOptions(profileId) {
+    if (profileId) {
+      const profile = await this.getProfile(profileId);
+      if (!profile || !profile.activo) {
+        throw new Error(`PERFIL_NO_ENCONTRADO: ${profileId}`);
+      }
+      return { profile };
+    }
+    return { profiles: await this.listProfiles() };
+  }
+
+  // ✅ Validar el mapeo: campos conocidos y cada campo asignado a un solo encabezado
+  validateMapping(mapeo, fields) {
+    if (!mapeo || typeof mapeo !== 'object' || Array.isArray(mapeo) || Object.keys(mapeo).length === 0) {
+      throw new Error('MAPEO_INVALIDO: el perfil debe asignar al menos un encabezado');
+    }
+    const known = new Set(fields.map(item => item.field));
+    const used = new Map();
+    Object.entries(mapeo).forEach(([header, field]) => {
+      if (!String(header).trim()) {
+        throw new Error('MAPEO_INVALIDO: hay un encabezado vacío');
+      }
+      if (field === null) return;
+      if (!known.has(field)) {
+        throw new Error(`MAPEO_INVALIDO: campo desconocido "${field}"`);
+      }
+      if (used.has(field)) {
+        throw new Error(`MAPEO_INVALIDO: "${field}" está asignado a "${used.get(field)}" y a "${header}"`);
+      }
+      used.set(field, header);
+    });
+  }
+
+  // ➕ Crear perfil
+  async createProfile({ name, description, mapping, headers, user }) {
+    if (!name || !String(name).trim()) {
+      throw new Error('MAPEO_INVALIDO: el perfil necesita un nombre');
+    }
+    this.validateMapping(mapping, await this.getFields());
+
+    const profile = await this.prisma.$transaction(async (tx) => {
+      const created = await tx.perfiles_mapeo.create({
+        data: {
+          nombre: String(name).trim(),
+          descripcion: description || null,
+          mapeo: mapping,
+          encabezados: Array.isArray(headers) ? headers : Object.keys(mapping),
+          creado_por: user || null
+        }
+      });
+      await this.auditService.record({
+        accion: AUDIT_ACTIONS.CREAR, entidad: 'perfiles_mapeo', entidadId: created.id, despues: created, actor: user
+      }, tx);
+      return created;
+    });
+    console.log(`[PERFILES] ➕ Perfil de mapeo "${profile.nombre}" creado (${Object.keys(mapping).length} encabezados)`);
+    return profile;
+  }
+
+  // ✏️ Actualizar perfil
+  async updateProfile(profileId, { name, description, mapping, headers, active }) {
+    const data = {};
+    if (name !== undefined) data.nombre = String(name).trim();
+    if (description !== undefined) data.descripcion = description || null;
+    if (mapping !== undefined) {
+      this.validateMapping(mapping, await this.getFields());
+      data.mapeo = mapping;
+    }
+    if (Array.isArray(headers)) data.encabezados = headers;
+    if (active !== undefined) data.activo = Boolean(active);
+
+    const before = await this.getProfile(profileId);
+    const profile = await this.prisma.$transaction(async (tx) => {
+      const updated = await tx.perfiles_mapeo.update({ where: { id: profileId }, data });
+      await this.auditService.record({
+        accion: AUDIT_ACTIONS.ACTUALIZAR, entidad: 'perfiles_mapeo', entidadId: profileId, antes: before, despues: updated
+      }, tx);
+      return updated;
+    });
+    console.log(`[PERFILES] ✏️ Perfil de mapeo "${profile.nombre}" actualizado`);
+    return profile;
+  }
+
+  // 🗑️ Eliminar perfil (las cargas ya hechas no dependen de él)
+  async deleteProfile(profileId) {
+    const profile = await this.prisma.$transaction(async (tx) => {
+      const deleted = await tx.perfiles_mapeo.delete({ where: { id: profileId } });
+      await this.auditService.record({
+        accion: AUDIT_ACTIONS.ELIMINAR, entidad: 'perfiles_mapeo', entidadId: profileId, antes: deleted
+      }, tx);
+      return deleted;
+    });
+    console.log(`[PERFILES] 🗑️ Perfil de mapeo "${profile.nombre}" eliminado`);
+    return profile;
+  }
+
+  // 📤 Perfil para el frontend
+  toPublicProfile(profile) {
+    return {
+      id: profile.id,
+      name: profile.nombre,
+      description: profile.descripcion,
+      mapping: profile.mapeo,
+      headers: profile.encabezados,
+      active: profile.activo,
+      createdBy: profile.creado_por,
+      createdAt: profile.createdAt,
+      updatedAt: profile.updatedAt
+    };
+  }
+}
+
+module.exports = MappingProfileService;
@@ -0,0 +1,197 @@
+// 📄 ARCHIVO: backend/src/services/odometerService.js
+// 🛣️ Consistencia del odómetro por placa: cada lectura se compara con el historial del mismo vehículo
+
+const { getPrismaClient } = require('../config/database');
+const { formatDateKey } = require('../utils/dateUtils');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const ODOMETER_WARNING_TYPES = {
+  RETROCESO: 'RETROCESO',         // Lectura menor que la inspección anterior
+  SALTO_DIARIO: 'SALTO_DIARIO',   // Más kilómetros por día de los que un vehículo liviano puede recorrer
+  SIN_CAMBIO: 'SIN_CAMBIO'        // La misma lectura repetida durante muchos días
+};
+
+// Placas recalculadas por transacción
+const PLATE_CHUNK_SIZE = 50;
+
+class OdometerService {
+  constructor() {
+    this.prisma = getPrismaClient();
+    this.config = {
+      maxKmPerDay: parseInt(process.env.ODOMETER_MAX_KM_PER_DAY) || 1000,
+      staleDays: parseInt(process.env.ODOMETER_STALE_DAYS) || 5
+    };
+    this.warningTypes = Object.values(ODOMETER_WARNING_TYPES);
+  }
+
+  // 🔍 Advertencias de una serie de lecturas de la misma placa ordenadas por fecha.
+  // Las lecturas en 0 son kilometraje no diligenciado y no entran en la comparación.
+  analyzeReadings(readings) {
+    const warnings = [];
+    const valid = readings.filter(reading => reading.kilometraje > 0);
+    const formatKm = value => Number(value).toLocaleString('es-CO');
+
+    let previous = null;
+    let run = [];
+
+    const closeRun = () => {
+      const days = new Set(run.map(reading => formatDateKey(reading.fecha)));
+      if (days.size >= this.config.staleDays) {
+        const [first, ...rest] = run;
+        rest.forEach(reading => warnings.push({
+          inspeccion_id: reading.id,
+          tipo: ODOMETER_WARNING_TYPES.SIN_CAMBIO,
+          mensaje: `Mismo kilometraje (${formatKm(reading.kilometraje)} km) en ${days.size} días distintos desde ${formatDateKey(first.fecha)}`,
+          kilometraje: reading.kilometraje,
+          kilometraje_anterior: first.kilometraje,
+          fecha_anterior: first.fecha
+        }));
+      }
+      run = [];
+    };
+
+    valid.forEach(reading => {
+      if (previous) {
+        const diff = reading.kilometraje - previous.kilometraje;
+        const elapsedDays = Math.max(1, (new Date(reading.fecha) - new Date(previous.fecha)) / MS_PER_DAY);
+        const comparison = {
+          inspeccion_id: reading.id,
+          kilometraje: reading.kilometraje,
+          kilometraje_anterior: previous.kilometraje,
+          fecha_anterior: previous.fecha
+        };
+
+        if (diff < 0) {
+          warnings.push({
+            ...comparison,
+            tipo: ODOMETER_WARNING_TYPES.RETROCESO,
+            mensaje: `Kilometraje ${formatKm(reading.kilometraje)} menor que la inspección anterior (${formatKm(previous.kilometraje)} km el ${formatDateKey(previous.fecha)})`
+          });
+        } else if (diff > this.config.maxKmPerDay * elapsedDays) {
+          warnings.push({
+            ...comparison,
+            tipo: ODOMETER_WARNING_TYPES.SALTO_DIARIO,
+            mensaje: `Aumento de ${formatKm(diff)} km en ${Math.ceil(elapsedDays)} día(s) desde ${formatDateKey(previous.fecha)}; máximo esperado ${formatKm(this.config.maxKmPerDay)} km por día`
+          });
+        }
+      }
+
+      if (run.length > 0 && run[0].kilometraje !== reading.kilometraje) closeRun();
+      run.push(reading);
+      previous = reading;
+    });
+    closeRun();
+
+    return warnings;
+  }
+
+  // 🔄 Recalcular las advertencias de las placas indicadas con todo su historial:
+  // una carga con fechas anteriores o una reversión cambia la comparación de las lecturas vecinas
+  async recheckPlates(plates) {
+    const uniquePlates = [...new Set((plates || []).filter(Boolean))];
+    const summary = { plates: uniquePlates.length, warnings: 0, byType: {} };
+
+    for (let i = 0; i < uniquePlates.length; i += PLATE_CHUNK_SIZE) {
+      const chunk = uniquePlates.slice(i, i + PLATE_CHUNK_SIZE);
+      const readings = await this.prisma.inspecciones.findMany({
+        where: { placa_vehiculo: { in: chunk } },
+        select: { id: true, placa_vehiculo: true, fecha: true, kilometraje: true },
+        orderBy: [{ fecha: 'asc' }, { marca_temporal: 'asc' }, { id: 'asc' }]
+      });
+
+      const byPlate = readings.reduce((acc, reading) => {
+        (acc[reading.placa_vehiculo] = acc[reading.placa_vehiculo] || []).push(reading);
+        return acc;
+      }, {});
+
+      const data = Object.entries(byPlate).flatMap(([placa, plateReadings]) =>
+        this.analyzeReadings(plateReadings).map(warning => ({ ...warning, placa_vehiculo: placa }))
+      );
+
+      await this.prisma.$transaction([
+        this.prisma.advertencias_odometro.deleteMany({ where: { placa_vehiculo: { in: chunk } } }),
+        this.prisma.advertencias_odometro.createMany({ data })
+      ]);
+
+      data.forEach(warning => {
+        summary.byType[warning.tipo] = (summary.byType[warning.tipo] || 0) + 1;
+      });
+      summary.warnings += data.length;
+    }
+
+    if (uniquePlates.length > 0) {
+      console.log(`[ODOMETRO] 🛣️ ${uniquePlates.length} placas revisadas, ${summary.warnings} advertencias de kilometraje`);
+    }
+    return summary;
+  }
+
+  // 🔄 Recalcular toda la flota (datos cargados antes de existir la validación)
+  async recheckAll() {
+    const plates = await this.prisma.inspecciones.findMany({
+      distinct: ['placa_vehiculo'],
+      select: { placa_vehiculo: true }
+    });
+    return this.recheckPlates(plates.map(row => row.placa_vehiculo));
+  }
+
+  // 📋 Advertencias con la inspección a la que pertenecen
+  async listWarnings({ placa, tipo, page = 1, limit = 50 } = {}) {
+    const where = {};
+    if (placa) where.placa_vehiculo = String(placa).toUpperCase();
+    if (tipo) where.tipo = tipo;
+
+    const [total, rows] = await Promise.all([
+      this.prisma.advertencias_odometro.count({ where }),
+      this.prisma.advertencias_odometro.findMany({
+        where,
+        include: { inspeccion: { select: { fecha: true, conductor_nombre: true, contrato: true } } },
+        orderBy: [{ inspeccion: { fecha: 'desc' } }],
+        skip: (page - 1) * limit,
+        take: limit
+      })
+    ]);
+
+    return {
+      warnings: rows.map(row => this.toPublicWarning(row)),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  // 📊 Conteo de advertencias por placa y tipo
+  async getSummaryByPlate() {
+    const groups = await this.prisma.advertencias_odometro.groupBy({
+      by: ['placa_vehiculo', 'tipo'],
+      _count: { id: true }
+    });
+
+    const byPlate = groups.reduce((acc, group) => {
+      const entry = acc[group.placa_vehiculo] || { placa: group.placa_vehiculo, total: 0, byType: {} };
+      entry.byType[group.tipo] = group._count.id;
+      entry.total += group._count.id;
+      acc[group.placa_vehiculo] = entry;
+      return acc;
+    }, {});
+
+    return Object.values(byPlate).sort((a, b) => b.total - a.total);
+  }
+
+  // 📤 Advertencia para el frontend
+  toPublicWarning(row) {
+    return {
+      id: row.id,
+      inspectionId: row.inspeccion_id,
+      plate: row.placa_vehiculo,
+      type: row.tipo,
+      message: row.mensaje,
+      odometer: row.kilometraje,
+      previousOdometer: row.kilometraje_anterior,
+      previousDate: row.fecha_anterior,
+      inspectionDate: row.inspeccion?.fecha,
+      driver: row.inspeccion?.conductor_nombre,
+      contract: row.inspeccion?.contrato
+    };
+  }
+}
+
+module.exports = OdometerService;
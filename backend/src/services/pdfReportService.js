@@ -3,12 +3,16 @@
 
 const puppeteer = require('puppeteer');
 const { getPrismaClient } = require('../config/database');
-const { format, parseISO, startOfDay, endOfDay, subDays } = require('date-fns');
+const { format, parseISO, subDays } = require('date-fns');
 const { es } = require('date-fns/locale');
+const { getDayRange } = require('../utils/dateUtils');
+const { CHECKLIST_RESULTS, EVALUABLE_RESULTS } = require('../config/checklistItems');
+const ContractService = require('./contractService');
 
 class PDFReportService {
   constructor() {
     this.prisma = getPrismaClient();
+    this.contractService = new ContractService();
     this.browserInstance = null;
     this.pdfOptions = {
       format: 'A4',
@@ -25,6 +29,27 @@ class PDFReportService {
     };
   }
 
+  // 🔧 Problemas por ítem del checklist: NO_APLICA y SIN_RESPUESTA no cuentan
+  async getChecklistProblemStats(where, fields) {
+    const stats = {};
+    for (const field of fields) {
+      const [problemasDetectados, evaluadas] = await Promise.all([
+        this.prisma.inspeccion_items.count({
+          where: { campo: field, resultado: CHECKLIST_RESULTS.NO_CUMPLE, inspeccion: where }
+        }),
+        this.prisma.inspeccion_items.count({
+          where: { campo: field, resultado: { in: EVALUABLE_RESULTS }, inspeccion: where }
+        })
+      ]);
+      stats[field] = {
+        problemasDetectados,
+        evaluadas,
+        porcentaje: evaluadas > 0 ? Math.round((problemasDetectados / evaluadas) * 100) : 0
+      };
+    }
+    return stats;
+  }
+
   // 🚀 Inicializar navegador para generación de PDFs
   async initBrowser() {
     if (!this.browserInstance) {
@@ -194,22 +219,16 @@ class PDFReportService {
       console.log(`[PDF-SERVICE] 📊 Recopilando datos para reporte diario: ${fecha}`);
       
       const targetDate = parseISO(fecha);
-      const startDate = startOfDay(targetDate);
-      const endDate = endOfDay(targetDate);
+      // Límites del día en la zona horaria de la aplicación
+      const { start: startDate, end: endDate } = getDayRange(fecha);
       
       // Filtros adicionales
+      // Contrato y campo se filtran por sus ids canónicos (cualquier variante del nombre sirve)
       const baseWhere = { 
-        fecha: { gte: startDate, lte: endDate }
+        fecha: { gte: startDate, lte: endDate },
+        ...await this.contractService.buildInspectionFilter({ contrato: options.contrato, campo: options.campo })
       };
       
-      if (options.contrato) {
-        baseWhere.contrato = { contains: options.contrato, mode: 'insensitive' };
-      }
-      
-      if (options.campo) {
-        baseWhere.campo = { contains: options.campo, mode: 'insensitive' };
-      }
-      
       // Recopilar datos en paralelo
       const [
         totalInspecciones,
@@ -223,9 +242,9 @@ class PDFReportService {
         estadisticasFatiga,
         inspecciones
       ] = await Promise.all([
-        this.prisma.inspeccion.count({ where: baseWhere }),
+        this.prisma.inspecciones.count({ where: baseWhere }),
         
-        this.prisma.inspeccion.findMany({
+        this.prisma.inspecciones.findMany({
           where: { ...baseWhere, tiene_alerta_roja: true },
           select: {
             id: true,
@@ -239,7 +258,7 @@ class PDFReportService {
           }
         }),
         
-        this.prisma.inspeccion.findMany({
+        this.prisma.inspecciones.findMany({
           where: { ...baseWhere, tiene_advertencias: true },
           select: {
             id: true,
@@ -253,48 +272,30 @@ class PDFReportService {
           }
         }),
         
-        this.prisma.inspeccion.groupBy({
+        this.prisma.inspecciones.groupBy({
           by: ['turno'],
           where: baseWhere,
           _count: { id: true }
         }),
         
-        this.prisma.inspeccion.groupBy({
-          by: ['contrato'],
-          where: baseWhere,
-          _count: { id: true },
-          _sum: {
-            tiene_alerta_roja: true,
-            tiene_advertencias: true
-          }
-        }),
+        this.contractService.getContractPerformance(baseWhere),
         
-        this.prisma.inspeccion.findMany({
+        this.prisma.inspecciones.findMany({
           where: baseWhere,
           select: { conductor_cedula: true, conductor_nombre: true },
           distinct: ['conductor_cedula']
         }),
         
-        this.prisma.inspeccion.findMany({
+        this.prisma.inspecciones.findMany({
           where: baseWhere,
           select: { placa_vehiculo: true },
           distinct: ['placa_vehiculo']
         }),
         
-        this.prisma.inspeccion.aggregate({
-          where: baseWhere,
-          _sum: {
-            luces_funcionando: true,
-            frenos_funcionando: true,
-            kit_carretera: true,
-            extintor_vigente: true,
-            botiquin_completo: true
-          },
-          _count: { id: true }
-        }),
+        this.getChecklistProblemStats(baseWhere, ['altas_bajas', 'frenos', 'kit_carretera']),
         
         // 🚨 ESTADÍSTICAS ESPECÍFICAS DE FATIGA
-        this.prisma.inspeccion.aggregate({
+        this.prisma.inspecciones.aggregate({
           where: baseWhere,
           _sum: {
             consumo_medicamentos: true,
@@ -306,7 +307,7 @@ class PDFReportService {
         }),
         
         // Top 10 inspecciones del día (para muestra)
-        this.prisma.inspeccion.findMany({
+        this.prisma.inspecciones.findMany({
           where: baseWhere,
           orderBy: { hora: 'asc' },
           take: 10,
@@ -347,12 +348,11 @@ class PDFReportService {
             porcentaje: totalInspecciones > 0 ? Math.round(item._count.id / totalInspecciones * 100) : 0
           })),
           porContrato: inspeccionesPorContrato.map(item => ({
-            contrato: item.contrato || 'Sin especificar',
-            inspecciones: item._count.id,
-            alertasRojas: item._sum.tiene_alerta_roja || 0,
-            advertencias: item._sum.tiene_advertencias || 0,
-            eficiencia: item._count.id > 0 ? 
-              Math.round((1 - ((item._sum.tiene_alerta_roja || 0) + (item._sum.tiene_advertencias || 0)) / item._count.id) * 100) : 100
+            contratoId: item.contractId,
+            contrato: item.contract,
+            inspecciones: item.inspections,
+            alertasRojas: item.criticalAlerts,
+            eficiencia: item.efficiency
           }))
         },
         alertas: {
@@ -383,24 +383,9 @@ class PDFReportService {
         },
         vehiculos: {
           problemasComunes: [
-            {
-              item: 'Luces',
-              problemasDetectados: problemasVehiculares._count.id - (problemasVehiculares._sum.luces_funcionando || 0),
-              porcentaje: totalInspecciones > 0 ? 
-                Math.round((problemasVehiculares._count.id - (problemasVehiculares._sum.luces_funcionando || 0)) / totalInspecciones * 100) : 0
-            },
-            {
-              item: 'Frenos',
-              problemasDetectados: problemasVehiculares._count.id - (problemasVehiculares._sum.frenos_funcionando || 0),
-              porcentaje: totalInspecciones > 0 ? 
-                Math.round((problemasVehiculares._count.id - (problemasVehiculares._sum.frenos_funcionando || 0)) / totalInspecciones * 100) : 0
-            },
-            {
-              item: 'Kit Carretera',
-              problemasDetectados: problemasVehiculares._count.id - (problemasVehiculares._sum.kit_carretera || 0),
-              porcentaje: totalInspecciones > 0 ? 
-                Math.round((problemasVehiculares._count.id - (problemasVehiculares._sum.kit_carretera || 0)) / totalInspecciones * 100) : 0
-            }
+            { item: 'Luces', ...problemasVehiculares.altas_bajas },
+            { item: 'Frenos', ...problemasVehiculares.frenos },
+            { item: 'Kit Carretera', ...problemasVehiculares.kit_carretera }
           ]
         },
         muestra: inspecciones,
@@ -439,7 +424,7 @@ class PDFReportService {
         distribucionContratos
       ] = await Promise.all([
         // Resumen general
-        this.prisma.inspeccion.aggregate({
+        this.prisma.inspecciones.aggregate({
           where: baseWhere,
           _count: { id: true },
           _sum: {
@@ -452,7 +437,7 @@ class PDFReportService {
         }),
         
         // Tendencia mensual
-        this.prisma.inspeccion.groupBy({
+        this.prisma.inspecciones.groupBy({
           by: ['ano', 'mes'],
           where: baseWhere,
           _count: { id: true },
@@ -465,7 +450,7 @@ class PDFReportService {
         }),
         
         // Top conductores con más problemas
-        this.prisma.inspeccion.groupBy({
+        this.prisma.inspecciones.groupBy({
           by: ['conductor_cedula', 'conductor_nombre'],
           where: { ...baseWhere, tiene_alerta_roja: true },
           _count: { id: true },
@@ -474,7 +459,7 @@ class PDFReportService {
         }),
         
         // Vehículos con más problemas
-        this.prisma.inspeccion.groupBy({
+        this.prisma.inspecciones.groupBy({
           by: ['placa_vehiculo'],
           where: { ...baseWhere, tiene_advertencias: true },
           _count: { id: true },
@@ -485,17 +470,8 @@ class PDFReportService {
         // Análisis específico de fatiga
         this.getDetailedFatigueAnalysis(baseWhere),
         
-        // Distribución por contratos
-        this.prisma.inspeccion.groupBy({
-          by: ['contrato'],
-          where: baseWhere,
-          _count: { id: true },
-          _sum: {
-            tiene_alerta_roja: true,
-            tiene_advertencias: true
-          },
-          _avg: { puntaje_total: true }
-        })
+        // Distribución por contratos canónicos
+        this.contractService.getContractPerformance(baseWhere)
       ]);
       
       // Compilar reporte ejecutivo
@@ -560,10 +536,11 @@ class PDFReportService {
         recomendacionesEstrategicas: this.generateExecutiveRecommendations(resumenGeneral, analisisFatiga),
         anexos: {
           distribucionContratos: distribucionContratos.map(contrato => ({
-            nombre: contrato.contrato || 'Sin especificar',
-            inspecciones: contrato._count.id,
-            alertas: contrato._sum.tiene_alerta_roja || 0,
-            puntajePromedio: Math.round((contrato._avg.puntaje_total || 0) * 100) / 100
+            contratoId: contrato.contractId,
+            nombre: contrato.contract,
+            inspecciones: contrato.inspections,
+            alertas: contrato.criticalAlerts,
+            puntajePromedio: contrato.averageScore
           }))
         }
       };
@@ -1287,7 +1264,7 @@ class PDFReportService {
 
   // Placeholder para análisis detallado de fatiga
   async getDetailedFatigueAnalysis(baseWhere) {
-    const analysis = await this.prisma.inspeccion.aggregate({
+    const analysis = await this.prisma.inspecciones.aggregate({
       where: baseWhere,
       _sum: {
         consumo_medicamentos: true,
@@ -0,0 +1,220 @@
+// 📄 ARCHIVO: backend/src/services/quarantineService.js
+// 🧪 Cuarentena de filas rechazadas: corrección en la app, revalidación y auditoría
+
+const { getPrismaClient } = require('../config/database');
+const ValidationService = require('./validationService');
+const ChecklistTemplateService = require('./checklistTemplateService');
+const AuditService = require('./auditService');
+const { AUDIT_ACTIONS } = require('./auditService');
+const { toTimestampSeconds } = require('../utils/excelUtils');
+const { parseSpanishDateTime, toZonedWallClock } = require('../utils/dateUtils');
+
+const QUARANTINE_STATES = {
+  PENDIENTE: 'PENDIENTE',
+  CORREGIDA: 'CORREGIDA',
+  DESCARTADA: 'DESCARTADA'
+};
+
+// Campos que se pueden corregir desde la grilla
+const EDITABLE_FIELDS = [
+  'fecha', 'conductor_nombre', 'placa_vehiculo', 'contrato', 'turno',
+  'campo_coordinacion', 'kilometraje', 'observaciones'
+];
+
+class QuarantineService {
+  constructor() {
+    this.prisma = getPrismaClient();
+    this.validationService = new ValidationService();
+    this.checklistTemplateService = new ChecklistTemplateService();
+    this.auditService = new AuditService();
+  }
+
+  // 📋 Listar filas en cuarentena con su historial de correcciones
+  async listRows({ uploadId, status = QUARANTINE_STATES.PENDIENTE, page = 1, limit = 50 } = {}) {
+    const where = {};
+    if (uploadId) where.archivo_id = uploadId;
+    if (status && status !== 'TODAS') where.estado = status;
+
+    const [rows, total] = await Promise.all([
+      this.prisma.filas_rechazadas.findMany({
+        where,
+        include: {
+          archivo: { select: { nombre_archivo: true } },
+          correcciones: { orderBy: { createdAt: 'desc' } }
+        },
+        orderBy: [{ createdAt: 'desc' }, { hoja: 'asc' }, { fila: 'asc' }],
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      this.prisma.filas_rechazadas.count({ where })
+    ]);
+
+    return { rows: rows.map(row => this.toPublicRow(row)), total, page, limit };
+  }
+
+  // 🔍 Obtener una fila con su historial
+  async getRow(rowId) {
+    return this.prisma.filas_rechazadas.findUnique({
+      where: { id: rowId },
+      include: {
+        archivo: { select: { nombre_archivo: true, estado: true } },
+        correcciones: { orderBy: { createdAt: 'desc' } }
+      }
+    });
+  }
+
+  // ✏️ Aplicar cambios sobre los datos normalizados y devolver el registro y la lista de cambios
+  applyChanges(row, changes = {}) {
+    const unknown = Object.keys(changes).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`CAMPO_NO_EDITABLE: ${unknown.join(', ')}`);
+    }
+
+    const record = { ...row.datos };
+    const diff = [];
+    Object.entries(changes).forEach(([field, rawValue]) => {
+      let value = typeof rawValue === 'string' ? rawValue.trim().replace(/\s+/g, ' ') : rawValue;
+      if (field === 'kilometraje') value = parseInt(value, 10) || 0;
+      if (field === 'placa_vehiculo') value = String(value || '').toUpperCase();
+      if (field === 'fecha') {
+        // Igual que al importar: sin zona explícita la hora se interpreta en APP_TIMEZONE
+        const date = value ? parseSpanishDateTime(value) || new Date(value) : null;
+        value = date && !isNaN(date.getTime()) ? date.toISOString() : null;
+      }
+
+      if (value !== record[field]) {
+        diff.push({ campo: field, anterior: record[field] ?? null, nuevo: value ?? null });
+        record[field] = value;
+      }
+    });
+
+    // La llave natural depende de la fecha: se recalcula con la corrección
+    record.marca_temporal = toTimestampSeconds(record.fecha) || 0;
+    return { record, diff };
+  }
+
+  // ✅ Validar el registro corregido con la versión de plantilla de su archivo (o la vigente)
+  async validate(record) {
+    const template = (record.plantilla_id && await this.checklistTemplateService.getTemplate(record.plantilla_id)) ||
+      await this.checklistTemplateService.getActiveTemplate();
+    return this.validationService.validateRecord({ ...record, fecha: record.fecha ? new Date(record.fecha) : null }, template);
+  }
+
+  // 📝 Guardar la corrección de la fila y su registro de auditoría en una transacción
+  async recordCorrection(row, { user, action, diff, record, validation, inspectionId, comment }) {
+    const rowId = row.id;
+    const data = {};
+    if (record) data.datos = record;
+    if (validation) {
+      // Conservar la columna original de cada campo para resaltar la celda al exportar
+      const columns = {};
+      [...(row.errores || []), ...(row.advertencias || [])].forEach(issue => {
+        if (issue.columna) columns[issue.campo] = issue.columna;
+      });
+      const toIssue = (issue) => ({ campo: issue.field, columna: columns[issue.field] || null, mensaje: issue.message });
+      data.errores = validation.errors.map(toIssue);
+      data.advertencias = validation.warnings.map(toIssue);
+    }
+    if (action === 'REENVIADA' || action === 'DESCARTADA') {
+      data.estado = action === 'REENVIADA' ? QUARANTINE_STATES.CORREGIDA : QUARANTINE_STATES.DESCARTADA;
+      data.usuario_resolucion = user;
+      data.fecha_resolucion = new Date();
+      if (inspectionId) data.inspeccion_id = inspectionId;
+    }
+
+    await this.prisma.$transaction(async (tx) => {
+      const updatedRow = await tx.filas_rechazadas.update({ where: { id: rowId }, data });
+      await tx.correcciones_cuarentena.create({
+        data: {
+          fila_id: rowId,
+          usuario: user,
+          accion: action,
+          cambios: diff && diff.length > 0 ? diff : undefined,
+          errores: data.errores && data.errores.length > 0 ? data.errores : undefined,
+          comentario: comment || null
+        }
+      });
+      await this.auditService.record({
+        accion: action === 'EDITADA' ? AUDIT_ACTIONS.ACTUALIZAR : AUDIT_ACTIONS.CAMBIAR_ESTADO,
+        entidad: 'filas_rechazadas',
+        entidadId: rowId,
+        // Sin el historial ni el archivo que se incluyen al consultar la fila
+        antes: { ...row, correcciones: undefined, archivo: undefined },
+        despues: updatedRow,
+        actor: user
+      }, tx);
+    });
+
+    console.log(`[CUARENTENA] 📝 Fila ${rowId} ${action.toLowerCase()} por ${user} (${diff?.length || 0} cambios)`);
+    return this.toPublicRow(await this.getRow(rowId));
+  }
+
+  // 🗑️ Descartar las filas pendientes de una carga que se revierte, con el cliente de la transacción
+  // de la reversión: su historial y su auditoría quedan con el motivo. Devuelve cuántas se descartaron.
+  async closeUploadRows(tx, uploadId, { user, reason }) {
+    const pending = await tx.filas_rechazadas.findMany({
+      where: { archivo_id: uploadId, estado: QUARANTINE_STATES.PENDIENTE }
+    });
+    if (pending.length === 0) return 0;
+
+    const resolution = {
+      estado: QUARANTINE_STATES.DESCARTADA,
+      usuario_resolucion: user,
+      fecha_resolucion: new Date()
+    };
+    const ids = pending.map(row => row.id);
+    await tx.filas_rechazadas.updateMany({
+      where: { id: { in: ids }, estado: QUARANTINE_STATES.PENDIENTE },
+      data: resolution
+    });
+    const comment = `Carga revertida: ${reason}`;
+    await tx.correcciones_cuarentena.createMany({
+      data: ids.map(rowId => ({ fila_id: rowId, usuario: user, accion: 'DESCARTADA', comentario: comment }))
+    });
+    await this.auditService.recordMany(pending.map(row => ({
+      accion: AUDIT_ACTIONS.CAMBIAR_ESTADO,
+      entidad: 'filas_rechazadas',
+      entidadId: row.id,
+      antes: row,
+      despues: { ...row, ...resolution },
+      actor: user
+    })), tx);
+
+    return pending.length;
+  }
+
+  // 📤 Fila para el frontend. La fecha va como hora de reloj en APP_TIMEZONE sin zona
+  // ("2025-08-01T05:33:10"): es lo que se edita en la grilla y vuelve a interpretarse en esa zona
+  toPublicRow(row) {
+    const data = { ...row.datos };
+    const wallClock = data.fecha ? toZonedWallClock(data.fecha) : null;
+    data.fecha = wallClock ? wallClock.toISOString().slice(0, 19) : null;
+    return {
+      id: row.id,
+      uploadId: row.archivo_id,
+      fileName: row.archivo?.nombre_archivo || null,
+      sheet: row.hoja,
+      row: row.fila,
+      status: row.estado,
+      editable: !!row.datos && row.estado === QUARANTINE_STATES.PENDIENTE,
+      data: EDITABLE_FIELDS.reduce((acc, field) => ({ ...acc, [field]: data[field] ?? null }), {}),
+      errors: row.errores || [],
+      warnings: row.advertencias || [],
+      inspectionId: row.inspeccion_id,
+      resolvedBy: row.usuario_resolucion,
+      resolvedAt: row.fecha_resolucion,
+      history: (row.correcciones || []).map(entry => ({
+        user: entry.usuario,
+        action: entry.accion,
+        changes: entry.cambios || [],
+        errors: entry.errores || [],
+        comment: entry.comentario,
+        date: entry.createdAt
+      }))
+    };
+  }
+}
+
+module.exports = QuarantineService;
+module.exports.QUARANTINE_STATES = QUARANTINE_STATES;
+module.exports.EDITABLE_FIELDS = EDITABLE_FIELDS;
@@ -0,0 +1,142 @@
+// 📄 ARCHIVO: backend/src/services/rejectedRowsService.js
+// 🚫 Filas rechazadas por validación: se guardan por carga y se exportan a Excel anotadas
+
+const ExcelJS = require('exceljs');
+const { getPrismaClient } = require('../config/database');
+const { toZonedWallClock } = require('../utils/dateUtils');
+
+// Filas por createMany al guardar las rechazadas
+const SAVE_CHUNK_SIZE = 1000;
+
+const ERROR_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF8CBAD' } };
+const WARNING_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF2CC' } };
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1F4E79' } };
+
+class RejectedRowsService {
+  constructor() {
+    this.prisma = getPrismaClient();
+  }
+
+  // 🧱 Armar las filas rechazadas con los valores originales y la columna de cada error
+  buildRejectedRows(invalidRecords, sheetColumns = {}) {
+    return invalidRecords.map(({ record, validation }) => {
+      const columns = sheetColumns[record.hoja_origen] || { headers: [], found: {} };
+      const original = record.fila_original || {};
+      const toIssue = (issue) => ({
+        campo: issue.field,
+        columna: columns.found[issue.field] || null,
+        mensaje: issue.message
+      });
+
+      return {
+        hoja: record.hoja_origen || '',
+        fila: record.fila_origen || 0,
+        valores: columns.headers.map(columna => {
+          const valor = original[columna];
+          return valor instanceof Date
+            ? { columna, valor: valor.toISOString(), tipo: 'fecha' }
+            : { columna, valor: valor ?? '' };
+        }),
+        // Registro normalizado (sin la fila original) para corregirlo y reenviarlo desde la cuarentena
+        datos: JSON.parse(JSON.stringify(record)),
+        errores: validation.errors.map(toIssue),
+        advertencias: validation.warnings.map(toIssue)
+      };
+    });
+  }
+
+  // 💾 Guardar las filas rechazadas de una carga
+  async saveRejectedRows(archivoId, rows) {
+    for (let i = 0; i < rows.length; i += SAVE_CHUNK_SIZE) {
+      await this.prisma.filas_rechazadas.createMany({
+        data: rows.slice(i, i + SAVE_CHUNK_SIZE).map(row => ({ ...row, archivo_id: archivoId }))
+      });
+    }
+    if (rows.length > 0) {
+      console.log(`[RECHAZADAS] 💾 ${rows.length} filas rechazadas guardadas para ${archivoId}`);
+    }
+    return rows.length;
+  }
+
+  // 📥 Libro con una hoja por hoja de origen: columnas originales + fila, errores y advertencias
+  // Solo filas aún pendientes: las corregidas o descartadas en la cuarentena ya no se exportan
+  async generateWorkbook(archivoId) {
+    const rows = await this.prisma.filas_rechazadas.findMany({
+      where: { archivo_id: archivoId, estado: 'PENDIENTE' },
+      orderBy: [{ hoja: 'asc' }, { fila: 'asc' }]
+    });
+    if (rows.length === 0) return null;
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    const bySheet = new Map();
+    rows.forEach(row => {
+      if (!bySheet.has(row.hoja)) bySheet.set(row.hoja, []);
+      bySheet.get(row.hoja).push(row);
+    });
+
+    bySheet.forEach((sheetRows, sheetName) => {
+      const headers = sheetRows[0].valores.map(value => value.columna);
+      const sheet = workbook.addWorksheet(this.toWorksheetName(sheetName, workbook), {
+        views: [{ state: 'frozen', xSplit: 1, ySplit: 1 }]
+      });
+      sheet.columns = [
+        { header: 'Fila original', width: 12 },
+        ...headers.map(header => ({ header, width: Math.min(Math.max(header.length, 12), 40) })),
+        { header: 'Errores', width: 60 },
+        { header: 'Advertencias', width: 50 }
+      ];
+      sheet.getRow(1).eachCell(cell => {
+        cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+        cell.fill = HEADER_FILL;
+        cell.alignment = { vertical: 'middle', wrapText: true };
+      });
+
+      sheetRows.forEach(row => {
+        const excelRow = sheet.addRow([
+          row.fila,
+          // ExcelJS escribe la hora UTC del Date: se pasa el reloj de APP_TIMEZONE para que reimporte igual
+          ...row.valores.map(value => (value.tipo === 'fecha' ? toZonedWallClock(value.valor) : value.valor)),
+          this.formatIssues(row.errores),
+          this.formatIssues(row.advertencias || [])
+        ]);
+
+        // Resaltar las celdas señaladas: errores en rojo, advertencias en amarillo
+        const highlight = (issues, fill) => issues.forEach(issue => {
+          const index = issue.columna ? headers.indexOf(issue.columna) : -1;
+          if (index >= 0) excelRow.getCell(index + 2).fill = fill;
+        });
+        highlight(row.advertencias || [], WARNING_FILL);
+        highlight(row.errores, ERROR_FILL);
+
+        row.valores.forEach((value, index) => {
+          if (value.tipo === 'fecha') excelRow.getCell(index + 2).numFmt = 'dd/mm/yyyy hh:mm:ss';
+        });
+        excelRow.getCell(headers.length + 2).font = { color: { argb: 'FFC00000' } };
+        excelRow.getCell(headers.length + 2).alignment = { wrapText: true, vertical: 'top' };
+        excelRow.getCell(headers.length + 3).alignment = { wrapText: true, vertical: 'top' };
+      });
+    });
+
+    console.log(`[RECHAZADAS] 📥 Libro generado: ${rows.length} filas en ${bySheet.size} hojas`);
+    return { buffer: await workbook.xlsx.writeBuffer(), totalRows: rows.length };
+  }
+
+  // 📝 Un problema por línea: "Columna: mensaje"
+  formatIssues(issues) {
+    return issues.map(issue => `${issue.columna || issue.campo}: ${issue.mensaje}`).join('\n');
+  }
+
+  // 🏷️ Nombre de hoja válido para Excel (máx. 31 caracteres, sin []:*?/\ y sin repetir)
+  toWorksheetName(name, workbook) {
+    const base = String(name || 'Rechazadas').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Rechazadas';
+    let candidate = base;
+    for (let i = 2; workbook.getWorksheet(candidate); i++) {
+      candidate = `${base.slice(0, 31 - String(i).length - 1)} ${i}`;
+    }
+    return candidate;
+  }
+}
+
+module.exports = RejectedRowsService;
@@ -0,0 +1,210 @@
+// 📄 ARCHIVO: backend/src/services/templateService.js
+// 📋 Plantilla Excel del formulario HQ-FO-40 generada desde la versión vigente del checklist
+
+const ExcelJS = require('exceljs');
+const ExcelService = require('./excelService');
+const ChecklistTemplateService = require('./checklistTemplateService');
+const { CHECKLIST_ITEMS, FATIGUE_ITEMS } = require('../config/checklistItems');
+
+const TEMPLATE_SHEET = 'Inspecciones';
+// Filas con listas desplegables y validaciones
+const TEMPLATE_ROWS = 1000;
+
+const CHECKLIST_OPTIONS = ['Cumple', 'No cumple', 'N/A'];
+const FATIGUE_OPTIONS = ['Sí', 'No'];
+const SHIFT_OPTIONS = ['DIURNO', 'NOCTURNO'];
+
+// Columnas de identificación en el orden del formulario
+const IDENTITY_COLUMNS = [
+  { field: 'fecha', required: true, width: 20, help: 'Fecha y hora de la inspección (dd/mm/aaaa hh:mm)' },
+  { field: 'conductor_nombre', required: true, width: 32, help: 'Nombre completo de quien realiza la inspección' },
+  { field: 'placa_vehiculo', required: true, width: 14, help: 'Placa del vehículo, ej. ABC123' },
+  { field: 'contrato', required: true, width: 28, help: 'Contrato al que pertenece el vehículo' },
+  { field: 'campo_coordinacion', required: false, width: 22, help: 'Campo o coordinación' },
+  { field: 'turno', required: true, width: 12, help: `Turno: ${SHIFT_OPTIONS.join(' o ')}` },
+  { field: 'kilometraje', required: false, width: 14, help: 'Lectura del odómetro, número entero sin puntos' }
+];
+
+class TemplateService {
+  constructor() {
+    this.excelService = new ExcelService();
+    this.checklistTemplateService = new ChecklistTemplateService();
+  }
+
+  // 📋 Ítems de la versión vigente (sin versiones registradas: las definiciones base, sin críticos)
+  async getChecklistColumns() {
+    const template = await this.checklistTemplateService.getActiveTemplate();
+    if (!template) {
+      return CHECKLIST_ITEMS.map(item => ({ field: item.field, header: item.headers[0], critical: false }));
+    }
+    return template.items.map(item => ({ field: item.campo, header: item.encabezado, critical: item.is_critical }));
+  }
+
+  // 🔢 Número de la versión vigente
+  async getTemplateVersion() {
+    const template = await this.checklistTemplateService.getActiveTemplate();
+    return template ? String(template.version) : '1';
+  }
+
+  // 🧱 Columnas de la plantilla con el encabezado exacto que reconoce la importación
+  async getTemplateColumns() {
+    const checklistColumns = await this.getChecklistColumns();
+    const mapping = this.excelService.columnMapping;
+
+    return [
+      ...IDENTITY_COLUMNS.map(column => ({ ...column, header: mapping[column.field][0], type: column.field })),
+      ...FATIGUE_ITEMS.map(item => ({
+        field: item.field,
+        header: item.headers[0],
+        required: false,
+        width: 30,
+        type: 'fatiga',
+        help: `Responder ${FATIGUE_OPTIONS.join(' o ')}`
+      })),
+      // Los ítems críticos llevan el marcador "**" del formulario para conservar su criticidad al importar
+      ...checklistColumns.map(item => ({
+        field: item.field,
+        header: item.critical ? `**${item.header}` : item.header,
+        required: false,
+        width: 22,
+        type: 'checklist',
+        critical: item.critical,
+        help: `Responder ${CHECKLIST_OPTIONS.join(', ')}`
+      })),
+      { field: 'observaciones', header: mapping.observaciones[0], required: false, width: 40, type: 'texto', help: 'Novedades encontradas' }
+    ];
+  }
+
+  // ℹ️ Descripción de la plantilla (para el listado del frontend)
+  async getTemplateInfo() {
+    const columns = await this.getTemplateColumns();
+    return {
+      name: 'HQ-FO-40',
+      description: 'Inspección diaria de vehículo liviano',
+      version: await this.getTemplateVersion(),
+      requiredColumns: columns.filter(column => column.required).map(column => column.header),
+      optionalColumns: columns.filter(column => !column.required).map(column => column.header),
+      downloadUrl: '/api/upload/template'
+    };
+  }
+
+  // 📥 Generar el .xlsx de la plantilla
+  async generateTemplate() {
+    const columns = await this.getTemplateColumns();
+    const version = await this.getTemplateVersion();
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'HQ-FO-40';
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet(TEMPLATE_SHEET, {
+      views: [{ state: 'frozen', xSplit: 0, ySplit: 1 }]
+    });
+    sheet.columns = columns.map(column => ({ header: column.header, key: column.field, width: column.width }));
+
+    const headerRow = sheet.getRow(1);
+    headerRow.height = 45;
+    headerRow.eachCell((cell, colNumber) => {
+      const column = columns[colNumber - 1];
+      cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+      cell.alignment = { vertical: 'middle', horizontal: 'center', wrapText: true };
+      cell.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: column.critical ? 'FFC0392B' : column.required ? 'FF1F4E79' : 'FF2E75B6' }
+      };
+      cell.note = column.help;
+    });
+
+    columns.forEach((column, index) => {
+      const letter = sheet.getColumn(index + 1).letter;
+      const range = `${letter}2:${letter}${TEMPLATE_ROWS + 1}`;
+      const validation = this.getColumnValidation(column);
+      if (validation) {
+        sheet.dataValidations.add(range, validation);
+      }
+      if (column.field === 'fecha') {
+        sheet.getColumn(index + 1).numFmt = 'dd/mm/yyyy hh:mm';
+      }
+    });
+
+    this.addInstructionsSheet(workbook, columns, version);
+
+    console.log(`[PLANTILLA] 📋 Plantilla generada con ${columns.length} columnas`);
+    return workbook.xlsx.writeBuffer();
+  }
+
+  // ✅ Validación de datos por tipo de columna
+  getColumnValidation(column) {
+    const list = (options) => ({
+      type: 'list',
+      allowBlank: !column.required,
+      formulae: [`"${options.join(',')}"`],
+      showErrorMessage: true,
+      errorTitle: 'Valor no permitido',
+      error: `Seleccione una opción: ${options.join(', ')}`
+    });
+
+    switch (column.type) {
+      case 'checklist':
+        return list(CHECKLIST_OPTIONS);
+      case 'fatiga':
+        return list(FATIGUE_OPTIONS);
+      case 'turno':
+        return list(SHIFT_OPTIONS);
+      case 'kilometraje':
+        return {
+          type: 'whole',
+          operator: 'greaterThanOrEqual',
+          allowBlank: true,
+          formulae: [0],
+          showErrorMessage: true,
+          errorTitle: 'Kilometraje inválido',
+          error: 'Ingrese un número entero mayor o igual a 0'
+        };
+      case 'fecha':
+        return {
+          type: 'date',
+          operator: 'greaterThan',
+          allowBlank: false,
+          formulae: [new Date(2020, 0, 1)],
+          showErrorMessage: true,
+          errorTitle: 'Fecha inválida',
+          error: 'Ingrese fecha y hora con formato dd/mm/aaaa hh:mm'
+        };
+      default:
+        return null;
+    }
+  }
+
+  // 📖 Hoja de instrucciones con cada columna y sus valores permitidos
+  addInstructionsSheet(workbook, columns, version) {
+    const sheet = workbook.addWorksheet('Instrucciones');
+    sheet.columns = [
+      { header: 'Columna', key: 'header', width: 60 },
+      { header: 'Obligatoria', key: 'required', width: 12 },
+      { header: 'Ítem crítico', key: 'critical', width: 12 },
+      { header: 'Cómo diligenciar', key: 'help', width: 60 }
+    ];
+
+    sheet.insertRows(1, [
+      ['Plantilla HQ-FO-40 - Inspección diaria de vehículo liviano'],
+      [`Versión ${version}. Diligencie una fila por inspección en la hoja "${TEMPLATE_SHEET}" y cárguela en el sistema.`],
+      ['No cambie ni reordene los encabezados. Los ítems marcados con ** son críticos: un "No cumple" genera alerta.'],
+      ['N/A se excluye del puntaje de la inspección.'],
+      []
+    ]);
+    sheet.getRow(1).font = { bold: true, size: 14 };
+    sheet.getRow(6).font = { bold: true };
+
+    columns.forEach(column => {
+      sheet.addRow({
+        header: column.header.replace(/^\*\*/, ''),
+        required: column.required ? 'Sí' : 'No',
+        critical: column.critical ? 'Sí' : '',
+        help: column.help
+      });
+    });
+  }
+}
+
+module.exports = TemplateService;
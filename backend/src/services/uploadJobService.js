@@ -0,0 +1,258 @@
+// 📄 ARCHIVO: backend/src/services/uploadJobService.js
+// ⏳ Trabajos de carga asíncrona persistidos en `trabajos_carga`
+
+const os = require('os');
+const crypto = require('crypto');
+const { getPrismaClient } = require('../config/database');
+
+const JOB_STATES = {
+  EN_COLA: 'EN_COLA',
+  PROCESANDO: 'PROCESANDO',
+  COMPLETADO: 'COMPLETADO',
+  ERROR: 'ERROR'
+};
+
+// Fases del procesamiento y el rango de progreso (%) que ocupa cada una
+const JOB_PHASES = {
+  EN_COLA: { from: 0, to: 0, label: 'En cola' },
+  PARSEANDO: { from: 0, to: 10, label: 'Leyendo archivo Excel' },
+  VALIDANDO: { from: 10, to: 20, label: 'Validando registros' },
+  INSERTANDO: { from: 20, to: 100, label: 'Guardando en base de datos' },
+  FINALIZADO: { from: 100, to: 100, label: 'Finalizado' }
+};
+
+// Estado expuesto al frontend (contrato de uploadService.getProcessingProgress)
+const PUBLIC_STATUS = {
+  EN_COLA: 'QUEUED',
+  PROCESANDO: 'PROCESSING',
+  COMPLETADO: 'COMPLETED',
+  ERROR: 'ERROR'
+};
+
+// Cantidad máxima de errores guardados en el trabajo
+const MAX_STORED_ERRORS = 50;
+
+// Una instancia que procesa un trabajo renueva su latido; si deja de hacerlo (reinicio, función
+// congelada) otra instancia retoma el trabajo al vencer el plazo, hasta MAX_JOB_ATTEMPTS veces
+const JOB_HEARTBEAT_MS = 30 * 1000;
+const JOB_LEASE_MS = 2 * 60 * 1000;
+const MAX_JOB_ATTEMPTS = 3;
+
+// Identifica a esta instancia del servidor en los trabajos que toma
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+class UploadJobService {
+  constructor() {
+    this.prisma = getPrismaClient();
+  }
+
+  // ➕ Registrar un trabajo nuevo en cola con el archivo subido
+  async createJob(file, options = {}) {
+    const job = await this.prisma.trabajos_carga.create({
+      data: {
+        nombre_archivo: file.originalname,
+        tamano_archivo: file.size,
+        tipo_archivo: file.mimetype || null,
+        archivo: file.buffer,
+        estado: JOB_STATES.EN_COLA,
+        fase: 'EN_COLA',
+        opciones: options
+      },
+      select: { id: true }
+    });
+    console.log(`[TRABAJOS] ➕ Trabajo ${job.id} en cola: ${file.originalname}`);
+    return job;
+  }
+
+  // Trabajos que esta instancia puede tomar: en cola, o en proceso con el latido vencido
+  buildClaimableWhere() {
+    return {
+      intentos: { lt: MAX_JOB_ATTEMPTS },
+      OR: [
+        { estado: JOB_STATES.EN_COLA },
+        { estado: JOB_STATES.PROCESANDO, latido: { lt: new Date(Date.now() - JOB_LEASE_MS) } }
+      ]
+    };
+  }
+
+  // ▶️ Tomar un trabajo para esta instancia. Devuelve null si otra instancia ya lo tiene.
+  async claimJob(jobId) {
+    const now = new Date();
+    const { count } = await this.prisma.trabajos_carga.updateMany({
+      where: { id: jobId, ...this.buildClaimableWhere() },
+      data: {
+        estado: JOB_STATES.PROCESANDO,
+        fase: 'PARSEANDO',
+        instancia: INSTANCE_ID,
+        latido: now,
+        fecha_inicio: now,
+        intentos: { increment: 1 }
+      }
+    });
+    if (count !== 1) return null;
+
+    const job = await this.prisma.trabajos_carga.findUnique({ where: { id: jobId } });
+    if (job.intentos > 1) {
+      console.warn(`[TRABAJOS] 🔁 Trabajo ${jobId} retomado (intento ${job.intentos} de ${MAX_JOB_ATTEMPTS})`);
+    }
+    return job;
+  }
+
+  // 💓 Renovar el latido mientras esta instancia procesa el trabajo; devuelve la función que lo detiene
+  startHeartbeat(jobId) {
+    const timer = setInterval(() => this.heartbeat(jobId), JOB_HEARTBEAT_MS);
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  async heartbeat(jobId) {
+    try {
+      await this.prisma.trabajos_carga.updateMany({
+        where: { id: jobId, instancia: INSTANCE_ID, estado: JOB_STATES.PROCESANDO },
+        data: { latido: new Date() }
+      });
+    } catch (error) {
+      console.error(`[TRABAJOS] ⚠️ No se pudo renovar el latido de ${jobId}:`, error.message);
+    }
+  }
+
+  // 🔗 Archivo registrado por el trabajo: si se retoma, sus inspecciones siguen ligadas a él
+  async setProcessedFile(jobId, archivoId) {
+    return this.prisma.trabajos_carga.update({ where: { id: jobId }, data: { archivo_id: archivoId } });
+  }
+
+  // 📋 Trabajos pendientes que esta instancia puede tomar, el más antiguo primero
+  async listClaimableJobIds() {
+    const jobs = await this.prisma.trabajos_carga.findMany({
+      where: this.buildClaimableWhere(),
+      orderBy: { createdAt: 'asc' },
+      select: { id: true }
+    });
+    return jobs.map(job => job.id);
+  }
+
+  // 🔄 Actualizar fase y filas procesadas
+  async updateProgress(jobId, { phase, rowsDone, rowsTotal, errors } = {}) {
+    const data = {};
+    if (phase) data.fase = phase;
+    if (rowsDone !== undefined) data.filas_procesadas = rowsDone;
+    if (rowsTotal !== undefined) data.filas_totales = rowsTotal;
+    if (errors) {
+      data.total_errores = errors.length;
+      data.errores = errors.slice(0, MAX_STORED_ERRORS);
+    }
+
+    try {
+      await this.prisma.trabajos_carga.update({ where: { id: jobId }, data });
+    } catch (error) {
+      // El progreso es informativo: un fallo aquí no debe detener la carga
+      console.error(`[TRABAJOS] ⚠️ No se pudo actualizar el progreso de ${jobId}:`, error.message);
+    }
+  }
+
+  // ✅ Guardar resultado final
+  async completeJob(jobId, result) {
+    return this.prisma.trabajos_carga.update({
+      where: { id: jobId },
+      data: {
+        estado: JOB_STATES.COMPLETADO,
+        fase: 'FINALIZADO',
+        resultado: result,
+        archivo: null,
+        fecha_fin: new Date()
+      }
+    });
+  }
+
+  // ❌ Registrar falla del trabajo
+  async failJob(jobId, error) {
+    try {
+      await this.prisma.trabajos_carga.update({
+        where: { id: jobId },
+        data: {
+          estado: JOB_STATES.ERROR,
+          mensaje_error: error.message,
+          archivo: null,
+          fecha_fin: new Date()
+        }
+      });
+    } catch (updateError) {
+      console.error(`[TRABAJOS] ❌ No se pudo registrar la falla de ${jobId}:`, updateError.message);
+    }
+  }
+
+  // 📊 Estado del trabajo para el endpoint de progreso
+  async getJobStatus(jobId) {
+    const job = await this.prisma.trabajos_carga.findUnique({ where: { id: jobId } });
+    if (!job) return null;
+
+    const phase = JOB_PHASES[job.fase] || JOB_PHASES.EN_COLA;
+    const phaseFraction = job.fase === 'INSERTANDO' && job.filas_totales > 0
+      ? job.filas_procesadas / job.filas_totales
+      : 0;
+    const progress = job.estado === JOB_STATES.COMPLETADO
+      ? 100
+      : Math.round(phase.from + (phase.to - phase.from) * phaseFraction);
+
+    // Estimación lineal a partir de lo transcurrido desde el inicio
+    let estimatedTimeRemaining;
+    if (job.estado === JOB_STATES.PROCESANDO && job.fecha_inicio && progress > 0) {
+      const elapsed = Date.now() - job.fecha_inicio.getTime();
+      estimatedTimeRemaining = Math.round((elapsed / progress) * (100 - progress) / 1000);
+    }
+
+    return {
+      jobId: job.id,
+      fileName: job.nombre_archivo,
+      status: PUBLIC_STATUS[job.estado] || job.estado,
+      phase: job.fase,
+      currentStep: job.estado === JOB_STATES.ERROR ? 'Error en el procesamiento' : phase.label,
+      progress,
+      recordsProcessed: job.filas_procesadas,
+      totalRecords: job.filas_totales,
+      errorCount: job.total_errores,
+      errors: job.errores || [],
+      estimatedTimeRemaining,
+      result: job.resultado,
+      error: job.mensaje_error,
+      startedAt: job.fecha_inicio,
+      finishedAt: job.fecha_fin
+    };
+  }
+
+  // 🧹 Trabajos cuyo latido venció tras agotar los intentos. Sus archivos también quedan en ERROR:
+  // en PROCESANDO no podrían revertirse las inspecciones que alcanzaron a guardarse
+  async expireAbandonedJobs() {
+    const message = `Trabajo interrumpido ${MAX_JOB_ATTEMPTS} veces sin terminar`;
+    const abandonedWhere = {
+      estado: JOB_STATES.PROCESANDO,
+      latido: { lt: new Date(Date.now() - JOB_LEASE_MS) },
+      intentos: { gte: MAX_JOB_ATTEMPTS }
+    };
+    const abandoned = await this.prisma.trabajos_carga.findMany({
+      where: abandonedWhere,
+      select: { id: true, archivo_id: true }
+    });
+    if (abandoned.length === 0) return 0;
+
+    const [jobs, files] = await this.prisma.$transaction([
+      this.prisma.trabajos_carga.updateMany({
+        where: { ...abandonedWhere, id: { in: abandoned.map(job => job.id) } },
+        data: {
+          estado: JOB_STATES.ERROR,
+          mensaje_error: message,
+          archivo: null,
+          fecha_fin: new Date()
+        }
+      }),
+      this.prisma.archivos_procesados.updateMany({
+        where: { id: { in: abandoned.map(job => job.archivo_id).filter(Boolean) }, estado: 'PROCESANDO' },
+        data: { estado: 'ERROR', errores_validacion: [{ error: message }] }
+      })
+    ]);
+    console.warn(`[TRABAJOS] ⚠️ ${jobs.count} trabajos abandonados y ${files.count} archivos marcados como ERROR`);
+    return jobs.count;
+  }
+}
+
+module.exports = UploadJobService;
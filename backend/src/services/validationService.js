@@ -1,6 +1,8 @@
 // 📄 ARCHIVO: backend/src/services/validationService.js
 // 🔧 VERSIÓN CORREGIDA con validaciones estrictas
 
+const { CHECKLIST_FIELDS, CHECKLIST_RESULTS, EVALUABLE_RESULTS } = require('../config/checklistItems');
+
 class ValidationService {
   constructor() {
     // 📋 CAMPOS OBLIGATORIOS (CRÍTICOS)
@@ -30,10 +32,33 @@ class ValidationService {
         mantenimiento: 5
       }
     };
+
+  }
+
+  // 📋 Ítems evaluados y críticos de la versión de plantilla con la que se respondió el formulario
+  // (marcador "**"). Se recibe en cada validación: el servicio se comparte entre cargas simultáneas.
+  // Sin plantilla se evalúan todos los ítems conocidos, ninguno crítico.
+  resolveChecklist(template) {
+    if (template === undefined) {
+      return { fields: CHECKLIST_FIELDS, criticalFields: new Set() };
+    }
+    const items = template?.items || [];
+    return {
+      fields: items.map(item => item.campo),
+      criticalFields: new Set(items.filter(item => item.is_critical).map(item => item.campo))
+    };
+  }
+
+  // 🔍 Ítems críticos que no cumplen en un registro (N/A y sin respuesta no cuentan)
+  getFailedCriticalItems(record, checklist = this.resolveChecklist()) {
+    return checklist.fields.filter(
+      field => checklist.criticalFields.has(field) && record[field] === CHECKLIST_RESULTS.NO_CUMPLE
+    );
   }
 
-  // 🔍 VALIDACIÓN COMPLETA DE REGISTRO
-  validateRecord(record) {
+  // 🔍 VALIDACIÓN COMPLETA DE REGISTRO (con la versión de plantilla del registro)
+  validateRecord(record, template) {
+    const checklist = this.resolveChecklist(template);
     console.log(`[VALIDATION] 🔍 Validando registro: ${record.placa_vehiculo || 'SIN_PLACA'}`);
     
     const validationResult = {
@@ -70,13 +95,13 @@ class ValidationService {
       this.validateBusinessLogic(record, validationResult);
       
       // 4. Calcular nivel de riesgo
-      validationResult.riskLevel = this.calculateRiskLevel(record);
+      validationResult.riskLevel = this.calculateRiskLevel(record, checklist);
       
       // 5. Calcular puntaje de inspección
-      validationResult.score = this.calculateInspectionScore(record);
+      validationResult.score = this.calculateInspectionScore(record, checklist);
       
       // 6. Detectar alertas críticas
-      validationResult.criticalAlerts = this.detectCriticalAlerts(record);
+      validationResult.criticalAlerts = this.detectCriticalAlerts(record, checklist);
       
       // 7. Determinar validez general
       validationResult.isValid = validationResult.errors.length === 0;
@@ -166,6 +191,14 @@ class ValidationService {
         message: `Formato de fecha inválido: ${record.fecha}`,
         severity: 'ERROR'
       });
+    } else if (!(Number(record.marca_temporal) > 0)) {
+      // Sin marca temporal la fila no tiene llave natural: no puede distinguirse de otras del mismo vehículo e inspector
+      result.errors.push({
+        field: 'fecha',
+        type: 'INVALID_TIMESTAMP',
+        message: `Marca temporal inválida: ${record.fecha}`,
+        severity: 'ERROR'
+      });
     }
 
     // Validar nombre de conductor
@@ -315,17 +348,20 @@ class ValidationService {
   }
 
   // 🎯 CALCULAR NIVEL DE RIESGO
-  calculateRiskLevel(record) {
+  calculateRiskLevel(record, checklist = this.resolveChecklist()) {
     let riskScore = 0;
     
     // Factores de riesgo de fatiga
-    if (!record.horas_sueno || record.horas_sueno === false) riskScore += 15;
-    if (!record.libre_fatiga || record.libre_fatiga === false) riskScore += 15;
+    if (!record.horas_sueno_suficientes) riskScore += 15;
+    if (!record.libre_sintomas_fatiga) riskScore += 15;
     
-    // Factores de riesgo vehicular
-    if (!record.frenos || record.frenos === false) riskScore += 20;
-    if (!record.cinturones || record.cinturones === false) riskScore += 10;
-    if (!record.direccionales || record.direccionales === false) riskScore += 5;
+    // Factores de riesgo vehicular: ítems críticos pesan más que los demás
+    checklist.fields.forEach(field => {
+      if (record[field] !== CHECKLIST_RESULTS.NO_CUMPLE) return;
+      riskScore += checklist.criticalFields.has(field)
+        ? this.config.riskWeights.vehiculo * 2
+        : this.config.riskWeights.mantenimiento;
+    });
     
     // Determinar nivel
     if (riskScore >= 30) return 'ALTO';
@@ -334,28 +370,29 @@ class ValidationService {
   }
 
   // 📊 CALCULAR PUNTAJE DE INSPECCIÓN
-  calculateInspectionScore(record) {
-    const totalFields = [
-      'frenos', 'cinturones', 'espejos', 'direccionales',
-      'baterias', 'aceite_motor', 'fluido_frenos', 'documentacion'
-    ];
-    
-    let positiveFields = 0;
-    totalFields.forEach(field => {
-      if (record[field] === true) positiveFields++;
+  calculateInspectionScore(record, checklist = this.resolveChecklist()) {
+    // Los ítems críticos de la plantilla cuentan doble; N/A y sin respuesta se excluyen
+    let totalWeight = 0;
+    let positiveWeight = 0;
+    checklist.fields.forEach(field => {
+      if (!EVALUABLE_RESULTS.includes(record[field])) return;
+      const weight = checklist.criticalFields.has(field) ? 2 : 1;
+      totalWeight += weight;
+      if (record[field] === CHECKLIST_RESULTS.CUMPLE) positiveWeight += weight;
     });
     
-    return Math.round((positiveFields / totalFields.length) * 100);
+    if (totalWeight === 0) return 0;
+    return Math.round((positiveWeight / totalWeight) * 100);
   }
 
   // 🚨 DETECTAR ALERTAS CRÍTICAS
-  detectCriticalAlerts(record) {
+  detectCriticalAlerts(record, checklist = this.resolveChecklist()) {
     const alerts = [];
     
     // Alerta por problemas críticos de fatiga
     const fatigueProblems = [
-      !record.horas_sueno,
-      !record.libre_fatiga
+      !record.horas_sueno_suficientes,
+      !record.libre_sintomas_fatiga
     ].filter(Boolean).length;
 
     if (fatigueProblems >= 1) {
@@ -368,8 +405,8 @@ class ValidationService {
         conductor: record.conductor_nombre,
         placa: record.placa_vehiculo,
         details: {
-          horasSueno: record.horas_sueno,
-          libreFatiga: record.libre_fatiga
+          horasSueno: record.horas_sueno_suficientes,
+          libreFatiga: record.libre_sintomas_fatiga
         },
         actions: [
           'EVALUAR_CONDICION_MEDICA',
@@ -380,23 +417,19 @@ class ValidationService {
       });
     }
 
-    // Alerta por vehículo inseguro
-    const criticalVehicleIssues = [
-      !record.frenos,
-      !record.cinturones
-    ].filter(Boolean).length;
+    // Alerta por vehículo inseguro (ítems críticos del formulario)
+    const failedCriticalItems = this.getFailedCriticalItems(record, checklist);
 
-    if (criticalVehicleIssues >= 1) {
+    if (failedCriticalItems.length >= 1) {
       alerts.push({
         id: `vehiculo_${Date.now()}`,
         type: 'VEHICULO_INSEGURO',
         level: 'MEDIO',
         title: '🔧 VEHÍCULO NO APTO PARA OPERACIÓN',
-        message: 'Problemas críticos de seguridad en vehículo',
+        message: `${failedCriticalItems.length} ítems críticos no cumplen`,
         placa: record.placa_vehiculo,
         details: {
-          frenos: record.frenos,
-          cinturones: record.cinturones
+          itemsCriticos: failedCriticalItems
         },
         actions: [
           'REPARAR_ANTES_DE_USO',
@@ -410,8 +443,8 @@ class ValidationService {
     return alerts;
   }
 
-  // 🔍 VALIDAR LOTE DE REGISTROS
-  validateBatch(records) {
+  // 🔍 VALIDAR LOTE DE REGISTROS (todos respondidos con la misma versión de plantilla)
+  validateBatch(records, template) {
     console.log(`[VALIDATION] 🔍 Validando lote de ${records.length} registros...`);
     
     const results = {
@@ -424,7 +457,7 @@ class ValidationService {
     };
     
     records.forEach((record, index) => {
-      const validation = this.validateRecord(record);
+      const validation = this.validateRecord(record, template);
       
       if (validation.isValid) {
         results.validRecords.push({
@@ -0,0 +1,452 @@
+// 📄 ARCHIVO: backend/src/services/vehicleService.js
+// 🚗 Registro de vehículos: placas conocidas, enlace de inspecciones y sugerencias para placas mal digitadas
+
+const { getPrismaClient } = require('../config/database');
+const { normalizePlateKey, plateDistance } = require('../utils/excelUtils');
+const ValidationService = require('./validationService');
+const AuditService = require('./auditService');
+const { AUDIT_ACTIONS } = require('./auditService');
+
+const VEHICLE_STATES = ['ACTIVO', 'INACTIVO'];
+
+// Sugerencias "¿quiso decir...?" por placa desconocida
+const MAX_SUGGESTIONS = 3;
+
+// Placas sin registrar detalladas en el resumen de una carga (el total siempre se informa)
+const MAX_REPORTED_PLATES = 50;
+
+class VehicleService {
+  constructor() {
+    this.prisma = getPrismaClient();
+    this.validationService = new ValidationService();
+    this.auditService = new AuditService();
+    this.config = {
+      // Un error de digitación (o dos caracteres parecidos, O/0, I/1...) todavía se sugiere
+      suggestMaxDistance: parseFloat(process.env.VEHICLE_SUGGEST_MAX_DISTANCE) || 1,
+      // Al sincronizar, solo se registran placas con al menos estas inspecciones
+      syncMinInspections: parseInt(process.env.VEHICLE_SYNC_MIN_INSPECTIONS) || 3
+    };
+    this.states = VEHICLE_STATES;
+  }
+
+  // 📚 Índice en memoria: placa y placas alternas → vehículo
+  async loadIndex() {
+    const vehicles = await this.prisma.vehiculos.findMany({
+      select: { id: true, placa: true, placas_alternas: true }
+    });
+    const index = { byKey: new Map(), vehicles };
+    vehicles.forEach(vehicle => this.addToIndex(index, vehicle));
+    return index;
+  }
+
+  addToIndex(index, vehicle) {
+    [vehicle.placa, ...(vehicle.placas_alternas || [])].forEach(key => index.byKey.set(key, vehicle));
+    if (!index.vehicles.includes(vehicle)) index.vehicles.push(vehicle);
+  }
+
+  // 💡 Placas registradas a menor distancia de edición de una placa desconocida
+  suggestPlates(index, plate) {
+    const key = normalizePlateKey(plate);
+    if (!key) return [];
+    return index.vehicles
+      .map(vehicle => ({ id: vehicle.id, placa: vehicle.placa, distance: plateDistance(key, vehicle.placa) }))
+      .filter(suggestion => suggestion.distance <= this.config.suggestMaxDistance)
+      .sort((a, b) => a.distance - b.distance || a.placa.localeCompare(b.placa))
+      .slice(0, MAX_SUGGESTIONS);
+  }
+
+  // 🔗 Vehículo registrado para cada placa de los registros. Las placas desconocidas no se
+  // registran solas: quedan sin vehículo y se devuelven con sugerencias para revisarlas.
+  async resolvePlates(records, index = null) {
+    const vehicleIndex = index || await this.loadIndex();
+    const links = new Map();
+    const counts = new Map();
+    records.forEach(record => {
+      const key = normalizePlateKey(record.placa_vehiculo);
+      if (key) counts.set(key, (counts.get(key) || 0) + 1);
+    });
+
+    const unknown = [];
+    counts.forEach((records, key) => {
+      if (vehicleIndex.byKey.has(key)) {
+        links.set(key, vehicleIndex.byKey.get(key));
+      } else {
+        unknown.push({ placa: key, records, suggestions: this.suggestPlates(vehicleIndex, key) });
+      }
+    });
+    unknown.sort((a, b) => b.records - a.records);
+
+    if (unknown.length > 0) {
+      console.log(`[VEHICULOS] ❓ ${unknown.length} placas sin registrar: ${unknown.slice(0, 10).map(plate =>
+        plate.suggestions.length > 0 ? `${plate.placa} (¿${plate.suggestions[0].placa}?)` : plate.placa).join(', ')}`);
+    }
+    return {
+      links,
+      summary: {
+        plates: counts.size,
+        registered: links.size,
+        unregistered: unknown.length,
+        unknown: unknown.slice(0, MAX_REPORTED_PLATES)
+      }
+    };
+  }
+
+  // 🔗 Vehículo y placa canónica de un registro según los enlaces resueltos
+  getVehicleFields(links, record) {
+    const vehicle = links.get(normalizePlateKey(record.placa_vehiculo));
+    return vehicle
+      ? { vehiculo_id: vehicle.id, placa_vehiculo: vehicle.placa }
+      : { vehiculo_id: null, placa_vehiculo: record.placa_vehiculo };
+  }
+
+  // 📋 Vehículos del registro con sus estadísticas de inspección
+  async listVehicles({ search, estado, contrato, page = 1, limit = 50 } = {}) {
+    const where = {};
+    if (estado) where.estado = estado;
+    if (contrato) where.contrato = contrato;
+    if (search) {
+      const key = normalizePlateKey(search);
+      where.OR = [
+        { placa: { contains: key } },
+        { placas_alternas: { has: key } },
+        { marca: { contains: String(search).trim(), mode: 'insensitive' } },
+        { modelo: { contains: String(search).trim(), mode: 'insensitive' } }
+      ];
+    }
+
+    const [total, vehicles] = await Promise.all([
+      this.prisma.vehiculos.count({ where }),
+      this.prisma.vehiculos.findMany({
+        where,
+        orderBy: { placa: 'asc' },
+        skip: (page - 1) * limit,
+        take: limit
+      })
+    ]);
+
+    const stats = await this.getInspectionStats(vehicles.map(vehicle => vehicle.id));
+    return {
+      vehicles: vehicles.map(vehicle => this.toPublicVehicle(vehicle, stats.get(vehicle.id))),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  // 📊 Inspecciones, alertas críticas, puntaje promedio, última fecha y conductores por vehículo
+  async getInspectionStats(vehicleIds) {
+    const stats = new Map();
+    if (vehicleIds.length === 0) return stats;
+
+    const [totals, critical, drivers] = await Promise.all([
+      this.prisma.inspecciones.groupBy({
+        by: ['vehiculo_id'],
+        where: { vehiculo_id: { in: vehicleIds } },
+        _count: { id: true },
+        _avg: { puntaje_total: true },
+        _max: { fecha: true }
+      }),
+      this.prisma.inspecciones.groupBy({
+        by: ['vehiculo_id'],
+        where: { vehiculo_id: { in: vehicleIds }, tiene_alertas_criticas: true },
+        _count: { id: true }
+      }),
+      this.prisma.inspecciones.groupBy({
+        by: ['vehiculo_id', 'conductor_nombre'],
+        where: { vehiculo_id: { in: vehicleIds } }
+      })
+    ]);
+
+    totals.forEach(row => stats.set(row.vehiculo_id, {
+      totalInspections: row._count.id,
+      averageScore: Math.round((row._avg.puntaje_total || 0) * 10) / 10,
+      lastInspection: row._max.fecha,
+      criticalAlerts: 0,
+      drivers: 0
+    }));
+    critical.forEach(row => {
+      if (stats.has(row.vehiculo_id)) stats.get(row.vehiculo_id).criticalAlerts = row._count.id;
+    });
+    drivers.forEach(row => {
+      if (stats.has(row.vehiculo_id)) stats.get(row.vehiculo_id).drivers++;
+    });
+    return stats;
+  }
+
+  // 🔍 Vehículo por id
+  async getVehicle(vehicleId) {
+    const vehicle = await this.prisma.vehiculos.findUnique({ where: { id: vehicleId } });
+    if (!vehicle) return null;
+    const stats = await this.getInspectionStats([vehicleId]);
+    return this.toPublicVehicle(vehicle, stats.get(vehicleId));
+  }
+
+  // ✅ Validar los datos editables de un vehículo
+  buildVehicleData({ placa, type, brand, model, contract, status }) {
+    const data = {};
+    if (placa !== undefined) {
+      const key = normalizePlateKey(placa);
+      if (!this.validationService.validatePlacaVehiculo(key)) {
+        throw new Error(`VEHICULO_INVALIDO: formato de placa inválido "${placa}" (ABC123 o AB1234)`);
+      }
+      data.placa = key;
+    }
+    if (type !== undefined) data.tipo = String(type || '').trim();
+    if (brand !== undefined) data.marca = String(brand || '').trim();
+    if (model !== undefined) data.modelo = String(model || '').trim();
+    if (contract !== undefined) data.contrato = String(contract || '').trim();
+    if (status !== undefined) {
+      const estado = String(status).toUpperCase();
+      if (!VEHICLE_STATES.includes(estado)) {
+        throw new Error(`VEHICULO_INVALIDO: estado "${status}" no válido (${VEHICLE_STATES.join(', ')})`);
+      }
+      data.estado = estado;
+    }
+    return data;
+  }
+
+  // ⚠️ Una placa solo puede identificar a un vehículo (como placa o como placa alterna)
+  async assertPlateAvailable(key, vehicleId = null) {
+    const owner = await this.prisma.vehiculos.findFirst({
+      where: { OR: [{ placa: key }, { placas_alternas: { has: key } }] },
+      select: { id: true, placa: true }
+    });
+    if (owner && owner.id !== vehicleId) {
+      throw new Error(`VEHICULO_DUPLICADO: la placa ${key} ya corresponde al vehículo ${owner.placa}`);
+    }
+  }
+
+  // ➕ Registrar un vehículo y enlazar las inspecciones que ya tenían su placa
+  async createVehicle(input) {
+    const data = this.buildVehicleData(input);
+    if (!data.placa) throw new Error('VEHICULO_INVALIDO: el vehículo necesita una placa');
+    await this.assertPlateAvailable(data.placa);
+
+    const { vehicle, linkedInspections } = await this.prisma.$transaction(async (tx) => {
+      const created = await tx.vehiculos.create({ data });
+      const linked = await this.linkPlateInspections(created, [data.placa], tx);
+      await this.auditService.record({
+        accion: AUDIT_ACTIONS.CREAR,
+        entidad: 'vehiculos',
+        entidadId: created.id,
+        despues: { ...created, inspeccionesEnlazadas: linked }
+      }, tx);
+      return { vehicle: created, linkedInspections: linked };
+    });
+    console.log(`[VEHICULOS] ➕ Vehículo ${vehicle.placa} registrado (${linkedInspections} inspecciones enlazadas)`);
+    return { vehicle: await this.getVehicle(vehicle.id), linkedInspections };
+  }
+
+  // ✏️ Actualizar datos del vehículo. Si se corrige la placa, la anterior queda como placa
+  // alterna y las inspecciones enlazadas pasan a la placa nueva.
+  async updateVehicle(vehicleId, input) {
+    const current = await this.prisma.vehiculos.findUnique({ where: { id: vehicleId } });
+    if (!current) throw new Error(`VEHICULO_NO_ENCONTRADO: ${vehicleId}`);
+
+    const data = this.buildVehicleData(input);
+    const replated = data.placa && data.placa !== current.placa;
+    if (replated) {
+      await this.assertPlateAvailable(data.placa, vehicleId);
+      data.placas_alternas = [...new Set([...current.placas_alternas, current.placa])]
+        .filter(key => key !== data.placa);
+    }
+
+    await this.prisma.$transaction(async (tx) => {
+      const updated = await tx.vehiculos.update({ where: { id: vehicleId }, data });
+      const moved = replated
+        ? await this.auditService.reassignInspections(tx, { vehiculo_id: vehicleId }, { placa_vehiculo: data.placa })
+        : 0;
+      await this.auditService.record({
+        accion: AUDIT_ACTIONS.ACTUALIZAR,
+        entidad: 'vehiculos',
+        entidadId: vehicleId,
+        antes: current,
+        despues: replated ? { ...updated, inspeccionesActualizadas: moved } : updated
+      }, tx);
+    });
+
+    console.log(`[VEHICULOS] ✏️ Vehículo ${data.placa || current.placa} actualizado${replated ? ` (antes ${current.placa})` : ''}`);
+    return {
+      vehicle: await this.getVehicle(vehicleId),
+      plates: replated ? [current.placa, data.placa] : []
+    };
+  }
+
+  // 🔗 Enlazar al vehículo las inspecciones sin vehículo cuya placa corresponde a alguna de las llaves;
+  // la placa digitada se reemplaza por la registrada
+  async linkPlateInspections(vehicle, keys, tx, user) {
+    const rows = await tx.inspecciones.groupBy({
+      by: ['placa_vehiculo'],
+      where: { vehiculo_id: null }
+    });
+    const rawPlates = rows
+      .map(row => row.placa_vehiculo)
+      .filter(raw => keys.includes(normalizePlateKey(raw)));
+    return this.linkRawPlates(vehicle, rawPlates, tx, user);
+  }
+
+  async linkRawPlates(vehicle, rawPlates, tx, user) {
+    if (rawPlates.length === 0) return 0;
+    return this.auditService.reassignInspections(
+      tx,
+      { vehiculo_id: null, placa_vehiculo: { in: rawPlates } },
+      { vehiculo_id: vehicle.id, placa_vehiculo: vehicle.placa },
+      { actor: user }
+    );
+  }
+
+  // ❓ Placas de inspecciones que no están en el registro, con sugerencias
+  async listUnregisteredPlates({ limit = 100 } = {}) {
+    const [rows, index] = await Promise.all([
+      this.prisma.inspecciones.groupBy({
+        by: ['placa_vehiculo'],
+        where: { vehiculo_id: null },
+        _count: { id: true },
+        _max: { fecha: true }
+      }),
+      this.loadIndex()
+    ]);
+
+    const plates = new Map();
+    rows.forEach(row => {
+      const key = normalizePlateKey(row.placa_vehiculo);
+      if (!key) return;
+      const plate = plates.get(key) || { placa: key, variants: [], inspections: 0, lastInspection: null };
+      plate.variants.push(row.placa_vehiculo);
+      plate.inspections += row._count.id;
+      if (!plate.lastInspection || row._max.fecha > plate.lastInspection) plate.lastInspection = row._max.fecha;
+      plates.set(key, plate);
+    });
+
+    const unregistered = [...plates.values()]
+      .sort((a, b) => b.inspections - a.inspections)
+      .map(plate => ({
+        ...plate,
+        // Registrada como placa alterna después de esta carga: se enlaza con la sincronización
+        registeredAs: index.byKey.get(plate.placa)?.placa || null,
+        validFormat: this.validationService.validatePlacaVehiculo(plate.placa),
+        suggestions: this.suggestPlates(index, plate.placa)
+      }));
+    return { plates: unregistered.slice(0, limit), total: unregistered.length };
+  }
+
+  // 🎯 Corregir una placa mal digitada: sus inspecciones pasan al vehículo indicado y la placa
+  // queda como alterna para que las próximas cargas la reconozcan
+  async assignPlate(placa, vehicleId, { user } = {}) {
+    const key = normalizePlateKey(placa);
+    if (!key || !vehicleId) throw new Error('VEHICULO_INVALIDO: indique la placa a corregir y el vehículo al que corresponde');
+
+    const vehicle = await this.prisma.vehiculos.findUnique({ where: { id: vehicleId } });
+    if (!vehicle) throw new Error(`VEHICULO_NO_ENCONTRADO: ${vehicleId}`);
+    if (key === vehicle.placa) throw new Error(`VEHICULO_INVALIDO: ${key} ya es la placa del vehículo`);
+    await this.assertPlateAvailable(key, vehicleId);
+
+    const movedInspections = await this.prisma.$transaction(async (tx) => {
+      if (!vehicle.placas_alternas.includes(key)) {
+        await tx.vehiculos.update({
+          where: { id: vehicleId },
+          data: { placas_alternas: { push: key } }
+        });
+      }
+      const linked = await this.linkPlateInspections(vehicle, [key], tx, user);
+      await this.auditService.record({
+        accion: AUDIT_ACTIONS.ASIGNAR,
+        entidad: 'vehiculos',
+        entidadId: vehicleId,
+        antes: vehicle,
+        despues: {
+          ...vehicle,
+          placas_alternas: [...new Set([...vehicle.placas_alternas, key])],
+          placaCorregida: key,
+          inspeccionesEnlazadas: linked
+        },
+        actor: user
+      }, tx);
+      return linked;
+    });
+
+    console.log(`[VEHICULOS] 🎯 Placa ${key} corregida a ${vehicle.placa} por ${user || 'sistema'} (${movedInspections} inspecciones)`);
+    return {
+      vehicle: await this.getVehicle(vehicleId),
+      movedInspections,
+      plates: [key, vehicle.placa]
+    };
+  }
+
+  // 🔄 Enlazar inspecciones sin vehículo a las placas registradas y registrar las placas
+  // frecuentes con formato válido. Las poco frecuentes quedan para revisar (suelen ser errores).
+  async syncRegistry({ minInspections = this.config.syncMinInspections } = {}) {
+    const [rows, index] = await Promise.all([
+      this.prisma.inspecciones.groupBy({
+        by: ['placa_vehiculo'],
+        where: { vehiculo_id: null },
+        _count: { id: true },
+        orderBy: { _count: { id: 'desc' } }
+      }),
+      this.loadIndex()
+    ]);
+
+    const plates = new Map();
+    rows.forEach(row => {
+      const key = normalizePlateKey(row.placa_vehiculo);
+      if (!key) return;
+      const plate = plates.get(key) || { count: 0, rawPlates: [] };
+      plate.count += row._count.id;
+      plate.rawPlates.push(row.placa_vehiculo);
+      plates.set(key, plate);
+    });
+
+    let registered = 0;
+    let linkedInspections = 0;
+    // Placas cuyas inspecciones cambiaron de placa escrita (el odómetro se agrupa por placa)
+    const changedPlates = [];
+    for (const [key, { count, rawPlates }] of plates) {
+      let vehicle = index.byKey.get(key);
+      if (!vehicle) {
+        if (count < minInspections || !this.validationService.validatePlacaVehiculo(key)) continue;
+        vehicle = await this.prisma.$transaction(async (tx) => {
+          const created = await tx.vehiculos.create({
+            data: { placa: key },
+            select: { id: true, placa: true, placas_alternas: true }
+          });
+          await this.auditService.record({
+            accion: AUDIT_ACTIONS.CREAR, entidad: 'vehiculos', entidadId: created.id, despues: created
+          }, tx);
+          return created;
+        });
+        this.addToIndex(index, vehicle);
+        registered++;
+      }
+      linkedInspections += await this.prisma.$transaction(
+        (tx) => this.linkRawPlates(vehicle, rawPlates, tx),
+        { maxWait: 10000, timeout: 60000 }
+      );
+      if (rawPlates.some(raw => raw !== vehicle.placa)) changedPlates.push(...rawPlates, vehicle.placa);
+    }
+
+    const pending = [...plates.keys()].filter(key => !index.byKey.has(key)).length;
+    console.log(`[VEHICULOS] 🔄 ${registered} vehículos registrados, ${linkedInspections} inspecciones enlazadas, ${pending} placas por revisar`);
+    return { registered, linkedInspections, unregisteredPlates: pending, plates: [...new Set(changedPlates)] };
+  }
+
+  // 📤 Vehículo para el frontend
+  toPublicVehicle(vehicle, stats = {}) {
+    return {
+      id: vehicle.id,
+      placa: vehicle.placa,
+      alternatePlates: vehicle.placas_alternas || [],
+      type: vehicle.tipo,
+      brand: vehicle.marca,
+      model: vehicle.modelo,
+      contract: vehicle.contrato,
+      status: vehicle.estado,
+      totalInspections: stats.totalInspections || 0,
+      criticalAlerts: stats.criticalAlerts || 0,
+      averageScore: stats.averageScore || 0,
+      drivers: stats.drivers || 0,
+      lastInspection: stats.lastInspection || null,
+      createdAt: vehicle.createdAt,
+      updatedAt: vehicle.updatedAt
+    };
+  }
+}
+
+module.exports = VehicleService;
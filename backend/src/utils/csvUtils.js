@@ -0,0 +1,183 @@
+// Utilidades para archivos CSV (exportaciones de Google Forms / Sheets)
+
+const { parseSpanishDateTime } = require('./dateUtils');
+
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Indica si el nombre de archivo corresponde a un CSV.
+ * @param {string} filename
+ * @returns {boolean}
+ */
+function isCsvFile(filename) {
+  return /\.csv$/i.test(filename || '');
+}
+
+/**
+ * Decodifica el contenido detectando la codificación: BOM UTF-8/UTF-16,
+ * UTF-8 sin BOM y, si no es UTF-8 válido, Windows-1252 (CSV guardado desde Excel en español).
+ * @param {Buffer} buffer
+ * @returns {{text: string, encoding: string}}
+ */
+function decodeCsvBuffer(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { text: buffer.subarray(3).toString('utf8'), encoding: 'utf-8-bom' };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { text: buffer.subarray(2).toString('utf16le'), encoding: 'utf-16le' };
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    // Node no decodifica UTF-16BE directamente: se invierten los bytes de cada par
+    const swapped = Buffer.from(buffer.subarray(2)).swap16();
+    return { text: swapped.toString('utf16le'), encoding: 'utf-16be' };
+  }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch (error) {
+    try {
+      return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'windows-1252' };
+    } catch (decoderError) {
+      return { text: buffer.toString('latin1'), encoding: 'latin1' };
+    }
+  }
+}
+
+/**
+ * Cuenta un delimitador por línea ignorando los que están entre comillas.
+ * @param {string} line
+ * @param {string} delimiter
+ * @returns {number}
+ */
+function countDelimiter(line, delimiter) {
+  let count = 0;
+  let inQuotes = false;
+  for (const char of line) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (char === delimiter && !inQuotes) count++;
+  }
+  return count;
+}
+
+/**
+ * Detecta el delimitador: el que aparece en el encabezado y se repite
+ * con la misma cantidad en las primeras líneas.
+ * @param {string} text
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, 20);
+  if (lines.length === 0) return ',';
+
+  let best = { delimiter: ',', score: -1 };
+  CSV_DELIMITERS.forEach(delimiter => {
+    const headerCount = countDelimiter(lines[0], delimiter);
+    if (headerCount === 0) return;
+    const consistent = lines.filter(line => countDelimiter(line, delimiter) === headerCount).length;
+    const score = consistent * 1000 + headerCount;
+    if (score > best.score) best = { delimiter, score };
+  });
+  return best.delimiter;
+}
+
+/**
+ * Parsea texto CSV (RFC 4180): campos entre comillas, comillas dobles escapadas
+ * y saltos de línea dentro de campos.
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]}
+ */
+function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Convierte un número escrito en formato español o internacional:
+ * "94.983" → 94983, "12,5" → 12.5, "1.234,56" → 1234.56, "12.5" → 12.5.
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseSpanishNumber(value) {
+  const str = String(value ?? '').trim();
+  if (/^-?\d{1,3}(\.\d{3})+(,\d+)?$/.test(str)) {
+    return parseFloat(str.replace(/\./g, '').replace(',', '.'));
+  }
+  if (/^-?\d+,\d+$/.test(str)) return parseFloat(str.replace(',', '.'));
+  if (/^-?\d+(\.\d+)?$/.test(str)) return parseFloat(str);
+  return null;
+}
+
+/**
+ * Convierte el texto de una celda al tipo que tendría en Excel: fecha, número o texto.
+ * @param {string} value
+ * @returns {Date|number|string}
+ */
+function convertCsvValue(value) {
+  const str = String(value ?? '').trim();
+  if (str === '') return '';
+  const date = parseSpanishDateTime(str);
+  if (date) return date;
+  const number = parseSpanishNumber(str);
+  return number === null ? str : number;
+}
+
+/**
+ * Lee un CSV completo: decodifica, detecta delimitador y convierte valores.
+ * La primera fila se conserva como texto (encabezados).
+ * @param {Buffer} buffer
+ * @returns {{rows: Array<Array<any>>, delimiter: string, encoding: string}}
+ */
+function readCsvBuffer(buffer) {
+  const { text, encoding } = decodeCsvBuffer(buffer);
+  const delimiter = detectDelimiter(text);
+  const [headers = [], ...dataRows] = parseCsv(text, delimiter);
+  return {
+    rows: [headers.map(header => header.trim()), ...dataRows.map(row => row.map(convertCsvValue))],
+    delimiter,
+    encoding
+  };
+}
+
+module.exports = {
+  isCsvFile,
+  decodeCsvBuffer,
+  detectDelimiter,
+  parseCsv,
+  parseSpanishNumber,
+  convertCsvValue,
+  readCsvBuffer
+};
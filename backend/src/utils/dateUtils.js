@@ -1,5 +1,16 @@
 // Utilidades de fechas
 
+// Zona horaria del formulario: las marcas temporales sin zona se interpretan en ella
+// y los días de reportes y dashboards se cortan a su medianoche
+const APP_TIMEZONE = process.env.APP_TIMEZONE || 'America/Bogota';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const SPANISH_MONTHS = [
+  'Enero', 'Febrero', 'Marzo', 'Abril', 'Mayo', 'Junio',
+  'Julio', 'Agosto', 'Septiembre', 'Octubre', 'Noviembre', 'Diciembre'
+];
+
 /**
  * Parsea una fecha en formato español (dd/mm/yyyy, dd-mm-yyyy, yyyy-mm-dd, etc.)
  * @param {string|Date} value
@@ -27,6 +38,46 @@ function parseSpanishDate(value) {
   return isNaN(date.getTime()) ? null : date;
 }
 
+/**
+ * Parsea fecha y hora como las exportan Google Forms / Sheets en español:
+ * "1/08/2025 5:33:10", "2025/08/01 5:33:10 a. m. GMT-5", "01-08-2025 17:33".
+ * Sin desplazamiento GMT la hora se interpreta en APP_TIMEZONE,
+ * igual que las celdas de fecha de un .xlsx.
+ * @param {string|Date} value
+ * @returns {Date|null}
+ */
+function parseSpanishDateTime(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  const str = String(value).trim();
+  const match = str.match(
+    /^(\d{1,4})[/-](\d{1,2})[/-](\d{1,4})(?:[ T]+(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,3}))?)?\s*([ap])?\.?\s*(?:m\.?)?\s*(?:(?:GMT|UTC)\s*([+-])(\d{1,2})(?::?(\d{2}))?)?)?$/i
+  );
+  if (!match) return null;
+
+  const [, first, monthPart, last] = match;
+  const yearFirst = first.length === 4;
+  let year = parseInt(yearFirst ? first : last, 10);
+  const day = parseInt(yearFirst ? last : first, 10);
+  const month = parseInt(monthPart, 10);
+  if (year < 100) year += 2000;
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  let hours = parseInt(match[4] || '0', 10);
+  const minutes = parseInt(match[5] || '0', 10);
+  const seconds = parseInt(match[6] || '0', 10);
+  const millis = parseInt((match[7] || '0').padEnd(3, '0'), 10);
+  const meridiem = (match[8] || '').toLowerCase();
+  if (meridiem === 'p' && hours < 12) hours += 12;
+  if (meridiem === 'a' && hours === 12) hours = 0;
+
+  if (match[9]) {
+    const offsetMinutes = (parseInt(match[10], 10) * 60 + parseInt(match[11] || '0', 10)) * (match[9] === '-' ? -1 : 1);
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds, millis) - offsetMinutes * 60000);
+  }
+  return zonedTimeToUtc({ year, month, day, hours, minutes, seconds, millis });
+}
+
 /**
  * Detecta patrones de fechas en un array de filas
  * @param {Array} rows
@@ -70,9 +121,208 @@ function isDateInRange(date, min, max) {
   return d >= dMin && d <= dMax;
 }
 
+/**
+ * Detecta el mes (y el año si aparece) en el nombre de una hoja,
+ * p. ej. "SEPTIEMBRE", "2025-08 Agosto" o "Julio 2025".
+ * @param {string} sheetName
+ * @returns {{year:number|null, month:number, monthName:string}|null}
+ */
+function detectMonthFromSheetName(sheetName) {
+  if (!sheetName) return null;
+  const normalized = String(sheetName)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+  const yearMatch = normalized.match(/(20\d{2})/);
+  const year = yearMatch ? parseInt(yearMatch[1], 10) : null;
+
+  let month = SPANISH_MONTHS.findIndex(name => normalized.includes(name.toLowerCase())) + 1;
+  if (!month) {
+    const numericMatch = normalized.match(/20\d{2}[-_/ ](\d{1,2})\b/);
+    month = numericMatch ? parseInt(numericMatch[1], 10) : 0;
+  }
+  if (month < 1 || month > 12) return null;
+
+  return { year, month, monthName: SPANISH_MONTHS[month - 1] };
+}
+
+const zoneFormatters = new Map();
+
+/**
+ * Formateador de fecha y hora (24 h) para una zona; se reutiliza por zona.
+ * @param {string} timeZone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getZoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+/**
+ * Fecha y hora de reloj de un instante en una zona.
+ * @param {Date|string|number} value
+ * @param {string} timeZone
+ * @returns {{year:number, month:number, day:number, hours:number, minutes:number, seconds:number, millis:number}}
+ */
+function getZonedParts(value, timeZone = APP_TIMEZONE) {
+  const date = value instanceof Date ? value : new Date(value);
+  const parts = {};
+  getZoneFormatter(timeZone).formatToParts(date).forEach(part => {
+    if (part.type !== 'literal') parts[part.type] = parseInt(part.value, 10);
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hours: parts.hour,
+    minutes: parts.minute,
+    seconds: parts.second,
+    millis: date.getUTCMilliseconds()
+  };
+}
+
+/**
+ * Desplazamiento de la zona respecto a UTC en un instante, en minutos (Bogotá: -300).
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function getZoneOffsetMinutes(date, timeZone = APP_TIMEZONE) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hours, p.minutes, p.seconds, p.millis);
+  return Math.round((asUtc - date.getTime()) / 60000);
+}
+
+/**
+ * Instante que corresponde a una fecha y hora de reloj en la zona.
+ * Ej.: { year: 2025, month: 8, day: 1, hours: 5, minutes: 33 } en Bogotá → 2025-08-01T10:33:00Z
+ * @param {{year:number, month:number, day:number, hours?:number, minutes?:number, seconds?:number, millis?:number}} parts
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function zonedTimeToUtc({ year, month, day, hours = 0, minutes = 0, seconds = 0, millis = 0 }, timeZone = APP_TIMEZONE) {
+  const asUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds, millis);
+  // Dos pasadas: el desplazamiento puede cambiar entre la hora supuesta y la real (horario de verano)
+  let time = asUtc - getZoneOffsetMinutes(new Date(asUtc), timeZone) * 60000;
+  const offset = getZoneOffsetMinutes(new Date(time), timeZone);
+  time = asUtc - offset * 60000;
+  return new Date(time);
+}
+
+/**
+ * Convierte un número de serie de Excel (días desde 1900 o 1904, con fracción de día)
+ * al instante que representa en la zona. Excel trata 1900 como bisiesto: el serial 60
+ * es el inexistente 29/02/1900 y desde el 61 los días van corridos uno.
+ * @param {number} serial
+ * @param {{date1904?: boolean, timeZone?: string}} options
+ * @returns {Date|null}
+ */
+function excelSerialToDate(serial, { date1904 = false, timeZone = APP_TIMEZONE } = {}) {
+  if (typeof serial !== 'number' || !isFinite(serial) || serial < 0) return null;
+  let epoch;
+  if (date1904) {
+    epoch = Date.UTC(1904, 0, 1);
+  } else {
+    epoch = serial < 61 ? Date.UTC(1899, 11, 31) : Date.UTC(1899, 11, 30);
+  }
+  // Reloj de pared expresado como UTC, redondeado al milisegundo (la fracción de día es binaria)
+  const wallClock = new Date(epoch + Math.round(serial * MS_PER_DAY));
+  return zonedTimeToUtc({
+    year: wallClock.getUTCFullYear(),
+    month: wallClock.getUTCMonth() + 1,
+    day: wallClock.getUTCDate(),
+    hours: wallClock.getUTCHours(),
+    minutes: wallClock.getUTCMinutes(),
+    seconds: wallClock.getUTCSeconds(),
+    millis: wallClock.getUTCMilliseconds()
+  }, timeZone);
+}
+
+/**
+ * Fecha cuyo reloj UTC coincide con el reloj de la zona: lo que esperan las librerías
+ * que escriben celdas de Excel (sin zona) a partir de un Date.
+ * @param {Date|string} value
+ * @param {string} timeZone
+ * @returns {Date|null}
+ */
+function toZonedWallClock(value, timeZone = APP_TIMEZONE) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return null;
+  const p = getZonedParts(date, timeZone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day, p.hours, p.minutes, p.seconds, p.millis));
+}
+
+/**
+ * Día calendario de un instante en la zona, como "YYYY-MM-DD".
+ * @param {Date|string|number} value
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function formatDateKey(value, timeZone = APP_TIMEZONE) {
+  const p = getZonedParts(value, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Inicio y fin (inclusive) de un día en la zona. Acepta un instante o un día "YYYY-MM-DD".
+ * @param {Date|string} value
+ * @param {string} timeZone
+ * @returns {{start: Date, end: Date}}
+ */
+function getDayRange(value, timeZone = APP_TIMEZONE) {
+  const key = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : formatDateKey(value, timeZone);
+  const [year, month, day] = key.split('-').map(Number);
+  const start = zonedTimeToUtc({ year, month, day }, timeZone);
+  const next = zonedTimeToUtc({ year, month, day: day + 1 }, timeZone);
+  return { start, end: new Date(next.getTime() - 1) };
+}
+
+/**
+ * Medianoche del día del instante en la zona.
+ * @param {Date|string} value
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function startOfDay(value = new Date(), timeZone = APP_TIMEZONE) {
+  return getDayRange(value, timeZone).start;
+}
+
+/**
+ * Último milisegundo del día del instante en la zona.
+ * @param {Date|string} value
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function endOfDay(value = new Date(), timeZone = APP_TIMEZONE) {
+  return getDayRange(value, timeZone).end;
+}
+
 module.exports = {
+  APP_TIMEZONE,
+  SPANISH_MONTHS,
+  detectMonthFromSheetName,
   parseSpanishDate,
+  parseSpanishDateTime,
   detectDatePatterns,
   extractDateInfo,
-  isDateInRange
+  isDateInRange,
+  getZonedParts,
+  zonedTimeToUtc,
+  excelSerialToDate,
+  toZonedWallClock,
+  formatDateKey,
+  getDayRange,
+  startOfDay,
+  endOfDay
 };
@@ -1,6 +1,7 @@
 // Utilidades para archivos Excel
 
 const crypto = require('crypto');
+const { CHECKLIST_RESULTS } = require('../config/checklistItems');
 
 /**
  * Limpia una cadena eliminando espacios, tildes y caracteres especiales.
@@ -47,9 +48,336 @@ function normalizeHeader(header) {
   return cleanString(header).toLowerCase().replace(/\s+/g, '_');
 }
 
+/**
+ * Normaliza un encabezado del formulario: colapsa saltos de línea y espacios,
+ * elimina el marcador "**" de ítem crítico y genera la llave de comparación.
+ * Ej.: "**\nDE PARQUEO" → { label: "DE PARQUEO", key: "de_parqueo", isCritical: true }
+ * @param {string} header
+ * @returns {{label: string, key: string, isCritical: boolean}}
+ */
+function normalizeExcelHeader(header) {
+  const raw = header === null || header === undefined ? '' : String(header);
+  const label = raw.replace(/\*\*/g, ' ').replace(/\s+/g, ' ').trim();
+  return {
+    label,
+    key: normalizeHeader(label),
+    isCritical: raw.includes('**')
+  };
+}
+
+/**
+ * Convierte una respuesta del formulario (Cumple / No cumple / Sí / No) a booleano.
+ * Cualquier otro valor (vacío, "Opción 3", etc.) se considera false.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function toBooleanAnswer(value) {
+  if (value === true || value === 1) return true;
+  const normalized = cleanString(String(value ?? '')).toLowerCase();
+  if (!normalized || normalized.startsWith('no')) return false;
+  return ['cumple', 'si', 'true', '1'].includes(normalized);
+}
+
+/**
+ * Convierte la respuesta de un ítem del checklist a su resultado tri-estado.
+ * Vacíos y valores no reconocidos (p. ej. "Opción 3") quedan como SIN_RESPUESTA.
+ * @param {any} value
+ * @returns {'CUMPLE'|'NO_CUMPLE'|'NO_APLICA'|'SIN_RESPUESTA'}
+ */
+function toChecklistResult(value) {
+  if (value === true) return CHECKLIST_RESULTS.CUMPLE;
+  if (value === false) return CHECKLIST_RESULTS.NO_CUMPLE;
+  const normalized = cleanString(String(value ?? '')).toLowerCase();
+  if (!normalized) return CHECKLIST_RESULTS.SIN_RESPUESTA;
+  // "N/A" y "N.A." llegan como "na" después de limpiar signos
+  if (['no aplica', 'na'].includes(normalized)) return CHECKLIST_RESULTS.NO_APLICA;
+  if (['no cumple', 'no'].includes(normalized)) return CHECKLIST_RESULTS.NO_CUMPLE;
+  if (['cumple', 'si', 'ok'].includes(normalized)) return CHECKLIST_RESULTS.CUMPLE;
+  return CHECKLIST_RESULTS.SIN_RESPUESTA;
+}
+
+/**
+ * Normaliza una placa para comparaciones: mayúsculas, sin espacios ni guiones.
+ * @param {string} plate
+ * @returns {string}
+ */
+function normalizePlateKey(plate) {
+  if (!plate) return '';
+  return String(plate).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Caracteres que se confunden al digitar una placa (letra ↔ número parecido)
+const PLATE_LOOKALIKES = ['O0', 'Q0', 'D0', 'I1', 'L1', 'S5', 'B8', 'Z2', 'G6'];
+
+/**
+ * Distancia de edición entre dos placas normalizadas. Cambiar un carácter por
+ * otro parecido (O/0, I/1, S/5...) cuesta la mitad que un error cualquiera.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function plateDistance(a, b) {
+  return levenshteinDistance(normalizePlateKey(a), normalizePlateKey(b), (x, y) =>
+    PLATE_LOOKALIKES.includes(x + y) || PLATE_LOOKALIKES.includes(y + x) ? 0.5 : 1
+  );
+}
+
+/**
+ * Convierte una marca temporal a milisegundos truncados al segundo.
+ * Las hojas mensuales guardan la misma respuesta del formulario con diferencias
+ * de milisegundos respecto a la hoja de respuestas, por eso se trabaja al segundo.
+ * @param {Date|number|string} value
+ * @returns {number|null}
+ */
+function toTimestampSeconds(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  if (isNaN(time)) return null;
+  return Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Construye la llave natural de una inspección: marca temporal + placa + inspector.
+ * Sin marca temporal válida no hay llave: esas filas no se comparan entre sí.
+ * @param {{marca_temporal: number|string, placa_vehiculo: string, conductor_nombre: string}} record
+ * @param {number} offsetSeconds - Desplazamiento opcional de la marca temporal en segundos
+ * @returns {string|null}
+ */
+function buildNaturalKey(record, offsetSeconds = 0) {
+  const timestamp = record.marca_temporal ? toTimestampSeconds(Number(record.marca_temporal)) : null;
+  if (!timestamp) return null;
+  const inspector = cleanString(String(record.conductor_nombre || '')).toUpperCase();
+  return `${timestamp / 1000 + offsetSeconds}|${normalizePlateKey(record.placa_vehiculo)}|${inspector}`;
+}
+
+/**
+ * Busca un registro en un índice de llaves naturales tolerando ±1 segundo,
+ * ya que al truncar al segundo dos copias de la misma respuesta pueden caer
+ * en segundos contiguos.
+ * @param {Map<string, any>} keyIndex
+ * @param {Object} record
+ * @returns {any} Valor almacenado para la llave encontrada o undefined (también si la fila no tiene marca temporal)
+ */
+function findNaturalKeyMatch(keyIndex, record) {
+  for (const offset of [0, -1, 1]) {
+    const key = buildNaturalKey(record, offset);
+    if (key !== null && keyIndex.has(key)) return keyIndex.get(key);
+  }
+  return undefined;
+}
+
+/**
+ * Distancia de edición (Levenshtein) entre dos cadenas.
+ * @param {string} a
+ * @param {string} b
+ * @param {(x: string, y: string) => number} [substitutionCost] - Costo de reemplazar un carácter por otro distinto (1 por defecto)
+ * @returns {number}
+ */
+function levenshteinDistance(a, b, substitutionCost = null) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const x = a[i - 1];
+      const y = b[j - 1];
+      const cost = x === y ? 0 : (substitutionCost ? substitutionCost(x, y) : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similitud por distancia de edición (0 a 1) entre dos cadenas.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editSimilarity(a, b) {
+  const length = Math.max(a.length, b.length);
+  return length === 0 ? 1 : 1 - levenshteinDistance(a, b) / length;
+}
+
+/**
+ * Coeficiente de Dice entre dos listas de palabras, aceptando palabras equivalentes:
+ * iguales o con a lo sumo un error cada 5 letras (cuentan según su similitud).
+ * @param {string[]} tokensA
+ * @param {string[]} tokensB
+ * @returns {number}
+ */
+function fuzzyTokenScore(tokensA, tokensB) {
+  if (!tokensA.length || !tokensB.length) return 0;
+  const shared = tokensA.reduce((sum, token) => {
+    const best = Math.max(0, ...tokensB.map(other => {
+      if (token === other) return 1;
+      if (Math.min(token.length, other.length) < 4) return 0;
+      const similarity = editSimilarity(token, other);
+      return similarity >= 0.8 ? similarity : 0;
+    }));
+    return sum + best;
+  }, 0);
+  return (2 * shared) / (tokensA.length + tokensB.length);
+}
+
+/**
+ * Similitud entre dos encabezados (0 a 1), sin distinguir mayúsculas, tildes, signos ni "**".
+ * Combina palabras en común (coeficiente de Dice, aceptando palabras con errores de
+ * digitación) y distancia de edición sobre el encabezado completo; gana la mayor.
+ * Ej.: "Placa vehículo" vs "PLACA DEL VEHICULO" → 0.8; "KILOMETRAJ" vs "KILOMETRAJE" → 0.91
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function headerSimilarity(a, b) {
+  const keyA = normalizeExcelHeader(a).key;
+  const keyB = normalizeExcelHeader(b).key;
+  if (!keyA || !keyB) return 0;
+  if (keyA === keyB) return 1;
+
+  const tokensA = [...new Set(keyA.split('_').filter(Boolean))];
+  const tokensB = [...new Set(keyB.split('_').filter(Boolean))];
+
+  return Math.max(fuzzyTokenScore(tokensA, tokensB), editSimilarity(keyA, keyB));
+}
+
+/**
+ * Llave de comparación de un nombre de persona: sin tildes, signos, dígitos, mayúsculas
+ * ni espacios repetidos. Ej.: "José Orlando cerquera 6" → "jose orlando cerquera"
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeNameKey(name) {
+  if (name === null || name === undefined) return '';
+  return cleanString(String(name).replace(/[\d_]+/g, ' ')).toLowerCase();
+}
+
+/**
+ * Nombre de persona para mostrar: sin dígitos, espacios unificados y cada palabra con mayúscula inicial.
+ * Ej.: "JOSÉ orlando  cerquera6" → "José Orlando Cerquera"
+ * @param {string} name
+ * @returns {string}
+ */
+function formatPersonName(name) {
+  return String(name || '')
+    .replace(/\d+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase()
+    .replace(/(^|[\s'-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+/**
+ * Similitud entre dos nombres de persona (0 a 1), sin distinguir tildes, mayúsculas
+ * ni el orden de nombres y apellidos. Tolera errores de digitación en cada palabra.
+ * Ej.: "José Orlando Cerquera" vs "jose orlando cerqera" → 0.96
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function nameSimilarity(a, b) {
+  const keyA = normalizeNameKey(a);
+  const keyB = normalizeNameKey(b);
+  if (!keyA || !keyB) return 0;
+  if (keyA === keyB) return 1;
+
+  const tokensA = [...new Set(keyA.split(' '))];
+  const tokensB = [...new Set(keyB.split(' '))];
+  const sortedA = [...tokensA].sort().join(' ');
+  const sortedB = [...tokensB].sort().join(' ');
+
+  return Math.max(fuzzyTokenScore(tokensA, tokensB), editSimilarity(sortedA, sortedB));
+}
+
+/**
+ * Llave de comparación de un nombre de catálogo (contrato, campo): sin tildes, signos,
+ * mayúsculas, guiones ni espacios repetidos; a diferencia de los nombres de persona
+ * conserva los dígitos. Ej.: "MANTENIMIENTO (CONSORCIO SAS-CFP)" → "mantenimiento consorcio sas cfp"
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeCatalogKey(value) {
+  if (value === null || value === undefined) return '';
+  return cleanString(String(value).replace(/[-_/]+/g, ' ')).toLowerCase();
+}
+
+/**
+ * Similitud entre dos nombres de catálogo (0 a 1), tolerando errores de digitación por
+ * palabra. Nombres con números distintos nunca se parecen ("CAMPO 2" vs "CAMPO 3" → 0).
+ * Ej.: "OPERACIÓN FACILIDADES" vs "operacion facilidade" → 0.95
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function catalogSimilarity(a, b) {
+  const keyA = normalizeCatalogKey(a);
+  const keyB = normalizeCatalogKey(b);
+  if (!keyA || !keyB) return 0;
+  if (keyA === keyB) return 1;
+  if (keyA.replace(/\D/g, '') !== keyB.replace(/\D/g, '')) return 0;
+
+  const tokensA = [...new Set(keyA.split(' '))];
+  const tokensB = [...new Set(keyB.split(' '))];
+
+  return Math.max(fuzzyTokenScore(tokensA, tokensB), editSimilarity(keyA, keyB));
+}
+
+/**
+ * Mejor alias para un encabezado y su similitud.
+ * @param {string} header
+ * @param {string[]} aliases
+ * @returns {{alias: string|null, score: number}}
+ */
+function matchHeader(header, aliases) {
+  return aliases.reduce((best, alias) => {
+    const score = headerSimilarity(header, alias);
+    return score > best.score ? { alias, score } : best;
+  }, { alias: null, score: 0 });
+}
+
+/**
+ * Campos sugeridos para un encabezado no reconocido, ordenados por similitud
+ * con los alias de cada campo.
+ * @param {string} header
+ * @param {Object<string, string[]>} aliasesByField - Mapeo campo → alias
+ * @param {{limit?: number, minScore?: number}} options
+ * @returns {Array<{field: string, score: number}>}
+ */
+function suggestFieldsForHeader(header, aliasesByField, { limit = 3, minScore = 0.3 } = {}) {
+  return Object.entries(aliasesByField)
+    .map(([field, aliases]) => ({
+      field,
+      score: matchHeader(header, aliases).score
+    }))
+    .filter(suggestion => suggestion.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(suggestion => ({ ...suggestion, score: Math.round(suggestion.score * 100) / 100 }));
+}
+
 module.exports = {
   cleanString,
   generateUniqueId,
   toSafeNumber,
-  normalizeHeader
+  normalizeHeader,
+  normalizeExcelHeader,
+  levenshteinDistance,
+  headerSimilarity,
+  matchHeader,
+  suggestFieldsForHeader,
+  normalizeNameKey,
+  formatPersonName,
+  nameSimilarity,
+  normalizeCatalogKey,
+  catalogSimilarity,
+  toBooleanAnswer,
+  toChecklistResult,
+  normalizePlateKey,
+  plateDistance,
+  toTimestampSeconds,
+  buildNaturalKey,
+  findNaturalKeyMatch
 };
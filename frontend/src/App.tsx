@@ -8,6 +8,7 @@ import Reports from './pages/Reports/Reports';
 import Upload from './pages/Upload/Upload';
 import Drivers from './pages/Drivers/Drivers';
 import Vehicles from './pages/Vehicles/Vehicles';
+import Contracts from './pages/Contracts/Contracts';
 import Fatigue from './pages/Fatigue/Fatigue';
 import Alerts from './pages/Alerts/Alerts';
 
@@ -31,6 +32,9 @@ function App() {
           <Route path="/vehicles" element={<Vehicles />} />
           <Route path="/vehicles/:placa" element={<Vehicles />} />
           
+          {/* 📑 Contratos y Campos */}
+          <Route path="/contracts" element={<Contracts />} />
+          
           {/* 🚨 Análisis de Fatiga */}
           <Route path="/fatigue" element={<Fatigue />} />
           
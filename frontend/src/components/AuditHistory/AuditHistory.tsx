@@ -0,0 +1,182 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Chip,
+  Divider,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemText,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import auditService, { AuditAction, AuditEntry } from '../../services/auditService';
+import { formatDateTime } from '../../services/api';
+
+interface AuditHistoryProps {
+  entity: string;
+  entityId: string;
+  // Cambia cuando el registro se modifica para volver a consultar su historial
+  refreshKey?: string;
+}
+
+const ACTION_LABELS: Record<AuditAction, string> = {
+  CREAR: 'Creado',
+  ACTUALIZAR: 'Actualizado',
+  ELIMINAR: 'Eliminado',
+  REVERTIR: 'Carga revertida',
+  ASIGNAR: 'Asignado',
+  COMENTAR: 'Comentario',
+  CAMBIAR_ESTADO: 'Cambio de estado',
+  FUSIONAR: 'Fusionado',
+  ACTIVAR: 'Activado',
+};
+
+const getActionColor = (action: AuditAction) => {
+  switch (action) {
+    case 'CREAR':
+      return 'success';
+    case 'ELIMINAR':
+    case 'REVERTIR':
+      return 'error';
+    case 'CAMBIAR_ESTADO':
+    case 'ASIGNAR':
+      return 'info';
+    default:
+      return 'default';
+  }
+};
+
+// Entradas consultadas por registro (las más recientes)
+const HISTORY_LIMIT = 100;
+
+const formatValue = (value: unknown): string => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Sí' : 'No';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// 🧾 Qué cambió en cada entrada: al crear o eliminar se resume el registro completo
+const renderChanges = (entry: AuditEntry) => {
+  if (entry.action === 'COMENTAR') {
+    return <Typography variant="body2">{formatValue(entry.after?.texto)}</Typography>;
+  }
+  if (entry.action === 'CREAR' || entry.action === 'ELIMINAR') {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        {entry.action === 'CREAR' ? 'Registro creado' : 'Registro eliminado'} con {entry.changes.length} campos
+      </Typography>
+    );
+  }
+  if (entry.changes.length === 0) {
+    return <Typography variant="body2" color="text.secondary">Sin cambios en los campos</Typography>;
+  }
+  return (
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>Campo</TableCell>
+          <TableCell>Antes</TableCell>
+          <TableCell>Después</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {entry.changes.map(change => (
+          <TableRow key={change.field}>
+            <TableCell>{change.field}</TableCell>
+            <TableCell sx={{ wordBreak: 'break-word' }}>{formatValue(change.before)}</TableCell>
+            <TableCell sx={{ wordBreak: 'break-word' }}>{formatValue(change.after)}</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+};
+
+// 🕓 Historial de cambios de un registro según la auditoría, el más reciente primero
+const AuditHistory: React.FC<AuditHistoryProps> = ({ entity, entityId, refreshKey }) => {
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadHistory = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const result = await auditService.getEntries({ entidad: entity, entidadId: entityId, limit: HISTORY_LIMIT });
+        if (!cancelled) {
+          setEntries(result.entries);
+          setTotal(result.pagination.total);
+        }
+      } catch (err) {
+        if (!cancelled) setError((err as Error)?.message ?? 'Error cargando el historial');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [entity, entityId, refreshKey]);
+
+  return (
+    <Box>
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {!loading && !error && entries.length === 0 && (
+        <Typography variant="body2" color="text.secondary">
+          Sin cambios registrados.
+        </Typography>
+      )}
+
+      {entries.length > 0 && (
+        <List dense>
+          {entries.map((entry, index) => (
+            <React.Fragment key={entry.id}>
+              <ListItem alignItems="flex-start" sx={{ flexDirection: 'column', alignItems: 'stretch' }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                  <Chip label={ACTION_LABELS[entry.action] ?? entry.action} color={getActionColor(entry.action)} size="small" />
+                  <ListItemText
+                    primary={entry.actor}
+                    secondary={[
+                      formatDateTime(entry.createdAt),
+                      entry.ip && `IP ${entry.ip}`,
+                      entry.requestId && `Solicitud ${entry.requestId}`,
+                    ].filter(Boolean).join(' · ')}
+                  />
+                </Box>
+                {renderChanges(entry)}
+              </ListItem>
+              {index < entries.length - 1 && <Divider component="li" />}
+            </React.Fragment>
+          ))}
+        </List>
+      )}
+
+      {total > entries.length && (
+        <Typography variant="caption" color="text.secondary">
+          Se muestran los {entries.length} cambios más recientes de {total}.
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default AuditHistory;
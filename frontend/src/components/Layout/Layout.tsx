@@ -26,6 +26,7 @@ import {
   Search as SearchIcon,
   People as PeopleIcon,
   DirectionsCar as VehicleIcon,
+  AccountTree as ContractsIcon,
   Warning as FatigueIcon,
   Notifications as AlertsIcon,
   Assessment as ReportsIcon,
@@ -38,6 +39,7 @@ import {
   Help,
 } from '@mui/icons-material';
 import { useNavigate, useLocation } from 'react-router-dom';
+import { alertService } from '../../services/alertService';
 
 const drawerWidth = 280;
 
@@ -91,6 +93,12 @@ const Layout: React.FC<LayoutProps> = ({ children }) => {
       icon: <VehicleIcon />,
       path: '/vehicles',
     },
+    {
+      id: 'contracts',
+      label: 'Contratos',
+      icon: <ContractsIcon />,
+      path: '/contracts',
+    },
     {
       id: 'fatigue',
       label: 'Análisis Fatiga',
@@ -124,10 +132,9 @@ const Layout: React.FC<LayoutProps> = ({ children }) => {
   useEffect(() => {
     const loadAlertsCount = async () => {
       try {
-        // TODO: Implementar llamada real a la API
-        // const alerts = await searchService.getActiveAlerts({ tipo: 'CRITICA' });
-        // setAlertsCount(alerts.length);
-        setAlertsCount(3); // Valor temporal para demo
+        // Alertas críticas que nadie ha tomado en revisión
+        const result = await alertService.getAlerts({ estado: ['ACTIVA'], tipo: 'CRITICA', limit: 1 });
+        setAlertsCount(result.pagination.total);
       } catch (error) {
         console.error('Error cargando alertas:', error);
       }
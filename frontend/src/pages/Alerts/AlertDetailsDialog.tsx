@@ -0,0 +1,418 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  Grid,
+  IconButton,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Tab,
+  Tabs,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  Close,
+  Comment,
+  DirectionsCar,
+  Person,
+  PersonAdd,
+  SwapHoriz,
+} from '@mui/icons-material';
+import alertService, { AlertFollowUpType, AlertItem, AlertStatus } from '../../services/alertService';
+import { formatDateTime } from '../../services/api';
+import AuditHistory from '../../components/AuditHistory/AuditHistory';
+
+interface AlertDetailsDialogProps {
+  alertId: string | null;
+  onClose: () => void;
+  onChanged: () => void;
+}
+
+export const STATUS_LABELS: Record<AlertStatus, string> = {
+  ACTIVA: 'Activa',
+  EN_REVISION: 'En revisión',
+  RESUELTA: 'Resuelta',
+};
+
+// Texto del botón para pasar a cada estado
+const TRANSITION_LABELS: Record<AlertStatus, string> = {
+  ACTIVA: 'Devolver a activa',
+  EN_REVISION: 'Tomar en revisión',
+  RESUELTA: 'Resolver',
+};
+
+const FATIGUE_LABELS: Record<string, string> = {
+  horas_sueno_suficientes: 'Sueño insuficiente (menos de 7 horas)',
+  libre_sintomas_fatiga: 'Síntomas de fatiga',
+  condiciones_aptas: 'No se siente en condiciones de conducir',
+  consumo_medicamentos: 'Consumo de medicamentos o sustancias',
+};
+
+export const getStatusColor = (status: AlertStatus) => {
+  switch (status) {
+    case 'ACTIVA':
+      return 'error';
+    case 'EN_REVISION':
+      return 'warning';
+    default:
+      return 'success';
+  }
+};
+
+// 🎨 Icono de cada entrada del seguimiento
+const getFollowUpIcon = (type: AlertFollowUpType) => {
+  switch (type) {
+    case 'ASIGNACION':
+      return <PersonAdd color="info" />;
+    case 'CAMBIO_ESTADO':
+      return <SwapHoriz color="primary" />;
+    default:
+      return <Comment color="action" />;
+  }
+};
+
+// 🚨 Detalle de una alerta: asignación, comentarios y cambios de estado con su seguimiento
+const AlertDetailsDialog: React.FC<AlertDetailsDialogProps> = ({ alertId, onClose, onChanged }) => {
+  const [alert, setAlert] = useState<AlertItem | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [userName, setUserName] = useState('');
+  const [assignee, setAssignee] = useState('');
+  const [comment, setComment] = useState('');
+  const [targetStatus, setTargetStatus] = useState<AlertStatus | null>(null);
+  const [correctiveAction, setCorrectiveAction] = useState('');
+  const [tab, setTab] = useState<'seguimiento' | 'historial'>('seguimiento');
+
+  const loadAlert = useCallback(async () => {
+    if (!alertId) return;
+    try {
+      setLoading(true);
+      setError(null);
+      setAlert(await alertService.getAlert(alertId));
+    } catch (err) {
+      setError((err as Error)?.message ?? 'Error cargando la alerta');
+    } finally {
+      setLoading(false);
+    }
+  }, [alertId]);
+
+  useEffect(() => {
+    setAlert(null);
+    setAssignee('');
+    setComment('');
+    setTargetStatus(null);
+    setCorrectiveAction('');
+    setTab('seguimiento');
+    loadAlert();
+  }, [loadAlert]);
+
+  // Ejecuta una acción del flujo y refresca la alerta y la lista
+  const runAction = async (action: () => Promise<AlertItem>) => {
+    try {
+      setSaving(true);
+      setError(null);
+      setAlert(await action());
+      onChanged();
+      return true;
+    } catch (err) {
+      setError((err as Error)?.message ?? 'Error actualizando la alerta');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const user = userName.trim() || undefined;
+
+  const handleAssign = async () => {
+    if (!alert) return;
+    if (await runAction(() => alertService.assignAlert(alert.id, assignee.trim(), user))) {
+      setAssignee('');
+    }
+  };
+
+  const handleComment = async () => {
+    if (!alert) return;
+    if (await runAction(() => alertService.addComment(alert.id, comment.trim(), user))) {
+      setComment('');
+    }
+  };
+
+  const handleChangeStatus = async (status: AlertStatus) => {
+    if (!alert) return;
+    // Resolver pide primero la acción correctiva
+    if (status === 'RESUELTA' && targetStatus !== 'RESUELTA') {
+      setTargetStatus(status);
+      return;
+    }
+    const done = await runAction(() => alertService.changeStatus(alert.id, {
+      status,
+      correctiveAction: status === 'RESUELTA' ? correctiveAction.trim() : undefined,
+      comment: comment.trim() || undefined,
+      user,
+    }));
+    if (done) {
+      setTargetStatus(null);
+      setCorrectiveAction('');
+      setComment('');
+    }
+  };
+
+  const failedItems = alert?.details?.itemsNoCumplen ?? [];
+  const fatigue = alert?.details?.fatiga ?? [];
+  const followUp = alert?.followUp ?? [];
+
+  return (
+    <Dialog open={!!alertId} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Typography variant="h6">Seguimiento de la Alerta</Typography>
+          <IconButton onClick={onClose}>
+            <Close />
+          </IconButton>
+        </Box>
+      </DialogTitle>
+      <DialogContent>
+        {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {alert && (
+          <Box>
+            {/* Información de la alerta y su inspección */}
+            <Card sx={{ mb: 3 }}>
+              <CardContent>
+                <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+                  <Chip
+                    label={alert.type === 'CRITICA' ? 'Crítica' : 'Advertencia'}
+                    color={alert.type === 'CRITICA' ? 'error' : 'warning'}
+                    size="small"
+                  />
+                  <Chip label={`Prioridad ${alert.priority.toLowerCase()}`} variant="outlined" size="small" />
+                  <Chip label={STATUS_LABELS[alert.status]} color={getStatusColor(alert.status)} size="small" />
+                </Box>
+                <Typography variant="body1" gutterBottom>
+                  {alert.description}
+                </Typography>
+                <Grid container spacing={2} sx={{ mt: 1 }}>
+                  <Grid item xs={12} sm={4}>
+                    <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                      <Person sx={{ mr: 1, fontSize: 18 }} />
+                      <Typography variant="body2">{alert.driver || 'Sin conductor'}</Typography>
+                    </Box>
+                  </Grid>
+                  <Grid item xs={12} sm={4}>
+                    <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                      <DirectionsCar sx={{ mr: 1, fontSize: 18 }} />
+                      <Typography variant="body2">
+                        {alert.plate}{alert.contract && ` · ${alert.contract}`}
+                      </Typography>
+                    </Box>
+                  </Grid>
+                  <Grid item xs={12} sm={4}>
+                    <Typography variant="body2" color="text.secondary">
+                      Inspección del {formatDateTime(alert.date)}
+                    </Typography>
+                  </Grid>
+                </Grid>
+
+                {(failedItems.length > 0 || fatigue.length > 0) && (
+                  <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mt: 2 }}>
+                    {failedItems.map(item => (
+                      <Chip
+                        key={item.campo}
+                        label={item.encabezado}
+                        color={item.critico ? 'error' : 'default'}
+                        variant="outlined"
+                        size="small"
+                      />
+                    ))}
+                    {fatigue.map(field => (
+                      <Chip key={field} label={FATIGUE_LABELS[field] ?? field} color="warning" variant="outlined" size="small" />
+                    ))}
+                  </Box>
+                )}
+
+                <Divider sx={{ my: 2 }} />
+                <Grid container spacing={2}>
+                  <Grid item xs={12} sm={4}>
+                    <Typography variant="caption" color="text.secondary">Responsable</Typography>
+                    <Typography variant="body2">
+                      {alert.assignedTo ?? 'Sin asignar'}
+                      {alert.assignedAt && ` · ${formatDateTime(alert.assignedAt)}`}
+                    </Typography>
+                  </Grid>
+                  <Grid item xs={12} sm={4}>
+                    <Typography variant="caption" color="text.secondary">En revisión desde</Typography>
+                    <Typography variant="body2">
+                      {alert.reviewStartedAt ? formatDateTime(alert.reviewStartedAt) : '-'}
+                    </Typography>
+                  </Grid>
+                  <Grid item xs={12} sm={4}>
+                    <Typography variant="caption" color="text.secondary">Resuelta</Typography>
+                    <Typography variant="body2">
+                      {alert.resolvedAt ? `${formatDateTime(alert.resolvedAt)} · ${alert.resolvedBy}` : '-'}
+                    </Typography>
+                  </Grid>
+                </Grid>
+                {alert.correctiveAction && (
+                  <Alert severity="success" sx={{ mt: 2 }}>
+                    Acción correctiva: {alert.correctiveAction}
+                  </Alert>
+                )}
+              </CardContent>
+            </Card>
+
+            {/* Acciones del flujo */}
+            <Card variant="outlined" sx={{ mb: 3 }}>
+              <CardContent>
+                <Grid container spacing={2} alignItems="center">
+                  <Grid item xs={12} sm={6}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      label="Registrado por"
+                      value={userName}
+                      onChange={(event) => setUserName(event.target.value)}
+                      helperText="Queda en el seguimiento de la alerta"
+                    />
+                  </Grid>
+                  {alert.status !== 'RESUELTA' && (
+                    <Grid item xs={12} sm={6}>
+                      <Box sx={{ display: 'flex', gap: 1 }}>
+                        <TextField
+                          fullWidth
+                          size="small"
+                          label={alert.assignedTo ? 'Reasignar a' : 'Asignar a supervisor'}
+                          value={assignee}
+                          onChange={(event) => setAssignee(event.target.value)}
+                        />
+                        <Button onClick={handleAssign} disabled={saving || !assignee.trim()}>
+                          Asignar
+                        </Button>
+                      </Box>
+                    </Grid>
+                  )}
+                  <Grid item xs={12}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      multiline
+                      minRows={2}
+                      label="Comentario"
+                      value={comment}
+                      onChange={(event) => setComment(event.target.value)}
+                    />
+                  </Grid>
+                  {targetStatus === 'RESUELTA' && (
+                    <Grid item xs={12}>
+                      <TextField
+                        fullWidth
+                        size="small"
+                        required
+                        label="Acción correctiva tomada"
+                        value={correctiveAction}
+                        onChange={(event) => setCorrectiveAction(event.target.value)}
+                      />
+                    </Grid>
+                  )}
+                </Grid>
+                <Box sx={{ display: 'flex', justifyContent: 'flex-end', flexWrap: 'wrap', gap: 1, mt: 2 }}>
+                  <Button onClick={handleComment} disabled={saving || !comment.trim() || !!targetStatus}>
+                    Comentar
+                  </Button>
+                  {targetStatus ? (
+                    <>
+                      <Button onClick={() => setTargetStatus(null)} disabled={saving}>
+                        Cancelar
+                      </Button>
+                      <Button
+                        variant="contained"
+                        color="success"
+                        onClick={() => handleChangeStatus('RESUELTA')}
+                        disabled={saving || !correctiveAction.trim()}
+                      >
+                        Confirmar resolución
+                      </Button>
+                    </>
+                  ) : (
+                    alert.nextStates.map(status => (
+                      <Button
+                        key={status}
+                        variant={status === 'ACTIVA' ? 'outlined' : 'contained'}
+                        color={status === 'RESUELTA' ? 'success' : 'primary'}
+                        disabled={saving}
+                        onClick={() => handleChangeStatus(status)}
+                      >
+                        {alert.status === 'RESUELTA' ? 'Reabrir' : TRANSITION_LABELS[status]}
+                      </Button>
+                    ))
+                  )}
+                </Box>
+              </CardContent>
+            </Card>
+
+            <Tabs value={tab} onChange={(_, value) => setTab(value)} sx={{ mb: 2 }}>
+              <Tab value="seguimiento" label="Seguimiento" />
+              <Tab value="historial" label="Historial" />
+            </Tabs>
+
+            {/* Seguimiento, la entrada más antigua primero */}
+            {tab === 'seguimiento' && (followUp.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                Sin comentarios ni cambios registrados.
+              </Typography>
+            ) : (
+              <List dense>
+                {followUp.map((entry, index) => (
+                  <React.Fragment key={entry.id}>
+                    <ListItem>
+                      <ListItemIcon>{getFollowUpIcon(entry.type)}</ListItemIcon>
+                      <ListItemText
+                        primary={
+                          entry.type === 'CAMBIO_ESTADO' && entry.fromStatus && entry.toStatus
+                            ? `${STATUS_LABELS[entry.fromStatus]} → ${STATUS_LABELS[entry.toStatus]}${entry.text ? `: ${entry.text}` : ''}`
+                            : entry.text
+                        }
+                        secondary={`${formatDateTime(entry.createdAt)} · ${entry.author}`}
+                      />
+                    </ListItem>
+                    {index < followUp.length - 1 && <Divider component="li" />}
+                  </React.Fragment>
+                ))}
+              </List>
+            ))}
+
+            {/* Cambios registrados en la auditoría */}
+            {tab === 'historial' && (
+              <AuditHistory entity="alertas" entityId={alert.id} refreshKey={`${alert.updatedAt}-${followUp.length}`} />
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cerrar</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AlertDetailsDialog;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Box,
   Grid,
@@ -24,11 +24,7 @@ import {
   MenuItem,
   Badge,
   Avatar,
-  List,
-  ListItem,
-  ListItemText,
-  ListItemIcon,
-  Divider,
+  TextField,
 } from '@mui/material';
 import {
   Error,
@@ -42,59 +38,61 @@ import {
   DirectionsCar,
   Schedule,
   PriorityHigh,
+  Sync,
 } from '@mui/icons-material';
-import { searchService, ActiveAlert } from '../../services/searchService';
-import { formatDate, formatDateTime } from '../../services/api';
+import alertService, { AlertList, AlertPriority, AlertStatus, AlertType } from '../../services/alertService';
+import { formatDateTime, formatNumber } from '../../services/api';
+import AlertDetailsDialog, { STATUS_LABELS, getStatusColor } from './AlertDetailsDialog';
 
 const Alerts: React.FC = () => {
-  const [alerts, setAlerts] = useState<ActiveAlert[]>([]);
+  const [result, setResult] = useState<AlertList | null>(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
-  const [typeFilter, setTypeFilter] = useState<string>('TODAS');
-  const [statusFilter, setStatusFilter] = useState<string>('ACTIVA');
+  const [notice, setNotice] = useState<string | null>(null);
+  const [typeFilter, setTypeFilter] = useState<AlertType | 'TODAS'>('TODAS');
+  const [statusFilter, setStatusFilter] = useState<AlertStatus | 'TODAS'>('ACTIVA');
+  const [priorityFilter, setPriorityFilter] = useState<AlertPriority | 'TODAS'>('TODAS');
+  const [search, setSearch] = useState('');
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [selectedAlertId, setSelectedAlertId] = useState<string | null>(null);
+  const [syncing, setSyncing] = useState(false);
 
-  // 🔄 Cargar alertas
-  useEffect(() => {
-    loadAlerts();
-    
-    // Auto-refresh cada 30 segundos
-    const interval = setInterval(loadAlerts, 30000);
-    return () => clearInterval(interval);
-  }, [typeFilter, statusFilter]);
-
-  const loadAlerts = async () => {
+  // 🔄 Cargar alertas (filtros y paginación en el servidor)
+  const loadAlerts = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
 
-      const filters: any = {};
-      if (typeFilter !== 'TODAS') filters.tipo = typeFilter;
-      if (statusFilter !== 'TODAS') filters.estado = statusFilter;
-
-      const alertsData = await searchService.getActiveAlerts(filters);
-      setAlerts(alertsData);
+      const data = await alertService.getAlerts({
+        estado: statusFilter !== 'TODAS' ? [statusFilter] : undefined,
+        tipo: typeFilter !== 'TODAS' ? typeFilter : undefined,
+        prioridad: priorityFilter !== 'TODAS' ? priorityFilter : undefined,
+        search: search.trim() || undefined,
+        page: page + 1,
+        limit: rowsPerPage,
+      });
+      setResult(data);
     } catch (err) {
       console.error('Error cargando alertas:', err);
       setError((err as Error)?.message ?? 'Error desconocido');
     } finally {
       setLoading(false);
     }
-  };
+  }, [typeFilter, statusFilter, priorityFilter, search, page, rowsPerPage]);
 
-  // 🔍 Filtrar alertas
-  const filteredAlerts = alerts.filter(alert => {
-    const matchesType = typeFilter === 'TODAS' || alert.tipo === typeFilter;
-    const matchesStatus = statusFilter === 'TODAS' || alert.estado === statusFilter;
-    return matchesType && matchesStatus;
-  });
+  useEffect(() => {
+    loadAlerts();
 
-  // 📄 Paginación
-  const paginatedAlerts = filteredAlerts.slice(
-    page * rowsPerPage,
-    page * rowsPerPage + rowsPerPage
-  );
+    // Auto-refresh cada 30 segundos
+    const interval = setInterval(loadAlerts, 30000);
+    return () => clearInterval(interval);
+  }, [loadAlerts]);
+
+  // Cambiar un filtro vuelve a la primera página
+  useEffect(() => {
+    setPage(0);
+  }, [typeFilter, statusFilter, priorityFilter, search]);
 
   const handleChangePage = (event: unknown, newPage: number) => {
     setPage(newPage);
@@ -105,8 +103,23 @@ const Alerts: React.FC = () => {
     setPage(0);
   };
 
+  // 🔄 Generar alertas de inspecciones cargadas antes del flujo de alertas
+  const handleSync = async () => {
+    try {
+      setSyncing(true);
+      setError(null);
+      const sync = await alertService.syncAlerts();
+      setNotice(`${formatNumber(sync.created)} alertas generadas de ${formatNumber(sync.inspections)} inspecciones anteriores`);
+      await loadAlerts();
+    } catch (err) {
+      setError((err as Error)?.message ?? 'Error generando alertas');
+    } finally {
+      setSyncing(false);
+    }
+  };
+
   // 🎨 Obtener color del tipo de alerta
-  const getAlertColor = (tipo: string) => {
+  const getAlertColor = (tipo: AlertType) => {
     switch (tipo) {
       case 'CRITICA':
         return 'error';
@@ -117,22 +130,8 @@ const Alerts: React.FC = () => {
     }
   };
 
-  // 🎨 Obtener color del estado
-  const getStatusColor = (estado: string) => {
-    switch (estado) {
-      case 'ACTIVA':
-        return 'error';
-      case 'EN_REVISION':
-        return 'warning';
-      case 'RESUELTA':
-        return 'success';
-      default:
-        return 'default';
-    }
-  };
-
   // 🎨 Obtener color de prioridad
-  const getPriorityColor = (prioridad: string) => {
+  const getPriorityColor = (prioridad: AlertPriority) => {
     switch (prioridad) {
       case 'ALTA':
         return 'error';
@@ -145,15 +144,20 @@ const Alerts: React.FC = () => {
     }
   };
 
-  // 📊 Estadísticas de alertas
-  const alertStats = {
-    total: alerts.length,
-    criticas: alerts.filter(a => a.tipo === 'CRITICA').length,
-    advertencias: alerts.filter(a => a.tipo === 'ADVERTENCIA').length,
-    activas: alerts.filter(a => a.estado === 'ACTIVA').length,
-    enRevision: alerts.filter(a => a.estado === 'EN_REVISION').length,
-    resueltas: alerts.filter(a => a.estado === 'RESUELTA').length,
-  };
+  const alerts = result?.alerts ?? [];
+  const total = result?.pagination.total ?? 0;
+
+  // 📊 Estadísticas de alertas (por estado sin filtrar estado; por tipo dentro del estado elegido)
+  const byState = result?.summary.byState;
+  const byType = result?.summary.byType;
+  const statCards = [
+    { label: 'Total Alertas', value: byState ? byState.ACTIVA + byState.EN_REVISION + byState.RESUELTA : 0, icon: <NotificationsActive />, color: 'primary.main' },
+    { label: 'Críticas', value: byType?.CRITICA ?? 0, icon: <Error />, color: 'error.main' },
+    { label: 'Advertencias', value: byType?.ADVERTENCIA ?? 0, icon: <Warning />, color: 'warning.main' },
+    { label: 'Activas', value: byState?.ACTIVA ?? 0, icon: <PriorityHigh />, color: 'error.main' },
+    { label: 'En Revisión', value: byState?.EN_REVISION ?? 0, icon: <Schedule />, color: 'warning.main' },
+    { label: 'Resueltas', value: byState?.RESUELTA ?? 0, icon: <CheckCircle />, color: 'success.main' },
+  ];
 
   return (
     <Box sx={{ flexGrow: 1 }}>
@@ -163,6 +167,13 @@ const Alerts: React.FC = () => {
           Centro de Alertas
         </Typography>
         <Box sx={{ display: 'flex', gap: 2 }}>
+          <Tooltip title="Genera las alertas de inspecciones cargadas antes del seguimiento de alertas">
+            <span>
+              <Button variant="outlined" startIcon={<Sync />} onClick={handleSync} disabled={syncing}>
+                {syncing ? 'Generando...' : 'Cargas anteriores'}
+              </Button>
+            </span>
+          </Tooltip>
           <Button
             variant="outlined"
             startIcon={<Refresh />}
@@ -176,135 +187,48 @@ const Alerts: React.FC = () => {
 
       {/* 📊 Estadísticas rápidas */}
       <Grid container spacing={3} sx={{ mb: 3 }}>
-        <Grid item xs={12} sm={6} md={2}>
-          <Card>
-            <CardContent>
-              <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                <Avatar sx={{ bgcolor: 'primary.main', mr: 2 }}>
-                  <NotificationsActive />
-                </Avatar>
-                <Box>
-                  <Typography variant="h6">{alertStats.total}</Typography>
-                  <Typography variant="body2" color="text.secondary">
-                    Total Alertas
-                  </Typography>
-                </Box>
-              </Box>
-            </CardContent>
-          </Card>
-        </Grid>
-
-        <Grid item xs={12} sm={6} md={2}>
-          <Card>
-            <CardContent>
-              <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                <Avatar sx={{ bgcolor: 'error.main', mr: 2 }}>
-                  <Error />
-                </Avatar>
-                <Box>
-                  <Typography variant="h6" color="error.main">
-                    {alertStats.criticas}
-                  </Typography>
-                  <Typography variant="body2" color="text.secondary">
-                    Críticas
-                  </Typography>
-                </Box>
-              </Box>
-            </CardContent>
-          </Card>
-        </Grid>
-
-        <Grid item xs={12} sm={6} md={2}>
-          <Card>
-            <CardContent>
-              <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                <Avatar sx={{ bgcolor: 'warning.main', mr: 2 }}>
-                  <Warning />
-                </Avatar>
-                <Box>
-                  <Typography variant="h6" color="warning.main">
-                    {alertStats.advertencias}
-                  </Typography>
-                  <Typography variant="body2" color="text.secondary">
-                    Advertencias
-                  </Typography>
+        {statCards.map(card => (
+          <Grid item xs={12} sm={6} md={2} key={card.label}>
+            <Card>
+              <CardContent>
+                <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                  <Avatar sx={{ bgcolor: card.color, mr: 2 }}>
+                    {card.icon}
+                  </Avatar>
+                  <Box>
+                    <Typography variant="h6" color={card.color === 'primary.main' ? undefined : card.color}>
+                      {formatNumber(card.value)}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      {card.label}
+                    </Typography>
+                  </Box>
                 </Box>
-              </Box>
-            </CardContent>
-          </Card>
-        </Grid>
-
-        <Grid item xs={12} sm={6} md={2}>
-          <Card>
-            <CardContent>
-              <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                <Avatar sx={{ bgcolor: 'error.main', mr: 2 }}>
-                  <PriorityHigh />
-                </Avatar>
-                <Box>
-                  <Typography variant="h6" color="error.main">
-                    {alertStats.activas}
-                  </Typography>
-                  <Typography variant="body2" color="text.secondary">
-                    Activas
-                  </Typography>
-                </Box>
-              </Box>
-            </CardContent>
-          </Card>
-        </Grid>
-
-        <Grid item xs={12} sm={6} md={2}>
-          <Card>
-            <CardContent>
-              <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                <Avatar sx={{ bgcolor: 'warning.main', mr: 2 }}>
-                  <Schedule />
-                </Avatar>
-                <Box>
-                  <Typography variant="h6" color="warning.main">
-                    {alertStats.enRevision}
-                  </Typography>
-                  <Typography variant="body2" color="text.secondary">
-                    En Revisión
-                  </Typography>
-                </Box>
-              </Box>
-            </CardContent>
-          </Card>
-        </Grid>
-
-        <Grid item xs={12} sm={6} md={2}>
-          <Card>
-            <CardContent>
-              <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                <Avatar sx={{ bgcolor: 'success.main', mr: 2 }}>
-                  <CheckCircle />
-                </Avatar>
-                <Box>
-                  <Typography variant="h6" color="success.main">
-                    {alertStats.resueltas}
-                  </Typography>
-                  <Typography variant="body2" color="text.secondary">
-                    Resueltas
-                  </Typography>
-                </Box>
-              </Box>
-            </CardContent>
-          </Card>
-        </Grid>
+              </CardContent>
+            </Card>
+          </Grid>
+        ))}
       </Grid>
 
       {/* 🔍 Filtros */}
       <Card sx={{ mb: 3 }}>
         <CardContent>
           <Grid container spacing={2} alignItems="center">
-            <Grid item xs={12} md={4}>
+            <Grid item xs={12} md={3}>
+              <TextField
+                fullWidth
+                label="Placa, conductor o contrato"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+              />
+            </Grid>
+            <Grid item xs={12} md={2}>
               <FormControl fullWidth>
                 <InputLabel>Tipo de Alerta</InputLabel>
                 <Select
                   value={typeFilter}
-                  onChange={(e) => setTypeFilter(e.target.value)}
+                  label="Tipo de Alerta"
+                  onChange={(e) => setTypeFilter(e.target.value as AlertType | 'TODAS')}
                   startAdornment={<FilterList sx={{ mr: 1, color: 'text.secondary' }} />}
                 >
                   <MenuItem value="TODAS">Todas</MenuItem>
@@ -313,12 +237,13 @@ const Alerts: React.FC = () => {
                 </Select>
               </FormControl>
             </Grid>
-            <Grid item xs={12} md={4}>
+            <Grid item xs={12} md={2}>
               <FormControl fullWidth>
                 <InputLabel>Estado</InputLabel>
                 <Select
                   value={statusFilter}
-                  onChange={(e) => setStatusFilter(e.target.value)}
+                  label="Estado"
+                  onChange={(e) => setStatusFilter(e.target.value as AlertStatus | 'TODAS')}
                 >
                   <MenuItem value="TODAS">Todos</MenuItem>
                   <MenuItem value="ACTIVA">Activas</MenuItem>
@@ -327,13 +252,30 @@ const Alerts: React.FC = () => {
                 </Select>
               </FormControl>
             </Grid>
-            <Grid item xs={12} md={4}>
+            <Grid item xs={12} md={2}>
+              <FormControl fullWidth>
+                <InputLabel>Prioridad</InputLabel>
+                <Select
+                  value={priorityFilter}
+                  label="Prioridad"
+                  onChange={(e) => setPriorityFilter(e.target.value as AlertPriority | 'TODAS')}
+                >
+                  <MenuItem value="TODAS">Todas</MenuItem>
+                  <MenuItem value="ALTA">Alta</MenuItem>
+                  <MenuItem value="MEDIA">Media</MenuItem>
+                  <MenuItem value="BAJA">Baja</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} md={3}>
               <Button
                 fullWidth
                 variant="outlined"
                 onClick={() => {
                   setTypeFilter('TODAS');
                   setStatusFilter('ACTIVA');
+                  setPriorityFilter('TODAS');
+                  setSearch('');
                 }}
               >
                 Limpiar Filtros
@@ -350,13 +292,19 @@ const Alerts: React.FC = () => {
         </Alert>
       )}
 
+      {notice && (
+        <Alert severity="success" sx={{ mb: 3 }} onClose={() => setNotice(null)}>
+          {notice}
+        </Alert>
+      )}
+
       {/* 📋 Lista de alertas */}
       <Card>
         <CardContent>
           <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
             <Typography variant="h6">
-              Alertas Activas
-              <Badge badgeContent={filteredAlerts.length} color="primary" sx={{ ml: 2 }} />
+              {statusFilter === 'TODAS' ? 'Alertas' : `Alertas: ${STATUS_LABELS[statusFilter]}`}
+              <Badge badgeContent={total} color="primary" max={9999} sx={{ ml: 2 }} />
             </Typography>
           </Box>
 
@@ -371,30 +319,31 @@ const Alerts: React.FC = () => {
                   <TableCell>Descripción</TableCell>
                   <TableCell>Prioridad</TableCell>
                   <TableCell>Estado</TableCell>
+                  <TableCell>Responsable</TableCell>
                   <TableCell>Acciones</TableCell>
                 </TableRow>
               </TableHead>
               <TableBody>
-                {paginatedAlerts.map((alert) => (
-                  <TableRow key={alert.id} hover>
+                {alerts.map((alert) => (
+                  <TableRow key={alert.id} hover onClick={() => setSelectedAlertId(alert.id)} sx={{ cursor: 'pointer' }}>
                     <TableCell>
                       <Chip
-                        icon={alert.tipo === 'CRITICA' ? <Error /> : <Warning />}
-                        label={alert.tipo}
-                        color={getAlertColor(alert.tipo)}
+                        icon={alert.type === 'CRITICA' ? <Error /> : <Warning />}
+                        label={alert.type}
+                        color={getAlertColor(alert.type)}
                         size="small"
                       />
                     </TableCell>
                     <TableCell>
                       <Typography variant="body2">
-                        {formatDateTime(alert.fecha)}
+                        {formatDateTime(alert.date)}
                       </Typography>
                     </TableCell>
                     <TableCell>
                       <Box sx={{ display: 'flex', alignItems: 'center' }}>
                         <Person sx={{ mr: 1, fontSize: 16 }} />
                         <Typography variant="body2">
-                          {alert.conductor}
+                          {alert.driver}
                         </Typography>
                       </Box>
                     </TableCell>
@@ -402,31 +351,36 @@ const Alerts: React.FC = () => {
                       <Box sx={{ display: 'flex', alignItems: 'center' }}>
                         <DirectionsCar sx={{ mr: 1, fontSize: 16 }} />
                         <Typography variant="body2">
-                          {alert.vehiculo}
+                          {alert.plate}
                         </Typography>
                       </Box>
                     </TableCell>
                     <TableCell>
-                      <Typography variant="body2" sx={{ maxWidth: 200 }}>
-                        {alert.descripcion}
+                      <Typography variant="body2" sx={{ maxWidth: 280 }}>
+                        {alert.description}
                       </Typography>
                     </TableCell>
                     <TableCell>
                       <Chip
-                        label={alert.prioridad}
-                        color={getPriorityColor(alert.prioridad)}
+                        label={alert.priority}
+                        color={getPriorityColor(alert.priority)}
                         size="small"
                       />
                     </TableCell>
                     <TableCell>
                       <Chip
-                        label={alert.estado.replace('_', ' ')}
-                        color={getStatusColor(alert.estado)}
+                        label={STATUS_LABELS[alert.status]}
+                        color={getStatusColor(alert.status)}
                         size="small"
                       />
                     </TableCell>
                     <TableCell>
-                      <Tooltip title="Ver detalles">
+                      <Typography variant="body2" color={alert.assignedTo ? undefined : 'text.secondary'}>
+                        {alert.assignedTo ?? 'Sin asignar'}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Tooltip title="Ver seguimiento">
                         <IconButton size="small">
                           <Visibility />
                         </IconButton>
@@ -441,14 +395,14 @@ const Alerts: React.FC = () => {
           {/* Paginación */}
           <TablePagination
             component="div"
-            count={filteredAlerts.length}
+            count={total}
             page={page}
             onPageChange={handleChangePage}
             rowsPerPage={rowsPerPage}
             onRowsPerPageChange={handleChangeRowsPerPage}
             rowsPerPageOptions={[10, 25, 50]}
             labelRowsPerPage="Filas por página:"
-            labelDisplayedRows={({ from, to, count }) => 
+            labelDisplayedRows={({ from, to, count }) =>
               `${from}-${to} de ${count !== -1 ? count : `más de ${to}`}`
             }
           />
@@ -456,19 +410,25 @@ const Alerts: React.FC = () => {
       </Card>
 
       {/* 📊 Estado sin alertas */}
-      {filteredAlerts.length === 0 && !loading && (
+      {result && alerts.length === 0 && !loading && (
         <Card sx={{ mt: 3 }}>
           <CardContent sx={{ textAlign: 'center', py: 6 }}>
             <CheckCircle sx={{ fontSize: 64, color: 'success.main', mb: 2 }} />
             <Typography variant="h6" color="success.main" gutterBottom>
-              No hay alertas activas
+              No hay alertas {statusFilter === 'TODAS' ? '' : STATUS_LABELS[statusFilter].toLowerCase()}
             </Typography>
             <Typography variant="body2" color="text.secondary">
-              Todos los sistemas están funcionando correctamente
+              No hay alertas que coincidan con los filtros seleccionados
             </Typography>
           </CardContent>
         </Card>
       )}
+
+      <AlertDetailsDialog
+        alertId={selectedAlertId}
+        onClose={() => setSelectedAlertId(null)}
+        onChanged={loadAlerts}
+      />
     </Box>
   );
 };
@@ -0,0 +1,109 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { CatalogInput, CatalogStatus } from '../../services/contractService';
+
+interface CatalogEditDialogProps {
+  open: boolean;
+  title: string;
+  // Sin valores iniciales el diálogo crea un contrato o campo nuevo
+  initial?: { name: string; status: CatalogStatus; aliases: string[] };
+  onClose: () => void;
+  onSubmit: (input: CatalogInput) => Promise<void>;
+}
+
+// ✏️ Crear o renombrar un contrato o campo y cambiar su estado
+const CatalogEditDialog: React.FC<CatalogEditDialogProps> = ({ open, title, initial, onClose, onSubmit }) => {
+  const [name, setName] = useState('');
+  const [status, setStatus] = useState<CatalogStatus>('ACTIVO');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setName(initial?.name ?? '');
+    setStatus(initial?.status ?? 'ACTIVO');
+    setError(null);
+  }, [open, initial]);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      await onSubmit({ name: name.trim(), status });
+    } catch (err) {
+      setError((err as Error)?.message ?? 'Error guardando');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renamed = !!initial && name.trim().toUpperCase() !== initial.name;
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{title}</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+          <TextField
+            label="Nombre"
+            size="small"
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            helperText={renamed ? `"${initial?.name}" se conserva como alias para las próximas cargas` : undefined}
+            required
+            autoFocus
+          />
+          <TextField
+            select
+            label="Estado"
+            size="small"
+            value={status}
+            onChange={(event) => setStatus(event.target.value as CatalogStatus)}
+          >
+            <MenuItem value="ACTIVO">Activo</MenuItem>
+            <MenuItem value="INACTIVO">Inactivo</MenuItem>
+          </TextField>
+          {initial && initial.aliases.length > 0 && (
+            <Box>
+              <Typography variant="caption" color="text.secondary">
+                También reconocido como
+              </Typography>
+              <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 0.5 }}>
+                {initial.aliases.map((alias) => (
+                  <Chip key={alias} label={alias} size="small" variant="outlined" />
+                ))}
+              </Box>
+            </Box>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Cancelar
+        </Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || !name.trim()}>
+          {saving ? 'Guardando...' : 'Guardar'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CatalogEditDialog;
@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  Radio,
+  RadioGroup,
+  Typography,
+} from '@mui/material';
+import { formatNumber } from '../../services/api';
+
+interface MergeItem {
+  id: string;
+  name: string;
+  totalInspections: number;
+}
+
+interface CatalogMergeDialogProps {
+  open: boolean;
+  // "contratos" o "campos": solo cambia los textos
+  kind: string;
+  items: MergeItem[];
+  onClose: () => void;
+  onMerge: (targetId: string, sourceIds: string[]) => Promise<void>;
+}
+
+// 🔀 Fusionar contratos o campos: se elige cuál se conserva y los demás quedan como alias
+const CatalogMergeDialog: React.FC<CatalogMergeDialogProps> = ({ open, kind, items, onClose, onMerge }) => {
+  const [targetId, setTargetId] = useState('');
+  const [merging, setMerging] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open || items.length === 0) return;
+    setError(null);
+    // Por defecto se conserva el que tiene más inspecciones
+    const [first] = [...items].sort((a, b) => b.totalInspections - a.totalInspections);
+    setTargetId(first.id);
+  }, [open, items]);
+
+  const handleMerge = async () => {
+    try {
+      setMerging(true);
+      setError(null);
+      await onMerge(targetId, items.map((item) => item.id).filter((id) => id !== targetId));
+    } catch (err) {
+      setError((err as Error)?.message ?? `Error fusionando ${kind}`);
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Fusionar {kind}</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          Elija cuál se conserva. Los demás se eliminan, sus inspecciones pasan a él y sus nombres quedan como
+          alias para las próximas cargas.
+        </Typography>
+        <RadioGroup value={targetId} onChange={(event) => setTargetId(event.target.value)}>
+          {items.map((item) => (
+            <FormControlLabel
+              key={item.id}
+              value={item.id}
+              control={<Radio />}
+              label={`${item.name} (${formatNumber(item.totalInspections)} inspecciones)`}
+            />
+          ))}
+        </RadioGroup>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={merging}>
+          Cancelar
+        </Button>
+        <Button variant="contained" color="warning" disabled={merging || !targetId} onClick={handleMerge}>
+          {merging ? 'Fusionando...' : `Fusionar ${items.length} ${kind}`}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CatalogMergeDialog;
@@ -0,0 +1,483 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Checkbox,
+  Chip,
+  Collapse,
+  IconButton,
+  LinearProgress,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import {
+  Add,
+  Delete,
+  Edit,
+  KeyboardArrowDown,
+  KeyboardArrowRight,
+  MergeType,
+  Search as SearchIcon,
+  Sync,
+} from '@mui/icons-material';
+import contractService, {
+  CatalogInput,
+  CatalogStatus,
+  Contract,
+  ContractField,
+} from '../../services/contractService';
+import { formatDate, formatNumber } from '../../services/api';
+import CatalogEditDialog from './CatalogEditDialog';
+import CatalogMergeDialog from './CatalogMergeDialog';
+
+// Contrato o campo en edición; sin "initial" se está creando uno nuevo
+interface EditState {
+  title: string;
+  initial?: { name: string; status: CatalogStatus; aliases: string[] };
+  submit: (input: CatalogInput) => Promise<Contract>;
+}
+
+interface MergeState {
+  kind: string;
+  items: Array<{ id: string; name: string; totalInspections: number }>;
+  merge: (targetId: string, sourceIds: string[]) => Promise<string>;
+}
+
+// 📑 Administración del maestro de contratos y sus campos/coordinaciones
+const Contracts: React.FC = () => {
+  const [contracts, setContracts] = useState<Contract[]>([]);
+  const [unlinkedInspections, setUnlinkedInspections] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [expandedIds, setExpandedIds] = useState<string[]>([]);
+  const [selectedContracts, setSelectedContracts] = useState<string[]>([]);
+  const [selectedFields, setSelectedFields] = useState<string[]>([]);
+  const [editing, setEditing] = useState<EditState | null>(null);
+  const [merging, setMerging] = useState<MergeState | null>(null);
+
+  useEffect(() => {
+    loadContracts();
+  }, []);
+
+  const loadContracts = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await contractService.getContracts();
+      setContracts(result.contracts);
+      setUnlinkedInspections(result.unlinkedInspections);
+    } catch (err) {
+      setError((err as Error).message ?? 'Error cargando contratos');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // 🔄 Enlazar inspecciones sin contrato o campo canónico
+  const handleSync = async () => {
+    try {
+      setSyncing(true);
+      setError(null);
+      const result = await contractService.syncContracts();
+      setNotice(
+        `${formatNumber(result.linkedInspections)} inspecciones enlazadas, ` +
+        `${formatNumber(result.created)} contratos o campos nuevos, ${formatNumber(result.similar)} nombres reconocidos por similitud`
+      );
+      await loadContracts();
+    } catch (err) {
+      setError((err as Error).message ?? 'Error sincronizando contratos');
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  // Reemplazar un contrato actualizado (los campos vienen dentro del contrato)
+  const replaceContract = (updated: Contract) => {
+    setContracts(prev => {
+      const exists = prev.some(contract => contract.id === updated.id);
+      const next = exists
+        ? prev.map(contract => (contract.id === updated.id ? updated : contract))
+        : [...prev, updated];
+      return next.sort((a, b) => a.name.localeCompare(b.name));
+    });
+  };
+
+  const handleSubmit = async (input: CatalogInput) => {
+    if (!editing) return;
+    const updated = await editing.submit(input);
+    replaceContract(updated);
+    setExpandedIds(prev => (prev.includes(updated.id) ? prev : [...prev, updated.id]));
+    setEditing(null);
+  };
+
+  const openCreateContract = () => setEditing({
+    title: 'Nuevo contrato',
+    submit: (input) => contractService.createContract(input),
+  });
+
+  const openEditContract = (contract: Contract) => setEditing({
+    title: 'Editar contrato',
+    initial: { name: contract.name, status: contract.status, aliases: contract.aliases },
+    submit: (input) => contractService.updateContract(contract.id, input),
+  });
+
+  const openCreateField = (contract: Contract) => setEditing({
+    title: `Nuevo campo en ${contract.name}`,
+    submit: (input) => contractService.createField(contract.id, input),
+  });
+
+  const openEditField = (contract: Contract, field: ContractField) => setEditing({
+    title: `Editar campo de ${contract.name}`,
+    initial: { name: field.name, status: field.status, aliases: field.aliases },
+    submit: (input) => contractService.updateField(field.id, input),
+  });
+
+  const handleDeleteContract = async (contract: Contract) => {
+    try {
+      setError(null);
+      await contractService.deleteContract(contract.id);
+      setContracts(prev => prev.filter(item => item.id !== contract.id));
+      setNotice(`Contrato ${contract.name} eliminado`);
+    } catch (err) {
+      setError((err as Error).message ?? 'Error eliminando contrato');
+    }
+  };
+
+  const handleDeleteField = async (field: ContractField) => {
+    try {
+      setError(null);
+      replaceContract(await contractService.deleteField(field.id));
+      setNotice(`Campo ${field.name} eliminado`);
+    } catch (err) {
+      setError((err as Error).message ?? 'Error eliminando campo');
+    }
+  };
+
+  const openMergeContracts = () => setMerging({
+    kind: 'contratos',
+    items: contracts.filter(contract => selectedContracts.includes(contract.id)),
+    merge: async (targetId, sourceIds) => {
+      const result = await contractService.mergeContracts(targetId, sourceIds);
+      setContracts(prev => prev.filter(contract => !sourceIds.includes(contract.id)));
+      replaceContract(result.contract);
+      setSelectedContracts([]);
+      return `${sourceIds.length} contratos fusionados en ${result.contract.name} ` +
+        `(${formatNumber(result.movedInspections)} inspecciones reasignadas)`;
+    },
+  });
+
+  const openMergeFields = (contract: Contract) => setMerging({
+    kind: 'campos',
+    items: contract.fields.filter(field => selectedFields.includes(field.id)),
+    merge: async (targetId, sourceIds) => {
+      const result = await contractService.mergeFields(targetId, sourceIds);
+      replaceContract(result.contract);
+      setSelectedFields(prev => prev.filter(id => !contract.fields.some(field => field.id === id)));
+      return `${sourceIds.length} campos fusionados en ${contract.name} ` +
+        `(${formatNumber(result.movedInspections)} inspecciones reasignadas)`;
+    },
+  });
+
+  const handleMerge = async (targetId: string, sourceIds: string[]) => {
+    if (!merging) return;
+    setNotice(await merging.merge(targetId, sourceIds));
+    setMerging(null);
+  };
+
+  const toggle = (setter: React.Dispatch<React.SetStateAction<string[]>>, id: string) => {
+    setter(prev => (prev.includes(id) ? prev.filter(selected => selected !== id) : [...prev, id]));
+  };
+
+  // 🔍 Filtrar por nombre del contrato, sus alias o el nombre de sus campos
+  const term = searchTerm.trim().toLowerCase();
+  const matches = (name: string, aliases: string[]) =>
+    name.toLowerCase().includes(term) || aliases.some(alias => alias.toLowerCase().includes(term));
+  const filteredContracts = contracts.filter(contract =>
+    matches(contract.name, contract.aliases) ||
+    contract.fields.some(field => matches(field.name, field.aliases))
+  );
+
+  const renderAliases = (aliases: string[]) =>
+    aliases.length > 0 && (
+      <Tooltip title={aliases.join(', ')}>
+        <Typography variant="caption" color="text.secondary" display="block">
+          {aliases.length} {aliases.length === 1 ? 'variante' : 'variantes'} del nombre
+        </Typography>
+      </Tooltip>
+    );
+
+  const renderDelete = (label: string, totalInspections: number, onDelete: () => void) => (
+    <Tooltip title={totalInspections > 0 ? 'Tiene inspecciones: fusiónelo con otro' : `Eliminar ${label}`}>
+      <span>
+        <IconButton size="small" color="error" disabled={totalInspections > 0} onClick={onDelete}>
+          <Delete fontSize="small" />
+        </IconButton>
+      </span>
+    </Tooltip>
+  );
+
+  return (
+    <Box sx={{ flexGrow: 1 }}>
+      {/* 📑 Header */}
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" component="h1" sx={{ fontWeight: 600 }}>
+          Contratos y Campos
+        </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <Typography variant="body2" color="text.secondary">
+            Total: {filteredContracts.length} contratos
+          </Typography>
+          <Button variant="outlined" startIcon={<Sync />} onClick={handleSync} disabled={syncing}>
+            {syncing ? 'Sincronizando...' : 'Sincronizar'}
+          </Button>
+          <Button
+            variant="contained"
+            color="warning"
+            startIcon={<MergeType />}
+            disabled={selectedContracts.length < 2}
+            onClick={openMergeContracts}
+          >
+            Fusionar ({selectedContracts.length})
+          </Button>
+          <Button variant="contained" startIcon={<Add />} onClick={openCreateContract}>
+            Nuevo contrato
+          </Button>
+        </Box>
+      </Box>
+
+      {/* 🔍 Búsqueda */}
+      <Card sx={{ mb: 3 }}>
+        <CardContent>
+          <TextField
+            fullWidth
+            label="Buscar contrato o campo"
+            placeholder="Nombre o variante escrita en el formulario..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            InputProps={{
+              startAdornment: <SearchIcon sx={{ mr: 1, color: 'text.secondary' }} />,
+            }}
+          />
+        </CardContent>
+      </Card>
+
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+      {unlinkedInspections > 0 && (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          {formatNumber(unlinkedInspections)} inspecciones aún no están enlazadas a un contrato del maestro.
+          Use "Sincronizar" para enlazarlas.
+        </Alert>
+      )}
+
+      {notice && (
+        <Alert severity="success" sx={{ mb: 3 }} onClose={() => setNotice(null)}>
+          {notice}
+        </Alert>
+      )}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {/* 📋 Contratos con sus campos */}
+      <Card>
+        <CardContent>
+          <TableContainer component={Paper} variant="outlined">
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableCell padding="checkbox" />
+                  <TableCell padding="checkbox" />
+                  <TableCell>Contrato</TableCell>
+                  <TableCell>Estado</TableCell>
+                  <TableCell align="right">Campos</TableCell>
+                  <TableCell align="right">Inspecciones</TableCell>
+                  <TableCell align="right">Alertas</TableCell>
+                  <TableCell align="right">Puntaje</TableCell>
+                  <TableCell>Última Inspección</TableCell>
+                  <TableCell align="right">Acciones</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {filteredContracts.map((contract) => {
+                  const expanded = expandedIds.includes(contract.id);
+                  const selectedInContract = contract.fields.filter(field => selectedFields.includes(field.id));
+                  return (
+                    <React.Fragment key={contract.id}>
+                      <TableRow hover selected={selectedContracts.includes(contract.id)}>
+                        <TableCell padding="checkbox">
+                          <IconButton size="small" onClick={() => toggle(setExpandedIds, contract.id)}>
+                            {expanded ? <KeyboardArrowDown /> : <KeyboardArrowRight />}
+                          </IconButton>
+                        </TableCell>
+                        <TableCell padding="checkbox">
+                          <Checkbox
+                            size="small"
+                            checked={selectedContracts.includes(contract.id)}
+                            onChange={() => toggle(setSelectedContracts, contract.id)}
+                          />
+                        </TableCell>
+                        <TableCell>
+                          <Typography variant="body2" fontWeight={500}>
+                            {contract.name}
+                          </Typography>
+                          {renderAliases(contract.aliases)}
+                        </TableCell>
+                        <TableCell>
+                          <Chip
+                            size="small"
+                            label={contract.status === 'ACTIVO' ? 'Activo' : 'Inactivo'}
+                            color={contract.status === 'ACTIVO' ? 'success' : 'default'}
+                          />
+                        </TableCell>
+                        <TableCell align="right">{contract.fields.length}</TableCell>
+                        <TableCell align="right">{formatNumber(contract.totalInspections)}</TableCell>
+                        <TableCell align="right">
+                          {contract.criticalAlerts > 0 ? (
+                            <Chip size="small" color="error" label={formatNumber(contract.criticalAlerts)} />
+                          ) : (
+                            '-'
+                          )}
+                        </TableCell>
+                        <TableCell align="right">{contract.averageScore.toFixed(1)}</TableCell>
+                        <TableCell>{contract.lastInspection ? formatDate(contract.lastInspection) : '-'}</TableCell>
+                        <TableCell align="right">
+                          <Tooltip title="Agregar campo">
+                            <IconButton size="small" onClick={() => openCreateField(contract)}>
+                              <Add fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                          <Tooltip title="Editar contrato">
+                            <IconButton size="small" onClick={() => openEditContract(contract)}>
+                              <Edit fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                          {renderDelete('contrato', contract.totalInspections, () => handleDeleteContract(contract))}
+                        </TableCell>
+                      </TableRow>
+
+                      {/* 🗺️ Campos del contrato */}
+                      <TableRow>
+                        <TableCell colSpan={10} sx={{ py: 0, borderBottom: expanded ? undefined : 'none' }}>
+                          <Collapse in={expanded} timeout="auto" unmountOnExit>
+                            <Box sx={{ py: 2, pl: 6 }}>
+                              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                                <Typography variant="subtitle2">Campos / Coordinaciones</Typography>
+                                <Button
+                                  size="small"
+                                  color="warning"
+                                  startIcon={<MergeType />}
+                                  disabled={selectedInContract.length < 2}
+                                  onClick={() => openMergeFields(contract)}
+                                >
+                                  Fusionar campos ({selectedInContract.length})
+                                </Button>
+                              </Box>
+                              {contract.fields.length === 0 ? (
+                                <Typography variant="body2" color="text.secondary">
+                                  Este contrato no tiene campos.
+                                </Typography>
+                              ) : (
+                                <Table size="small">
+                                  <TableBody>
+                                    {contract.fields.map((field) => (
+                                      <TableRow key={field.id} hover selected={selectedFields.includes(field.id)}>
+                                        <TableCell padding="checkbox">
+                                          <Checkbox
+                                            size="small"
+                                            checked={selectedFields.includes(field.id)}
+                                            onChange={() => toggle(setSelectedFields, field.id)}
+                                          />
+                                        </TableCell>
+                                        <TableCell>
+                                          <Typography variant="body2">
+                                            {field.name}
+                                            {field.status === 'INACTIVO' && (
+                                              <Chip label="Inactivo" size="small" sx={{ ml: 1 }} />
+                                            )}
+                                          </Typography>
+                                          {renderAliases(field.aliases)}
+                                        </TableCell>
+                                        <TableCell align="right">
+                                          {formatNumber(field.totalInspections)} inspecciones
+                                        </TableCell>
+                                        <TableCell align="right">
+                                          {field.criticalAlerts > 0 ? `${formatNumber(field.criticalAlerts)} alertas` : '-'}
+                                        </TableCell>
+                                        <TableCell>
+                                          {field.lastInspection ? formatDate(field.lastInspection) : '-'}
+                                        </TableCell>
+                                        <TableCell align="right">
+                                          <Tooltip title="Editar campo">
+                                            <IconButton size="small" onClick={() => openEditField(contract, field)}>
+                                              <Edit fontSize="small" />
+                                            </IconButton>
+                                          </Tooltip>
+                                          {renderDelete('campo', field.totalInspections, () => handleDeleteField(field))}
+                                        </TableCell>
+                                      </TableRow>
+                                    ))}
+                                  </TableBody>
+                                </Table>
+                              )}
+                            </Box>
+                          </Collapse>
+                        </TableCell>
+                      </TableRow>
+                    </React.Fragment>
+                  );
+                })}
+                {!loading && filteredContracts.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={10}>
+                      <Typography variant="body2" color="text.secondary" align="center" sx={{ py: 2 }}>
+                        {contracts.length === 0
+                          ? 'Aún no hay contratos: se crean al cargar inspecciones o con "Sincronizar".'
+                          : 'Ningún contrato coincide con la búsqueda.'}
+                      </Typography>
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </CardContent>
+      </Card>
+
+      <CatalogEditDialog
+        open={!!editing}
+        title={editing?.title ?? ''}
+        initial={editing?.initial}
+        onClose={() => setEditing(null)}
+        onSubmit={handleSubmit}
+      />
+
+      <CatalogMergeDialog
+        open={!!merging}
+        kind={merging?.kind ?? ''}
+        items={merging?.items ?? []}
+        onClose={() => setMerging(null)}
+        onMerge={handleMerge}
+      />
+    </Box>
+  );
+};
+
+export default Contracts;
@@ -0,0 +1,373 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Avatar,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  Collapse,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  Grid,
+  IconButton,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import {
+  Assignment,
+  Bedtime,
+  Block,
+  CheckCircle,
+  Close,
+  Error,
+  LocalHospital,
+  Person,
+} from '@mui/icons-material';
+import { searchService, DriverEventType, DriverTimeline } from '../../services/searchService';
+import driverService, { Driver, DriverEventInput, MedicalResult } from '../../services/driverService';
+import { formatDate, formatDateTime, formatNumber } from '../../services/api';
+
+interface DriverDetailsDialogProps {
+  driver: Driver | null;
+  onClose: () => void;
+}
+
+const EVENT_LABELS: Record<DriverEventType, string> = {
+  INSPECCION: 'Inspecciones',
+  FATIGA: 'Fatiga',
+  ALERTA_GENERADA: 'Alertas',
+  ALERTA_RESUELTA: 'Alertas resueltas',
+  EVALUACION_MEDICA: 'Evaluaciones médicas',
+  SUSPENSION: 'Suspensiones',
+};
+
+const MEDICAL_RESULTS: Array<{ value: MedicalResult; label: string }> = [
+  { value: 'APTO', label: 'Apto' },
+  { value: 'APTO_CON_RESTRICCIONES', label: 'Apto con restricciones' },
+  { value: 'NO_APTO', label: 'No apto' },
+];
+
+const PAGE_SIZE = 50;
+
+// 🎨 Icono de cada tipo de evento
+const getEventIcon = (type: DriverEventType) => {
+  switch (type) {
+    case 'FATIGA':
+      return <Bedtime color="warning" />;
+    case 'ALERTA_GENERADA':
+      return <Error color="error" />;
+    case 'ALERTA_RESUELTA':
+      return <CheckCircle color="success" />;
+    case 'EVALUACION_MEDICA':
+      return <LocalHospital color="info" />;
+    case 'SUSPENSION':
+      return <Block color="error" />;
+    default:
+      return <Assignment color="action" />;
+  }
+};
+
+// 🕓 Detalle del conductor con su línea de tiempo: inspecciones, fatiga, alertas,
+// evaluaciones médicas y suspensiones (estas dos se registran aquí mismo)
+const DriverDetailsDialog: React.FC<DriverDetailsDialogProps> = ({ driver, onClose }) => {
+  const [timeline, setTimeline] = useState<DriverTimeline | null>(null);
+  const [types, setTypes] = useState<DriverEventType[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [formOpen, setFormOpen] = useState(false);
+  const [eventType, setEventType] = useState<DriverEventInput['type']>('EVALUACION_MEDICA');
+  const [eventDate, setEventDate] = useState('');
+  const [eventResult, setEventResult] = useState<MedicalResult>('APTO');
+  const [eventUntil, setEventUntil] = useState('');
+  const [eventDescription, setEventDescription] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const loadTimeline = useCallback(async (page = 1) => {
+    if (!driver) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await searchService.getDriverTimeline(driver.id, { types, page, limit: PAGE_SIZE });
+      // "Ver más" agrega la página siguiente a los eventos ya cargados
+      setTimeline(prev => (page > 1 && prev ? { ...result, events: [...prev.events, ...result.events] } : result));
+    } catch (err) {
+      setError((err as Error)?.message ?? 'Error cargando el historial');
+    } finally {
+      setLoading(false);
+    }
+  }, [driver, types]);
+
+  useEffect(() => {
+    loadTimeline();
+  }, [loadTimeline]);
+
+  useEffect(() => {
+    setTypes([]);
+    setTimeline(null);
+    setFormOpen(false);
+  }, [driver]);
+
+  const toggleType = (type: DriverEventType) => {
+    setTypes(prev => (prev.includes(type) ? prev.filter(selected => selected !== type) : [...prev, type]));
+  };
+
+  const resetForm = () => {
+    setEventDate('');
+    setEventResult('APTO');
+    setEventUntil('');
+    setEventDescription('');
+    setFormOpen(false);
+  };
+
+  const handleSaveEvent = async () => {
+    if (!driver) return;
+    const date = eventDate || undefined;
+    const input: DriverEventInput = eventType === 'EVALUACION_MEDICA'
+      ? { type: eventType, date, result: eventResult, description: eventDescription.trim() || undefined }
+      : { type: eventType, date, until: eventUntil || undefined, description: eventDescription.trim() };
+    try {
+      setSaving(true);
+      setError(null);
+      await driverService.addDriverEvent(driver.id, input);
+      resetForm();
+      await loadTimeline();
+    } catch (err) {
+      setError((err as Error)?.message ?? 'Error registrando el evento');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const events = timeline?.events ?? [];
+  const hasMore = !!timeline && events.length < timeline.pagination.total;
+
+  return (
+    <Dialog open={!!driver} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Typography variant="h6">Historial del Conductor</Typography>
+          <IconButton onClick={onClose}>
+            <Close />
+          </IconButton>
+        </Box>
+      </DialogTitle>
+      <DialogContent>
+        {driver && (
+          <Box>
+            {/* Información del conductor */}
+            <Card sx={{ mb: 3 }}>
+              <CardContent>
+                <Grid container spacing={3}>
+                  <Grid item xs={12} md={6}>
+                    <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                      <Avatar sx={{ mr: 2, width: 56, height: 56, bgcolor: 'primary.main' }}>
+                        <Person />
+                      </Avatar>
+                      <Box>
+                        <Typography variant="h6">{driver.name}</Typography>
+                        <Typography variant="body2" color="text.secondary">
+                          Cédula: {driver.cedula ?? 'Sin cédula'}
+                          {driver.contract && ` · ${driver.contract}`}
+                        </Typography>
+                      </Box>
+                    </Box>
+                  </Grid>
+                  <Grid item xs={12} md={6}>
+                    <Grid container spacing={2}>
+                      <Grid item xs={4}>
+                        <Typography variant="caption" color="text.secondary">
+                          Inspecciones
+                        </Typography>
+                        <Typography variant="h6">{formatNumber(driver.totalInspections)}</Typography>
+                      </Grid>
+                      <Grid item xs={4}>
+                        <Typography variant="caption" color="text.secondary">
+                          Eficiencia
+                        </Typography>
+                        <Typography variant="h6">{driver.averageScore.toFixed(1)}%</Typography>
+                      </Grid>
+                      <Grid item xs={4}>
+                        <Typography variant="caption" color="text.secondary">
+                          Última
+                        </Typography>
+                        <Typography variant="h6">
+                          {driver.lastInspection ? formatDate(driver.lastInspection) : '-'}
+                        </Typography>
+                      </Grid>
+                    </Grid>
+                  </Grid>
+                </Grid>
+              </CardContent>
+            </Card>
+
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+                {error}
+              </Alert>
+            )}
+
+            {/* Filtro por tipo: sin ninguno seleccionado se muestran todos */}
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+              {(Object.keys(EVENT_LABELS) as DriverEventType[]).map(type => (
+                <Chip
+                  key={type}
+                  icon={getEventIcon(type)}
+                  label={`${EVENT_LABELS[type]} (${formatNumber(timeline?.summary[type] ?? 0)})`}
+                  variant={types.includes(type) ? 'filled' : 'outlined'}
+                  color={types.includes(type) ? 'primary' : 'default'}
+                  onClick={() => toggleType(type)}
+                />
+              ))}
+            </Box>
+
+            {/* Registro de evaluación médica o suspensión */}
+            <Box sx={{ mb: 2 }}>
+              {!formOpen && (
+                <Button size="small" startIcon={<LocalHospital />} onClick={() => setFormOpen(true)}>
+                  Registrar evaluación médica o suspensión
+                </Button>
+              )}
+              <Collapse in={formOpen}>
+                <Card variant="outlined">
+                  <CardContent>
+                    <Grid container spacing={2}>
+                      <Grid item xs={12} sm={4}>
+                        <TextField
+                          select
+                          fullWidth
+                          size="small"
+                          label="Tipo"
+                          value={eventType}
+                          onChange={(event) => setEventType(event.target.value as DriverEventInput['type'])}
+                        >
+                          <MenuItem value="EVALUACION_MEDICA">Evaluación médica</MenuItem>
+                          <MenuItem value="SUSPENSION">Suspensión</MenuItem>
+                        </TextField>
+                      </Grid>
+                      <Grid item xs={12} sm={4}>
+                        <TextField
+                          fullWidth
+                          size="small"
+                          type="date"
+                          label={eventType === 'SUSPENSION' ? 'Desde' : 'Fecha'}
+                          value={eventDate}
+                          onChange={(event) => setEventDate(event.target.value)}
+                          InputLabelProps={{ shrink: true }}
+                          helperText="Vacío: hoy"
+                        />
+                      </Grid>
+                      <Grid item xs={12} sm={4}>
+                        {eventType === 'EVALUACION_MEDICA' ? (
+                          <TextField
+                            select
+                            fullWidth
+                            size="small"
+                            label="Resultado"
+                            value={eventResult}
+                            onChange={(event) => setEventResult(event.target.value as MedicalResult)}
+                          >
+                            {MEDICAL_RESULTS.map(result => (
+                              <MenuItem key={result.value} value={result.value}>
+                                {result.label}
+                              </MenuItem>
+                            ))}
+                          </TextField>
+                        ) : (
+                          <TextField
+                            fullWidth
+                            size="small"
+                            type="date"
+                            label="Hasta"
+                            value={eventUntil}
+                            onChange={(event) => setEventUntil(event.target.value)}
+                            InputLabelProps={{ shrink: true }}
+                            helperText="Vacío: indefinida"
+                          />
+                        )}
+                      </Grid>
+                      <Grid item xs={12}>
+                        <TextField
+                          fullWidth
+                          size="small"
+                          label={eventType === 'SUSPENSION' ? 'Motivo' : 'Observaciones'}
+                          value={eventDescription}
+                          onChange={(event) => setEventDescription(event.target.value)}
+                          required={eventType === 'SUSPENSION'}
+                        />
+                      </Grid>
+                    </Grid>
+                    <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 2 }}>
+                      <Button onClick={resetForm} disabled={saving}>
+                        Cancelar
+                      </Button>
+                      <Button
+                        variant="contained"
+                        onClick={handleSaveEvent}
+                        disabled={saving || (eventType === 'SUSPENSION' && !eventDescription.trim())}
+                      >
+                        {saving ? 'Guardando...' : 'Registrar'}
+                      </Button>
+                    </Box>
+                  </CardContent>
+                </Card>
+              </Collapse>
+            </Box>
+
+            {loading && <LinearProgress sx={{ mb: 1 }} />}
+
+            {/* Línea de tiempo, el evento más reciente primero */}
+            {timeline && events.length === 0 && !loading && (
+              <Typography variant="body2" color="text.secondary">
+                Sin eventos registrados{types.length > 0 && ' para los tipos seleccionados'}.
+              </Typography>
+            )}
+            <List dense>
+              {events.map((event, index) => (
+                <React.Fragment key={event.id}>
+                  <ListItem>
+                    <ListItemIcon>{getEventIcon(event.type)}</ListItemIcon>
+                    <ListItemText
+                      primary={event.description || EVENT_LABELS[event.type]}
+                      secondary={
+                        `${formatDateTime(event.date)}` +
+                        (event.recordedBy ? ` · registrado por ${event.recordedBy}` : '')
+                      }
+                    />
+                  </ListItem>
+                  {index < events.length - 1 && <Divider component="li" />}
+                </React.Fragment>
+              ))}
+            </List>
+            {hasMore && (
+              <Box sx={{ textAlign: 'center' }}>
+                <Button
+                  size="small"
+                  disabled={loading}
+                  onClick={() => loadTimeline((timeline?.pagination.page ?? 1) + 1)}
+                >
+                  Ver más ({formatNumber((timeline?.pagination.total ?? 0) - events.length)} restantes)
+                </Button>
+              </Box>
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cerrar</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DriverDetailsDialog;
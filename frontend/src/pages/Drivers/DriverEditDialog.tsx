@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import driverService, { Driver, DriverStatus } from '../../services/driverService';
+
+interface DriverEditDialogProps {
+  driver: Driver | null;
+  onClose: () => void;
+  onSaved: (driver: Driver) => void;
+}
+
+// ✏️ Editar nombre canónico, cédula, contrato y estado de un conductor
+const DriverEditDialog: React.FC<DriverEditDialogProps> = ({ driver, onClose, onSaved }) => {
+  const [name, setName] = useState('');
+  const [cedula, setCedula] = useState('');
+  const [contract, setContract] = useState('');
+  const [status, setStatus] = useState<DriverStatus>('ACTIVO');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!driver) return;
+    setName(driver.name);
+    setCedula(driver.cedula ?? '');
+    setContract(driver.contract);
+    setStatus(driver.status);
+    setError(null);
+  }, [driver]);
+
+  const handleSave = async () => {
+    if (!driver) return;
+    try {
+      setSaving(true);
+      setError(null);
+      const updated = await driverService.updateDriver(driver.id, {
+        name: name.trim(),
+        cedula: cedula.trim() || null,
+        contract: contract.trim(),
+        status,
+      });
+      onSaved(updated);
+    } catch (err) {
+      setError((err as Error)?.message ?? 'Error guardando el conductor');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!driver} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Editar conductor</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+          <TextField
+            label="Nombre canónico"
+            size="small"
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            required
+          />
+          <TextField
+            label="Cédula"
+            size="small"
+            value={cedula}
+            onChange={(event) => setCedula(event.target.value)}
+          />
+          <TextField
+            label="Contrato"
+            size="small"
+            value={contract}
+            onChange={(event) => setContract(event.target.value)}
+          />
+          <TextField
+            select
+            label="Estado"
+            size="small"
+            value={status}
+            onChange={(event) => setStatus(event.target.value as DriverStatus)}
+          >
+            <MenuItem value="ACTIVO">Activo</MenuItem>
+            <MenuItem value="INACTIVO">Inactivo</MenuItem>
+          </TextField>
+          {driver && driver.aliases.length > 0 && (
+            <Box>
+              <Typography variant="caption" color="text.secondary">
+                Escrito en el formulario como
+              </Typography>
+              <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 0.5 }}>
+                {driver.aliases.map((alias) => (
+                  <Chip key={alias} label={alias} size="small" variant="outlined" />
+                ))}
+              </Box>
+            </Box>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Cancelar
+        </Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || !name.trim()}>
+          {saving ? 'Guardando...' : 'Guardar'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DriverEditDialog;
@@ -0,0 +1,188 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  Radio,
+  RadioGroup,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import driverService, { Driver, DuplicateCandidate, MergeResult } from '../../services/driverService';
+import { formatNumber } from '../../services/api';
+
+interface DriverMergeDialogProps {
+  open: boolean;
+  // Con dos o más conductores seleccionados se fusionan esos; si no, se muestran las sugerencias
+  selected: Driver[];
+  onClose: () => void;
+  onMerged: (result: MergeResult) => void;
+}
+
+// 🔀 Fusionar conductores duplicados: las inspecciones y alias pasan al conductor conservado
+const DriverMergeDialog: React.FC<DriverMergeDialogProps> = ({ open, selected, onClose, onMerged }) => {
+  const [candidates, setCandidates] = useState<DuplicateCandidate[]>([]);
+  const [targetId, setTargetId] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [merging, setMerging] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const manual = selected.length >= 2;
+
+  useEffect(() => {
+    if (!open) return;
+    setError(null);
+    if (manual) {
+      // Por defecto se conserva el conductor con más inspecciones
+      const [first] = [...selected].sort((a, b) => b.totalInspections - a.totalInspections);
+      setTargetId(first.id);
+      return;
+    }
+    setLoading(true);
+    driverService
+      .getDuplicateCandidates()
+      .then(setCandidates)
+      .catch((err) => setError((err as Error)?.message ?? 'Error buscando duplicados'))
+      .finally(() => setLoading(false));
+  }, [open, manual, selected]);
+
+  const merge = async (target: string, sources: string[]) => {
+    try {
+      setMerging(true);
+      setError(null);
+      const result = await driverService.mergeDrivers(target, sources);
+      // Las sugerencias que incluían a un conductor fusionado ya no aplican
+      setCandidates((prev) =>
+        prev.filter((candidate) => !candidate.drivers.some((driver) => sources.includes(driver.id)))
+      );
+      onMerged(result);
+    } catch (err) {
+      setError((err as Error)?.message ?? 'Error fusionando conductores');
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{manual ? 'Fusionar conductores seleccionados' : 'Posibles conductores duplicados'}</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {manual ? (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              Elija el conductor que se conserva. Los demás se eliminan y sus inspecciones y nombres pasan a él.
+            </Typography>
+            <RadioGroup value={targetId} onChange={(event) => setTargetId(event.target.value)}>
+              {selected.map((driver) => (
+                <FormControlLabel
+                  key={driver.id}
+                  value={driver.id}
+                  control={<Radio />}
+                  label={`${driver.name}${driver.cedula ? ` · ${driver.cedula}` : ''} (${formatNumber(driver.totalInspections)} inspecciones)`}
+                />
+              ))}
+            </RadioGroup>
+          </>
+        ) : loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : candidates.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No se encontraron conductores con nombres parecidos.
+          </Typography>
+        ) : (
+          <TableContainer sx={{ maxHeight: 480 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Similitud</TableCell>
+                  <TableCell>Conductores</TableCell>
+                  <TableCell align="right">Conservar</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {candidates.map((candidate) => (
+                  <TableRow key={candidate.drivers.map((driver) => driver.id).join('|')}>
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        label={`${Math.round(candidate.score * 100)}%`}
+                        color={candidate.score >= 0.9 ? 'warning' : 'default'}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      {candidate.drivers.map((driver) => (
+                        <Typography key={driver.id} variant="body2">
+                          {driver.name}
+                          <Typography component="span" variant="caption" color="text.secondary">
+                            {' '}
+                            {driver.cedula ? `· ${driver.cedula} ` : ''}({formatNumber(driver.totalInspections)} inspecciones)
+                          </Typography>
+                        </Typography>
+                      ))}
+                    </TableCell>
+                    <TableCell align="right">
+                      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5, alignItems: 'flex-end' }}>
+                        {candidate.drivers.map((driver) => (
+                          <Button
+                            key={driver.id}
+                            size="small"
+                            variant="outlined"
+                            disabled={merging}
+                            onClick={() =>
+                              merge(
+                                driver.id,
+                                candidate.drivers.filter((other) => other.id !== driver.id).map((other) => other.id)
+                              )
+                            }
+                          >
+                            {driver.name}
+                          </Button>
+                        ))}
+                      </Box>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={merging}>
+          Cerrar
+        </Button>
+        {manual && (
+          <Button
+            variant="contained"
+            color="warning"
+            disabled={merging || !targetId}
+            onClick={() => merge(targetId, selected.map((driver) => driver.id).filter((id) => id !== targetId))}
+          >
+            {merging ? 'Fusionando...' : `Fusionar ${selected.length} conductores`}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DriverMergeDialog;
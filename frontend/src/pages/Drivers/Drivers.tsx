@@ -21,16 +21,8 @@ import {
   Avatar,
   LinearProgress,
   Alert,
-  Dialog,
-  DialogTitle,
-  DialogContent,
-  DialogActions,
-  List,
-  ListItem,
-  ListItemText,
-  ListItemIcon,
-  Divider,
   Badge,
+  Checkbox,
 } from '@mui/material';
 import {
   Person,
@@ -39,99 +31,52 @@ import {
   Warning,
   Error,
   CheckCircle,
-  TrendingUp,
-  TrendingDown,
-  LocalHospital,
-  Bedtime,
-  Psychology,
-  FitnessCenter,
-  History,
-  Assessment,
-  Close,
+  Edit,
+  MergeType,
+  ContentCopy,
+  Sync,
 } from '@mui/icons-material';
 import { useParams } from 'react-router-dom';
-import { searchService, DriverHistory } from '../../services/searchService';
+import driverService, { Driver, MergeResult } from '../../services/driverService';
 import { formatDate, formatNumber } from '../../services/api';
-
-interface DriverSummary {
-  cedula: string;
-  nombre: string;
-  totalInspecciones: number;
-  alertasRojas: number;
-  advertencias: number;
-  eficiencia: number;
-  ultimaInspeccion: string;
-  tendencia: 'mejorando' | 'estable' | 'empeorando';
-  problemasRecurrentes: string[];
-}
+import DriverDetailsDialog from './DriverDetailsDialog';
+import DriverEditDialog from './DriverEditDialog';
+import DriverMergeDialog from './DriverMergeDialog';
 
 const Drivers: React.FC = () => {
   const { driverId } = useParams<{ driverId?: string }>();
-  const [drivers, setDrivers] = useState<DriverSummary[]>([]);
-  const [selectedDriver, setSelectedDriver] = useState<DriverHistory | null>(null);
+  const [drivers, setDrivers] = useState<Driver[]>([]);
+  const [detailsDriver, setDetailsDriver] = useState<Driver | null>(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(25);
-  const [detailsOpen, setDetailsOpen] = useState(false);
+  const [selectedIds, setSelectedIds] = useState<string[]>([]);
+  const [editingDriver, setEditingDriver] = useState<Driver | null>(null);
+  const [mergeOpen, setMergeOpen] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [notice, setNotice] = useState<string | null>(null);
 
   // 🔄 Cargar lista de conductores
   useEffect(() => {
     loadDrivers();
   }, []);
 
-  // 🔍 Cargar detalles de conductor específico si se proporciona ID
+  // 🔍 Abrir el historial del conductor indicado en la URL
   useEffect(() => {
-    if (driverId) {
-      loadDriverDetails(driverId);
-    }
-  }, [driverId]);
+    if (!driverId) return;
+    const driver = drivers.find(candidate => candidate.id === driverId);
+    if (driver) setDetailsDriver(driver);
+  }, [driverId, drivers]);
 
   const loadDrivers = async () => {
     try {
       setLoading(true);
       setError(null);
 
-      // TODO: Implementar endpoint para obtener resumen de conductores
-      // Por ahora, datos simulados
-      const mockDrivers: DriverSummary[] = [
-        {
-          cedula: '12345678',
-          nombre: 'Juan Carlos Pérez',
-          totalInspecciones: 45,
-          alertasRojas: 2,
-          advertencias: 8,
-          eficiencia: 82.2,
-          ultimaInspeccion: '2024-01-15',
-          tendencia: 'mejorando',
-          problemasRecurrentes: ['Sueño insuficiente', 'Síntomas de fatiga'],
-        },
-        {
-          cedula: '87654321',
-          nombre: 'María García López',
-          totalInspecciones: 38,
-          alertasRojas: 0,
-          advertencias: 3,
-          eficiencia: 92.1,
-          ultimaInspeccion: '2024-01-14',
-          tendencia: 'estable',
-          problemasRecurrentes: [],
-        },
-        {
-          cedula: '11223344',
-          nombre: 'Carlos Rodríguez',
-          totalInspecciones: 52,
-          alertasRojas: 5,
-          advertencias: 12,
-          eficiencia: 67.3,
-          ultimaInspeccion: '2024-01-13',
-          tendencia: 'empeorando',
-          problemasRecurrentes: ['Consumo medicamentos', 'No apto', 'Sueño insuficiente'],
-        },
-      ];
-
-      setDrivers(mockDrivers);
+      const result = await driverService.getDrivers({ limit: 500 });
+      setDrivers(result.drivers);
     } catch (err) {
       console.error('Error cargando conductores:', err);
       setError((err as Error).message ?? 'Error desconocido');
@@ -140,25 +85,58 @@ const Drivers: React.FC = () => {
     }
   };
 
-  const loadDriverDetails = async (cedula: string) => {
+  // 🔄 Enlazar inspecciones sin conductor (cargas anteriores al maestro)
+  const handleSync = async () => {
     try {
-      setLoading(true);
-      const details = await searchService.getDriverHistory(cedula);
-      setSelectedDriver(details);
-      setDetailsOpen(true);
+      setSyncing(true);
+      setError(null);
+      const result = await driverService.syncDrivers();
+      setNotice(
+        `${formatNumber(result.linkedInspections)} inspecciones enlazadas, ` +
+        `${formatNumber(result.created)} conductores nuevos, ${formatNumber(result.similar)} nombres reconocidos por similitud, ` +
+        `${formatNumber(result.timelineEvents)} eventos agregados al historial`
+      );
+      await loadDrivers();
     } catch (err) {
-      console.error('Error cargando detalles del conductor:', err);
-      setError((err as Error).message ?? 'Error cargando detalles');
+      setError((err as Error).message ?? 'Error sincronizando conductores');
     } finally {
-      setLoading(false);
+      setSyncing(false);
     }
   };
 
-  // 🔍 Filtrar conductores
+  const handleSaved = (updated: Driver) => {
+    setDrivers(prev => prev.map(driver => (driver.id === updated.id ? updated : driver)));
+    setEditingDriver(null);
+  };
+
+  const handleMerged = (result: MergeResult) => {
+    const mergedIds = result.mergedDrivers.map(driver => driver.id);
+    setDrivers(prev =>
+      prev
+        .filter(driver => !mergedIds.includes(driver.id))
+        .map(driver => (driver.id === result.driver.id ? result.driver : driver))
+    );
+    setSelectedIds([]);
+    setNotice(
+      `${result.mergedDrivers.map(driver => driver.name).join(', ')} fusionado en ${result.driver.name} ` +
+      `(${formatNumber(result.movedInspections)} inspecciones reasignadas)`
+    );
+    // Con selección manual el diálogo termina aquí; con sugerencias sigue abierto para revisar el resto
+    if (selectedIds.length >= 2) setMergeOpen(false);
+  };
+
+  const toggleSelected = (id: string) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(selected => selected !== id) : [...prev, id]));
+  };
+
+  // 🔍 Filtrar conductores (nombre canónico, nombres escritos en el formulario o cédula)
+  const term = searchTerm.trim().toLowerCase();
   const filteredDrivers = drivers.filter(driver =>
-    driver.nombre.toLowerCase().includes(searchTerm.toLowerCase()) ||
-    driver.cedula.includes(searchTerm)
+    driver.name.toLowerCase().includes(term) ||
+    driver.aliases.some(alias => alias.toLowerCase().includes(term)) ||
+    (driver.cedula ?? '').includes(term)
   );
+  const selectedDrivers = drivers.filter(driver => selectedIds.includes(driver.id));
 
   // 📄 Paginación
   const paginatedDrivers = filteredDrivers.slice(
@@ -182,27 +160,6 @@ const Drivers: React.FC = () => {
     return 'error';
   };
 
-  // 📈 Obtener icono de tendencia
-  const getTrendIcon = (trend: string) => {
-    switch (trend) {
-      case 'mejorando':
-        return <TrendingUp color="success" />;
-      case 'empeorando':
-        return <TrendingDown color="error" />;
-      default:
-        return <TrendingUp color="disabled" />;
-    }
-  };
-
-  // 🚨 Obtener icono de problema
-  const getProblemIcon = (problema: string) => {
-    if (problema.includes('medicamentos')) return <LocalHospital color="error" />;
-    if (problema.includes('Sueño')) return <Bedtime color="warning" />;
-    if (problema.includes('fatiga')) return <Psychology color="warning" />;
-    if (problema.includes('apto')) return <FitnessCenter color="error" />;
-    return <Warning color="warning" />;
-  };
-
   return (
     <Box sx={{ flexGrow: 1 }}>
       {/* 👨‍💼 Header */}
@@ -214,6 +171,21 @@ const Drivers: React.FC = () => {
           <Typography variant="body2" color="text.secondary">
             Total: {filteredDrivers.length} conductores
           </Typography>
+          <Button variant="outlined" startIcon={<Sync />} onClick={handleSync} disabled={syncing}>
+            {syncing ? 'Sincronizando...' : 'Sincronizar'}
+          </Button>
+          <Button variant="outlined" startIcon={<ContentCopy />} onClick={() => setMergeOpen(true)}>
+            Posibles duplicados
+          </Button>
+          <Button
+            variant="contained"
+            color="warning"
+            startIcon={<MergeType />}
+            disabled={selectedIds.length < 2}
+            onClick={() => setMergeOpen(true)}
+          >
+            Fusionar ({selectedIds.length})
+          </Button>
         </Box>
       </Box>
 
@@ -223,7 +195,7 @@ const Drivers: React.FC = () => {
           <TextField
             fullWidth
             label="Buscar conductor"
-            placeholder="Nombre o cédula..."
+            placeholder="Nombre, nombre escrito en el formulario o cédula..."
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
             InputProps={{
@@ -233,6 +205,14 @@ const Drivers: React.FC = () => {
         </CardContent>
       </Card>
 
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+
+      {notice && (
+        <Alert severity="success" sx={{ mb: 3 }} onClose={() => setNotice(null)}>
+          {notice}
+        </Alert>
+      )}
+
       {/* ⚠️ Error */}
       {error && (
         <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
@@ -268,7 +248,7 @@ const Drivers: React.FC = () => {
                 </Avatar>
                 <Box>
                   <Typography variant="h6">
-                    {filteredDrivers.filter(d => d.eficiencia >= 90).length}
+                    {filteredDrivers.filter(d => d.averageScore >= 90).length}
                   </Typography>
                   <Typography variant="body2" color="text.secondary">
                     Excelente Desempeño
@@ -287,7 +267,7 @@ const Drivers: React.FC = () => {
                 </Avatar>
                 <Box>
                   <Typography variant="h6">
-                    {filteredDrivers.filter(d => d.eficiencia < 75).length}
+                    {filteredDrivers.filter(d => d.averageScore < 75).length}
                   </Typography>
                   <Typography variant="body2" color="text.secondary">
                     Requieren Atención
@@ -306,7 +286,7 @@ const Drivers: React.FC = () => {
                 </Avatar>
                 <Box>
                   <Typography variant="h6">
-                    {filteredDrivers.filter(d => d.alertasRojas > 0).length}
+                    {filteredDrivers.filter(d => d.criticalAlerts > 0).length}
                   </Typography>
                   <Typography variant="body2" color="text.secondary">
                     Con Alertas Críticas
@@ -325,52 +305,62 @@ const Drivers: React.FC = () => {
             <Table>
               <TableHead>
                 <TableRow>
+                  <TableCell padding="checkbox" />
                   <TableCell>Conductor</TableCell>
+                  <TableCell>Contrato</TableCell>
                   <TableCell>Inspecciones</TableCell>
                   <TableCell>Alertas</TableCell>
                   <TableCell>Eficiencia</TableCell>
-                  <TableCell>Tendencia</TableCell>
                   <TableCell>Última Inspección</TableCell>
-                  <TableCell>Problemas</TableCell>
                   <TableCell>Acciones</TableCell>
                 </TableRow>
               </TableHead>
               <TableBody>
                 {paginatedDrivers.map((driver) => (
-                  <TableRow key={driver.cedula} hover>
+                  <TableRow key={driver.id} hover selected={selectedIds.includes(driver.id)}>
+                    <TableCell padding="checkbox">
+                      <Checkbox
+                        size="small"
+                        checked={selectedIds.includes(driver.id)}
+                        onChange={() => toggleSelected(driver.id)}
+                      />
+                    </TableCell>
                     <TableCell>
                       <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                        <Avatar sx={{ mr: 2, bgcolor: 'primary.light' }}>
-                          {driver.nombre.split(' ').map(n => n[0]).join('').substring(0, 2)}
+                        <Avatar sx={{ mr: 2, bgcolor: driver.status === 'ACTIVO' ? 'primary.light' : 'grey.400' }}>
+                          {driver.name.split(' ').map(n => n[0]).join('').substring(0, 2)}
                         </Avatar>
                         <Box>
                           <Typography variant="body2" fontWeight={500}>
-                            {driver.nombre}
+                            {driver.name}
+                            {driver.status === 'INACTIVO' && (
+                              <Chip label="Inactivo" size="small" sx={{ ml: 1 }} />
+                            )}
                           </Typography>
                           <Typography variant="caption" color="text.secondary">
-                            {driver.cedula}
+                            {driver.cedula ?? 'Sin cédula'}
+                            {driver.aliases.length > 1 && ` · ${driver.aliases.length} variantes del nombre`}
                           </Typography>
                         </Box>
                       </Box>
                     </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">
+                        {driver.contract || '-'}
+                      </Typography>
+                    </TableCell>
                     <TableCell>
                       <Typography variant="body2" fontWeight={500}>
-                        {driver.totalInspecciones}
+                        {formatNumber(driver.totalInspections)}
                       </Typography>
                     </TableCell>
                     <TableCell>
                       <Box sx={{ display: 'flex', gap: 1 }}>
-                        {driver.alertasRojas > 0 && (
-                          <Badge badgeContent={driver.alertasRojas} color="error">
+                        {driver.criticalAlerts > 0 ? (
+                          <Badge badgeContent={driver.criticalAlerts} color="error">
                             <Error color="error" />
                           </Badge>
-                        )}
-                        {driver.advertencias > 0 && (
-                          <Badge badgeContent={driver.advertencias} color="warning">
-                            <Warning color="warning" />
-                          </Badge>
-                        )}
-                        {driver.alertasRojas === 0 && driver.advertencias === 0 && (
+                        ) : (
                           <CheckCircle color="success" />
                         )}
                       </Box>
@@ -379,72 +369,44 @@ const Drivers: React.FC = () => {
                       <Box>
                         <Box sx={{ display: 'flex', alignItems: 'center', mb: 0.5 }}>
                           <Typography variant="body2" fontWeight={500} sx={{ mr: 1 }}>
-                            {driver.eficiencia.toFixed(1)}%
+                            {driver.averageScore.toFixed(1)}%
                           </Typography>
                           <Chip
                             size="small"
                             label={
-                              driver.eficiencia >= 90 ? 'Excelente' :
-                              driver.eficiencia >= 75 ? 'Bueno' : 'Requiere Atención'
+                              driver.averageScore >= 90 ? 'Excelente' :
+                              driver.averageScore >= 75 ? 'Bueno' : 'Requiere Atención'
                             }
-                            color={getEfficiencyColor(driver.eficiencia)}
+                            color={getEfficiencyColor(driver.averageScore)}
                           />
                         </Box>
                         <LinearProgress
                           variant="determinate"
-                          value={driver.eficiencia}
-                          color={getEfficiencyColor(driver.eficiencia)}
+                          value={driver.averageScore}
+                          color={getEfficiencyColor(driver.averageScore)}
                           sx={{ height: 4, borderRadius: 2 }}
                         />
                       </Box>
                     </TableCell>
-                    <TableCell>
-                      <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                        {getTrendIcon(driver.tendencia)}
-                        <Typography variant="caption" sx={{ ml: 0.5, textTransform: 'capitalize' }}>
-                          {driver.tendencia}
-                        </Typography>
-                      </Box>
-                    </TableCell>
                     <TableCell>
                       <Typography variant="body2">
-                        {formatDate(driver.ultimaInspeccion)}
+                        {driver.lastInspection ? formatDate(driver.lastInspection) : '-'}
                       </Typography>
                     </TableCell>
-                    <TableCell>
-                      <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
-                        {driver.problemasRecurrentes.length === 0 ? (
-                          <Chip label="Sin problemas" size="small" color="success" />
-                        ) : (
-                          driver.problemasRecurrentes.slice(0, 2).map((problema, index) => (
-                            <Tooltip key={index} title={problema}>
-                              <Chip
-                                label={problema.substring(0, 10) + '...'}
-                                size="small"
-                                color="warning"
-                                icon={getProblemIcon(problema)}
-                              />
-                            </Tooltip>
-                          ))
-                        )}
-                        {driver.problemasRecurrentes.length > 2 && (
-                          <Chip
-                            label={`+${driver.problemasRecurrentes.length - 2}`}
-                            size="small"
-                            color="default"
-                          />
-                        )}
-                      </Box>
-                    </TableCell>
                     <TableCell>
                       <Tooltip title="Ver historial completo">
                         <IconButton
                           size="small"
-                          onClick={() => loadDriverDetails(driver.cedula)}
+                          onClick={() => setDetailsDriver(driver)}
                         >
                           <Visibility />
                         </IconButton>
                       </Tooltip>
+                      <Tooltip title="Editar conductor">
+                        <IconButton size="small" onClick={() => setEditingDriver(driver)}>
+                          <Edit />
+                        </IconButton>
+                      </Tooltip>
                     </TableCell>
                   </TableRow>
                 ))}
@@ -469,198 +431,21 @@ const Drivers: React.FC = () => {
         </CardContent>
       </Card>
 
-      {/* 📊 Dialog de detalles del conductor */}
-      <Dialog
-        open={detailsOpen}
-        onClose={() => setDetailsOpen(false)}
-        maxWidth="md"
-        fullWidth
-      >
-        <DialogTitle>
-          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-            <Typography variant="h6">
-              Historial del Conductor
-            </Typography>
-            <IconButton onClick={() => setDetailsOpen(false)}>
-              <Close />
-            </IconButton>
-          </Box>
-        </DialogTitle>
-        <DialogContent>
-          {selectedDriver && (
-            <Box>
-              {/* Información del conductor */}
-              <Card sx={{ mb: 3 }}>
-                <CardContent>
-                  <Grid container spacing={3}>
-                    <Grid item xs={12} md={6}>
-                      <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
-                        <Avatar sx={{ mr: 2, width: 56, height: 56, bgcolor: 'primary.main' }}>
-                          <Person />
-                        </Avatar>
-                        <Box>
-                          <Typography variant="h6">
-                            {selectedDriver.conductor.nombre}
-                          </Typography>
-                          <Typography variant="body2" color="text.secondary">
-                            Cédula: {selectedDriver.conductor.cedula}
-                          </Typography>
-                        </Box>
-                      </Box>
-                    </Grid>
-                    <Grid item xs={12} md={6}>
-                      <Grid container spacing={2}>
-                        <Grid item xs={6}>
-                          <Typography variant="caption" color="text.secondary">
-                            Total Inspecciones
-                          </Typography>
-                          <Typography variant="h6">
-                            {selectedDriver.conductor.totalInspecciones}
-                          </Typography>
-                        </Grid>
-                        <Grid item xs={6}>
-                          <Typography variant="caption" color="text.secondary">
-                            Eficiencia
-                          </Typography>
-                          <Typography variant="h6" color={
-                            selectedDriver.estadisticas.eficiencia >= 90 ? 'success.main' :
-                            selectedDriver.estadisticas.eficiencia >= 75 ? 'warning.main' : 'error.main'
-                          }>
-                            {selectedDriver.estadisticas.eficiencia.toFixed(1)}%
-                          </Typography>
-                        </Grid>
-                      </Grid>
-                    </Grid>
-                  </Grid>
-                </CardContent>
-              </Card>
-
-              {/* Estadísticas de fatiga */}
-              <Card sx={{ mb: 3 }}>
-                <CardContent>
-                  <Typography variant="h6" gutterBottom>
-                    Análisis de Fatiga
-                  </Typography>
-                  <Grid container spacing={2}>
-                    <Grid item xs={6} sm={3}>
-                      <Box sx={{ textAlign: 'center' }}>
-                        <LocalHospital color="error" sx={{ fontSize: 32, mb: 1 }} />
-                        <Typography variant="h6" color="error.main">
-                          {selectedDriver.alertasFatiga.medicamentos}
-                        </Typography>
-                        <Typography variant="caption">
-                          Medicamentos
-                        </Typography>
-                      </Box>
-                    </Grid>
-                    <Grid item xs={6} sm={3}>
-                      <Box sx={{ textAlign: 'center' }}>
-                        <Bedtime color="warning" sx={{ fontSize: 32, mb: 1 }} />
-                        <Typography variant="h6" color="warning.main">
-                          {selectedDriver.alertasFatiga.suenoInsuficiente}
-                        </Typography>
-                        <Typography variant="caption">
-                          Sueño Insuficiente
-                        </Typography>
-                      </Box>
-                    </Grid>
-                    <Grid item xs={6} sm={3}>
-                      <Box sx={{ textAlign: 'center' }}>
-                        <Psychology color="warning" sx={{ fontSize: 32, mb: 1 }} />
-                        <Typography variant="h6" color="warning.main">
-                          {selectedDriver.alertasFatiga.sintomasFatiga}
-                        </Typography>
-                        <Typography variant="caption">
-                          Síntomas Fatiga
-                        </Typography>
-                      </Box>
-                    </Grid>
-                    <Grid item xs={6} sm={3}>
-                      <Box sx={{ textAlign: 'center' }}>
-                        <FitnessCenter color="error" sx={{ fontSize: 32, mb: 1 }} />
-                        <Typography variant="h6" color="error.main">
-                          {selectedDriver.alertasFatiga.noApto}
-                        </Typography>
-                        <Typography variant="caption">
-                          No Apto
-                        </Typography>
-                      </Box>
-                    </Grid>
-                  </Grid>
-                </CardContent>
-              </Card>
+      {/* 🕓 Historial del conductor */}
+      <DriverDetailsDialog driver={detailsDriver} onClose={() => setDetailsDriver(null)} />
 
-              {/* Problemas recurrentes */}
-              {selectedDriver.estadisticas.problemasRecurrentes.length > 0 && (
-                <Card sx={{ mb: 3 }}>
-                  <CardContent>
-                    <Typography variant="h6" gutterBottom>
-                      Problemas Recurrentes
-                    </Typography>
-                    <List dense>
-                      {selectedDriver.estadisticas.problemasRecurrentes.map((problema, index) => (
-                        <ListItem key={index}>
-                          <ListItemIcon>
-                            {getProblemIcon(problema)}
-                          </ListItemIcon>
-                          <ListItemText primary={problema} />
-                        </ListItem>
-                      ))}
-                    </List>
-                  </CardContent>
-                </Card>
-              )}
+      <DriverEditDialog
+        driver={editingDriver}
+        onClose={() => setEditingDriver(null)}
+        onSaved={handleSaved}
+      />
 
-              {/* Historial reciente */}
-              <Card>
-                <CardContent>
-                  <Typography variant="h6" gutterBottom>
-                    Inspecciones Recientes
-                  </Typography>
-                  <List>
-                    {selectedDriver.historial.slice(0, 5).map((inspeccion, index) => (
-                      <React.Fragment key={inspeccion.id}>
-                        <ListItem>
-                          <ListItemIcon>
-                            {inspeccion.tiene_alerta_roja ? (
-                              <Error color="error" />
-                            ) : inspeccion.tiene_advertencias ? (
-                              <Warning color="warning" />
-                            ) : (
-                              <CheckCircle color="success" />
-                            )}
-                          </ListItemIcon>
-                          <ListItemText
-                            primary={`${formatDate(inspeccion.fecha)} - ${inspeccion.placa_vehiculo}`}
-                            secondary={
-                              <Box>
-                                <Typography variant="caption" display="block">
-                                  Puntaje: {inspeccion.puntaje_total}/100
-                                </Typography>
-                                {inspeccion.observaciones && (
-                                  <Typography variant="caption" color="text.secondary">
-                                    {inspeccion.observaciones}
-                                  </Typography>
-                                )}
-                              </Box>
-                            }
-                          />
-                        </ListItem>
-                        {index < selectedDriver.historial.slice(0, 5).length - 1 && <Divider />}
-                      </React.Fragment>
-                    ))}
-                  </List>
-                </CardContent>
-              </Card>
-            </Box>
-          )}
-        </DialogContent>
-        <DialogActions>
-          <Button onClick={() => setDetailsOpen(false)}>
-            Cerrar
-          </Button>
-        </DialogActions>
-      </Dialog>
+      <DriverMergeDialog
+        open={mergeOpen}
+        selected={selectedDrivers.length >= 2 ? selectedDrivers : []}
+        onClose={() => setMergeOpen(false)}
+        onMerged={handleMerged}
+      />
     </Box>
   );
 };
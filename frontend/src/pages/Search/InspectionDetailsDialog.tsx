@@ -0,0 +1,137 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  Grid,
+  IconButton,
+  Tab,
+  Tabs,
+  Typography,
+} from '@mui/material';
+import { Close } from '@mui/icons-material';
+import { InspeccionData, formatDate } from '../../services/api';
+import AuditHistory from '../../components/AuditHistory/AuditHistory';
+
+interface InspectionDetailsDialogProps {
+  inspection: InspeccionData | null;
+  onClose: () => void;
+}
+
+// Respuestas de fatiga: la pregunta y si la respuesta es desfavorable
+const FATIGUE_ANSWERS: Array<{ label: string; isRisk: (inspection: InspeccionData) => boolean }> = [
+  { label: 'Durmió al menos 7 horas', isRisk: inspection => !inspection.horas_sueno_suficientes },
+  { label: 'Libre de síntomas de fatiga', isRisk: inspection => !inspection.libre_sintomas_fatiga },
+  { label: 'En condiciones de conducir', isRisk: inspection => !inspection.condiciones_aptas },
+  { label: 'Sin medicamentos ni sustancias', isRisk: inspection => inspection.consumo_medicamentos },
+];
+
+const DetailField: React.FC<{ label: string; value: React.ReactNode }> = ({ label, value }) => (
+  <Grid item xs={12} sm={4}>
+    <Typography variant="caption" color="text.secondary">{label}</Typography>
+    <Typography variant="body2">{value || '-'}</Typography>
+  </Grid>
+);
+
+// 🔍 Detalle de una inspección con su historial de cambios (cargas, actualizaciones y reversiones)
+const InspectionDetailsDialog: React.FC<InspectionDetailsDialogProps> = ({ inspection, onClose }) => {
+  const [tab, setTab] = useState<'detalle' | 'historial'>('detalle');
+
+  useEffect(() => {
+    setTab('detalle');
+  }, [inspection?.id]);
+
+  return (
+    <Dialog open={!!inspection} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Typography variant="h6">
+            Inspección {inspection?.placa_vehiculo}
+          </Typography>
+          <IconButton onClick={onClose}>
+            <Close />
+          </IconButton>
+        </Box>
+      </DialogTitle>
+      <DialogContent>
+        {inspection && (
+          <Box>
+            <Tabs value={tab} onChange={(_, value) => setTab(value)} sx={{ mb: 2 }}>
+              <Tab value="detalle" label="Detalle" />
+              <Tab value="historial" label="Historial" />
+            </Tabs>
+
+            {tab === 'detalle' && (
+              <Box>
+                <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+                  {inspection.tiene_alerta_roja ? (
+                    <Chip label="Alerta crítica" color="error" size="small" />
+                  ) : inspection.tiene_advertencias ? (
+                    <Chip label="Advertencia" color="warning" size="small" />
+                  ) : (
+                    <Chip label="Sin problemas" color="success" size="small" />
+                  )}
+                  <Chip
+                    label={`${inspection.puntaje_total}/100`}
+                    size="small"
+                    color={inspection.puntaje_total >= 85 ? 'success' : inspection.puntaje_total >= 70 ? 'warning' : 'error'}
+                  />
+                </Box>
+                <Grid container spacing={2}>
+                  <DetailField label="Fecha" value={formatDate(inspection.fecha)} />
+                  <DetailField label="Conductor" value={inspection.conductor_nombre} />
+                  <DetailField label="Cédula" value={inspection.conductor_cedula} />
+                  <DetailField label="Placa" value={inspection.placa_vehiculo} />
+                  <DetailField label="Contrato" value={inspection.contrato} />
+                  <DetailField label="Campo" value={inspection.campo} />
+                  <DetailField label="Turno" value={inspection.turno} />
+                </Grid>
+
+                <Divider sx={{ my: 2 }} />
+                <Typography variant="subtitle2" gutterBottom>
+                  Fatiga
+                </Typography>
+                <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                  {FATIGUE_ANSWERS.map(answer => (
+                    <Chip
+                      key={answer.label}
+                      label={answer.label}
+                      color={answer.isRisk(inspection) ? 'error' : 'success'}
+                      variant="outlined"
+                      size="small"
+                    />
+                  ))}
+                </Box>
+
+                {inspection.observaciones && (
+                  <>
+                    <Divider sx={{ my: 2 }} />
+                    <Typography variant="subtitle2" gutterBottom>
+                      Observaciones
+                    </Typography>
+                    <Typography variant="body2">{inspection.observaciones}</Typography>
+                  </>
+                )}
+              </Box>
+            )}
+
+            {/* Cambios registrados en la auditoría */}
+            {tab === 'historial' && (
+              <AuditHistory entity="inspecciones" entityId={inspection.id} />
+            )}
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cerrar</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default InspectionDetailsDialog;
@@ -48,8 +48,10 @@ import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
 import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import { es } from 'date-fns/locale';
 import { searchService, SearchResult, AdvancedSearchFilters } from '../../services/searchService';
+import contractService from '../../services/contractService';
 import { SearchFilters } from '../../services/api';
 import { InspeccionData, formatDate, formatNumber } from '../../services/api';
+import InspectionDetailsDialog from './InspectionDetailsDialog';
 
 const Search: React.FC = () => {
   const [searchResults, setSearchResults] = useState<SearchResult | null>(null);
@@ -58,6 +60,7 @@ const Search: React.FC = () => {
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(25);
   const [showAdvanced, setShowAdvanced] = useState(false);
+  const [selectedInspection, setSelectedInspection] = useState<InspeccionData | null>(null);
 
   // 🔍 Filtros básicos
   const [basicFilters, setBasicFilters] = useState<SearchFilters>({
@@ -81,9 +84,11 @@ const Search: React.FC = () => {
   useEffect(() => {
     const loadFilterOptions = async () => {
       try {
-        // TODO: Implementar carga de opciones desde la API
-        setContractOptions(['CONTRATO_A', 'CONTRATO_B', 'CONTRATO_C']);
-        setFieldOptions(['CAMPO_1', 'CAMPO_2', 'CAMPO_3']);
+        // Contratos y campos canónicos del maestro
+        const { contracts } = await contractService.getContracts();
+        setContractOptions(contracts.map(contract => contract.name));
+        setFieldOptions(Array.from(new Set(contracts.flatMap(contract => contract.fields.map(field => field.name)))).sort());
+        // TODO: Implementar carga de conductores desde la API
         setDriverOptions([
           { label: 'Juan Pérez', id: '12345678' },
           { label: 'María García', id: '87654321' },
@@ -537,7 +542,7 @@ const Search: React.FC = () => {
                         </TableCell>
                         <TableCell>
                           <Tooltip title="Ver detalles">
-                            <IconButton size="small">
+                            <IconButton size="small" onClick={() => setSelectedInspection(inspeccion)}>
                               <Visibility />
                             </IconButton>
                           </Tooltip>
@@ -581,6 +586,11 @@ const Search: React.FC = () => {
           </Card>
         )}
       </Box>
+
+      <InspectionDetailsDialog
+        inspection={selectedInspection}
+        onClose={() => setSelectedInspection(null)}
+      />
     </LocalizationProvider>
   );
 };
@@ -0,0 +1,276 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  ListSubheader,
+  MenuItem,
+  Select,
+  Step,
+  StepLabel,
+  Stepper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import uploadService, {
+  ColumnMappingSummary,
+  MappableField,
+  MappingProfile,
+} from '../../services/uploadService';
+
+interface ColumnMappingWizardProps {
+  open: boolean;
+  fileName: string;
+  columnMapping: ColumnMappingSummary;
+  onClose: () => void;
+  // Perfil guardado: la página vuelve a validar el archivo con él
+  onSaved: (profile: MappingProfile) => void;
+}
+
+// Valor del selector para descartar la columna (se guarda como null en el perfil)
+const IGNORE = '__ignorar__';
+
+// Sugerencias con al menos esta similitud se preseleccionan
+const AUTO_SELECT_SCORE = 0.5;
+
+const GROUP_LABELS: Record<MappableField['group'], string> = {
+  general: 'Datos generales',
+  fatiga: 'Fatiga del conductor',
+  checklist: 'Ítems de inspección',
+};
+
+const STEPS = ['Asignar columnas', 'Guardar perfil'];
+
+// 🗺️ Asistente para asignar encabezados no reconocidos y guardarlos como perfil reutilizable
+const ColumnMappingWizard: React.FC<ColumnMappingWizardProps> = ({
+  open,
+  fileName,
+  columnMapping,
+  onClose,
+  onSaved,
+}) => {
+  const [activeStep, setActiveStep] = useState(0);
+  const [fields, setFields] = useState<MappableField[]>([]);
+  const [assignments, setAssignments] = useState<Record<string, string>>({});
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Reiniciar con las sugerencias del archivo cada vez que se abre
+  useEffect(() => {
+    if (!open) return;
+    setActiveStep(0);
+    setError(null);
+    setName(fileName.replace(/\.(xlsx|xls|csv)$/i, '').replace(/(\s*\(\d+\))+$/, '').trim());
+    setDescription('');
+    setAssignments(
+      columnMapping.unmapped.reduce<Record<string, string>>((acc, column) => {
+        const best = column.suggestions[0];
+        acc[column.header] = best && best.score >= AUTO_SELECT_SCORE ? best.field : '';
+        return acc;
+      }, {})
+    );
+    uploadService
+      .getMappableFields()
+      .then(setFields)
+      .catch((err) => setError((err as Error)?.message ?? 'Error cargando campos'));
+  }, [open, fileName, columnMapping]);
+
+  // Campos ya reconocidos en el archivo o asignados en el asistente
+  const usedFields = useMemo(() => {
+    const used = new Set(columnMapping.found);
+    Object.values(assignments).forEach((field) => {
+      if (field && field !== IGNORE) used.add(field);
+    });
+    return used;
+  }, [columnMapping.found, assignments]);
+
+  const missingRequired = fields.filter((field) => field.required && !usedFields.has(field.field));
+  const assignedCount = Object.values(assignments).filter(Boolean).length;
+
+  const handleAssign = (header: string, field: string) => {
+    setAssignments((prev) => ({ ...prev, [header]: field }));
+  };
+
+  const handleSave = async () => {
+    const mapping = Object.entries(assignments).reduce<Record<string, string | null>>((acc, [header, field]) => {
+      if (field) acc[header] = field === IGNORE ? null : field;
+      return acc;
+    }, {});
+
+    try {
+      setSaving(true);
+      setError(null);
+      const profile = await uploadService.createMappingProfile({
+        name: name.trim(),
+        description: description.trim() || undefined,
+        mapping,
+        headers: columnMapping.unmapped.map((column) => column.header),
+      });
+      onSaved(profile);
+    } catch (err) {
+      setError((err as Error)?.message ?? 'Error guardando el perfil');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderFieldOptions = (header: string) => {
+    const current = assignments[header];
+    return (Object.keys(GROUP_LABELS) as Array<MappableField['group']>).flatMap((group) => [
+      <ListSubheader key={`group-${group}`}>{GROUP_LABELS[group]}</ListSubheader>,
+      ...fields
+        .filter((field) => field.group === group)
+        .map((field) => (
+          <MenuItem
+            key={field.field}
+            value={field.field}
+            disabled={usedFields.has(field.field) && field.field !== current}
+          >
+            {field.label}
+            {field.required ? ' *' : ''}
+          </MenuItem>
+        )),
+    ]);
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Asignar columnas del archivo</DialogTitle>
+      <DialogContent>
+        <Stepper activeStep={activeStep} sx={{ mb: 3 }}>
+          {STEPS.map((label) => (
+            <Step key={label}>
+              <StepLabel>{label}</StepLabel>
+            </Step>
+          ))}
+        </Stepper>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {activeStep === 0 && (
+          <>
+            {missingRequired.length > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                Campos obligatorios sin columna: {missingRequired.map((field) => field.label).join(', ')}
+              </Alert>
+            )}
+            {columnMapping.unmapped.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                Todas las columnas del archivo están reconocidas.
+              </Typography>
+            ) : (
+              <TableContainer sx={{ maxHeight: 420 }}>
+                <Table size="small" stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Encabezado en el archivo</TableCell>
+                      <TableCell sx={{ minWidth: 260 }}>Campo</TableCell>
+                      <TableCell>Sugerencias</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {columnMapping.unmapped.map((column) => (
+                      <TableRow key={column.header}>
+                        <TableCell sx={{ maxWidth: 280, wordBreak: 'break-word' }}>{column.header}</TableCell>
+                        <TableCell>
+                          <Select
+                            size="small"
+                            fullWidth
+                            displayEmpty
+                            value={assignments[column.header] ?? ''}
+                            onChange={(event) => handleAssign(column.header, event.target.value)}
+                          >
+                            <MenuItem value="">
+                              <em>Sin asignar</em>
+                            </MenuItem>
+                            <MenuItem value={IGNORE}>Ignorar columna</MenuItem>
+                            {renderFieldOptions(column.header)}
+                          </Select>
+                        </TableCell>
+                        <TableCell>
+                          <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                            {column.suggestions.map((suggestion) => (
+                              <Chip
+                                key={suggestion.field}
+                                size="small"
+                                variant="outlined"
+                                label={`${suggestion.label} (${Math.round(suggestion.score * 100)}%)`}
+                                disabled={usedFields.has(suggestion.field) && assignments[column.header] !== suggestion.field}
+                                onClick={() => handleAssign(column.header, suggestion.field)}
+                              />
+                            ))}
+                          </Box>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </>
+        )}
+
+        {activeStep === 1 && (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+            <Typography variant="body2" color="text.secondary">
+              El perfil se aplicará automáticamente a los archivos que tengan estos encabezados.
+            </Typography>
+            <TextField
+              label="Nombre del perfil"
+              size="small"
+              value={name}
+              onChange={(event) => setName(event.target.value)}
+              required
+            />
+            <TextField
+              label="Descripción (versión del formulario)"
+              size="small"
+              value={description}
+              onChange={(event) => setDescription(event.target.value)}
+              multiline
+              minRows={2}
+            />
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Cancelar
+        </Button>
+        {activeStep === 1 && (
+          <Button onClick={() => setActiveStep(0)} disabled={saving}>
+            Atrás
+          </Button>
+        )}
+        {activeStep === 0 ? (
+          <Button variant="contained" onClick={() => setActiveStep(1)} disabled={assignedCount === 0}>
+            Siguiente
+          </Button>
+        ) : (
+          <Button variant="contained" onClick={handleSave} disabled={saving || !name.trim()}>
+            {saving ? 'Guardando...' : 'Guardar y revalidar'}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ColumnMappingWizard;
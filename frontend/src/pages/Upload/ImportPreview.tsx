@@ -0,0 +1,170 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Box,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import { ImportPreview as ImportPreviewData, PreviewRowStatus } from '../../services/uploadService';
+import { formatDateTime, formatNumber } from '../../services/api';
+
+interface ImportPreviewProps {
+  preview: ImportPreviewData;
+}
+
+const STATUS_LABELS: Record<PreviewRowStatus, string> = {
+  new: 'Nueva',
+  duplicate: 'Ya existe',
+  changed: 'Modificada',
+  invalid: 'Inválida',
+};
+
+const STATUS_COLORS: Record<PreviewRowStatus, 'success' | 'default' | 'warning' | 'error'> = {
+  new: 'success',
+  duplicate: 'default',
+  changed: 'warning',
+  invalid: 'error',
+};
+
+const formatValue = (value: unknown) => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+// 👁️ Grilla de la vista previa de importación: cada fila con su clasificación
+const ImportPreview: React.FC<ImportPreviewProps> = ({ preview }) => {
+  const [statusFilter, setStatusFilter] = useState<PreviewRowStatus | 'all'>('all');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+
+  const filteredRows = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return preview.rows.filter((row) => {
+      if (statusFilter !== 'all' && row.status !== statusFilter) return false;
+      if (!term) return true;
+      return [row.plate, row.inspector, row.contract, row.sheet].some((value) =>
+        (value || '').toLowerCase().includes(term)
+      );
+    });
+  }, [preview.rows, statusFilter, search]);
+
+  const handleFilterChange = (status: PreviewRowStatus | 'all') => {
+    setStatusFilter(status);
+    setPage(0);
+  };
+
+  const handleChangeRowsPerPage = (event: React.ChangeEvent<HTMLInputElement>) => {
+    setRowsPerPage(parseInt(event.target.value, 10));
+    setPage(0);
+  };
+
+  return (
+    <Box>
+      {/* Filtros por clasificación */}
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2, alignItems: 'center' }}>
+        <Chip
+          label={`Todas (${formatNumber(preview.summary.total)})`}
+          color="primary"
+          variant={statusFilter === 'all' ? 'filled' : 'outlined'}
+          onClick={() => handleFilterChange('all')}
+        />
+        {(Object.keys(STATUS_LABELS) as PreviewRowStatus[]).map((status) => (
+          <Chip
+            key={status}
+            label={`${STATUS_LABELS[status]} (${formatNumber(preview.summary[status])})`}
+            color={STATUS_COLORS[status]}
+            variant={statusFilter === status ? 'filled' : 'outlined'}
+            onClick={() => handleFilterChange(status)}
+          />
+        ))}
+        <TextField
+          size="small"
+          placeholder="Buscar placa, inspector, contrato..."
+          value={search}
+          onChange={(event) => {
+            setSearch(event.target.value);
+            setPage(0);
+          }}
+          sx={{ ml: 'auto', minWidth: 260 }}
+        />
+      </Box>
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Hoja / Fila</TableCell>
+              <TableCell>Estado</TableCell>
+              <TableCell>Placa</TableCell>
+              <TableCell>Inspector</TableCell>
+              <TableCell>Fecha</TableCell>
+              <TableCell>Detalle</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {filteredRows.slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage).map((row) => (
+              <TableRow key={`${row.sheet}-${row.row}`}>
+                <TableCell>
+                  <Typography variant="body2">{row.sheet}</Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    Fila {row.row}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Chip label={STATUS_LABELS[row.status]} color={STATUS_COLORS[row.status]} size="small" />
+                </TableCell>
+                <TableCell>{row.plate}</TableCell>
+                <TableCell>{row.inspector}</TableCell>
+                <TableCell>{row.date ? formatDateTime(row.date) : '—'}</TableCell>
+                <TableCell sx={{ maxWidth: 360 }}>
+                  {row.errors.map((message) => (
+                    <Typography key={message} variant="caption" color="error" display="block">
+                      {message}
+                    </Typography>
+                  ))}
+                  {row.changes.map((change) => (
+                    <Typography key={change.field} variant="caption" display="block">
+                      {change.field}: {formatValue(change.current)} → {formatValue(change.incoming)}
+                    </Typography>
+                  ))}
+                  {row.inspectionId && row.changes.length === 0 && (
+                    <Typography variant="caption" color="text.secondary" display="block">
+                      Inspección {row.inspectionId}
+                    </Typography>
+                  )}
+                  {row.warnings.length > 0 && (
+                    <Tooltip title={row.warnings.join(' · ')}>
+                      <Typography variant="caption" color="warning.main" display="block">
+                        {row.warnings.length} advertencia(s)
+                      </Typography>
+                    </Tooltip>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <TablePagination
+        component="div"
+        count={filteredRows.length}
+        page={page}
+        onPageChange={(_event, newPage) => setPage(newPage)}
+        rowsPerPage={rowsPerPage}
+        onRowsPerPageChange={handleChangeRowsPerPage}
+        rowsPerPageOptions={[10, 25, 50, 100]}
+        labelRowsPerPage="Filas por página:"
+        labelDisplayedRows={({ from, to, count }) => `${from}-${to} de ${count}`}
+      />
+    </Box>
+  );
+};
+
+export default ImportPreview;
@@ -0,0 +1,381 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import { Delete, History, Send } from '@mui/icons-material';
+import uploadService, {
+  QuarantineRow,
+  QuarantineRowData,
+  QuarantineStatus,
+  QuarantineValidation,
+} from '../../services/uploadService';
+import { formatDateTime, formatNumber } from '../../services/api';
+
+interface QuarantineGridProps {
+  uploadId?: string;
+  // Cambia cuando termina una carga para volver a consultar
+  refreshKey?: number;
+}
+
+type EditableField = keyof QuarantineRowData;
+
+const COLUMNS: Array<{ field: EditableField; label: string; width: number; type?: string }> = [
+  { field: 'fecha', label: 'Fecha', width: 200, type: 'datetime-local' },
+  { field: 'conductor_nombre', label: 'Inspector', width: 180 },
+  { field: 'placa_vehiculo', label: 'Placa', width: 100 },
+  { field: 'contrato', label: 'Contrato', width: 160 },
+  { field: 'turno', label: 'Turno', width: 110 },
+  { field: 'campo_coordinacion', label: 'Campo', width: 130 },
+  { field: 'kilometraje', label: 'Km', width: 100, type: 'number' },
+  { field: 'observaciones', label: 'Observaciones', width: 200 },
+];
+
+const STATUS_LABELS: Record<QuarantineStatus, string> = {
+  PENDIENTE: 'Pendientes',
+  CORREGIDA: 'Corregidas',
+  DESCARTADA: 'Descartadas',
+};
+
+const ACTION_LABELS: Record<QuarantineRow['history'][number]['action'], string> = {
+  EDITADA: 'editó',
+  REENVIADA: 'corrigió y reenvió',
+  DESCARTADA: 'descartó',
+};
+
+// La fecha llega y se envía como hora del formulario sin zona ("2025-08-01T05:33:10"):
+// el servidor la interpreta en su zona horaria, igual que al importar
+const toLocalInput = (value: string | null) => (value ? value.slice(0, 19) : '');
+
+const displayValue = (row: QuarantineRow, edits: Partial<QuarantineRowData> | undefined, field: EditableField) => {
+  const value = edits && field in edits ? edits[field] : row.data[field];
+  if (field === 'fecha') return toLocalInput((value as string | null) ?? null);
+  return value === null || value === undefined ? '' : String(value);
+};
+
+// 🧪 Grilla editable de filas en cuarentena: corrección con validación en línea y reenvío
+const QuarantineGrid: React.FC<QuarantineGridProps> = ({ uploadId, refreshKey }) => {
+  const [status, setStatus] = useState<QuarantineStatus>('PENDIENTE');
+  const [rows, setRows] = useState<QuarantineRow[]>([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(10);
+  const [loading, setLoading] = useState(false);
+  const [edits, setEdits] = useState<Record<string, Partial<QuarantineRowData>>>({});
+  const [validations, setValidations] = useState<Record<string, QuarantineValidation>>({});
+  const [savingRow, setSavingRow] = useState<string | null>(null);
+  const [userName, setUserName] = useState('');
+  const [discardTarget, setDiscardTarget] = useState<QuarantineRow | null>(null);
+  const [discardReason, setDiscardReason] = useState('');
+  const [message, setMessage] = useState<{ severity: 'success' | 'error'; text: string } | null>(null);
+
+  const loadRows = useCallback(async () => {
+    try {
+      setLoading(true);
+      const result = await uploadService.getQuarantine({
+        uploadId,
+        status,
+        page: page + 1,
+        limit: rowsPerPage,
+      });
+      setRows(result.rows);
+      setTotal(result.total);
+    } catch (err) {
+      console.error('Error cargando cuarentena:', err);
+      setMessage({ severity: 'error', text: (err as Error)?.message ?? 'Error cargando filas en cuarentena' });
+    } finally {
+      setLoading(false);
+    }
+  }, [uploadId, status, page, rowsPerPage]);
+
+  useEffect(() => {
+    loadRows();
+  }, [loadRows, refreshKey]);
+
+  const handleEdit = (rowId: string, field: EditableField, value: string) => {
+    setEdits((prev) => ({
+      ...prev,
+      [rowId]: {
+        ...prev[rowId],
+        [field]: value,
+      },
+    }));
+  };
+
+  // ✅ Validación en línea al salir de una celda editada
+  const handleValidate = async (rowId: string) => {
+    const rowEdits = edits[rowId];
+    if (!rowEdits) return;
+    try {
+      const validation = await uploadService.validateQuarantineRow(rowId, rowEdits);
+      setValidations((prev) => ({ ...prev, [rowId]: validation }));
+    } catch (err) {
+      console.error('Error validando fila:', err);
+    }
+  };
+
+  const handleResubmit = async (row: QuarantineRow) => {
+    try {
+      setSavingRow(row.id);
+      await uploadService.resubmitQuarantineRow(row.id, edits[row.id] ?? {}, userName.trim() || undefined);
+      setMessage({ severity: 'success', text: `Fila ${row.row} de "${row.sheet}" corregida e insertada` });
+      setEdits(({ [row.id]: _removed, ...rest }) => rest);
+    } catch (err) {
+      setMessage({ severity: 'error', text: (err as Error)?.message ?? 'Error reenviando la fila' });
+    } finally {
+      setSavingRow(null);
+      await loadRows();
+    }
+  };
+
+  const handleDiscard = async () => {
+    if (!discardTarget || !discardReason.trim()) return;
+    try {
+      await uploadService.discardQuarantineRow(discardTarget.id, discardReason.trim(), userName.trim() || undefined);
+      setMessage({ severity: 'success', text: `Fila ${discardTarget.row} de "${discardTarget.sheet}" descartada` });
+      setDiscardTarget(null);
+      setDiscardReason('');
+      await loadRows();
+    } catch (err) {
+      setMessage({ severity: 'error', text: (err as Error)?.message ?? 'Error descartando la fila' });
+    }
+  };
+
+  // Errores vigentes de un campo: la validación en línea reemplaza a los del archivo
+  const fieldErrors = (row: QuarantineRow, field: EditableField) => {
+    const validation = validations[row.id];
+    if (validation) return validation.errors.filter((error) => error.field === field).map((error) => error.message);
+    return row.errors.filter((error) => error.campo === field).map((error) => error.mensaje);
+  };
+
+  const rowErrors = (row: QuarantineRow) => {
+    const validation = validations[row.id];
+    if (validation) return validation.errors.map((error) => `${error.field}: ${error.message}`);
+    return row.errors.map((error) => `${error.columna || error.campo}: ${error.mensaje}`);
+  };
+
+  return (
+    <Box>
+      {message && (
+        <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2, alignItems: 'center' }}>
+        {(Object.keys(STATUS_LABELS) as QuarantineStatus[]).map((option) => (
+          <Chip
+            key={option}
+            label={option === status ? `${STATUS_LABELS[option]} (${formatNumber(total)})` : STATUS_LABELS[option]}
+            color={option === 'PENDIENTE' ? 'warning' : option === 'CORREGIDA' ? 'success' : 'default'}
+            variant={option === status ? 'filled' : 'outlined'}
+            onClick={() => {
+              setStatus(option);
+              setPage(0);
+            }}
+          />
+        ))}
+        <TextField
+          size="small"
+          label="Corregido por"
+          value={userName}
+          onChange={(event) => setUserName(event.target.value)}
+          sx={{ ml: 'auto', minWidth: 220 }}
+        />
+      </Box>
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Hoja / Fila</TableCell>
+              {COLUMNS.map((column) => (
+                <TableCell key={column.field} sx={{ minWidth: column.width }}>
+                  {column.label}
+                </TableCell>
+              ))}
+              <TableCell sx={{ minWidth: 220 }}>Errores</TableCell>
+              <TableCell align="right">Acciones</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map((row) => {
+              const errors = rowErrors(row);
+              const validation = validations[row.id];
+              return (
+                <TableRow key={row.id} hover>
+                  <TableCell>
+                    <Typography variant="body2">{row.sheet}</Typography>
+                    <Typography variant="caption" color="text.secondary" display="block">
+                      Fila {row.row}
+                      {row.fileName ? ` · ${row.fileName}` : ''}
+                    </Typography>
+                  </TableCell>
+                  {COLUMNS.map((column) => {
+                    const messages = fieldErrors(row, column.field);
+                    return (
+                      <TableCell key={column.field}>
+                        {row.editable ? (
+                          <TextField
+                            variant="standard"
+                            size="small"
+                            fullWidth
+                            type={column.type ?? 'text'}
+                            inputProps={column.type === 'datetime-local' ? { step: 1 } : undefined}
+                            value={displayValue(row, edits[row.id], column.field)}
+                            error={messages.length > 0}
+                            helperText={messages.join(' · ') || undefined}
+                            onChange={(event) => handleEdit(row.id, column.field, event.target.value)}
+                            onBlur={() => handleValidate(row.id)}
+                          />
+                        ) : (
+                          <Typography variant="body2" color={messages.length > 0 ? 'error' : undefined}>
+                            {column.field === 'fecha' && row.data.fecha
+                              ? formatDateTime(row.data.fecha)
+                              : displayValue(row, undefined, column.field) || '—'}
+                          </Typography>
+                        )}
+                      </TableCell>
+                    );
+                  })}
+                  <TableCell>
+                    {errors.length === 0 ? (
+                      <Typography variant="caption" color="success.main">
+                        {row.status === 'PENDIENTE' ? 'Sin errores, lista para reenviar' : '—'}
+                      </Typography>
+                    ) : (
+                      errors.map((error) => (
+                        <Typography key={error} variant="caption" color="error" display="block">
+                          {error}
+                        </Typography>
+                      ))
+                    )}
+                    {row.resolvedBy && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        {row.status === 'CORREGIDA' ? 'Corregida' : 'Descartada'} por {row.resolvedBy}
+                        {row.resolvedAt ? ` el ${formatDateTime(row.resolvedAt)}` : ''}
+                      </Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    {row.history.length > 0 && (
+                      <Tooltip
+                        title={
+                          <Box>
+                            {row.history.map((entry, index) => (
+                              <Typography key={index} variant="caption" display="block">
+                                {formatDateTime(entry.date)} · {entry.user} {ACTION_LABELS[entry.action]}
+                                {entry.changes.length > 0 &&
+                                  `: ${entry.changes
+                                    .map((change) => `${change.campo} "${change.anterior ?? ''}" → "${change.nuevo ?? ''}"`)
+                                    .join(', ')}`}
+                                {entry.comment ? ` (${entry.comment})` : ''}
+                              </Typography>
+                            ))}
+                          </Box>
+                        }
+                      >
+                        <IconButton size="small">
+                          <History fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                    {row.editable && (
+                      <>
+                        <Tooltip title="Guardar corrección e insertar">
+                          <span>
+                            <IconButton
+                              size="small"
+                              color="primary"
+                              disabled={savingRow === row.id || (validation ? !validation.isValid : !edits[row.id])}
+                              onClick={() => handleResubmit(row)}
+                            >
+                              <Send fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                        <Tooltip title="Descartar fila">
+                          <IconButton size="small" onClick={() => setDiscardTarget(row)}>
+                            <Delete fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      </>
+                    )}
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+            {!loading && rows.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={COLUMNS.length + 3}>
+                  <Typography variant="body2" color="text.secondary" align="center">
+                    No hay filas {STATUS_LABELS[status].toLowerCase()} en cuarentena
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <TablePagination
+        component="div"
+        count={total}
+        page={page}
+        onPageChange={(_event, newPage) => setPage(newPage)}
+        rowsPerPage={rowsPerPage}
+        onRowsPerPageChange={(event) => {
+          setRowsPerPage(parseInt(event.target.value, 10));
+          setPage(0);
+        }}
+        rowsPerPageOptions={[10, 25, 50]}
+        labelRowsPerPage="Filas por página:"
+        labelDisplayedRows={({ from, to, count }) => `${from}-${to} de ${count}`}
+      />
+
+      {/* Descartar fila */}
+      <Dialog open={!!discardTarget} onClose={() => setDiscardTarget(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Descartar fila en cuarentena</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            La fila {discardTarget?.row} de "{discardTarget?.sheet}" no se insertará. Indica el motivo.
+          </Typography>
+          <TextField
+            autoFocus
+            fullWidth
+            multiline
+            minRows={2}
+            label="Motivo"
+            value={discardReason}
+            onChange={(event) => setDiscardReason(event.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDiscardTarget(null)}>Cancelar</Button>
+          <Button color="error" variant="contained" onClick={handleDiscard} disabled={!discardReason.trim()}>
+            Descartar
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default QuarantineGrid;
@@ -27,6 +27,12 @@ import {
   Paper,
   IconButton,
   Tooltip,
+  Checkbox,
+  FormControlLabel,
+  FormGroup,
+  Radio,
+  RadioGroup,
+  TextField,
 } from '@mui/material';
 import {
   CloudUpload,
@@ -40,19 +46,44 @@ import {
   Assessment,
   Description,
 } from '@mui/icons-material';
-import { uploadService, UploadResult, ValidationResult, UploadHistory } from '../../services/uploadService';
-import { formatDate, formatNumber } from '../../services/api';
+import {
+  uploadService,
+  UploadResult,
+  ValidationResult,
+  UploadHistory,
+  ImportMode,
+  UploadJobStatus,
+  ImportPreview as ImportPreviewData,
+  MappingProfile,
+} from '../../services/uploadService';
+import ImportPreview from './ImportPreview';
+import QuarantineGrid from './QuarantineGrid';
+import ColumnMappingWizard from './ColumnMappingWizard';
+import { formatDate, formatDateTime, formatNumber } from '../../services/api';
 
 const Upload: React.FC = () => {
   const [selectedFile, setSelectedFile] = useState<File | null>(null);
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [validationResult, setValidationResult] = useState<ValidationResult | null>(null);
+  const [selectedSheets, setSelectedSheets] = useState<string[]>([]);
+  const [importPreview, setImportPreview] = useState<ImportPreviewData | null>(null);
+  const [importMode, setImportMode] = useState<ImportMode>('skip');
+  const [atomicUpload, setAtomicUpload] = useState(false);
+  const [incrementalUpload, setIncrementalUpload] = useState(true);
+  const [quarantineRefresh, setQuarantineRefresh] = useState(0);
+  // Perfil de mapeo elegido en el asistente (sin perfil, el servidor autodetecta entre los guardados)
+  const [mappingProfileId, setMappingProfileId] = useState<string | undefined>(undefined);
+  const [mappingWizardOpen, setMappingWizardOpen] = useState(false);
   const [uploadResult, setUploadResult] = useState<UploadResult | null>(null);
+  const [activeJobId, setActiveJobId] = useState<string | null>(null);
+  const [jobStatus, setJobStatus] = useState<UploadJobStatus | null>(null);
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState<string | null>(null);
   const [uploadHistory, setUploadHistory] = useState<UploadHistory[]>([]);
   const [historyOpen, setHistoryOpen] = useState(false);
+  const [revertTarget, setRevertTarget] = useState<UploadHistory | null>(null);
+  const [revertReason, setRevertReason] = useState('');
 
   // 🔄 Cargar historial al montar
   useEffect(() => {
@@ -83,21 +114,25 @@ const Upload: React.FC = () => {
 
     setSelectedFile(file);
     setValidationResult(null);
+    setMappingProfileId(undefined);
+    setSelectedSheets([]);
+    setImportPreview(null);
     setUploadResult(null);
     setError(null);
     setSuccess(null);
   };
 
-  // ✅ Validar archivo
-  const handleValidateFile = async () => {
+  // ✅ Validar archivo (con el perfil de mapeo indicado, si lo hay)
+  const validateSelectedFile = async (profileId?: string) => {
     if (!selectedFile) return;
 
     try {
       setUploading(true);
       setError(null);
 
-      const result = await uploadService.validateFile(selectedFile);
+      const result = await uploadService.validateFile(selectedFile, { profileId });
       setValidationResult(result);
+      setSelectedSheets((result.sheets ?? []).filter((sheet) => sheet.importable).map((sheet) => sheet.name));
 
       if (result.isValid) {
         setSuccess('Archivo validado correctamente');
@@ -112,6 +147,37 @@ const Upload: React.FC = () => {
     }
   };
 
+  const handleValidateFile = () => validateSelectedFile(mappingProfileId);
+
+  // 🗺️ Perfil guardado en el asistente: revalidar el archivo con él
+  const handleMappingSaved = async (profile: MappingProfile) => {
+    setMappingWizardOpen(false);
+    setMappingProfileId(profile.id);
+    await validateSelectedFile(profile.id);
+  };
+
+  // 👁️ Vista previa sin escribir: clasifica cada fila contra la base de datos
+  const handlePreviewFile = async () => {
+    if (!selectedFile) return;
+
+    try {
+      setUploading(true);
+      setError(null);
+
+      const result = await uploadService.validateFile(selectedFile, {
+        preview: true,
+        sheets: selectedSheets,
+        profileId: mappingProfileId,
+      });
+      setImportPreview(result.preview ?? null);
+    } catch (err) {
+      console.error('Error generando vista previa:', err);
+      setError((err as Error)?.message ?? 'Error generando vista previa');
+    } finally {
+      setUploading(false);
+    }
+  };
+
   // 📤 Subir archivo
   const handleUploadFile = async () => {
     if (!selectedFile) return;
@@ -121,50 +187,151 @@ const Upload: React.FC = () => {
       setError(null);
       setUploadProgress(0);
 
-      const result = await uploadService.uploadExcelFile(
+      const job = await uploadService.uploadExcelFile(
         selectedFile,
-        { overwriteDuplicates: false },
+        {
+          overwriteDuplicates: false,
+          sheets: selectedSheets,
+          mode: importMode,
+          atomic: atomicUpload,
+          incremental: incrementalUpload && importMode !== 'update',
+          profileId: mappingProfileId,
+        },
         (progress) => setUploadProgress(progress)
       );
 
+      // El procesamiento continúa en el servidor: se sigue por polling
+      setJobStatus(null);
+      setActiveJobId(job.jobId);
+    } catch (err) {
+      console.error('Error subiendo archivo:', err);
+      setError((err as Error)?.message ?? 'Error procesando archivo');
+      setUploading(false);
+    }
+  };
+
+  // ⏳ Consultar progreso del trabajo de carga hasta que termine
+  useEffect(() => {
+    if (!activeJobId) return;
+    let cancelled = false;
+    let timer: ReturnType<typeof setTimeout>;
+
+    const finishJob = async (status: UploadJobStatus) => {
+      setActiveJobId(null);
+      setUploading(false);
+
+      if (status.status === 'ERROR') {
+        setError(status.error || 'Error procesando archivo');
+        return;
+      }
+
+      const result = status.result ?? null;
       setUploadResult(result);
-      setSuccess(`Archivo procesado exitosamente. ${result.newRecords} registros nuevos agregados.`);
-      
+      setQuarantineRefresh((value) => value + 1);
+      setSuccess(
+        `Archivo procesado exitosamente. ${result?.database?.newRecords ?? result?.newRecords ?? 0} registros nuevos agregados.`
+      );
+
       // Recargar historial
       await loadUploadHistory();
-      
+
       // Limpiar formulario
       setSelectedFile(null);
       setValidationResult(null);
+      setImportPreview(null);
+      setSelectedSheets([]);
       setUploadProgress(0);
-      
+
       // Reset file input
       const fileInput = document.getElementById('file-input') as HTMLInputElement;
       if (fileInput) fileInput.value = '';
-      
-    } catch (err) {
-      console.error('Error subiendo archivo:', err);
-      setError((err as Error)?.message ?? 'Error procesando archivo');
-    } finally {
-      setUploading(false);
-    }
+    };
+
+    const poll = async () => {
+      try {
+        const status = await uploadService.getProcessingProgress(activeJobId);
+        if (cancelled) return;
+        setJobStatus(status);
+
+        if (status.status === 'COMPLETED' || status.status === 'ERROR') {
+          await finishJob(status);
+          return;
+        }
+      } catch (err) {
+        console.error('Error consultando progreso:', err);
+      }
+      if (!cancelled) timer = setTimeout(poll, 1500);
+    };
+
+    poll();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [activeJobId]);
+
+  // 📑 Marcar/desmarcar hoja a importar
+  const handleToggleSheet = (sheetName: string) => {
+    setImportPreview(null);
+    setSelectedSheets((prev) =>
+      prev.includes(sheetName) ? prev.filter((name) => name !== sheetName) : [...prev, sheetName]
+    );
   };
 
   // 🗑️ Revertir upload
-  const handleRevertUpload = async (fileId: string) => {
+  const handleRevertUpload = async () => {
+    if (!revertTarget || !revertReason.trim()) return;
+
     try {
       setUploading(true);
-      await uploadService.revertUpload(fileId, 'Revertido por el usuario');
-      setSuccess('Upload revertido exitosamente');
+      await uploadService.revertUpload(revertTarget.id, revertReason.trim());
+      setSuccess(`Carga "${revertTarget.fileName}" revertida. El archivo puede volver a cargarse.`);
+      setRevertTarget(null);
+      setRevertReason('');
       await loadUploadHistory();
     } catch (err) {
       console.error('Error revirtiendo upload:', err);
-      setError('Error al revertir el upload');
+      setError((err as Error)?.message ?? 'Error al revertir el upload');
     } finally {
       setUploading(false);
     }
   };
 
+  // 📥 Descargar plantilla Excel para diligenciar
+  const handleDownloadTemplate = async () => {
+    try {
+      const blob = await uploadService.downloadTemplate();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'Plantilla HQ-FO-40.xlsx';
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error descargando plantilla:', err);
+      setError((err as Error)?.message ?? 'Error descargando la plantilla');
+    }
+  };
+
+  // 🚫 Descargar filas rechazadas de la última carga
+  const handleDownloadRejected = async () => {
+    const uploadId = uploadResult?.fileInfo?.processedFileId;
+    if (!uploadId) return;
+
+    try {
+      const blob = await uploadService.downloadRejectedRows(uploadId);
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `Filas rechazadas - ${uploadResult?.fileInfo?.fileName?.replace(/\.(xlsx|xls|csv)$/i, '')}.xlsx`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error descargando filas rechazadas:', err);
+      setError((err as Error)?.message ?? 'Error descargando filas rechazadas');
+    }
+  };
+
   // 📊 Obtener color del estado
   const getStatusColor = (status: string) => {
     switch (status) {
@@ -186,13 +353,22 @@ const Upload: React.FC = () => {
         <Typography variant="h4" component="h1" sx={{ fontWeight: 600 }}>
           Carga de Archivos Excel
         </Typography>
-        <Button
-          variant="outlined"
-          startIcon={<History />}
-          onClick={() => setHistoryOpen(true)}
-        >
-          Ver Historial
-        </Button>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button
+            variant="outlined"
+            startIcon={<Download />}
+            onClick={handleDownloadTemplate}
+          >
+            Descargar plantilla
+          </Button>
+          <Button
+            variant="outlined"
+            startIcon={<History />}
+            onClick={() => setHistoryOpen(true)}
+          >
+            Ver Historial
+          </Button>
+        </Box>
       </Box>
 
       {/* ⚠️ Mensajes */}
@@ -216,7 +392,7 @@ const Upload: React.FC = () => {
                 Seleccionar Archivo Excel
               </Typography>
               <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
-                Selecciona un archivo Excel (.xlsx o .xls) con los datos de inspecciones vehiculares
+                Selecciona un archivo Excel (.xlsx o .xls) o el CSV de respuestas de Google Forms con los datos de inspecciones vehiculares
               </Typography>
 
               {/* Input de archivo */}
@@ -224,7 +400,7 @@ const Upload: React.FC = () => {
                 <input
                   id="file-input"
                   type="file"
-                  accept=".xlsx,.xls"
+                  accept=".xlsx,.xls,.csv"
                   onChange={handleFileSelect}
                   style={{ display: 'none' }}
                 />
@@ -303,8 +479,133 @@ const Upload: React.FC = () => {
                           />
                         </ListItem>
                       )}
+                      {validationResult.source?.watermark && (
+                        <ListItem>
+                          <ListItemIcon>
+                            <History />
+                          </ListItemIcon>
+                          <ListItemText
+                            primary={`Última importación de "${validationResult.source.name}"`}
+                            secondary={`Marca temporal: ${formatDateTime(validationResult.source.watermark)}`}
+                          />
+                        </ListItem>
+                      )}
                     </List>
 
+                    {/* Columnas sin asignar: asistente de mapeo */}
+                    {validationResult.columnMapping &&
+                      (validationResult.columnMapping.unmapped.length > 0 ||
+                        validationResult.columnMapping.missingRequired.length > 0) && (
+                        <Alert
+                          severity={validationResult.isValid ? 'info' : 'warning'}
+                          sx={{ mt: 1 }}
+                          action={
+                            <Button color="inherit" size="small" onClick={() => setMappingWizardOpen(true)}>
+                              Asignar columnas
+                            </Button>
+                          }
+                        >
+                          {validationResult.columnMapping.missingRequired.length > 0
+                            ? `Faltan columnas obligatorias: ${validationResult.columnMapping.missingRequired.join(', ')}. `
+                            : ''}
+                          {formatNumber(validationResult.columnMapping.unmapped.length)} columnas del archivo sin asignar
+                        </Alert>
+                      )}
+                    {validationResult.profile && (
+                      <Chip
+                        label={`Perfil de mapeo: ${validationResult.profile.name}`}
+                        size="small"
+                        color="primary"
+                        variant="outlined"
+                        sx={{ mt: 1 }}
+                      />
+                    )}
+
+                    {/* Hojas del archivo */}
+                    {(validationResult.sheets?.length ?? 0) > 0 && (
+                      <Box sx={{ mt: 2 }}>
+                        <Typography variant="subtitle2" gutterBottom>
+                          Hojas a importar
+                        </Typography>
+                        <FormGroup>
+                          {validationResult.sheets?.map((sheet) => (
+                            <Box key={sheet.name} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                              <FormControlLabel
+                                control={
+                                  <Checkbox
+                                    size="small"
+                                    checked={selectedSheets.includes(sheet.name)}
+                                    disabled={!sheet.importable}
+                                    onChange={() => handleToggleSheet(sheet.name)}
+                                  />
+                                }
+                                label={`${sheet.name} (${formatNumber(sheet.rowCount)} filas)`}
+                              />
+                              {sheet.detectedMonthName && (
+                                <Chip
+                                  label={`${sheet.detectedMonthName}${sheet.detectedYear ? ` ${sheet.detectedYear}` : ''}`}
+                                  size="small"
+                                  variant="outlined"
+                                />
+                              )}
+                              {sheet.duplicateRows > 0 && (
+                                <Chip
+                                  label={`${formatNumber(sheet.duplicateRows)} repetidas en otras hojas`}
+                                  size="small"
+                                  color="warning"
+                                  variant="outlined"
+                                />
+                              )}
+                              {!sheet.importable && (
+                                <Chip label="Sin columnas obligatorias" size="small" color="error" variant="outlined" />
+                              )}
+                            </Box>
+                          ))}
+                        </FormGroup>
+                      </Box>
+                    )}
+
+                    {/* Registros ya existentes */}
+                    <Box sx={{ mt: 2 }}>
+                      <Typography variant="subtitle2" gutterBottom>
+                        Registros que ya existen
+                      </Typography>
+                      <RadioGroup
+                        row
+                        value={importMode}
+                        onChange={(event) => setImportMode(event.target.value as ImportMode)}
+                      >
+                        <FormControlLabel value="skip" control={<Radio size="small" />} label="Omitir" />
+                        <FormControlLabel value="update" control={<Radio size="small" />} label="Actualizar" />
+                        <FormControlLabel value="fail" control={<Radio size="small" />} label="Cancelar carga" />
+                      </RadioGroup>
+                      <Tooltip title="Si falla cualquier lote no se guarda ningún registro del archivo">
+                        <FormControlLabel
+                          control={
+                            <Checkbox
+                              size="small"
+                              checked={atomicUpload}
+                              onChange={(event) => setAtomicUpload(event.target.checked)}
+                            />
+                          }
+                          label="Todo o nada"
+                        />
+                      </Tooltip>
+                      <Tooltip title="Omite las filas con marca temporal anterior o igual a la última importada de este formulario (no aplica al actualizar)">
+                        <FormControlLabel
+                          control={
+                            <Checkbox
+                              size="small"
+                              disabled={importMode === 'update'}
+                              checked={incrementalUpload && importMode !== 'update'}
+                              onChange={(event) => setIncrementalUpload(event.target.checked)}
+                            />
+                          }
+                          label="Solo filas nuevas"
+                        />
+                      </Tooltip>
+                    </Box>
+
                     {/* Errores */}
                     {(validationResult?.errors?.length ?? 0) > 0 && (
                       <Box sx={{ mt: 2 }}>
@@ -346,19 +647,49 @@ const Upload: React.FC = () => {
                 </Card>
               )}
 
+              {/* Vista previa de la importación */}
+              {importPreview && (
+                <Card variant="outlined" sx={{ mb: 3 }}>
+                  <CardContent>
+                    <Typography variant="subtitle2" gutterBottom>
+                      Vista previa de la importación
+                    </Typography>
+                    <ImportPreview preview={importPreview} />
+                  </CardContent>
+                </Card>
+              )}
+
               {/* Progreso de carga */}
               {uploading && (
                 <Box sx={{ mb: 3 }}>
-                  <Typography variant="body2" gutterBottom>
-                    {uploadProgress < 100 ? 'Subiendo archivo...' : 'Procesando datos...'}
-                  </Typography>
-                  <LinearProgress 
-                    variant={uploadProgress < 100 ? "determinate" : "indeterminate"} 
-                    value={uploadProgress} 
-                  />
-                  <Typography variant="caption" color="text.secondary">
-                    {uploadProgress < 100 ? `${uploadProgress}%` : 'Procesando...'}
-                  </Typography>
+                  {jobStatus ? (
+                    <>
+                      <Typography variant="body2" gutterBottom>
+                        {jobStatus.currentStep}...
+                      </Typography>
+                      <LinearProgress variant="determinate" value={jobStatus.progress} />
+                      <Typography variant="caption" color="text.secondary">
+                        {jobStatus.progress}% · {formatNumber(jobStatus.recordsProcessed)} de{' '}
+                        {formatNumber(jobStatus.totalRecords)} filas
+                        {jobStatus.errorCount > 0 && ` · ${formatNumber(jobStatus.errorCount)} con errores`}
+                        {jobStatus.estimatedTimeRemaining !== undefined &&
+                          ` · ~${jobStatus.estimatedTimeRemaining}s restantes`}
+                      </Typography>
+                    </>
+                  ) : (
+                    <>
+                      <Typography variant="body2" gutterBottom>
+                        {uploadProgress < 100 ? 'Subiendo archivo...' : 'Procesando datos...'}
+                      </Typography>
+                      <LinearProgress 
+                        variant={uploadProgress < 100 ? "determinate" : "indeterminate"} 
+                        value={uploadProgress} 
+                      />
+                      <Typography variant="caption" color="text.secondary">
+                        {uploadProgress < 100 ? `${uploadProgress}%` : 'En cola...'}
+                      </Typography>
+                    </>
+                  )}
                 </Box>
               )}
 
@@ -403,6 +734,69 @@ const Upload: React.FC = () => {
                         </Typography>
                       </Grid>
                     </Grid>
+                    {uploadResult.database && (
+                      <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                        Modo {uploadResult.database.mode}: {formatNumber(uploadResult.database.newRecords)} nuevos,{' '}
+                        {formatNumber(uploadResult.database.updatedRecords)} actualizados,{' '}
+                        {formatNumber(uploadResult.database.duplicatesSkipped)} omitidos
+                        {uploadResult.database.recordsPerSecond !== undefined &&
+                          ` · ${formatNumber(uploadResult.database.recordsPerSecond)} registros/s`}
+                      </Typography>
+                    )}
+                    {uploadResult.incremental?.enabled && (
+                      <Typography variant="body2" color="text.secondary">
+                        {formatNumber(uploadResult.incremental.alreadySeenRecords)} filas ya importadas omitidas
+                        {uploadResult.incremental.previousWatermark &&
+                          ` (hasta ${formatDateTime(uploadResult.incremental.previousWatermark)})`}
+                      </Typography>
+                    )}
+                    {(uploadResult.drivers?.created ?? 0) > 0 && (
+                      <Typography variant="body2" color="text.secondary">
+                        {formatNumber(uploadResult.drivers?.created ?? 0)} conductores nuevos registrados
+                        {(uploadResult.drivers?.similar ?? 0) > 0 &&
+                          `, ${formatNumber(uploadResult.drivers?.similar ?? 0)} nombres asociados por similitud`}
+                      </Typography>
+                    )}
+                    {(uploadResult.contracts?.created ?? 0) > 0 && (
+                      <Typography variant="body2" color="text.secondary">
+                        {formatNumber(uploadResult.contracts?.created ?? 0)} contratos o campos nuevos registrados
+                        {(uploadResult.contracts?.similar ?? 0) > 0 &&
+                          `, ${formatNumber(uploadResult.contracts?.similar ?? 0)} nombres asociados por similitud`}
+                      </Typography>
+                    )}
+                    {uploadResult.checklistTemplate && (
+                      <Typography variant="body2" color="text.secondary">
+                        Checklist respondido con la versión {uploadResult.checklistTemplate.version} del formulario
+                        {` (${formatNumber(uploadResult.checklistTemplate.items)} ítems)`}
+                      </Typography>
+                    )}
+                    {(uploadResult.vehicles?.unregistered ?? 0) > 0 && (
+                      <Typography variant="body2" color="warning.main">
+                        {formatNumber(uploadResult.vehicles?.unregistered ?? 0)} placas sin registrar (ver Vehículos)
+                        {uploadResult.vehicles?.unknown
+                          .filter((plate) => plate.suggestions.length > 0)
+                          .slice(0, 3)
+                          .map((plate) => ` · ${plate.placa}: ¿quiso decir ${plate.suggestions[0].placa}?`)
+                          .join('')}
+                      </Typography>
+                    )}
+                    {(uploadResult.odometer?.warnings ?? 0) > 0 && (
+                      <Typography variant="body2" color="warning.main">
+                        {formatNumber(uploadResult.odometer?.warnings ?? 0)} lecturas de kilometraje sospechosas en{' '}
+                        {formatNumber(uploadResult.odometer?.plates ?? 0)} placas (ver Vehículos)
+                      </Typography>
+                    )}
+                    {(uploadResult.rejectedRows?.count ?? 0) > 0 && (
+                      <Button
+                        size="small"
+                        color="error"
+                        startIcon={<Download />}
+                        onClick={handleDownloadRejected}
+                        sx={{ mt: 1 }}
+                      >
+                        Descargar {formatNumber(uploadResult.rejectedRows?.count ?? 0)} filas rechazadas
+                      </Button>
+                    )}
                   </CardContent>
                 </Card>
               )}
@@ -417,10 +811,23 @@ const Upload: React.FC = () => {
                 >
                   Validar Archivo
                 </Button>
+                <Button
+                  variant="outlined"
+                  onClick={handlePreviewFile}
+                  disabled={!selectedFile || uploading || !validationResult?.isValid}
+                  startIcon={<Visibility />}
+                >
+                  Vista Previa
+                </Button>
                 <Button
                   variant="contained"
                   onClick={handleUploadFile}
-                  disabled={!!selectedFile === false || !!uploading || (!!validationResult && !validationResult.isValid)}
+                  disabled={
+                    !!selectedFile === false ||
+                    !!uploading ||
+                    (!!validationResult && !validationResult.isValid) ||
+                    ((validationResult?.sheets?.length ?? 0) > 0 && selectedSheets.length === 0)
+                  }
                   startIcon={<CloudUpload />}
                 >
                   Procesar Archivo
@@ -444,7 +851,7 @@ const Upload: React.FC = () => {
                   </ListItemIcon>
                   <ListItemText
                     primary="Formato de archivo"
-                    secondary="Solo archivos Excel (.xlsx, .xls)"
+                    secondary="Excel (.xlsx, .xls) o CSV separado por comas o punto y coma"
                   />
                 </ListItem>
                 <Divider />
@@ -526,6 +933,21 @@ const Upload: React.FC = () => {
             </CardContent>
           </Card>
         </Grid>
+
+        {/* 🧪 Filas en cuarentena */}
+        <Grid item xs={12}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                Filas en cuarentena
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Filas rechazadas por validación. Corrígelas aquí y se insertarán como cualquier fila de una carga.
+              </Typography>
+              <QuarantineGrid refreshKey={quarantineRefresh} />
+            </CardContent>
+          </Card>
+        </Grid>
       </Grid>
 
       {/* 📊 Dialog de historial */}
@@ -573,11 +995,11 @@ const Upload: React.FC = () => {
                           <Visibility />
                         </IconButton>
                       </Tooltip>
-                      {upload.status === 'PROCESADO' && (
+                      {(upload.status === 'PROCESADO' || upload.status === 'CON_ERRORES') && (
                         <Tooltip title="Revertir">
                           <IconButton 
                             size="small" 
-                            onClick={() => handleRevertUpload(upload.id)}
+                            onClick={() => setRevertTarget(upload)}
                           >
                             <Delete />
                           </IconButton>
@@ -596,6 +1018,52 @@ const Upload: React.FC = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      {/* 🗑️ Dialog de reversión */}
+      <Dialog open={!!revertTarget} onClose={() => setRevertTarget(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Revertir carga</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" gutterBottom>
+            Se eliminarán las inspecciones importadas desde "{revertTarget?.fileName}" junto con sus alertas,
+            su historial en la línea de tiempo y sus advertencias de kilometraje.
+          </Typography>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            Si alguna alerta ya fue asignada, comentada, está en revisión o resuelta, la carga no se revierte.
+          </Typography>
+          <TextField
+            autoFocus
+            fullWidth
+            multiline
+            minRows={2}
+            margin="dense"
+            label="Motivo de la reversión"
+            value={revertReason}
+            onChange={(event) => setRevertReason(event.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setRevertTarget(null)}>Cancelar</Button>
+          <Button
+            color="error"
+            variant="contained"
+            onClick={handleRevertUpload}
+            disabled={!revertReason.trim() || uploading}
+          >
+            Revertir
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Asistente de mapeo de columnas */}
+      {selectedFile && validationResult?.columnMapping && (
+        <ColumnMappingWizard
+          open={mappingWizardOpen}
+          fileName={selectedFile.name}
+          columnMapping={validationResult.columnMapping}
+          onClose={() => setMappingWizardOpen(false)}
+          onSaved={handleMappingSaved}
+        />
+      )}
     </Box>
   );
 };
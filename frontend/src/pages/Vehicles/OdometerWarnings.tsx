@@ -0,0 +1,222 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Link,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TablePagination,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { Refresh, Speed } from '@mui/icons-material';
+import vehicleService, {
+  OdometerWarning,
+  OdometerWarningList,
+  OdometerWarningType,
+} from '../../services/vehicleService';
+import { formatDate, formatNumber } from '../../services/api';
+
+interface OdometerWarningsProps {
+  // Sin placa se listan las advertencias de toda la flota
+  placa?: string;
+  onSelectPlate?: (placa: string) => void;
+  // Avisar a la página tras recalcular (para refrescar los conteos por placa)
+  onRechecked?: () => void;
+}
+
+const TYPE_LABELS: Record<OdometerWarningType, string> = {
+  RETROCESO: 'Retroceso',
+  SALTO_DIARIO: 'Salto diario',
+  SIN_CAMBIO: 'Sin cambio',
+};
+
+const TYPE_COLORS: Record<OdometerWarningType, 'error' | 'warning' | 'info'> = {
+  RETROCESO: 'error',
+  SALTO_DIARIO: 'warning',
+  SIN_CAMBIO: 'info',
+};
+
+// 🛣️ Lecturas de kilometraje inconsistentes con el historial de la placa
+const OdometerWarnings: React.FC<OdometerWarningsProps> = ({ placa, onSelectPlate, onRechecked }) => {
+  const [typeFilter, setTypeFilter] = useState<OdometerWarningType | null>(null);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(placa ? 5 : 10);
+  const [data, setData] = useState<OdometerWarningList | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [rechecking, setRechecking] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadWarnings = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await vehicleService.getOdometerWarnings({
+        placa,
+        tipo: typeFilter ?? undefined,
+        page: page + 1,
+        limit: rowsPerPage,
+      });
+      setData(result);
+    } catch (err) {
+      setError((err as Error)?.message ?? 'Error cargando advertencias de kilometraje');
+    } finally {
+      setLoading(false);
+    }
+  }, [placa, typeFilter, page, rowsPerPage]);
+
+  useEffect(() => {
+    loadWarnings();
+  }, [loadWarnings]);
+
+  const handleRecheck = async () => {
+    try {
+      setRechecking(true);
+      setError(null);
+      await vehicleService.recheckOdometer(placa);
+      setPage(0);
+      await loadWarnings();
+      onRechecked?.();
+    } catch (err) {
+      setError((err as Error)?.message ?? 'Error recalculando kilometrajes');
+    } finally {
+      setRechecking(false);
+    }
+  };
+
+  const handleTypeFilter = (type: OdometerWarningType) => {
+    setTypeFilter((current) => (current === type ? null : type));
+    setPage(0);
+  };
+
+  const renderComparison = (warning: OdometerWarning) => {
+    if (warning.previousOdometer === null) return '—';
+    return `${formatNumber(warning.previousOdometer)} km${
+      warning.previousDate ? ` (${formatDate(warning.previousDate)})` : ''
+    }`;
+  };
+
+  const warnings = data?.warnings ?? [];
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2, gap: 2, flexWrap: 'wrap' }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Speed color="warning" />
+            <Typography variant="h6">Kilometraje sospechoso</Typography>
+            {data && <Chip label={data.pagination.total} size="small" color={data.pagination.total > 0 ? 'warning' : 'success'} />}
+          </Box>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+            {(Object.keys(TYPE_LABELS) as OdometerWarningType[]).map((type) => (
+              <Chip
+                key={type}
+                label={TYPE_LABELS[type]}
+                size="small"
+                color={TYPE_COLORS[type]}
+                variant={typeFilter === type ? 'filled' : 'outlined'}
+                onClick={() => handleTypeFilter(type)}
+              />
+            ))}
+            <Button
+              size="small"
+              startIcon={rechecking ? <CircularProgress size={16} /> : <Refresh />}
+              onClick={handleRecheck}
+              disabled={rechecking}
+            >
+              Recalcular
+            </Button>
+          </Box>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {loading && !data ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : warnings.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            {placa
+              ? 'Las lecturas de kilometraje de este vehículo son consistentes con su historial.'
+              : 'No hay lecturas de kilometraje inconsistentes.'}
+          </Typography>
+        ) : (
+          <>
+            <TableContainer component={Paper} variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Fecha</TableCell>
+                    {!placa && <TableCell>Placa</TableCell>}
+                    <TableCell>Tipo</TableCell>
+                    <TableCell align="right">Kilometraje</TableCell>
+                    <TableCell>Lectura anterior</TableCell>
+                    <TableCell>Detalle</TableCell>
+                    {!placa && <TableCell>Conductor</TableCell>}
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {warnings.map((warning) => (
+                    <TableRow key={warning.id} hover>
+                      <TableCell>{warning.inspectionDate ? formatDate(warning.inspectionDate) : '—'}</TableCell>
+                      {!placa && (
+                        <TableCell>
+                          {onSelectPlate ? (
+                            <Link component="button" variant="body2" onClick={() => onSelectPlate(warning.plate)}>
+                              {warning.plate}
+                            </Link>
+                          ) : (
+                            warning.plate
+                          )}
+                        </TableCell>
+                      )}
+                      <TableCell>
+                        <Chip label={TYPE_LABELS[warning.type]} size="small" color={TYPE_COLORS[warning.type]} />
+                      </TableCell>
+                      <TableCell align="right">{formatNumber(warning.odometer)} km</TableCell>
+                      <TableCell>{renderComparison(warning)}</TableCell>
+                      <TableCell sx={{ maxWidth: 360 }}>
+                        <Typography variant="caption">{warning.message}</Typography>
+                      </TableCell>
+                      {!placa && <TableCell>{warning.driver || '—'}</TableCell>}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+            <TablePagination
+              component="div"
+              count={data?.pagination.total ?? 0}
+              page={page}
+              onPageChange={(_, newPage) => setPage(newPage)}
+              rowsPerPage={rowsPerPage}
+              onRowsPerPageChange={(event) => {
+                setRowsPerPage(parseInt(event.target.value, 10));
+                setPage(0);
+              }}
+              rowsPerPageOptions={placa ? [5, 10, 25] : [10, 25, 50]}
+              labelRowsPerPage="Filas por página:"
+              labelDisplayedRows={({ from, to, count }) => `${from}-${to} de ${count}`}
+            />
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default OdometerWarnings;
@@ -0,0 +1,202 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  Chip,
+  CircularProgress,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import { AddCircleOutline, HelpOutline, Sync } from '@mui/icons-material';
+import vehicleService, { UnregisteredPlateList } from '../../services/vehicleService';
+import { formatDate, formatNumber } from '../../services/api';
+
+interface UnregisteredPlatesProps {
+  // Avisar a la página cuando cambia el registro (vehículo nuevo o placa corregida)
+  onChanged?: () => void;
+}
+
+// ❓ Placas de inspecciones que no están en el registro, con "¿quiso decir...?"
+const UnregisteredPlates: React.FC<UnregisteredPlatesProps> = ({ onChanged }) => {
+  const [data, setData] = useState<UnregisteredPlateList | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [working, setWorking] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const loadPlates = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setData(await vehicleService.getUnregisteredPlates());
+    } catch (err) {
+      setError((err as Error)?.message ?? 'Error cargando placas sin registrar');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPlates();
+  }, [loadPlates]);
+
+  const run = async (key: string, action: () => Promise<string>) => {
+    try {
+      setWorking(key);
+      setError(null);
+      setNotice(await action());
+      await loadPlates();
+      onChanged?.();
+    } catch (err) {
+      setError((err as Error)?.message ?? 'Error actualizando el registro');
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const handleAssign = (placa: string, vehicleId: string) =>
+    run(placa, async () => {
+      const result = await vehicleService.assignPlate(placa, vehicleId);
+      return `${placa} corregida a ${result.vehicle.placa} (${formatNumber(result.movedInspections)} inspecciones)`;
+    });
+
+  const handleRegister = (placa: string) =>
+    run(placa, async () => {
+      const result = await vehicleService.createVehicle({ placa });
+      return `${result.vehicle.placa} registrado (${formatNumber(result.linkedInspections)} inspecciones enlazadas)`;
+    });
+
+  const handleSync = () =>
+    run('sync', async () => {
+      const result = await vehicleService.syncVehicles();
+      return `${formatNumber(result.registered)} vehículos registrados, ${formatNumber(result.linkedInspections)} inspecciones enlazadas, ${formatNumber(result.unregisteredPlates)} placas por revisar`;
+    });
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <HelpOutline color="warning" />
+            <Typography variant="h6">Placas sin registrar</Typography>
+            {data && data.total > 0 && <Chip size="small" color="warning" label={formatNumber(data.total)} />}
+          </Box>
+          <Button
+            size="small"
+            variant="outlined"
+            startIcon={working === 'sync' ? <CircularProgress size={16} /> : <Sync />}
+            onClick={handleSync}
+            disabled={!!working}
+          >
+            Sincronizar registro
+          </Button>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {notice && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice(null)}>
+            {notice}
+          </Alert>
+        )}
+
+        {loading && !data ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+            <CircularProgress size={28} />
+          </Box>
+        ) : !data || data.total === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            Todas las placas de las inspecciones están en el registro.
+          </Typography>
+        ) : (
+          <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 360 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Placa digitada</TableCell>
+                  <TableCell align="right">Inspecciones</TableCell>
+                  <TableCell>Última</TableCell>
+                  <TableCell>¿Quiso decir?</TableCell>
+                  <TableCell align="right">Acciones</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {data.plates.map((plate) => (
+                  <TableRow key={plate.placa} hover>
+                    <TableCell>
+                      <Tooltip title={plate.variants.join(', ')}>
+                        <Typography variant="body2" fontWeight={500}>
+                          {plate.placa}
+                        </Typography>
+                      </Tooltip>
+                      {!plate.validFormat && (
+                        <Typography variant="caption" color="error">
+                          Formato inválido
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">{formatNumber(plate.inspections)}</TableCell>
+                    <TableCell>{plate.lastInspection ? formatDate(plate.lastInspection) : '-'}</TableCell>
+                    <TableCell>
+                      {plate.registeredAs ? (
+                        <Typography variant="caption" color="text.secondary">
+                          Ya corresponde a {plate.registeredAs}: sincronice el registro
+                        </Typography>
+                      ) : plate.suggestions.length === 0 ? (
+                        <Typography variant="caption" color="text.secondary">
+                          Sin placas parecidas
+                        </Typography>
+                      ) : (
+                        <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                          {plate.suggestions.map((suggestion) => (
+                            <Tooltip key={suggestion.id} title={`Corregir ${plate.placa} a ${suggestion.placa}`}>
+                              <span>
+                                <Chip
+                                  size="small"
+                                  color="primary"
+                                  variant="outlined"
+                                  label={`¿${suggestion.placa}?`}
+                                  disabled={!!working}
+                                  onClick={() => handleAssign(plate.placa, suggestion.id)}
+                                />
+                              </span>
+                            </Tooltip>
+                          ))}
+                        </Box>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">
+                      <Button
+                        size="small"
+                        startIcon={working === plate.placa ? <CircularProgress size={14} /> : <AddCircleOutline />}
+                        disabled={!!working || !plate.validFormat || !!plate.registeredAs}
+                        onClick={() => handleRegister(plate.placa)}
+                      >
+                        Registrar
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default UnregisteredPlates;
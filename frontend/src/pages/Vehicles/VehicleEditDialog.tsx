@@ -0,0 +1,147 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import vehicleService, { Vehicle, VehicleStatus } from '../../services/vehicleService';
+
+interface VehicleEditDialogProps {
+  vehicle: Vehicle | null;
+  onClose: () => void;
+  onSaved: (vehicle: Vehicle) => void;
+}
+
+// ✏️ Editar placa, tipo, marca/modelo, contrato asignado y estado de un vehículo
+const VehicleEditDialog: React.FC<VehicleEditDialogProps> = ({ vehicle, onClose, onSaved }) => {
+  const [placa, setPlaca] = useState('');
+  const [type, setType] = useState('');
+  const [brand, setBrand] = useState('');
+  const [model, setModel] = useState('');
+  const [contract, setContract] = useState('');
+  const [status, setStatus] = useState<VehicleStatus>('ACTIVO');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!vehicle) return;
+    setPlaca(vehicle.placa);
+    setType(vehicle.type);
+    setBrand(vehicle.brand);
+    setModel(vehicle.model);
+    setContract(vehicle.contract);
+    setStatus(vehicle.status);
+    setError(null);
+  }, [vehicle]);
+
+  const handleSave = async () => {
+    if (!vehicle) return;
+    try {
+      setSaving(true);
+      setError(null);
+      const updated = await vehicleService.updateVehicle(vehicle.id, {
+        placa: placa.trim(),
+        type: type.trim(),
+        brand: brand.trim(),
+        model: model.trim(),
+        contract: contract.trim(),
+        status,
+      });
+      onSaved(updated);
+    } catch (err) {
+      setError((err as Error)?.message ?? 'Error guardando el vehículo');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!vehicle} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Editar vehículo</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+          <TextField
+            label="Placa"
+            size="small"
+            value={placa}
+            onChange={(event) => setPlaca(event.target.value.toUpperCase())}
+            helperText={
+              vehicle && placa.trim() !== vehicle.placa
+                ? `Las inspecciones de ${vehicle.placa} pasan a la placa nueva`
+                : undefined
+            }
+            required
+          />
+          <TextField label="Tipo" size="small" value={type} onChange={(event) => setType(event.target.value)} />
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              label="Marca"
+              size="small"
+              fullWidth
+              value={brand}
+              onChange={(event) => setBrand(event.target.value)}
+            />
+            <TextField
+              label="Modelo"
+              size="small"
+              fullWidth
+              value={model}
+              onChange={(event) => setModel(event.target.value)}
+            />
+          </Box>
+          <TextField
+            label="Contrato asignado"
+            size="small"
+            value={contract}
+            onChange={(event) => setContract(event.target.value)}
+          />
+          <TextField
+            select
+            label="Estado"
+            size="small"
+            value={status}
+            onChange={(event) => setStatus(event.target.value as VehicleStatus)}
+          >
+            <MenuItem value="ACTIVO">Activo</MenuItem>
+            <MenuItem value="INACTIVO">Inactivo</MenuItem>
+          </TextField>
+          {vehicle && vehicle.alternatePlates.length > 0 && (
+            <Box>
+              <Typography variant="caption" color="text.secondary">
+                También reconocido como
+              </Typography>
+              <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 0.5 }}>
+                {vehicle.alternatePlates.map((alternate) => (
+                  <Chip key={alternate} label={alternate} size="small" variant="outlined" />
+                ))}
+              </Box>
+            </Box>
+          )}
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>
+          Cancelar
+        </Button>
+        <Button variant="contained" onClick={handleSave} disabled={saving || !placa.trim()}>
+          {saving ? 'Guardando...' : 'Guardar'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default VehicleEditDialog;
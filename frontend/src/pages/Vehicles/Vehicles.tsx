@@ -49,27 +49,20 @@ import {
   Assessment,
   Close,
   FilterList,
+  Speed,
+  Edit,
 } from '@mui/icons-material';
 import { useParams } from 'react-router-dom';
 import { searchService, VehicleHistory } from '../../services/searchService';
 import { formatDate, formatNumber } from '../../services/api';
-
-interface VehicleSummary {
-  placa: string;
-  totalInspecciones: number;
-  alertasRojas: number;
-  advertencias: number;
-  eficiencia: number;
-  ultimaInspeccion: string;
-  mantenimientoRequerido: boolean;
-  problemasRecurrentes: string[];
-  conductoresAsignados: number;
-  estado: 'operativo' | 'mantenimiento' | 'critico';
-}
+import vehicleService, { OdometerPlateSummary, Vehicle } from '../../services/vehicleService';
+import OdometerWarnings from './OdometerWarnings';
+import UnregisteredPlates from './UnregisteredPlates';
+import VehicleEditDialog from './VehicleEditDialog';
 
 const Vehicles: React.FC = () => {
   const { placa } = useParams<{ placa?: string }>();
-  const [vehicles, setVehicles] = useState<VehicleSummary[]>([]);
+  const [vehicles, setVehicles] = useState<Vehicle[]>([]);
   const [selectedVehicle, setSelectedVehicle] = useState<VehicleHistory | null>(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
@@ -78,10 +71,13 @@ const Vehicles: React.FC = () => {
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(25);
   const [detailsOpen, setDetailsOpen] = useState(false);
+  const [odometerByPlate, setOdometerByPlate] = useState<Record<string, OdometerPlateSummary>>({});
+  const [editingVehicle, setEditingVehicle] = useState<Vehicle | null>(null);
 
   // 🔄 Cargar lista de vehículos
   useEffect(() => {
     loadVehicles();
+    loadOdometerSummary();
   }, []);
 
   // 🔍 Cargar detalles de vehículo específico si se proporciona placa
@@ -96,60 +92,8 @@ const Vehicles: React.FC = () => {
       setLoading(true);
       setError(null);
 
-      // TODO: Implementar endpoint para obtener resumen de vehículos
-      // Por ahora, datos simulados
-      const mockVehicles: VehicleSummary[] = [
-        {
-          placa: 'ABC-123',
-          totalInspecciones: 42,
-          alertasRojas: 1,
-          advertencias: 5,
-          eficiencia: 88.1,
-          ultimaInspeccion: '2024-01-15',
-          mantenimientoRequerido: false,
-          problemasRecurrentes: ['Frenos', 'Llantas'],
-          conductoresAsignados: 3,
-          estado: 'operativo',
-        },
-        {
-          placa: 'DEF-456',
-          totalInspecciones: 38,
-          alertasRojas: 0,
-          advertencias: 2,
-          eficiencia: 94.7,
-          ultimaInspeccion: '2024-01-14',
-          mantenimientoRequerido: false,
-          problemasRecurrentes: [],
-          conductoresAsignados: 2,
-          estado: 'operativo',
-        },
-        {
-          placa: 'GHI-789',
-          totalInspecciones: 35,
-          alertasRojas: 4,
-          advertencias: 8,
-          eficiencia: 65.7,
-          ultimaInspeccion: '2024-01-13',
-          mantenimientoRequerido: true,
-          problemasRecurrentes: ['Motor', 'Frenos', 'Suspensión', 'Dirección'],
-          conductoresAsignados: 4,
-          estado: 'mantenimiento',
-        },
-        {
-          placa: 'JKL-012',
-          totalInspecciones: 29,
-          alertasRojas: 7,
-          advertencias: 12,
-          eficiencia: 48.3,
-          ultimaInspeccion: '2024-01-12',
-          mantenimientoRequerido: true,
-          problemasRecurrentes: ['Motor', 'Frenos', 'Transmisión', 'Suspensión', 'Eléctrico'],
-          conductoresAsignados: 2,
-          estado: 'critico',
-        },
-      ];
-
-      setVehicles(mockVehicles);
+      const result = await vehicleService.getVehicles({ limit: 1000 });
+      setVehicles(result.vehicles);
     } catch (err) {
       console.error('Error cargando vehículos:', err);
       if (typeof err === 'object' && err !== null && 'message' in err) {
@@ -162,6 +106,21 @@ const Vehicles: React.FC = () => {
     }
   };
 
+  // 🛣️ Advertencias de kilometraje por placa
+  const loadOdometerSummary = async () => {
+    try {
+      const summary = await vehicleService.getOdometerSummary();
+      setOdometerByPlate(
+        summary.plates.reduce<Record<string, OdometerPlateSummary>>((acc, plate) => {
+          acc[plate.placa] = plate;
+          return acc;
+        }, {})
+      );
+    } catch (err) {
+      console.error('Error cargando advertencias de kilometraje:', err);
+    }
+  };
+
   const loadVehicleDetails = async (vehiclePlaca: string) => {
     try {
       setLoading(true);
@@ -180,10 +139,25 @@ const Vehicles: React.FC = () => {
     }
   };
 
-  // 🔍 Filtrar vehículos
+  // 🔄 El registro cambió (vehículo nuevo, placa corregida): recargar conteos
+  const handleRegistryChanged = () => {
+    loadVehicles();
+    loadOdometerSummary();
+  };
+
+  const handleSaved = (updated: Vehicle) => {
+    setVehicles(prev => prev.map(vehicle => (vehicle.id === updated.id ? updated : vehicle)));
+    setEditingVehicle(null);
+    loadOdometerSummary();
+  };
+
+  // 🔍 Filtrar vehículos (placa, placas alternas, marca, modelo o contrato)
+  const term = searchTerm.trim().toLowerCase();
   const filteredVehicles = vehicles.filter(vehicle => {
-    const matchesSearch = vehicle.placa.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesStatus = statusFilter === 'todos' || vehicle.estado === statusFilter;
+    const matchesSearch =
+      [vehicle.placa, ...vehicle.alternatePlates, vehicle.brand, vehicle.model, vehicle.contract]
+        .some(value => value.toLowerCase().includes(term));
+    const matchesStatus = statusFilter === 'todos' || vehicle.status === statusFilter;
     return matchesSearch && matchesStatus;
   });
 
@@ -209,20 +183,6 @@ const Vehicles: React.FC = () => {
     return 'error';
   };
 
-  // 🚗 Obtener color del estado
-  const getStatusColor = (estado: string) => {
-    switch (estado) {
-      case 'operativo':
-        return 'success';
-      case 'mantenimiento':
-        return 'warning';
-      case 'critico':
-        return 'error';
-      default:
-        return 'default';
-    }
-  };
-
   // 🔧 Obtener icono del problema
   const getProblemIcon = (problema: string) => {
     if (problema.includes('Motor')) return <Build color="error" />;
@@ -253,7 +213,7 @@ const Vehicles: React.FC = () => {
               <TextField
                 fullWidth
                 label="Buscar vehículo"
-                placeholder="Placa..."
+                placeholder="Placa, marca, modelo o contrato..."
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
                 InputProps={{
@@ -270,9 +230,8 @@ const Vehicles: React.FC = () => {
                   startAdornment={<FilterList sx={{ mr: 1, color: 'text.secondary' }} />}
                 >
                   <MenuItem value="todos">Todos los estados</MenuItem>
-                  <MenuItem value="operativo">Operativo</MenuItem>
-                  <MenuItem value="mantenimiento">En Mantenimiento</MenuItem>
-                  <MenuItem value="critico">Estado Crítico</MenuItem>
+                  <MenuItem value="ACTIVO">Activos</MenuItem>
+                  <MenuItem value="INACTIVO">Inactivos</MenuItem>
                 </Select>
               </FormControl>
             </Grid>
@@ -327,10 +286,10 @@ const Vehicles: React.FC = () => {
                 </Avatar>
                 <Box>
                   <Typography variant="h6">
-                    {filteredVehicles.filter(v => v.estado === 'operativo').length}
+                    {filteredVehicles.filter(v => v.status === 'ACTIVO').length}
                   </Typography>
                   <Typography variant="body2" color="text.secondary">
-                    Operativos
+                    Activos
                   </Typography>
                 </Box>
               </Box>
@@ -346,10 +305,10 @@ const Vehicles: React.FC = () => {
                 </Avatar>
                 <Box>
                   <Typography variant="h6">
-                    {filteredVehicles.filter(v => v.mantenimientoRequerido).length}
+                    {filteredVehicles.filter(v => v.totalInspections > 0 && v.averageScore < 75).length}
                   </Typography>
                   <Typography variant="body2" color="text.secondary">
-                    Requieren Mantenimiento
+                    Requieren Atención
                   </Typography>
                 </Box>
               </Box>
@@ -365,10 +324,10 @@ const Vehicles: React.FC = () => {
                 </Avatar>
                 <Box>
                   <Typography variant="h6">
-                    {filteredVehicles.filter(v => v.estado === 'critico').length}
+                    {filteredVehicles.filter(v => v.criticalAlerts > 0).length}
                   </Typography>
                   <Typography variant="body2" color="text.secondary">
-                    Estado Crítico
+                    Con Alertas Críticas
                   </Typography>
                 </Box>
               </Box>
@@ -377,6 +336,12 @@ const Vehicles: React.FC = () => {
         </Grid>
       </Grid>
 
+      {/* ❓ Placas digitadas que no están en el registro */}
+      <UnregisteredPlates onChanged={handleRegistryChanged} />
+
+      {/* 🛣️ Kilometraje inconsistente con el historial de cada placa */}
+      <OdometerWarnings onSelectPlate={loadVehicleDetails} onRechecked={loadOdometerSummary} />
+
       {/* 📋 Tabla de vehículos */}
       <Card>
         <CardContent>
@@ -385,64 +350,66 @@ const Vehicles: React.FC = () => {
               <TableHead>
                 <TableRow>
                   <TableCell>Vehículo</TableCell>
+                  <TableCell>Contrato</TableCell>
                   <TableCell>Estado</TableCell>
                   <TableCell>Inspecciones</TableCell>
                   <TableCell>Alertas</TableCell>
                   <TableCell>Eficiencia</TableCell>
                   <TableCell>Conductores</TableCell>
                   <TableCell>Última Inspección</TableCell>
-                  <TableCell>Problemas</TableCell>
                   <TableCell>Acciones</TableCell>
                 </TableRow>
               </TableHead>
               <TableBody>
                 {paginatedVehicles.map((vehicle) => (
-                  <TableRow key={vehicle.placa} hover>
+                  <TableRow key={vehicle.id} hover>
                     <TableCell>
                       <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                        <Avatar sx={{ mr: 2, bgcolor: 'primary.light' }}>
+                        <Avatar sx={{ mr: 2, bgcolor: vehicle.status === 'ACTIVO' ? 'primary.light' : 'grey.400' }}>
                           <DirectionsCar />
                         </Avatar>
                         <Box>
                           <Typography variant="body2" fontWeight={500}>
                             {vehicle.placa}
                           </Typography>
-                          {vehicle.mantenimientoRequerido && (
-                            <Chip
-                              label="Mantenimiento"
-                              size="small"
-                              color="warning"
-                              icon={<Build />}
-                            />
-                          )}
+                          <Typography variant="caption" color="text.secondary">
+                            {[vehicle.type, vehicle.brand, vehicle.model].filter(Boolean).join(' · ') || 'Sin datos del vehículo'}
+                          </Typography>
                         </Box>
                       </Box>
                     </TableCell>
+                    <TableCell>
+                      <Typography variant="body2">
+                        {vehicle.contract || '-'}
+                      </Typography>
+                    </TableCell>
                     <TableCell>
                       <Chip
-                        label={vehicle.estado.charAt(0).toUpperCase() + vehicle.estado.slice(1)}
-                        color={getStatusColor(vehicle.estado)}
+                        label={vehicle.status === 'ACTIVO' ? 'Activo' : 'Inactivo'}
+                        color={vehicle.status === 'ACTIVO' ? 'success' : 'default'}
                         size="small"
                       />
                     </TableCell>
                     <TableCell>
                       <Typography variant="body2" fontWeight={500}>
-                        {vehicle.totalInspecciones}
+                        {formatNumber(vehicle.totalInspections)}
                       </Typography>
                     </TableCell>
                     <TableCell>
                       <Box sx={{ display: 'flex', gap: 1 }}>
-                        {vehicle.alertasRojas > 0 && (
-                          <Badge badgeContent={vehicle.alertasRojas} color="error">
+                        {vehicle.criticalAlerts > 0 && (
+                          <Badge badgeContent={vehicle.criticalAlerts} color="error">
                             <Error color="error" />
                           </Badge>
                         )}
-                        {vehicle.advertencias > 0 && (
-                          <Badge badgeContent={vehicle.advertencias} color="warning">
-                            <Warning color="warning" />
-                          </Badge>
+                        {odometerByPlate[vehicle.placa] && (
+                          <Tooltip title={`${odometerByPlate[vehicle.placa].total} lecturas de kilometraje sospechosas`}>
+                            <Badge badgeContent={odometerByPlate[vehicle.placa].total} color="warning">
+                              <Speed color="warning" />
+                            </Badge>
+                          </Tooltip>
                         )}
-                        {vehicle.alertasRojas === 0 && vehicle.advertencias === 0 && (
+                        {vehicle.criticalAlerts === 0 && !odometerByPlate[vehicle.placa] && (
                           <CheckCircle color="success" />
                         )}
                       </Box>
@@ -451,21 +418,21 @@ const Vehicles: React.FC = () => {
                       <Box>
                         <Box sx={{ display: 'flex', alignItems: 'center', mb: 0.5 }}>
                           <Typography variant="body2" fontWeight={500} sx={{ mr: 1 }}>
-                            {vehicle.eficiencia.toFixed(1)}%
+                            {vehicle.averageScore.toFixed(1)}%
                           </Typography>
                           <Chip
                             size="small"
                             label={
-                              vehicle.eficiencia >= 90 ? 'Excelente' :
-                              vehicle.eficiencia >= 75 ? 'Bueno' : 'Requiere Atención'
+                              vehicle.averageScore >= 90 ? 'Excelente' :
+                              vehicle.averageScore >= 75 ? 'Bueno' : 'Requiere Atención'
                             }
-                            color={getEfficiencyColor(vehicle.eficiencia)}
+                            color={getEfficiencyColor(vehicle.averageScore)}
                           />
                         </Box>
                         <LinearProgress
                           variant="determinate"
-                          value={vehicle.eficiencia}
-                          color={getEfficiencyColor(vehicle.eficiencia)}
+                          value={vehicle.averageScore}
+                          color={getEfficiencyColor(vehicle.averageScore)}
                           sx={{ height: 4, borderRadius: 2 }}
                         />
                       </Box>
@@ -474,40 +441,15 @@ const Vehicles: React.FC = () => {
                       <Box sx={{ display: 'flex', alignItems: 'center' }}>
                         <Person sx={{ mr: 0.5, fontSize: 16 }} />
                         <Typography variant="body2">
-                          {vehicle.conductoresAsignados}
+                          {vehicle.drivers}
                         </Typography>
                       </Box>
                     </TableCell>
                     <TableCell>
                       <Typography variant="body2">
-                        {formatDate(vehicle.ultimaInspeccion)}
+                        {vehicle.lastInspection ? formatDate(vehicle.lastInspection) : '-'}
                       </Typography>
                     </TableCell>
-                    <TableCell>
-                      <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
-                        {vehicle.problemasRecurrentes.length === 0 ? (
-                          <Chip label="Sin problemas" size="small" color="success" />
-                        ) : (
-                          vehicle.problemasRecurrentes.slice(0, 2).map((problema, index) => (
-                            <Tooltip key={index} title={problema}>
-                              <Chip
-                                label={problema}
-                                size="small"
-                                color="warning"
-                                icon={getProblemIcon(problema)}
-                              />
-                            </Tooltip>
-                          ))
-                        )}
-                        {vehicle.problemasRecurrentes.length > 2 && (
-                          <Chip
-                            label={`+${vehicle.problemasRecurrentes.length - 2}`}
-                            size="small"
-                            color="default"
-                          />
-                        )}
-                      </Box>
-                    </TableCell>
                     <TableCell>
                       <Tooltip title="Ver historial completo">
                         <IconButton
@@ -517,6 +459,11 @@ const Vehicles: React.FC = () => {
                           <Visibility />
                         </IconButton>
                       </Tooltip>
+                      <Tooltip title="Editar vehículo">
+                        <IconButton size="small" onClick={() => setEditingVehicle(vehicle)}>
+                          <Edit />
+                        </IconButton>
+                      </Tooltip>
                     </TableCell>
                   </TableRow>
                 ))}
@@ -609,6 +556,9 @@ const Vehicles: React.FC = () => {
                 </CardContent>
               </Card>
 
+              {/* Advertencias de kilometraje del vehículo */}
+              <OdometerWarnings placa={selectedVehicle.vehiculo.placa} onRechecked={loadOdometerSummary} />
+
               {/* Conductores asignados */}
               <Card sx={{ mb: 3 }}>
                 <CardContent>
@@ -702,6 +652,12 @@ const Vehicles: React.FC = () => {
           </Button>
         </DialogActions>
       </Dialog>
+
+      <VehicleEditDialog
+        vehicle={editingVehicle}
+        onClose={() => setEditingVehicle(null)}
+        onSaved={handleSaved}
+      />
     </Box>
   );
 };
@@ -0,0 +1,184 @@
+import { apiClient, ApiResponse, handleApiError } from './api';
+
+export type AlertType = 'CRITICA' | 'ADVERTENCIA';
+export type AlertPriority = 'ALTA' | 'MEDIA' | 'BAJA';
+export type AlertStatus = 'ACTIVA' | 'EN_REVISION' | 'RESUELTA';
+export type AlertFollowUpType = 'COMENTARIO' | 'ASIGNACION' | 'CAMBIO_ESTADO';
+
+export interface AlertFollowUp {
+  id: string;
+  type: AlertFollowUpType;
+  author: string;
+  text: string;
+  fromStatus: AlertStatus | null;
+  toStatus: AlertStatus | null;
+  createdAt: string;
+}
+
+export interface AlertItem {
+  id: string;
+  inspectionId: string;
+  type: AlertType;
+  priority: AlertPriority;
+  status: AlertStatus;
+  description: string;
+  details: {
+    nivelRiesgo: string;
+    puntaje: number;
+    itemsNoCumplen: Array<{ campo: string; encabezado: string; critico: boolean }>;
+    fatiga: string[];
+  } | null;
+  date: string;
+  driver: string;
+  driverId: string | null;
+  plate: string;
+  contract: string;
+  assignedTo: string | null;
+  assignedAt: string | null;
+  reviewStartedAt: string | null;
+  resolvedAt: string | null;
+  resolvedBy: string | null;
+  correctiveAction: string | null;
+  nextStates: AlertStatus[];
+  followUp?: AlertFollowUp[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface AlertList {
+  alerts: AlertItem[];
+  summary: {
+    byState: Record<AlertStatus, number>;
+    byType: Record<AlertType, number>;
+  };
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
+}
+
+export interface AlertSyncResult {
+  inspections: number;
+  created: number;
+}
+
+class AlertService {
+  // 📋 Alertas con filtros
+  async getAlerts(filters?: {
+    estado?: AlertStatus[];
+    tipo?: AlertType;
+    prioridad?: AlertPriority;
+    asignadoA?: string;
+    search?: string;
+    fechaInicio?: string;
+    fechaFin?: string;
+    page?: number;
+    limit?: number;
+  }): Promise<AlertList> {
+    try {
+      const { estado, ...params } = filters ?? {};
+      const response = await apiClient.get<ApiResponse<AlertList>>('/alerts', {
+        params: { ...params, estado: estado && estado.length > 0 ? estado.join(',') : undefined },
+      });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error obteniendo alertas');
+    } catch (error) {
+      console.error('[AlertService] Error en getAlerts:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🔍 Alerta con su seguimiento
+  async getAlert(alertId: string): Promise<AlertItem> {
+    try {
+      const response = await apiClient.get<ApiResponse<AlertItem>>(`/alerts/${alertId}`);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error obteniendo la alerta');
+    } catch (error) {
+      console.error('[AlertService] Error en getAlert:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 👷 Asignar a un supervisor
+  async assignAlert(alertId: string, assignee: string, user?: string): Promise<AlertItem> {
+    try {
+      const response = await apiClient.post<ApiResponse<AlertItem>>(`/alerts/${alertId}/assign`, { assignee, user });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error asignando la alerta');
+    } catch (error) {
+      console.error('[AlertService] Error en assignAlert:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 💬 Comentar
+  async addComment(alertId: string, text: string, user?: string): Promise<AlertItem> {
+    try {
+      const response = await apiClient.post<ApiResponse<AlertItem>>(`/alerts/${alertId}/comments`, { text, user });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error agregando el comentario');
+    } catch (error) {
+      console.error('[AlertService] Error en addComment:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🔀 Cambiar de estado (RESUELTA exige la acción correctiva)
+  async changeStatus(alertId: string, input: {
+    status: AlertStatus;
+    correctiveAction?: string;
+    comment?: string;
+    user?: string;
+  }): Promise<AlertItem> {
+    try {
+      const response = await apiClient.post<ApiResponse<AlertItem>>(`/alerts/${alertId}/status`, input);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error cambiando el estado de la alerta');
+    } catch (error) {
+      console.error('[AlertService] Error en changeStatus:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🔄 Generar alertas de inspecciones cargadas antes de la tabla
+  async syncAlerts(): Promise<AlertSyncResult> {
+    try {
+      const response = await apiClient.post<ApiResponse<AlertSyncResult>>('/alerts/sync');
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error generando alertas');
+    } catch (error) {
+      console.error('[AlertService] Error en syncAlerts:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+}
+
+export const alertService = new AlertService();
+export default alertService;
@@ -0,0 +1,72 @@
+import { apiClient, ApiResponse, handleApiError } from './api';
+
+export type AuditAction =
+  | 'CREAR'
+  | 'ACTUALIZAR'
+  | 'ELIMINAR'
+  | 'REVERTIR'
+  | 'ASIGNAR'
+  | 'COMENTAR'
+  | 'CAMBIAR_ESTADO'
+  | 'FUSIONAR'
+  | 'ACTIVAR';
+
+export interface AuditChange {
+  field: string;
+  before: unknown;
+  after: unknown;
+}
+
+export interface AuditEntry {
+  id: string;
+  actor: string;
+  action: AuditAction;
+  entity: string;
+  entityId: string | null;
+  before: Record<string, unknown> | null;
+  after: Record<string, unknown> | null;
+  changes: AuditChange[];
+  requestId: string | null;
+  ip: string | null;
+  createdAt: string;
+}
+
+export interface AuditList {
+  entries: AuditEntry[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
+}
+
+class AuditService {
+  // 🧾 Cambios registrados con filtros
+  async getEntries(filters?: {
+    entidad?: string;
+    entidadId?: string;
+    actor?: string;
+    accion?: AuditAction;
+    fechaInicio?: string;
+    fechaFin?: string;
+    page?: number;
+    limit?: number;
+  }): Promise<AuditList> {
+    try {
+      const response = await apiClient.get<ApiResponse<AuditList>>('/audit', { params: filters });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error obteniendo la auditoría');
+    } catch (error) {
+      console.error('[AuditService] Error en getEntries:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+}
+
+export const auditService = new AuditService();
+export default auditService;
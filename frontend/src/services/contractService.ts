@@ -0,0 +1,226 @@
+import { apiClient, ApiResponse, handleApiError } from './api';
+
+export type CatalogStatus = 'ACTIVO' | 'INACTIVO';
+
+export interface ContractField {
+  id: string;
+  contractId: string;
+  name: string;
+  status: CatalogStatus;
+  aliases: string[];
+  totalInspections: number;
+  criticalAlerts: number;
+  averageScore: number;
+  lastInspection: string | null;
+}
+
+export interface Contract {
+  id: string;
+  name: string;
+  status: CatalogStatus;
+  aliases: string[];
+  fields: ContractField[];
+  totalInspections: number;
+  criticalAlerts: number;
+  averageScore: number;
+  lastInspection: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ContractList {
+  contracts: Contract[];
+  total: number;
+  // Inspecciones con contrato escrito que aún no están enlazadas al maestro
+  unlinkedInspections: number;
+}
+
+export interface CatalogInput {
+  name?: string;
+  status?: CatalogStatus;
+}
+
+export interface ContractMergeResult {
+  contract: Contract;
+  mergedContracts?: number;
+  mergedFields?: number;
+  movedInspections: number;
+}
+
+export interface ContractSyncResult {
+  contracts: number;
+  fields: number;
+  matched: number;
+  similar: number;
+  created: number;
+  linkedInspections: number;
+}
+
+class ContractService {
+  // 📋 Contratos con sus campos
+  async getContracts(filters?: { search?: string; estado?: CatalogStatus }): Promise<ContractList> {
+    try {
+      const response = await apiClient.get<ApiResponse<ContractList>>('/contracts', { params: filters });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error obteniendo contratos');
+    } catch (error) {
+      console.error('[ContractService] Error en getContracts:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // ➕ Crear contrato
+  async createContract(input: CatalogInput): Promise<Contract> {
+    try {
+      const response = await apiClient.post<ApiResponse<Contract>>('/contracts', input);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error creando contrato');
+    } catch (error) {
+      console.error('[ContractService] Error en createContract:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // ✏️ Renombrar o cambiar el estado de un contrato
+  async updateContract(contractId: string, input: CatalogInput): Promise<Contract> {
+    try {
+      const response = await apiClient.put<ApiResponse<Contract>>(`/contracts/${contractId}`, input);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error actualizando contrato');
+    } catch (error) {
+      console.error('[ContractService] Error en updateContract:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🗑️ Eliminar contrato sin inspecciones
+  async deleteContract(contractId: string): Promise<void> {
+    try {
+      const response = await apiClient.delete<ApiResponse<{ id: string; name: string }>>(`/contracts/${contractId}`);
+
+      if (!response.data.success) {
+        throw new Error(response.data.message || 'Error eliminando contrato');
+      }
+    } catch (error) {
+      console.error('[ContractService] Error en deleteContract:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // ➕ Crear campo en un contrato (devuelve el contrato actualizado)
+  async createField(contractId: string, input: CatalogInput): Promise<Contract> {
+    try {
+      const response = await apiClient.post<ApiResponse<Contract>>(`/contracts/${contractId}/fields`, input);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error creando campo');
+    } catch (error) {
+      console.error('[ContractService] Error en createField:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // ✏️ Renombrar o cambiar el estado de un campo (devuelve el contrato actualizado)
+  async updateField(fieldId: string, input: CatalogInput): Promise<Contract> {
+    try {
+      const response = await apiClient.put<ApiResponse<Contract>>(`/contracts/fields/${fieldId}`, input);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error actualizando campo');
+    } catch (error) {
+      console.error('[ContractService] Error en updateField:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🗑️ Eliminar campo sin inspecciones (devuelve el contrato actualizado)
+  async deleteField(fieldId: string): Promise<Contract> {
+    try {
+      const response = await apiClient.delete<ApiResponse<Contract>>(`/contracts/fields/${fieldId}`);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error eliminando campo');
+    } catch (error) {
+      console.error('[ContractService] Error en deleteField:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🔀 Fusionar contratos en el contrato conservado
+  async mergeContracts(targetId: string, sourceIds: string[]): Promise<ContractMergeResult> {
+    try {
+      const response = await apiClient.post<ApiResponse<ContractMergeResult>>('/contracts/merge', {
+        targetId,
+        sourceIds,
+      });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error fusionando contratos');
+    } catch (error) {
+      console.error('[ContractService] Error en mergeContracts:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🔀 Fusionar campos del mismo contrato
+  async mergeFields(targetId: string, sourceIds: string[]): Promise<ContractMergeResult> {
+    try {
+      const response = await apiClient.post<ApiResponse<ContractMergeResult>>('/contracts/fields/merge', {
+        targetId,
+        sourceIds,
+      });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error fusionando campos');
+    } catch (error) {
+      console.error('[ContractService] Error en mergeFields:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🔄 Enlazar inspecciones sin contrato o campo canónico
+  async syncContracts(): Promise<ContractSyncResult> {
+    try {
+      const response = await apiClient.post<ApiResponse<ContractSyncResult>>('/contracts/sync');
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error sincronizando contratos');
+    } catch (error) {
+      console.error('[ContractService] Error en syncContracts:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+}
+
+export const contractService = new ContractService();
+export default contractService;
@@ -0,0 +1,175 @@
+import { apiClient, ApiResponse, handleApiError } from './api';
+import { DriverTimelineEvent } from './searchService';
+
+export type DriverStatus = 'ACTIVO' | 'INACTIVO';
+
+export interface Driver {
+  id: string;
+  name: string;
+  cedula: string | null;
+  contract: string;
+  status: DriverStatus;
+  aliases: string[];
+  totalInspections: number;
+  criticalAlerts: number;
+  averageScore: number;
+  lastInspection: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface DriverList {
+  drivers: Driver[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
+}
+
+export interface DriverInput {
+  name?: string;
+  cedula?: string | null;
+  contract?: string;
+  status?: DriverStatus;
+}
+
+export interface DuplicateCandidate {
+  score: number;
+  drivers: Array<{
+    id: string;
+    name: string;
+    cedula: string | null;
+    totalInspections: number;
+  }>;
+}
+
+export interface MergeResult {
+  driver: Driver;
+  mergedDrivers: Array<{ id: string; name: string }>;
+  movedInspections: number;
+}
+
+export interface DriverSyncResult {
+  names: number;
+  matched: number;
+  similar: number;
+  created: number;
+  linkedInspections: number;
+  timelineEvents: number;
+}
+
+export type MedicalResult = 'APTO' | 'APTO_CON_RESTRICCIONES' | 'NO_APTO';
+
+export type DriverEventInput =
+  | { type: 'EVALUACION_MEDICA'; date?: string; result: MedicalResult; description?: string }
+  | { type: 'SUSPENSION'; date?: string; until?: string; description: string };
+
+class DriverService {
+  // 📋 Conductores del maestro
+  async getDrivers(filters?: {
+    search?: string;
+    estado?: DriverStatus;
+    page?: number;
+    limit?: number;
+  }): Promise<DriverList> {
+    try {
+      const response = await apiClient.get<ApiResponse<DriverList>>('/drivers', { params: filters });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error obteniendo conductores');
+    } catch (error) {
+      console.error('[DriverService] Error en getDrivers:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // ✏️ Actualizar nombre canónico, cédula, contrato o estado
+  async updateDriver(driverId: string, input: DriverInput): Promise<Driver> {
+    try {
+      const response = await apiClient.put<ApiResponse<Driver>>(`/drivers/${driverId}`, input);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error actualizando conductor');
+    } catch (error) {
+      console.error('[DriverService] Error en updateDriver:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🔍 Posibles duplicados
+  async getDuplicateCandidates(limit = 50): Promise<DuplicateCandidate[]> {
+    try {
+      const response = await apiClient.get<ApiResponse<DuplicateCandidate[]>>('/drivers/duplicates', {
+        params: { limit },
+      });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error buscando duplicados');
+    } catch (error) {
+      console.error('[DriverService] Error en getDuplicateCandidates:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🔀 Fusionar conductores en el conductor conservado
+  async mergeDrivers(targetId: string, sourceIds: string[]): Promise<MergeResult> {
+    try {
+      const response = await apiClient.post<ApiResponse<MergeResult>>('/drivers/merge', { targetId, sourceIds });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error fusionando conductores');
+    } catch (error) {
+      console.error('[DriverService] Error en mergeDrivers:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🩺 Registrar evaluación médica o suspensión en la línea de tiempo
+  async addDriverEvent(driverId: string, input: DriverEventInput): Promise<DriverTimelineEvent> {
+    try {
+      const response = await apiClient.post<ApiResponse<DriverTimelineEvent>>(`/drivers/${driverId}/events`, input);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error registrando el evento');
+    } catch (error) {
+      console.error('[DriverService] Error en addDriverEvent:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🔄 Enlazar inspecciones sin conductor
+  async syncDrivers(): Promise<DriverSyncResult> {
+    try {
+      const response = await apiClient.post<ApiResponse<DriverSyncResult>>('/drivers/sync');
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error sincronizando conductores');
+    } catch (error) {
+      console.error('[DriverService] Error en syncDrivers:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+}
+
+export const driverService = new DriverService();
+export default driverService;
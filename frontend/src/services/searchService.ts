@@ -1,4 +1,5 @@
 import { apiClient, ApiResponse, InspeccionData, SearchFilters, TrendData, handleApiError } from './api';
+import { AlertItem, AlertType } from './alertService';
 
 export interface SearchResult {
   inspecciones: InspeccionData[];
@@ -41,6 +42,42 @@ export interface DriverHistory {
   };
 }
 
+export type DriverEventType =
+  | 'INSPECCION'
+  | 'FATIGA'
+  | 'ALERTA_GENERADA'
+  | 'ALERTA_RESUELTA'
+  | 'EVALUACION_MEDICA'
+  | 'SUSPENSION';
+
+export interface DriverTimelineEvent {
+  id: string;
+  type: DriverEventType;
+  date: string;
+  description: string;
+  details: Record<string, unknown> | null;
+  inspectionId: string | null;
+  recordedBy: string | null;
+  createdAt: string;
+}
+
+export interface DriverTimeline {
+  driver: {
+    id: string;
+    name: string;
+    cedula: string | null;
+    status: string;
+  };
+  events: DriverTimelineEvent[];
+  summary: Record<DriverEventType, number>;
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
+}
+
 export interface VehicleHistory {
   vehiculo: {
     placa: string;
@@ -62,17 +99,6 @@ export interface VehicleHistory {
   }>;
 }
 
-export interface ActiveAlert {
-  id: string;
-  tipo: 'CRITICA' | 'ADVERTENCIA';
-  fecha: string;
-  conductor: string;
-  vehiculo: string;
-  descripcion: string;
-  estado: 'ACTIVA' | 'EN_REVISION' | 'RESUELTA';
-  prioridad: 'ALTA' | 'MEDIA' | 'BAJA';
-}
-
 class SearchService {
   // 🔍 Búsqueda general de inspecciones
   async searchInspections(filters: SearchFilters): Promise<SearchResult> {
@@ -130,6 +156,30 @@ class SearchService {
     }
   }
 
+  // 🕓 Línea de tiempo de un conductor del maestro
+  async getDriverTimeline(driverId: string, filters?: {
+    types?: DriverEventType[];
+    fechaInicio?: string;
+    fechaFin?: string;
+    page?: number;
+    limit?: number;
+  }): Promise<DriverTimeline> {
+    try {
+      const response = await apiClient.get<ApiResponse<DriverTimeline>>(`/search/driver/${driverId}/timeline`, {
+        params: { ...filters, types: filters?.types?.join(',') || undefined }
+      });
+      
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+      
+      throw new Error(response.data.message || 'Error obteniendo la línea de tiempo del conductor');
+    } catch (error) {
+      console.error('[SearchService] Error en getDriverTimeline:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
   // 🚗 Obtener historial específico de vehículo
   async getVehicleHistory(placa: string, filters?: {
     fechaInicio?: string;
@@ -152,14 +202,14 @@ class SearchService {
     }
   }
 
-  // 🚨 Obtener alertas activas y críticas
+  // 🚨 Alertas abiertas (ACTIVA y EN_REVISION) del flujo de alertas
   async getActiveAlerts(filters?: {
-    tipo?: 'CRITICA' | 'ADVERTENCIA' | 'TODAS';
-    estado?: 'ACTIVA' | 'EN_REVISION' | 'RESUELTA';
-    limite?: number;
-  }): Promise<ActiveAlert[]> {
+    tipo?: AlertType;
+    includeResolved?: boolean;
+    limit?: number;
+  }): Promise<AlertItem[]> {
     try {
-      const response = await apiClient.get<ApiResponse<ActiveAlert[]>>('/search/alerts', {
+      const response = await apiClient.get<ApiResponse<AlertItem[]>>('/search/alerts', {
         params: filters
       });
       
@@ -1,5 +1,8 @@
 import { apiClient, ApiResponse, handleApiError } from './api';
 
+// Qué hacer con filas que ya existen (misma marca temporal, placa e inspector)
+export type ImportMode = 'skip' | 'update' | 'fail';
+
 export interface UploadResult {
   success: boolean;
   fileName: string;
@@ -12,6 +15,176 @@ export interface UploadResult {
   detectedMonths: number[];
   validationErrors?: string[];
   warnings?: string[];
+  database?: {
+    mode: ImportMode;
+    newRecords: number;
+    updatedRecords: number;
+    duplicatesSkipped: number;
+    errorsInserting: number;
+    atomic?: boolean;
+    insertTime?: number;
+    recordsPerSecond?: number;
+  };
+  incremental?: {
+    enabled: boolean;
+    source: string;
+    previousWatermark: string | null;
+    watermark: string | null;
+    alreadySeenRecords: number;
+  };
+  drivers?: {
+    names: number;
+    matched: number;
+    similar: number;
+    created: number;
+  } | null;
+  contracts?: {
+    contracts: number;
+    fields: number;
+    matched: number;
+    similar: number;
+    created: number;
+  } | null;
+  checklistTemplate?: {
+    id: string;
+    version: number;
+    name: string;
+    items: number;
+  } | null;
+  vehicles?: {
+    plates: number;
+    registered: number;
+    unregistered: number;
+    unknown: Array<{
+      placa: string;
+      records: number;
+      suggestions: Array<{ id: string; placa: string; distance: number }>;
+    }>;
+  } | null;
+  odometer?: {
+    plates: number;
+    warnings: number;
+    byType: Record<string, number>;
+  } | null;
+  rejectedRows?: {
+    count: number;
+    downloadUrl: string | null;
+    quarantineUrl: string | null;
+  };
+  fileInfo?: {
+    processedFileId: string;
+    fileName: string;
+  };
+}
+
+// Fuente de importación incremental (última "Marca temporal" importada)
+export interface ImportSource {
+  id: string;
+  name: string;
+  watermark: string | null;
+}
+
+export interface UploadJob {
+  jobId: string;
+  status: 'QUEUED';
+  fileName: string;
+  progressUrl: string;
+}
+
+export interface UploadJobStatus {
+  jobId: string;
+  fileName: string;
+  status: 'QUEUED' | 'PROCESSING' | 'COMPLETED' | 'ERROR';
+  phase: 'EN_COLA' | 'PARSEANDO' | 'VALIDANDO' | 'INSERTANDO' | 'FINALIZADO';
+  currentStep: string;
+  progress: number;
+  recordsProcessed: number;
+  totalRecords: number;
+  errorCount: number;
+  errors: Array<{ fila?: number; placa?: string; errores?: string[]; batch?: number; error?: string }>;
+  estimatedTimeRemaining?: number;
+  result?: UploadResult | null;
+  error?: string | null;
+}
+
+export interface SheetInfo {
+  name: string;
+  rowCount: number;
+  uniqueRows: number;
+  duplicateRows: number;
+  importable: boolean;
+  columnsFound: number;
+  missingRequired: string[];
+  detectedMonth: number | null;
+  detectedMonthName: string | null;
+  detectedYear: number | null;
+  monthsInData: string[];
+  unmappedColumns?: number;
+  profile?: { id: string; name: string } | null;
+}
+
+// Encabezado sin campo asignado, con los campos sugeridos por similitud
+export interface UnmappedColumn {
+  header: string;
+  suggestions: Array<{ field: string; label: string; score: number }>;
+}
+
+// Cómo se asignó la columna de un campo: perfil, alias exacto o similitud (score 0 a 1)
+export interface ColumnMatch {
+  header: string;
+  score: number;
+  method: 'perfil' | 'exacto' | 'similitud';
+}
+
+export interface ColumnMappingSummary {
+  found: string[];
+  missing: string[];
+  missingRequired: string[];
+  matches: Record<string, ColumnMatch>;
+  lowConfidence: Array<ColumnMatch & { field: string; label: string; sheets?: string[] }>;
+  unmapped: UnmappedColumn[];
+  ignored: string[];
+}
+
+// Perfil de mapeo: encabezado del formulario → campo (null = ignorar la columna)
+export interface MappingProfile {
+  id: string;
+  name: string;
+  description: string | null;
+  mapping: Record<string, string | null>;
+  headers: string[];
+  active: boolean;
+  createdBy: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface MappableField {
+  field: string;
+  label: string;
+  group: 'general' | 'fatiga' | 'checklist';
+  required: boolean;
+}
+
+export type PreviewRowStatus = 'new' | 'duplicate' | 'changed' | 'invalid';
+
+export interface ImportPreviewRow {
+  sheet: string;
+  row: number;
+  status: PreviewRowStatus;
+  plate: string;
+  inspector: string;
+  date: string | null;
+  contract: string;
+  inspectionId: string | null;
+  changes: Array<{ field: string; current: unknown; incoming: unknown }>;
+  errors: string[];
+  warnings: string[];
+}
+
+export interface ImportPreview {
+  summary: Record<PreviewRowStatus, number> & { total: number };
+  rows: ImportPreviewRow[];
 }
 
 export interface ValidationResult {
@@ -21,9 +194,72 @@ export interface ValidationResult {
   detectedYear?: number;
   detectedMonths?: number[];
   estimatedRecords?: number;
+  duplicatesAcrossSheets?: number;
+  sheets?: SheetInfo[];
   errors: string[];
   warnings: string[];
   recommendations?: string[];
+  source?: ImportSource | null;
+  columnMapping?: ColumnMappingSummary;
+  profile?: { id: string; name: string } | null;
+  preview?: ImportPreview;
+}
+
+export type QuarantineStatus = 'PENDIENTE' | 'CORREGIDA' | 'DESCARTADA';
+
+// Campos corregibles desde la grilla de cuarentena
+export interface QuarantineRowData {
+  fecha: string | null; // Hora del formulario sin zona (YYYY-MM-DDTHH:mm:ss), en la zona del servidor
+  conductor_nombre: string | null;
+  placa_vehiculo: string | null;
+  contrato: string | null;
+  turno: string | null;
+  campo_coordinacion: string | null;
+  kilometraje: number | null;
+  observaciones: string | null;
+}
+
+export interface QuarantineIssue {
+  campo: string;
+  columna: string | null;
+  mensaje: string;
+}
+
+export interface QuarantineRow {
+  id: string;
+  uploadId: string;
+  fileName: string | null;
+  sheet: string;
+  row: number;
+  status: QuarantineStatus;
+  editable: boolean;
+  data: QuarantineRowData;
+  errors: QuarantineIssue[];
+  warnings: QuarantineIssue[];
+  inspectionId: string | null;
+  resolvedBy: string | null;
+  resolvedAt: string | null;
+  history: Array<{
+    user: string;
+    action: 'EDITADA' | 'REENVIADA' | 'DESCARTADA';
+    changes: Array<{ campo: string; anterior: unknown; nuevo: unknown }>;
+    errors: QuarantineIssue[];
+    comment: string | null;
+    date: string;
+  }>;
+}
+
+export interface QuarantineList {
+  rows: QuarantineRow[];
+  total: number;
+  page: number;
+  limit: number;
+}
+
+export interface QuarantineValidation {
+  isValid: boolean;
+  errors: Array<{ field: string; message: string }>;
+  warnings: Array<{ field: string; message: string }>;
 }
 
 export interface UploadHistory {
@@ -34,7 +270,7 @@ export interface UploadHistory {
   newRecords: number;
   duplicateRecords: number;
   processingTime: number;
-  status: 'PROCESADO' | 'ERROR' | 'REVERTIDO';
+  status: 'PROCESANDO' | 'PROCESADO' | 'CON_ERRORES' | 'ERROR' | 'REVERTIDO';
   user?: string;
 }
 
@@ -62,16 +298,26 @@ export interface ExcelTemplate {
 
 class UploadService {
   // 📤 Validar archivo Excel antes de procesar
-  async validateFile(file: File): Promise<ValidationResult> {
+  async validateFile(
+    file: File,
+    options?: { preview?: boolean; sheets?: string[]; profileId?: string }
+  ): Promise<ValidationResult> {
     try {
       const formData = new FormData();
       formData.append('file', file);
+      if (options?.sheets && options.sheets.length > 0) {
+        formData.append('sheets', JSON.stringify(options.sheets));
+      }
+      if (options?.profileId) {
+        formData.append('profileId', options.profileId);
+      }
       
       const response = await apiClient.post<ApiResponse<ValidationResult>>('/upload/validate', formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
-        timeout: 60000, // 1 minuto para validación
+        params: options?.preview ? { preview: true } : undefined,
+        timeout: options?.preview ? 300000 : 60000, // la vista previa compara cada fila contra la BD
       });
       
       if (response.data.success && response.data.data) {
@@ -85,16 +331,21 @@ class UploadService {
     }
   }
 
-  // 🚀 Procesar archivo Excel
+  // 🚀 Enviar archivo Excel a procesar (retorna el trabajo encolado)
   async uploadExcelFile(
     file: File, 
     options?: {
       overwriteDuplicates?: boolean;
       validateOnly?: boolean;
       batchSize?: number;
+      sheets?: string[];
+      mode?: ImportMode;
+      atomic?: boolean;
+      incremental?: boolean;
+      profileId?: string;
     },
     onProgress?: (progress: number) => void
-  ): Promise<UploadResult> {
+  ): Promise<UploadJob> {
     try {
       const formData = new FormData();
       formData.append('file', file);
@@ -108,12 +359,27 @@ class UploadService {
       if (options?.batchSize) {
         formData.append('batchSize', options.batchSize.toString());
       }
+      if (options?.sheets && options.sheets.length > 0) {
+        formData.append('sheets', JSON.stringify(options.sheets));
+      }
+      if (options?.mode) {
+        formData.append('mode', options.mode);
+      }
+      if (options?.atomic) {
+        formData.append('atomic', 'true');
+      }
+      if (options?.incremental !== undefined) {
+        formData.append('incremental', String(options.incremental));
+      }
+      if (options?.profileId) {
+        formData.append('profileId', options.profileId);
+      }
       
-  const response = await apiClient.post<ApiResponse<UploadResult>>('/upload/process', formData, {
+  const response = await apiClient.post<ApiResponse<UploadJob>>('/upload/process', formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
-        timeout: 300000, // 5 minutos para procesamiento
+        timeout: 300000, // 5 minutos para subir el archivo
         onUploadProgress: (progressEvent) => {
           if (onProgress && progressEvent.total) {
             const progress = Math.round((progressEvent.loaded * 100) / progressEvent.total);
@@ -163,11 +429,9 @@ class UploadService {
   }
 
   // 🗑️ Revertir procesamiento de archivo
-  async revertUpload(fileId: string, reason?: string): Promise<boolean> {
+  async revertUpload(fileId: string, reason: string, user?: string): Promise<boolean> {
     try {
-      const response = await apiClient.delete<ApiResponse>(`/upload/revert/${fileId}`, {
-        data: { reason }
-      });
+      const response = await apiClient.post<ApiResponse>(`/upload/${fileId}/revert`, { reason, user });
       
       return response.data.success;
     } catch (error) {
@@ -176,6 +440,165 @@ class UploadService {
     }
   }
 
+  // 🚫 Descargar filas rechazadas de una carga (.xlsx anotado para corregir y volver a cargar)
+  async downloadRejectedRows(uploadId: string): Promise<Blob> {
+    try {
+      const response = await apiClient.get(`/upload/${uploadId}/rejected`, {
+        responseType: 'blob'
+      });
+      
+      return response.data;
+    } catch (error) {
+      console.error('[UploadService] Error en downloadRejectedRows:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🧪 Listar filas en cuarentena
+  async getQuarantine(params?: {
+    uploadId?: string;
+    status?: QuarantineStatus | 'TODAS';
+    page?: number;
+    limit?: number;
+  }): Promise<QuarantineList> {
+    try {
+      const response = await apiClient.get<ApiResponse<QuarantineList>>('/upload/quarantine', { params });
+      
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+      
+      throw new Error(response.data.message || 'Error obteniendo filas en cuarentena');
+    } catch (error) {
+      console.error('[UploadService] Error en getQuarantine:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // ✅ Validar una corrección sin guardarla
+  async validateQuarantineRow(rowId: string, changes: Partial<QuarantineRowData>): Promise<QuarantineValidation> {
+    try {
+      const response = await apiClient.post<ApiResponse<QuarantineValidation>>(
+        `/upload/quarantine/${rowId}/validate`,
+        { changes }
+      );
+      
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+      
+      throw new Error(response.data.message || 'Error validando la fila');
+    } catch (error) {
+      console.error('[UploadService] Error en validateQuarantineRow:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🔁 Guardar corrección y reenviar la fila
+  async resubmitQuarantineRow(
+    rowId: string,
+    changes: Partial<QuarantineRowData>,
+    user?: string
+  ): Promise<QuarantineRow> {
+    try {
+      const response = await apiClient.post<ApiResponse<QuarantineRow>>(
+        `/upload/quarantine/${rowId}/resubmit`,
+        { changes, user }
+      );
+      
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+      
+      throw new Error(response.data.message || 'Error reenviando la fila');
+    } catch (error) {
+      console.error('[UploadService] Error en resubmitQuarantineRow:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🗑️ Descartar una fila en cuarentena
+  async discardQuarantineRow(rowId: string, reason: string, user?: string): Promise<QuarantineRow> {
+    try {
+      const response = await apiClient.post<ApiResponse<QuarantineRow>>(
+        `/upload/quarantine/${rowId}/discard`,
+        { reason, user }
+      );
+      
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+      
+      throw new Error(response.data.message || 'Error descartando la fila');
+    } catch (error) {
+      console.error('[UploadService] Error en discardQuarantineRow:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🗺️ Listar perfiles de mapeo de columnas
+  async getMappingProfiles(): Promise<MappingProfile[]> {
+    try {
+      const response = await apiClient.get<ApiResponse<MappingProfile[]>>('/upload/profiles');
+      
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+      
+      throw new Error(response.data.message || 'Error obteniendo perfiles de mapeo');
+    } catch (error) {
+      console.error('[UploadService] Error en getMappingProfiles:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🏷️ Campos a los que se puede asignar una columna
+  async getMappableFields(): Promise<MappableField[]> {
+    try {
+      const response = await apiClient.get<ApiResponse<MappableField[]>>('/upload/profiles/fields');
+      
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+      
+      throw new Error(response.data.message || 'Error obteniendo campos asignables');
+    } catch (error) {
+      console.error('[UploadService] Error en getMappableFields:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // ➕ Guardar un perfil de mapeo
+  async createMappingProfile(profile: {
+    name: string;
+    description?: string;
+    mapping: Record<string, string | null>;
+    headers?: string[];
+  }): Promise<MappingProfile> {
+    try {
+      const response = await apiClient.post<ApiResponse<MappingProfile>>('/upload/profiles', profile);
+      
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+      
+      throw new Error(response.data.message || 'Error guardando el perfil de mapeo');
+    } catch (error) {
+      console.error('[UploadService] Error en createMappingProfile:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🗑️ Eliminar un perfil de mapeo
+  async deleteMappingProfile(profileId: string): Promise<void> {
+    try {
+      await apiClient.delete<ApiResponse>(`/upload/profiles/${profileId}`);
+    } catch (error) {
+      console.error('[UploadService] Error en deleteMappingProfile:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
   // 📈 Obtener estadísticas de uploads
   async getUploadStats(period?: '7days' | '30days' | '90days' | '1year'): Promise<UploadStats> {
     try {
@@ -197,7 +620,7 @@ class UploadService {
   // 📊 Obtener plantillas de Excel disponibles
   async getExcelTemplates(): Promise<ExcelTemplate[]> {
     try {
-      const response = await apiClient.get<ApiResponse<ExcelTemplate[]>>('/upload/templates');
+      const response = await apiClient.get<ApiResponse<ExcelTemplate[]>>('/upload/template/info');
       
       if (response.data.success && response.data.data) {
         return response.data.data;
@@ -210,10 +633,10 @@ class UploadService {
     }
   }
 
-  // 📥 Descargar plantilla de Excel
-  async downloadTemplate(templateName: string): Promise<Blob> {
+  // 📥 Descargar plantilla de Excel (.xlsx con listas desplegables e instrucciones)
+  async downloadTemplate(): Promise<Blob> {
     try {
-      const response = await apiClient.get(`/upload/templates/${templateName}`, {
+      const response = await apiClient.get('/upload/template', {
         responseType: 'blob'
       });
       
@@ -232,7 +655,7 @@ class UploadService {
     const errors: string[] = [];
     
     // Validar extensión
-    const allowedExtensions = ['.xlsx', '.xls'];
+    const allowedExtensions = ['.xlsx', '.xls', '.csv'];
     const fileExtension = file.name.toLowerCase().substring(file.name.lastIndexOf('.'));
     
     if (!allowedExtensions.includes(fileExtension)) {
@@ -258,16 +681,9 @@ class UploadService {
   }
 
   // 📊 Obtener progreso de procesamiento (para archivos grandes)
-  async getProcessingProgress(uploadId: string): Promise<{
-    status: 'PROCESSING' | 'COMPLETED' | 'ERROR';
-    progress: number;
-    currentStep: string;
-    estimatedTimeRemaining?: number;
-    recordsProcessed?: number;
-    totalRecords?: number;
-  }> {
+  async getProcessingProgress(jobId: string): Promise<UploadJobStatus> {
     try {
-      const response = await apiClient.get<ApiResponse>(`/upload/progress/${uploadId}`);
+      const response = await apiClient.get<ApiResponse<UploadJobStatus>>(`/upload/progress/${jobId}`);
       
       if (response.data.success && response.data.data) {
         return response.data.data;
@@ -0,0 +1,294 @@
+import { apiClient, ApiResponse, handleApiError } from './api';
+
+export type OdometerWarningType = 'RETROCESO' | 'SALTO_DIARIO' | 'SIN_CAMBIO';
+
+export interface OdometerWarning {
+  id: string;
+  inspectionId: string;
+  plate: string;
+  type: OdometerWarningType;
+  message: string;
+  odometer: number;
+  previousOdometer: number | null;
+  previousDate: string | null;
+  inspectionDate?: string;
+  driver?: string;
+  contract?: string;
+}
+
+export interface OdometerWarningList {
+  warnings: OdometerWarning[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
+}
+
+export interface OdometerPlateSummary {
+  placa: string;
+  total: number;
+  byType: Partial<Record<OdometerWarningType, number>>;
+}
+
+export interface OdometerSummary {
+  plates: OdometerPlateSummary[];
+  total: number;
+  config: {
+    maxKmPerDay: number;
+    staleDays: number;
+  };
+}
+
+export interface OdometerRecheckResult {
+  plates: number;
+  warnings: number;
+  byType: Partial<Record<OdometerWarningType, number>>;
+}
+
+export type VehicleStatus = 'ACTIVO' | 'INACTIVO';
+
+export interface Vehicle {
+  id: string;
+  placa: string;
+  alternatePlates: string[];
+  type: string;
+  brand: string;
+  model: string;
+  contract: string;
+  status: VehicleStatus;
+  totalInspections: number;
+  criticalAlerts: number;
+  averageScore: number;
+  drivers: number;
+  lastInspection: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface VehicleList {
+  vehicles: Vehicle[];
+  pagination: {
+    page: number;
+    limit: number;
+    total: number;
+    pages: number;
+  };
+}
+
+export interface VehicleInput {
+  placa?: string;
+  type?: string;
+  brand?: string;
+  model?: string;
+  contract?: string;
+  status?: VehicleStatus;
+}
+
+export interface PlateSuggestion {
+  id: string;
+  placa: string;
+  distance: number;
+}
+
+export interface UnregisteredPlate {
+  placa: string;
+  variants: string[];
+  inspections: number;
+  lastInspection: string | null;
+  registeredAs: string | null;
+  validFormat: boolean;
+  suggestions: PlateSuggestion[];
+}
+
+export interface UnregisteredPlateList {
+  plates: UnregisteredPlate[];
+  total: number;
+}
+
+export interface PlateAssignResult {
+  vehicle: Vehicle;
+  movedInspections: number;
+}
+
+export interface VehicleSyncResult {
+  registered: number;
+  linkedInspections: number;
+  unregisteredPlates: number;
+}
+
+class VehicleService {
+  // 📋 Vehículos del registro
+  async getVehicles(filters?: {
+    search?: string;
+    estado?: VehicleStatus;
+    contrato?: string;
+    page?: number;
+    limit?: number;
+  }): Promise<VehicleList> {
+    try {
+      const response = await apiClient.get<ApiResponse<VehicleList>>('/vehicles', { params: filters });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error obteniendo vehículos');
+    } catch (error) {
+      console.error('[VehicleService] Error en getVehicles:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // ➕ Registrar vehículo
+  async createVehicle(input: VehicleInput): Promise<{ vehicle: Vehicle; linkedInspections: number }> {
+    try {
+      const response = await apiClient.post<ApiResponse<{ vehicle: Vehicle; linkedInspections: number }>>(
+        '/vehicles',
+        input
+      );
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error registrando vehículo');
+    } catch (error) {
+      console.error('[VehicleService] Error en createVehicle:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // ✏️ Actualizar placa, tipo, marca, modelo, contrato o estado
+  async updateVehicle(vehicleId: string, input: VehicleInput): Promise<Vehicle> {
+    try {
+      const response = await apiClient.put<ApiResponse<Vehicle>>(`/vehicles/${vehicleId}`, input);
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error actualizando vehículo');
+    } catch (error) {
+      console.error('[VehicleService] Error en updateVehicle:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // ❓ Placas sin registrar con sugerencias
+  async getUnregisteredPlates(limit = 100): Promise<UnregisteredPlateList> {
+    try {
+      const response = await apiClient.get<ApiResponse<UnregisteredPlateList>>('/vehicles/unregistered', {
+        params: { limit },
+      });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error obteniendo placas sin registrar');
+    } catch (error) {
+      console.error('[VehicleService] Error en getUnregisteredPlates:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🎯 Corregir una placa mal digitada al vehículo indicado
+  async assignPlate(placa: string, vehicleId: string): Promise<PlateAssignResult> {
+    try {
+      const response = await apiClient.post<ApiResponse<PlateAssignResult>>(
+        `/vehicles/unregistered/${encodeURIComponent(placa)}/assign`,
+        { vehicleId }
+      );
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error corrigiendo placa');
+    } catch (error) {
+      console.error('[VehicleService] Error en assignPlate:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🔄 Enlazar inspecciones y registrar placas frecuentes
+  async syncVehicles(): Promise<VehicleSyncResult> {
+    try {
+      const response = await apiClient.post<ApiResponse<VehicleSyncResult>>('/vehicles/sync');
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error sincronizando vehículos');
+    } catch (error) {
+      console.error('[VehicleService] Error en syncVehicles:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🛣️ Advertencias de odómetro (toda la flota o una placa)
+  async getOdometerWarnings(filters?: {
+    placa?: string;
+    tipo?: OdometerWarningType;
+    page?: number;
+    limit?: number;
+  }): Promise<OdometerWarningList> {
+    try {
+      const { placa, ...params } = filters || {};
+      const url = placa
+        ? `/vehicles/${encodeURIComponent(placa)}/odometer-warnings`
+        : '/vehicles/odometer-warnings';
+      const response = await apiClient.get<ApiResponse<OdometerWarningList>>(url, { params });
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error obteniendo advertencias de odómetro');
+    } catch (error) {
+      console.error('[VehicleService] Error en getOdometerWarnings:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 📊 Advertencias de odómetro por placa
+  async getOdometerSummary(): Promise<OdometerSummary> {
+    try {
+      const response = await apiClient.get<ApiResponse<OdometerSummary>>('/vehicles/odometer-warnings/summary');
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error obteniendo resumen de odómetro');
+    } catch (error) {
+      console.error('[VehicleService] Error en getOdometerSummary:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+
+  // 🔄 Recalcular advertencias de una placa o de toda la flota
+  async recheckOdometer(placa?: string): Promise<OdometerRecheckResult> {
+    try {
+      const response = await apiClient.post<ApiResponse<OdometerRecheckResult>>(
+        '/vehicles/odometer-warnings/recheck',
+        placa ? { placa } : {}
+      );
+
+      if (response.data.success && response.data.data) {
+        return response.data.data;
+      }
+
+      throw new Error(response.data.message || 'Error recalculando odómetro');
+    } catch (error) {
+      console.error('[VehicleService] Error en recheckOdometer:', error);
+      throw new Error(handleApiError(error));
+    }
+  }
+}
+
+export const vehicleService = new VehicleService();
+export default vehicleService;